@@ -0,0 +1,148 @@
+// Access Groups
+// An admin can run several classes or plantation drives. Each group has a name and one access
+// code; students join with the code and their submissions are tagged with the group.
+// Codes can expire and cap how many students join. Regenerating issues a new code and retires
+// the old one, so everyone has to join again with the new code.
+//
+// Firestore layout (enforced by firestore.rules):
+//   groups/{groupId}                   { adminUsername, name, accessCode, codeActive, expiresAt, maxUsers, rosterRequired, createdAt }
+//   passes/{code}                      { adminUsername, adminName, active, groupId, groupName, expiresAt, maxUsers, userCount, rosterRequired }
+//   passes/{code}/members/{memberId}   { studentId, joinedAt }
+// Passes created before groups have no groupId and keep working as "No group".
+// Groups with a roster (rosterRequired) log students in by roll number and PIN; see student-roster.js.
+import {
+    doc, getDoc, collection, writeBatch, increment, Timestamp
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import { signInRosterStudent, rollKey } from "./student-roster.js";
+
+const CODE_LENGTH = 6;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I to misread
+
+function groupError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function randomCode() {
+    const values = crypto.getRandomValues(new Uint32Array(CODE_LENGTH));
+    return Array.from(values, v => CODE_ALPHABET[v % CODE_ALPHABET.length]).join('');
+}
+
+// A code no other pass uses yet
+async function reserveCode(db) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const code = randomCode();
+        if (!(await getDoc(doc(db, 'passes', code))).exists()) return code;
+    }
+    throw groupError('group/code-unavailable', 'Could not find a free access code, try again');
+}
+
+// The member id is the normalised name, so the same student joining twice counts once
+export function memberId(studentName) {
+    return encodeURIComponent(studentName.trim().toLowerCase()).slice(0, 150);
+}
+
+export function toDate(value) {
+    if (!value) return null;
+    return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+export function isExpired(record) {
+    const expiresAt = toDate(record.expiresAt);
+    return Boolean(expiresAt) && expiresAt.getTime() <= Date.now();
+}
+
+// expiresAt: Date or null, maxUsers: positive integer or null
+export async function createGroup(db, admin, { name, expiresAt = null, maxUsers = null }) {
+    const code = await reserveCode(db);
+    const groupRef = doc(collection(db, 'groups'));
+    const now = new Date().toISOString();
+    const expiry = expiresAt ? Timestamp.fromDate(expiresAt) : null;
+
+    const batch = writeBatch(db);
+    batch.set(groupRef, {
+        adminUsername: admin.username, name: name, accessCode: code, codeActive: true,
+        expiresAt: expiry, maxUsers: maxUsers, createdAt: now
+    });
+    batch.set(doc(db, 'passes', code), {
+        adminUsername: admin.username, adminName: admin.name, active: true, createdAt: now,
+        groupId: groupRef.id, groupName: name, expiresAt: expiry, maxUsers: maxUsers, userCount: 0
+    });
+    await batch.commit();
+    return { id: groupRef.id, accessCode: code };
+}
+
+// New code with the same expiry and cap; the old code stops working
+export async function regenerateGroupCode(db, admin, group) {
+    const code = await reserveCode(db);
+    const now = new Date().toISOString();
+
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'passes', code), {
+        adminUsername: admin.username, adminName: admin.name, active: true, createdAt: now,
+        groupId: group.id, groupName: group.name, expiresAt: group.expiresAt || null,
+        maxUsers: group.maxUsers || null, userCount: 0, rosterRequired: Boolean(group.rosterRequired)
+    });
+    if (group.accessCode) {
+        batch.update(doc(db, 'passes', group.accessCode), { active: false });
+    }
+    batch.update(doc(db, 'groups', group.id), { accessCode: code, codeActive: true });
+    await batch.commit();
+    return code;
+}
+
+export async function revokeGroupCode(db, group) {
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'passes', group.accessCode), { active: false });
+    batch.update(doc(db, 'groups', group.id), { codeActive: false });
+    await batch.commit();
+}
+
+// Student login: checks the code and records the student as a member (once per student).
+// studentName is the typed name, or the roll number when the group has a roster (then pin is
+// required). Resolves with the fields kept in the student session.
+export async function joinWithCode(db, accessCode, studentName, pin = null) {
+    const passRef = doc(db, 'passes', accessCode);
+    const passDoc = await getDoc(passRef);
+    if (!passDoc.exists() || !passDoc.data().active) {
+        throw groupError('group/invalid-code', 'Invalid access code');
+    }
+
+    const pass = passDoc.data();
+    const id = pass.rosterRequired ? rollKey(studentName) : memberId(studentName);
+    const memberRef = doc(db, 'passes', accessCode, 'members', id);
+    const isMember = (await getDoc(memberRef)).exists();
+    // Expiry only closes the code to new students; those who joined before keep logging in
+    if (!isMember && isExpired(pass)) {
+        throw groupError('group/expired', 'This access code has expired');
+    }
+
+    let student = null;
+    if (pass.rosterRequired) {
+        if (!pin) throw groupError('group/pin-required', 'This group logs in with roll number and PIN');
+        student = await signInRosterStudent(db, accessCode, pass, studentName, pin);
+    }
+
+    if (!isMember) {
+        if (pass.maxUsers && (pass.userCount || 0) >= pass.maxUsers) {
+            throw groupError('group/full', 'This group is full');
+        }
+        // The rules accept the count change only together with the new member document
+        const batch = writeBatch(db);
+        batch.set(memberRef, { studentId: student ? student.name : studentName, joinedAt: new Date().toISOString() });
+        batch.update(passRef, { userCount: increment(1), lastMemberId: id });
+        await batch.commit();
+    }
+
+    return {
+        adminUsername: pass.adminUsername,
+        adminName: pass.adminName,
+        groupId: pass.groupId || null,
+        groupName: pass.groupName || null,
+        studentId: student ? student.name : studentName,
+        studentUid: student ? student.studentUid : null,
+        rollNumber: student ? student.rollNumber : null,
+        memberId: id  // submissions name it so the rules accept them after the code closes
+    };
+}
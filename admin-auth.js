@@ -0,0 +1,193 @@
+// Admin Authentication
+// Admins sign in with Firebase Auth (email/password). Who the admin is comes from the ID token:
+// a `role: 'admin'` custom claim with `adminUsername` when the project sets claims server-side,
+// otherwise the `admins/{username}` document whose `uid` matches the signed-in user.
+// Older admin documents kept a plaintext `password`; migrateLegacyAdmin moves them onto Auth.
+import {
+    createUserWithEmailAndPassword, signInWithEmailAndPassword, signOut, onAuthStateChanged, updateProfile
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import {
+    getFirestore, doc, getDoc, setDoc, updateDoc, deleteField, increment, serverTimestamp,
+    collection, query, where, limit, getDocs
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+
+const SESSION_KEY = 'adminSession'; // display hint for other pages only; never trusted for access
+
+function getDb() {
+    return getFirestore(window.firebaseApp);
+}
+
+function rememberSession(admin) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify({
+        username: admin.username, name: admin.name, uid: admin.uid, loginTime: new Date().toISOString()
+    }));
+}
+
+// { uid, email, username, name } for an admin user, or null
+export async function resolveAdmin(user) {
+    if (!user) return null;
+
+    const token = await user.getIdTokenResult();
+    if (token.claims.role === 'admin' && token.claims.adminUsername) {
+        return {
+            uid: user.uid,
+            email: user.email,
+            username: token.claims.adminUsername,
+            name: user.displayName || token.claims.adminUsername
+        };
+    }
+
+    const linked = await getDocs(query(collection(getDb(), 'admins'), where('uid', '==', user.uid), limit(1)));
+    if (linked.empty) return null;
+    const data = linked.docs[0].data();
+    if ('password' in data || 'migrationPassword' in data) {
+        // Left behind by an interrupted migration from an older version of this page
+        updateDoc(linked.docs[0].ref, { password: deleteField(), migrationPassword: deleteField() })
+            .catch(error => console.warn('Could not remove the old password:', error));
+    }
+    return { uid: user.uid, email: user.email, username: linked.docs[0].id, name: data.name || user.displayName || linked.docs[0].id };
+}
+
+// Resolves with the signed-in admin, or sends the browser to the login page
+export function requireAdmin() {
+    const auth = window.firebaseAuth;
+    return new Promise((resolve) => {
+        const unsubscribe = onAuthStateChanged(auth, async (user) => {
+            unsubscribe();
+            const admin = await resolveAdmin(user).catch((error) => {
+                console.error('❌ Could not resolve admin:', error);
+                return null;
+            });
+            if (!admin) {
+                localStorage.removeItem(SESSION_KEY);
+                if (user) await signOut(auth);
+                window.location.href = 'admin-login.html';
+                return;
+            }
+            rememberSession(admin);
+            resolve(admin);
+        });
+    });
+}
+
+export async function signInAdmin(email, password) {
+    const credential = await signInWithEmailAndPassword(window.firebaseAuth, email, password);
+    const admin = await resolveAdmin(credential.user);
+    if (!admin) {
+        await signOut(window.firebaseAuth);
+        const error = new Error('This account is not an admin');
+        error.code = 'admin/not-admin';
+        throw error;
+    }
+    rememberSession(admin);
+    return admin;
+}
+
+export async function registerAdmin({ name, username, email, password }) {
+    const adminRef = doc(getDb(), 'admins', username);
+    // firestore.rules only let signed-out users read admin documents that don't exist,
+    // so permission-denied here also means the username is taken
+    const taken = await getDoc(adminRef).then(snap => snap.exists(), (error) => {
+        if (error.code === 'permission-denied') return true;
+        throw error;
+    });
+    if (taken) {
+        const error = new Error('Username already taken');
+        error.code = 'admin/username-taken';
+        throw error;
+    }
+
+    const credential = await createUserWithEmailAndPassword(window.firebaseAuth, email, password);
+    try {
+        await updateProfile(credential.user, { displayName: name });
+        await setDoc(adminRef, {
+            name: name, username: username, email: email, uid: credential.user.uid,
+            createdAt: new Date().toISOString(), currentPass: null, passActive: false
+        });
+    } catch (error) {
+        // Don't leave an Auth user without its admin document
+        await credential.user.delete().catch(() => {});
+        throw error;
+    }
+
+    const admin = { uid: credential.user.uid, email: email, username: username, name: name };
+    rememberSession(admin);
+    return admin;
+}
+
+// Legacy admins: { name, password } with no uid. Returns the document data when the old
+// username/password pair still matches, so the login page can offer migration. Under
+// firestore.rules the document is hidden; returns {} and leaves the password check to the
+// rules during migrateLegacyAdmin.
+export async function checkLegacyAdmin(username, password) {
+    let snap;
+    try {
+        snap = await getDoc(doc(getDb(), 'admins', username));
+    } catch (error) {
+        if (error.code === 'permission-denied') return {};
+        throw error;
+    }
+    if (!snap.exists()) return null;
+    const data = snap.data();
+    if (data.uid || typeof data.password !== 'string' || data.password !== password) return null;
+    return data;
+}
+
+function legacyMismatchError() {
+    const error = new Error('Old username or password no longer matches');
+    error.code = 'admin/legacy-mismatch';
+    return error;
+}
+
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Commits to one password guess; the rules allow a few, a minute apart, per legacy username
+async function recordMigrationAttempt(username, uid, password) {
+    try {
+        await setDoc(doc(getDb(), 'migrationAttempts', username), {
+            uid: uid, guessHash: await sha256Hex(password), attemptedAt: serverTimestamp(), count: increment(1)
+        }, { merge: true });
+    } catch (error) {
+        if (error.code !== 'permission-denied') throw error;
+        const limited = new Error('Too many attempts. Wait a minute and try again, or ask the site owner to reset your account.');
+        limited.code = 'admin/migration-limited';
+        throw limited;
+    }
+}
+
+// Creates the Auth account for a legacy admin, links it and deletes the stored password
+export async function migrateLegacyAdmin(username, password, email) {
+    if (!(await checkLegacyAdmin(username, password))) throw legacyMismatchError();
+
+    const adminRef = doc(getDb(), 'admins', username);
+    const credential = await createUserWithEmailAndPassword(window.firebaseAuth, email, password);
+    try {
+        await recordMigrationAttempt(username, credential.user.uid, password);
+        // The rules accept this write only when the committed guess matches the stored password;
+        // it links the document and deletes the password in one step
+        await updateDoc(adminRef, {
+            uid: credential.user.uid,
+            email: email,
+            password: deleteField(),
+            migratedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        await credential.user.delete().catch(() => {});
+        throw (error.code === 'permission-denied' || error.code === 'not-found') ? legacyMismatchError() : error;
+    }
+
+    const name = (await getDoc(adminRef)).data().name || username;
+    await updateProfile(credential.user, { displayName: name }).catch(() => {});
+
+    const admin = { uid: credential.user.uid, email: email, username: username, name: name };
+    rememberSession(admin);
+    return admin;
+}
+
+export async function signOutAdmin() {
+    localStorage.removeItem(SESSION_KEY);
+    await signOut(window.firebaseAuth);
+}
@@ -1,14 +1,38 @@
 // Admin Dashboard Logic
 import { getFirestore, doc, getDoc, setDoc, collection, query, where, getDocs, orderBy, onSnapshot } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import { requireAdmin, signOutAdmin } from "./admin-auth.js";
+import { createGroup, regenerateGroupCode, revokeGroupCode, isExpired, toDate } from "./access-groups.js";
+import { parseRosterCsv, importRoster, loadRoster, resetPin, pinsToCsv } from "./student-roster.js";
+import { REVIEW_STATUSES, getReviewStatus, reviewSubmissions } from "./submission-review.js";
 
 console.log('🔄 Admin Dashboard v4.0 loaded - with debug logs');
 
 const db = getFirestore(window.firebaseApp);
 let heatMapInstance = null;
 let submissionsListener = null;
+let groupListeners = [];
 let currentAdmin = null;
 let allSubmissions = []; // Store all submissions globally for heat map
 let groupedHeatLocations = new Map(); // Keyed by normalized lat,lng
+const PROVENANCE_WEIGHTS_KEY = 'ecotree-provenance-weights';
+let provenanceFilter = 'all'; // input method shown, 'photo' for either photo method
+let provenanceWeights = loadProvenanceWeights();
+let groupFilter = 'all'; // group id, 'none' for submissions without a group
+let groups = [];
+let passesByCode = new Map();
+let legacyPassCode = null; // the admin's single pre-groups code, while it is active
+let reviewFilter = 'all'; // review status shown in the users table
+let selectedSubmissionIds = new Set(); // users table checkboxes, for bulk review
+let tableSubmissionIds = []; // rows currently listed in the users table
+
+// Roster students have a stable uid; older submissions only have the typed name
+function getStudentKey(sub) {
+    return sub.studentUid || sub.studentId;
+}
+
+function getStudentLabel(sub) {
+    return `${sub.studentId || 'N/A'}${sub.rollNumber ? ` (${sub.rollNumber})` : ''}`;
+}
 
 function getLocationKey(lat, lng) {
     return `${lat.toFixed(6)},${lng.toFixed(6)}`;
@@ -23,6 +47,7 @@ function groupSubmissionsByLocation(validSubmissions) {
         const key = getLocationKey(lat, lng);
         const co2 = parseFloat(s.co2) || 0;
         const carbon = parseFloat(s.carbon) || 0;
+        const crownArea = parseFloat(s.crownArea) || 0;
 
         if (!grouped.has(key)) {
             grouped.set(key, {
@@ -32,6 +57,7 @@ function groupSubmissionsByLocation(validSubmissions) {
                 totalTrees: 0,
                 totalCO2: 0,
                 totalCarbon: 0,
+                totalCrownArea: 0,
                 trees: []
             });
         }
@@ -40,6 +66,7 @@ function groupSubmissionsByLocation(validSubmissions) {
         group.totalTrees += 1;
         group.totalCO2 += co2;
         group.totalCarbon += carbon;
+        group.totalCrownArea += crownArea;
         group.trees.push(s);
     });
 
@@ -50,110 +77,384 @@ function groupSubmissionsByLocation(validSubmissions) {
     }));
 }
 
-// Load admin from session
-function loadAdminFromSession() {
-    const adminSession = localStorage.getItem('adminSession');
-    if (!adminSession) {
-        window.location.href = 'admin-login.html';
-        return null;
+function getMethodShortLabel(method) {
+    if (method === 'method2') return 'M2';
+    if (method === 'method3') return 'M3';
+    if (method === 'method4') return 'M4';
+    return 'M1';
+}
+
+function formatRange(range) {
+    return range ? escapeHtml(`± ${range.plusMinus} (95% CI ${range.lower}–${range.upper})`) : 'N/A';
+}
+
+// Per input-method weights for weighted totals, kept on this device
+function loadProvenanceWeights() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROVENANCE_WEIGHTS_KEY) || '{}');
+        return { ...measurementProvenance.DEFAULT_WEIGHTS, ...saved };
+    } catch (e) {
+        return { ...measurementProvenance.DEFAULT_WEIGHTS };
     }
-    return JSON.parse(adminSession);
 }
 
-currentAdmin = loadAdminFromSession();
+function showProvenanceWeights() {
+    Object.entries(provenanceWeights).forEach(([method, weight]) => {
+        const input = document.getElementById(`weight-${method}`);
+        if (input) input.value = weight;
+    });
+}
+
+function matchesGroupFilter(sub) {
+    if (groupFilter === 'all') return true;
+    return groupFilter === 'none' ? !sub.groupId : sub.groupId === groupFilter;
+}
+
+function matchesProvenanceFilter(sub) {
+    if (provenanceFilter === 'all') return true;
+    const method = measurementProvenance.getInputMethod(sub.provenance);
+    return provenanceFilter === 'photo' ? method.startsWith('photo-') : method === provenanceFilter;
+}
+
+function getVisibleSubmissions() {
+    return allSubmissions.filter(sub => matchesGroupFilter(sub) && matchesProvenanceFilter(sub));
+}
 
-// Update getCurrentAdmin to use session
+// Totals, plots and the heat map only count data an admin has approved
+function getApprovedSubmissions() {
+    return getVisibleSubmissions().filter(sub => getReviewStatus(sub) === 'approved');
+}
+
+function renderSubmissions() {
+    const submissions = getVisibleSubmissions();
+    const approved = submissions.filter(sub => getReviewStatus(sub) === 'approved');
+    updateDashboardStats(approved, submissions);
+    updateStudentsTable(reviewFilter === 'all' ? submissions : submissions.filter(sub => getReviewStatus(sub) === reviewFilter));
+    updatePlotsTable(approved);
+
+    // Update heat map if already initialized
+    if (heatMapInstance) {
+        updateHeatMap(approved);
+    }
+}
+
+window.applyProvenanceFilter = (value) => {
+    provenanceFilter = value;
+    renderSubmissions();
+};
+
+window.applyReviewFilter = (value) => {
+    reviewFilter = value;
+    renderSubmissions();
+};
+
+window.applyGroupFilter = (value) => {
+    groupFilter = value;
+    renderSubmissions();
+};
+
+window.setProvenanceWeight = (method, value) => {
+    const weight = parseFloat(value);
+    if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+        showProvenanceWeights();
+        return;
+    }
+    provenanceWeights[method] = weight;
+    localStorage.setItem(PROVENANCE_WEIGHTS_KEY, JSON.stringify(provenanceWeights));
+    renderSubmissions();
+};
+
+showProvenanceWeights();
+
+// Set once Firebase Auth confirms the signed-in user is an admin (see admin-auth.js)
 window.getCurrentAdmin = () => currentAdmin;
 
-// Generate Random Pass Code
-window.generateNewPass = async () => {
+window.logout = async () => {
+    if (confirm('Are you sure you want to logout?')) {
+        await signOutAdmin();
+        window.location.href = 'login.html';
+    }
+};
+
+// Groups and their access codes (see access-groups.js)
+function listenToGroups() {
+    groupListeners.forEach(unsubscribe => unsubscribe());
+    groupListeners = [];
+
+    groupListeners.push(onSnapshot(query(collection(db, 'groups'), where('adminUsername', '==', currentAdmin.username)), (snapshot) => {
+        groups = snapshot.docs.map(d => ({ id: d.id, ...d.data() }))
+            .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        renderGroups();
+        renderGroupFilter();
+    }, (error) => console.error('❌ Groups listener error:', error)));
+
+    // Pass documents carry the live member count
+    groupListeners.push(onSnapshot(query(collection(db, 'passes'), where('adminUsername', '==', currentAdmin.username)), (snapshot) => {
+        passesByCode = new Map(snapshot.docs.map(d => [d.id, d.data()]));
+        renderGroups();
+    }, (error) => console.error('❌ Passes listener error:', error)));
+}
+
+function getGroupStatus(group) {
+    if (!group.codeActive) return { label: 'Revoked', color: '#fca5a5' };
+    if (isExpired(group)) return { label: 'Expired', color: '#fbbf24' };
+    return { label: 'Active', color: '#34d399' };
+}
+
+function renderGroups() {
+    const list = document.getElementById('groupsList');
+    if (!list) return;
+
+    const rows = groups.map(group => {
+        const status = getGroupStatus(group);
+        const pass = passesByCode.get(group.accessCode) || {};
+        const expiresAt = toDate(group.expiresAt);
+        return `
+        <div class="group-row">
+            <div class="group-info">
+                <div class="group-name">${escapeHtml(group.name)}</div>
+                <div class="group-meta">
+                    <span style="color:${status.color}">${status.label}</span> ·
+                    ${pass.userCount || 0}${group.maxUsers ? ` / ${group.maxUsers}` : ''} users ·
+                    ${expiresAt ? `expires ${expiresAt.toLocaleDateString()}` : 'no expiry'}
+                    ${group.rosterRequired ? ' · roster login' : ''}
+                </div>
+            </div>
+            <div class="group-code">${group.codeActive ? group.accessCode : '- - - - - -'}</div>
+            <div class="pass-actions">
+                ${group.codeActive ? `<button class="pass-btn secondary" onclick="copyAccessCode('${group.accessCode}')"><i class="fas fa-copy"></i> Copy</button>` : ''}
+                <button class="pass-btn secondary" onclick="openRoster('${group.id}')"><i class="fas fa-id-card"></i> Roster</button>
+                <button class="pass-btn secondary" onclick="regenerateGroup('${group.id}')"><i class="fas fa-sync-alt"></i> Regenerate</button>
+                ${group.codeActive ? `<button class="pass-btn danger" onclick="revokeGroup('${group.id}')"><i class="fas fa-ban"></i> Revoke</button>` : ''}
+            </div>
+        </div>`;
+    });
+
+    if (legacyPassCode) {
+        rows.push(`
+        <div class="group-row">
+            <div class="group-info">
+                <div class="group-name">Original code</div>
+                <div class="group-meta">No group · created before groups</div>
+            </div>
+            <div class="group-code">${legacyPassCode}</div>
+            <div class="pass-actions">
+                <button class="pass-btn secondary" onclick="copyAccessCode('${legacyPassCode}')"><i class="fas fa-copy"></i> Copy</button>
+                <button class="pass-btn danger" onclick="deactivatePass()"><i class="fas fa-ban"></i> Deactivate</button>
+            </div>
+        </div>`);
+    }
+
+    list.innerHTML = rows.length > 0
+        ? rows.join('')
+        : '<p class="pass-hint">No groups yet. Create one for each class or plantation drive and share its code.</p>';
+}
+
+function renderGroupFilter() {
+    const select = document.getElementById('groupFilter');
+    if (!select) return;
+    if (groupFilter !== 'all' && groupFilter !== 'none' && !groups.some(g => g.id === groupFilter)) {
+        groupFilter = 'all';
+    }
+    select.innerHTML = [
+        '<option value="all">All groups</option>',
+        ...groups.map(g => `<option value="${g.id}">${escapeHtml(g.name)}</option>`),
+        '<option value="none">No group</option>'
+    ].join('');
+    select.value = groupFilter;
+}
+
+window.createGroupFromForm = async (event) => {
+    event.preventDefault();
     if (!currentAdmin) return;
-    
-    console.log('🔑 Generate code clicked. Checking for existing code...');
-    
+
+    const name = document.getElementById('newGroupName').value.trim();
+    const expiryValue = document.getElementById('newGroupExpiry').value;
+    const maxUsersValue = parseInt(document.getElementById('newGroupMaxUsers').value, 10);
+    if (!name) return;
+
+    // A date picked in the form is valid through the end of that day
+    const expiresAt = expiryValue ? new Date(`${expiryValue}T23:59:59`) : null;
+    if (expiresAt && expiresAt.getTime() <= Date.now()) {
+        alert('Pick an expiry date in the future.');
+        return;
+    }
+
     try {
-        // First check if admin already has an active code
-        const adminDoc = await getDoc(doc(db, 'admins', currentAdmin.username));
-        
-        if (adminDoc.exists()) {
-            const adminData = adminDoc.data();
-            console.log('📋 Admin data:', adminData);
-            
-            // If admin already has an active pass code, show it instead of generating new
-            if (adminData.passActive && adminData.currentPass) {
-                console.log('✅ Existing active code found:', adminData.currentPass);
-                document.getElementById('passCodeDisplay').textContent = adminData.currentPass;
-                alert('ℹ️ You already have an active code! Your permanent code is: ' + adminData.currentPass);
-                return;
-            }
-        }
-        
-        console.log('🆕 No active code found. Generating new code...');
-        // Generate 5-digit code only if no active code exists
-        const newPass = Math.random().toString(36).substring(2, 7).toUpperCase();
-        console.log('🔑 New code generated:', newPass);
-        
-        // Save to admin document
-        await setDoc(doc(db, 'admins', currentAdmin.username), {
-            currentPass: newPass,
-            passActive: true,
-            passGeneratedAt: new Date().toISOString()
-        }, { merge: true });
-        
-        // Also save to passes collection for easy validation
-        await setDoc(doc(db, 'passes', newPass), {
-            adminUsername: currentAdmin.username,
-            adminName: currentAdmin.name,
-            active: true,
-            createdAt: new Date().toISOString()
+        const group = await createGroup(db, currentAdmin, {
+            name: name,
+            expiresAt: expiresAt,
+            maxUsers: maxUsersValue > 0 ? maxUsersValue : null
         });
-        
-        document.getElementById('passCodeDisplay').textContent = newPass;
-        alert('✅ Your permanent access code generated: ' + newPass + '\n\nThis code will remain the same. Users can use this code to login.');
-        console.log('✅ Code saved to database');
+        event.target.reset();
+        alert(`✅ Group "${name}" created. Access code: ${group.accessCode}`);
+    } catch (error) {
+        console.error('❌ Error creating group:', error);
+        alert('Failed to create group: ' + error.message);
+    }
+};
+
+window.copyAccessCode = (code) => {
+    navigator.clipboard.writeText(code).then(() => {
+        alert('✅ Code copied to clipboard!');
+    });
+};
+
+window.regenerateGroup = async (groupId) => {
+    const group = groups.find(g => g.id === groupId);
+    if (!group) return;
+    if (!confirm(`Issue a new code for "${group.name}"? The current code stops working and users must log in again with the new one.`)) {
+        return;
+    }
+
+    try {
+        const code = await regenerateGroupCode(db, currentAdmin, group);
+        alert(`✅ New access code for "${group.name}": ${code}`);
     } catch (error) {
-        console.error('❌ Error generating pass:', error);
-        alert('Failed to generate code: ' + error.message);
+        console.error('❌ Error regenerating code:', error);
+        alert('Failed to regenerate code: ' + error.message);
     }
 };
 
-// Copy Pass Code
-window.copyPassCode = () => {
-    const passCode = document.getElementById('passCodeDisplay').textContent;
-    if (passCode === 'XXXXX') {
-        alert('Please generate a code first!');
+window.revokeGroup = async (groupId) => {
+    const group = groups.find(g => g.id === groupId);
+    if (!group) return;
+    if (!confirm(`Revoke the code for "${group.name}"? Users of this group will no longer be able to log in or submit.`)) {
         return;
     }
-    
-    navigator.clipboard.writeText(passCode).then(() => {
-        alert('✅ Code copied to clipboard!');
+
+    try {
+        await revokeGroupCode(db, group);
+    } catch (error) {
+        console.error('❌ Error revoking code:', error);
+        alert('Failed to revoke code: ' + error.message);
+    }
+};
+
+// Roster of a group (see student-roster.js), shown in the details modal
+async function renderRoster(group, issued = []) {
+    const roster = await loadRoster(db, group.id);
+    const rows = roster.map(entry => `
+        <tr>
+            <td>${escapeHtml(entry.rollNumber)}</td>
+            <td>${escapeHtml(entry.name)}</td>
+            <td><button class="btn-view" onclick="resetStudentPin('${group.id}', '${entry.key}')">Reset PIN</button></td>
+        </tr>`).join('');
+
+    document.getElementById('modalTitle').innerHTML = `<i class="fas fa-id-card"></i> Roster: ${escapeHtml(group.name)}`;
+    document.getElementById('modalBody').innerHTML = `
+        ${issued.length > 0 ? `
+        <div style="background: rgba(16,185,129,0.1); border: 1px solid rgba(16,185,129,0.3); border-radius: 10px; padding: 12px; margin-bottom: 14px;">
+            <strong>${issued.length} PIN(s) issued.</strong> They are shown only now, so download them before closing.
+            <div style="margin: 8px 0; font-family: 'Courier New', monospace; font-size: 12px;">
+                ${issued.map(s => `${escapeHtml(s.rollNumber)} · ${escapeHtml(s.name)} · <strong>${s.pin}</strong>`).join('<br>')}
+            </div>
+            <button class="btn-view" onclick="downloadIssuedPins()">Download PINs (CSV)</button>
+        </div>` : ''}
+        <p style="font-size: 12px; opacity: 0.7; margin-bottom: 8px;">
+            One student per line: <code>roll number, name</code>. New roll numbers get a PIN; existing ones keep theirs and only the name is updated.
+            ${group.rosterRequired ? '' : 'After the first import, students of this group log in with roll number and PIN instead of a typed name.'}
+        </p>
+        <input type="file" accept=".csv,text/csv,text/plain" onchange="loadRosterFile(this)" style="margin-bottom: 8px;">
+        <textarea id="rosterCsv" rows="5" placeholder="1, Aarav Sharma&#10;2, Diya Patel" style="width: 100%; background: rgba(255,255,255,0.06); color: #fff; border: 1px solid rgba(255,255,255,0.1); border-radius: 8px; padding: 8px; font-family: inherit;"></textarea>
+        <button class="btn-view" style="margin-top: 8px;" onclick="importRosterCsv('${group.id}')">Import</button>
+        <hr style="margin: 14px 0; border-color: rgba(255,255,255,0.1);">
+        <h3 style="color: #a78bfa; margin-bottom: 10px;">${roster.length} student(s)</h3>
+        ${roster.length > 0 ? `<table style="width: 100%; font-size: 13px;">
+            <tr><th style="text-align: left;">Roll</th><th style="text-align: left;">Name</th><th></th></tr>
+            ${rows}
+        </table>` : '<p style="opacity: 0.6;">No students yet.</p>'}
+    `;
+    document.getElementById('detailModal').classList.add('active');
+}
+
+let issuedPins = []; // last PINs shown, for the CSV download
+
+window.openRoster = async (groupId) => {
+    const group = groups.find(g => g.id === groupId);
+    if (!group) return;
+    try {
+        issuedPins = [];
+        await renderRoster(group);
+    } catch (error) {
+        console.error('❌ Error loading roster:', error);
+        alert('Failed to load roster: ' + error.message);
+    }
+};
+
+window.loadRosterFile = (input) => {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    file.text().then(text => {
+        document.getElementById('rosterCsv').value = text;
     });
 };
 
-// Deactivate Pass Code
-window.deactivatePass = async () => {
-    if (!currentAdmin) return;
-    
-    const passCode = document.getElementById('passCodeDisplay').textContent;
-    if (passCode === 'XXXXX') {
-        alert('No active code to deactivate!');
+window.importRosterCsv = async (groupId) => {
+    const group = groups.find(g => g.id === groupId);
+    if (!group) return;
+
+    const { rows, skipped } = parseRosterCsv(document.getElementById('rosterCsv').value);
+    if (rows.length === 0) {
+        alert('No students found. Use one "roll number, name" per line.');
         return;
     }
-    
+    if (skipped.length > 0 && !confirm(`Lines ${skipped.join(', ')} are missing a roll number or name, or repeat a roll number, and will be skipped. Continue?`)) {
+        return;
+    }
+
+    try {
+        issuedPins = await importRoster(db, group, rows);
+        await renderRoster({ ...group, rosterRequired: true }, issuedPins);
+    } catch (error) {
+        console.error('❌ Error importing roster:', error);
+        alert('Failed to import roster: ' + error.message);
+    }
+};
+
+window.resetStudentPin = async (groupId, key) => {
+    const group = groups.find(g => g.id === groupId);
+    if (!group || !confirm('Issue a new PIN? Devices logged in with the old PIN can no longer submit.')) return;
+
+    try {
+        const pin = await resetPin(db, groupId, key);
+        const entry = (await loadRoster(db, groupId)).find(e => e.key === key);
+        issuedPins = [{ rollNumber: entry.rollNumber, name: entry.name, pin: pin }];
+        await renderRoster(group, issuedPins);
+    } catch (error) {
+        console.error('❌ Error resetting PIN:', error);
+        alert('Failed to reset PIN: ' + error.message);
+    }
+};
+
+window.downloadIssuedPins = () => {
+    const blob = new Blob([pinsToCsv(issuedPins)], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'student-pins.csv';
+    link.click();
+    URL.revokeObjectURL(link.href);
+};
+
+// Deactivate the pre-groups access code
+window.deactivatePass = async () => {
+    if (!currentAdmin || !legacyPassCode) return;
+
     if (!confirm('Are you sure you want to deactivate this code? Users will not be able to log in.')) {
         return;
     }
-    
+
     try {
         await setDoc(doc(db, 'admins', currentAdmin.username), {
             passActive: false
         }, { merge: true });
-        
-        await setDoc(doc(db, 'passes', passCode), {
+
+        await setDoc(doc(db, 'passes', legacyPassCode), {
             active: false
         }, { merge: true });
-        
-        document.getElementById('passCodeDisplay').textContent = 'XXXXX';
+
+        legacyPassCode = null;
+        renderGroups();
         alert('✅ Code deactivated successfully!');
     } catch (error) {
         console.error('Error deactivating pass:', error);
@@ -171,14 +472,14 @@ window.loadDashboardData = async () => {
     }
     
     try {
-        // Load current pass code
+        // Codes created before groups live on the admin document
         const adminDoc = await getDoc(doc(db, 'admins', currentAdmin.username));
         if (adminDoc.exists()) {
             const data = adminDoc.data();
-            if (data.currentPass && data.passActive) {
-                document.getElementById('passCodeDisplay').textContent = data.currentPass;
-            }
+            legacyPassCode = data.currentPass && data.passActive ? data.currentPass : null;
         }
+        listenToGroups();
+        renderGroups();
         
         console.log('📊 Loading submissions for admin:', currentAdmin.username);
         console.log('🔍 Admin username type:', typeof currentAdmin.username);
@@ -220,16 +521,9 @@ window.loadDashboardData = async () => {
                 
                 console.log('✅ Total submissions collected:', submissions.length);
                 
-                // Store globally for heat map
+                // Store globally for filtering and the heat map
                 allSubmissions = submissions;
-                
-                updateDashboardStats(submissions);
-                updateStudentsTable(submissions);
-                
-                // Update heat map if already initialized
-                if (heatMapInstance) {
-                    updateHeatMap(submissions);
-                }
+                renderSubmissions();
             }, (error) => {
                 console.error('❌ Snapshot error:', error);
                 console.error('❌ Error code:', error.code);
@@ -283,16 +577,9 @@ async function loadSubmissionsWithoutOrder() {
             
             console.log('✅ Sorted submissions:', submissions.length);
             
-            // Store globally for heat map
+            // Store globally for filtering and the heat map
             allSubmissions = submissions;
-            
-            updateDashboardStats(submissions);
-            updateStudentsTable(submissions);
-            
-            // Update heat map if already initialized
-            if (heatMapInstance) {
-                updateHeatMap(submissions);
-            }
+            renderSubmissions();
         });
     } catch (error) {
         console.error('❌ Fallback query also failed:', error);
@@ -301,10 +588,12 @@ async function loadSubmissionsWithoutOrder() {
     }
 }
 
-// Update Dashboard Stats
-function updateDashboardStats(submissions) {
+// Update Dashboard Stats (submissions: approved only; all: every submission matching the filters)
+function updateDashboardStats(submissions, all) {
+    document.getElementById('pendingReview').textContent = all.filter(s => getReviewStatus(s) === 'pending').length;
+
     // Count unique users
-    const uniqueStudents = new Set(submissions.map(s => s.studentId)).size;
+    const uniqueStudents = new Set(submissions.map(getStudentKey)).size;
     document.getElementById('activeStudents').textContent = uniqueStudents;
     
     // Total trees
@@ -317,40 +606,190 @@ function updateDashboardStats(submissions) {
             .map(s => `${s.latitude},${s.longitude}`)
     ).size;
     document.getElementById('totalLocations').textContent = uniqueLocations;
+
+    // Carbon credit totals (value stored in INR regardless of the user's display currency)
+    const valued = submissions.filter(s => s.valuation);
+    const totalCredits = valued.reduce((sum, s) => sum + (parseFloat(s.valuation.netTonnes) || 0), 0);
+    const totalValueInr = valued.reduce((sum, s) => sum + (parseFloat(s.valuation.valueInr) || 0), 0);
+    document.getElementById('totalCredits').textContent = totalCredits.toFixed(2);
+    document.getElementById('totalCreditValue').textContent = totalValueInr.toLocaleString('en-IN', { maximumFractionDigits: 0 });
+
+    // Same credits, each tree scaled by how its circumference was measured
+    const weightedCredits = valued.reduce((sum, s) =>
+        sum + (parseFloat(s.valuation.netTonnes) || 0) * measurementProvenance.getWeight(s.provenance, provenanceWeights), 0);
+    document.getElementById('weightedCredits').textContent = weightedCredits.toFixed(2);
 }
 
 // Update Users Table
 function updateStudentsTable(submissions) {
     const tbody = document.getElementById('studentsTableBody');
-    
+    tableSubmissionIds = submissions.map(sub => sub.id);
+    // Drop selections that are no longer listed
+    selectedSubmissionIds = new Set(tableSubmissionIds.filter(id => selectedSubmissionIds.has(id)));
+    updateBulkReviewBar();
+
     if (submissions.length === 0) {
         tbody.innerHTML = `
             <tr>
-                <td colspan="6" style="text-align: center; color: #999;">
-                    No data available. Users will appear here once they submit data.
+                <td colspan="9" style="text-align: center; color: #999;">
+                    ${allSubmissions.length > 0 ? 'No submissions match these filters.' : 'No data available. Users will appear here once they submit data.'}
                 </td>
             </tr>
         `;
         return;
     }
     
+    const resubmitted = new Set(allSubmissions.filter(sub => sub.replaces).map(sub => sub.replaces));
     tbody.innerHTML = submissions.map(sub => `
         <tr>
-            <td>${sub.studentId || 'N/A'}</td>
-            <td>${sub.treeName || 'Unknown'}</td>
+            <td><input type="checkbox" ${selectedSubmissionIds.has(sub.id) ? 'checked' : ''} onchange="toggleSubmissionSelection('${sub.id}', this.checked)"></td>
+            <td>${escapeHtml(getStudentLabel(sub))}</td>
+            <td>
+                <div>${escapeHtml(sub.treeName || 'Unknown')}</div>
+                <div style="font-size: 12px; opacity: 0.8;">${escapeHtml(sub.circumference || 'N/A')} cm</div>
+            </td>
+            <td>
+                <div style="font-size: 12px; line-height: 1.35;">
+                    <div><strong>${getMethodShortLabel(sub.method)}</strong></div>
+                    <div style="opacity: 0.8;">${sub.forestType ? escapeHtml(sub.forestType.charAt(0).toUpperCase() + sub.forestType.slice(1)) : 'N/A'}</div>
+                </div>
+            </td>
             <td>
                 <div style="font-size: 12px; line-height: 1.35;">
-                    <div><strong>${sub.method === 'method2' ? 'M2' : 'M1'}</strong></div>
-                    <div style="opacity: 0.8;">${sub.forestType ? (sub.forestType.charAt(0).toUpperCase() + sub.forestType.slice(1)) : 'N/A'}</div>
+                    <div>${escapeHtml(measurementProvenance.describe(sub.provenance))}</div>
+                    <div style="opacity: 0.8;">weight ${measurementProvenance.getWeight(sub.provenance, provenanceWeights)}</div>
                 </div>
             </td>
             <td>${sub.latitude && sub.longitude ? `${parseFloat(sub.latitude).toFixed(4)}, ${parseFloat(sub.longitude).toFixed(4)}` : 'Not recorded'}</td>
             <td>${new Date(sub.timestamp).toLocaleString()}</td>
+            <td>
+                <div style="font-size: 12px; line-height: 1.35;">
+                    <div style="color: ${REVIEW_STATUSES[getReviewStatus(sub)].color}; font-weight: 600;">${REVIEW_STATUSES[getReviewStatus(sub)].label}</div>
+                    ${sub.review && sub.review.comment ? `<div style="opacity: 0.8;">${escapeHtml(sub.review.comment)}</div>` : ''}
+                    ${sub.replaces ? '<div style="opacity: 0.8;">Resubmission</div>' : ''}
+                    ${resubmitted.has(sub.id) ? '<div style="opacity: 0.8;">Resubmitted by user</div>' : ''}
+                </div>
+            </td>
             <td><button class="btn-view" onclick="viewDetails('${sub.id}')">View</button></td>
         </tr>
     `).join('');
 }
 
+// Bulk review of the checked rows in the users table
+function updateBulkReviewBar() {
+    const count = document.getElementById('selectedCount');
+    if (count) count.textContent = selectedSubmissionIds.size;
+    const selectAll = document.getElementById('selectAllSubmissions');
+    if (selectAll) {
+        selectAll.checked = tableSubmissionIds.length > 0 && selectedSubmissionIds.size === tableSubmissionIds.length;
+    }
+}
+
+window.toggleSubmissionSelection = (id, checked) => {
+    if (checked) selectedSubmissionIds.add(id);
+    else selectedSubmissionIds.delete(id);
+    updateBulkReviewBar();
+};
+
+window.toggleAllSubmissions = (checked) => {
+    selectedSubmissionIds = new Set(checked ? tableSubmissionIds : []);
+    renderSubmissions();
+};
+
+async function applyReview(ids, status, comment) {
+    await reviewSubmissions(db, currentAdmin, ids, status, comment);
+    console.log(`✅ Marked ${ids.length} submission(s) as ${status}`);
+}
+
+window.bulkReview = async (status) => {
+    const ids = [...selectedSubmissionIds];
+    if (ids.length === 0) {
+        alert('Select submissions in the table first.');
+        return;
+    }
+
+    // Users see the comment in their inbox; ask for one when they need to act
+    let comment = '';
+    if (status !== 'approved') {
+        comment = prompt(`Comment for ${ids.length} user submission(s) (shown to the user):`, '');
+        if (comment === null) return;
+    }
+
+    try {
+        await applyReview(ids, status, comment);
+        selectedSubmissionIds.clear();
+        renderSubmissions();
+    } catch (error) {
+        console.error('❌ Error reviewing submissions:', error);
+        alert('Failed to update review: ' + error.message);
+    }
+};
+
+window.reviewSubmission = async (id, status) => {
+    const comment = document.getElementById('reviewComment')?.value || '';
+    try {
+        await applyReview([id], status, comment);
+        await viewDetails(id);
+    } catch (error) {
+        console.error('❌ Error reviewing submission:', error);
+        alert('Failed to update review: ' + error.message);
+    }
+};
+
+// Group plot submissions into stands with per-hectare metrics
+function updatePlotsTable(submissions) {
+    const tbody = document.getElementById('plotsTableBody');
+    if (!tbody) return;
+
+    const plotGroups = new Map();
+    submissions.filter(sub => sub.plotId && sub.plotAreaHa).forEach(sub => {
+        // Plot ids are generated per device, so key on the user as well
+        const key = `${getStudentKey(sub)}|${sub.plotId}`;
+        if (!plotGroups.has(key)) {
+            plotGroups.set(key, { name: sub.plotName || sub.plotId, studentId: getStudentLabel(sub), areaHa: sub.plotAreaHa, trees: [] });
+        }
+        const stems = Array.isArray(sub.stems) && sub.stems.length > 0 ? sub.stems : [{ dbh: sub.dbh }];
+        plotGroups.get(key).trees.push({
+            species: sub.treeName || 'Unknown',
+            stemDbhs: stems.map(stem => parseFloat(stem.dbh)).filter(dbh => dbh > 0),
+            agb: parseFloat(sub.agb) || 0,
+            totalBiomass: parseFloat(sub.totalBiomass) || 0,
+            carbon: parseFloat(sub.carbon) || 0,
+            crownArea: parseFloat(sub.crownArea) || null
+        });
+    });
+
+    if (plotGroups.size === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="10" style="text-align: center; color: #999;">
+                    No plot data yet. Trees recorded into a plot will be grouped here.
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = [...plotGroups.values()].map(plot => {
+        const metrics = plotInventory.calculateStandMetrics(plot);
+        const topSpecies = metrics.composition[0];
+        return `
+        <tr>
+            <td>${escapeHtml(plot.name)}</td>
+            <td>${escapeHtml(plot.studentId)}</td>
+            <td>${escapeHtml(plot.areaHa)}</td>
+            <td>${metrics.treeCount}</td>
+            <td>${metrics.stemsPerHa}</td>
+            <td>${metrics.basalAreaPerHa}</td>
+            <td>${metrics.agbTPerHa}</td>
+            <td>${metrics.carbonTPerHa}</td>
+            <td>${metrics.canopyCover !== null ? `${metrics.canopyCover}% (${metrics.treesWithCrown}/${metrics.treeCount})` : 'N/A'}</td>
+            <td>${topSpecies ? `${escapeHtml(topSpecies.species)} (${topSpecies.basalAreaShare}% BA)` : 'N/A'}</td>
+        </tr>
+    `;
+    }).join('');
+}
+
 // View User Submission Details
 window.viewDetails = async (submissionId) => {
     const admin = window.getCurrentAdmin();
@@ -369,90 +808,267 @@ window.viewDetails = async (submissionId) => {
             : 'N/A';
         const methodLabel = data.methodLabel || data.method || 'N/A';
         const carbonFraction = data.carbonFraction ? data.carbonFraction : 'N/A';
-        const woodDensityValue = data.woodDensity ? `${data.woodDensity} g/cm3` : 'N/A';
-        const heightUsedValue = data.heightUsed ? `${data.heightUsed} m` : 'Not used';
+        const woodDensityValue = data.woodDensity ? `${escapeHtml(data.woodDensity)} g/cm3` : 'N/A';
+        const heightSourceLabels = {
+            measured: 'Measured',
+            predicted: 'Predicted (H-D model)',
+            photo: 'Photo estimate',
+            clinometer: 'Clinometer (phone tilt)',
+            referencePhoto: 'Photo with height reference'
+        };
+        const crownSourceLabels = { measured: 'Measured', spread: 'Paced crown spread', photo: 'Photo estimate' };
+        const heightUsedValue = data.heightUsed && data.heightUsed !== 'Not used'
+            ? `${escapeHtml(data.heightUsed)} m (${heightSourceLabels[data.heightSource] || 'Measured'})`
+            : 'Not used';
+        const uncertainty = data.uncertainty || null;
+        const growth = data.growth || null;
+        const provenance = data.provenance || null;
+        const isPhoto = measurementProvenance.getInputMethod(provenance).startsWith('photo-');
+        const provenanceMethodRows = isPhoto && Array.isArray(provenance.methods)
+            ? provenance.methods.map(m => `
+            <div class="detail-row">
+                <strong>${escapeHtml(m.method)}:</strong>
+                <span>${escapeHtml(m.circumference)} cm (weight ${escapeHtml(m.weight)})</span>
+            </div>`).join('')
+            : '';
+        const stems = Array.isArray(data.stems) ? data.stems : [];
+        const stemRows = stems.length > 1
+            ? stems.map((stem, idx) => `
+            <div class="detail-row">
+                <strong>Stem ${idx + 1}:</strong>
+                <span>C ${escapeHtml(stem.circumference)} cm | DBH ${escapeHtml(stem.dbh)} cm | AGB ${escapeHtml(stem.agb)} kg</span>
+            </div>`).join('')
+            : '';
+        // The same photo submitted for several trees
+        const reusedPhotoCount = isPhoto && provenance.thumbnailHash
+            ? allSubmissions.filter(sub => sub.id !== submissionId && sub.provenance && sub.provenance.thumbnailHash === provenance.thumbnailHash).length
+            : 0;
         
+        const reviewStatus = getReviewStatus(data);
+        const review = data.review || null;
+        const replacedBy = allSubmissions.find(sub => sub.replaces === submissionId);
+
+        document.getElementById('modalTitle').innerHTML = '<i class="fas fa-file-alt"></i> Submission Details';
         const modalBody = document.getElementById('modalBody');
         modalBody.innerHTML = `
+            <div style="background: rgba(255,255,255,0.04); border: 1px solid rgba(255,255,255,0.08); border-radius: 10px; padding: 12px; margin-bottom: 14px;">
+                <div class="detail-row">
+                    <strong>Review:</strong>
+                    <span style="color: ${REVIEW_STATUSES[reviewStatus].color}; font-weight: 600;">${REVIEW_STATUSES[reviewStatus].label}</span>
+                </div>
+                ${review ? `
+                <div class="detail-row">
+                    <strong>Reviewed:</strong>
+                    <span>${escapeHtml(review.reviewedBy || 'N/A')}, ${new Date(review.reviewedAt).toLocaleString()}</span>
+                </div>` : ''}
+                ${data.replaces ? `
+                <div class="detail-row">
+                    <strong>Resubmission of:</strong>
+                    <span><a href="#" id="replacesLink" style="color: #a78bfa;">earlier measurement</a></span>
+                </div>` : ''}
+                ${replacedBy ? `
+                <div class="detail-row">
+                    <strong>Resubmitted as:</strong>
+                    <span><a href="#" id="replacedByLink" style="color: #a78bfa;">corrected measurement</a></span>
+                </div>` : ''}
+                <textarea id="reviewComment" rows="2" placeholder="Comment for the user (optional)" style="width: 100%; margin: 8px 0; background: rgba(255,255,255,0.06); color: #fff; border: 1px solid rgba(255,255,255,0.1); border-radius: 8px; padding: 8px; font-family: inherit;">${review && review.comment ? escapeHtml(review.comment) : ''}</textarea>
+                <div style="display: flex; flex-wrap: wrap; gap: 8px;">
+                    <button class="btn-view" onclick="reviewSubmission('${submissionId}', 'approved')">Approve</button>
+                    <button class="btn-view" style="color: #fbbf24;" onclick="reviewSubmission('${submissionId}', 'needs-remeasure')">Request remeasure</button>
+                    <button class="btn-view" style="color: #fca5a5;" onclick="reviewSubmission('${submissionId}', 'rejected')">Reject</button>
+                </div>
+            </div>
             <div class="detail-row">
                 <strong>User ID:</strong>
-                <span>${data.studentId || 'N/A'}</span>
+                <span>${escapeHtml(getStudentLabel(data))}</span>
+            </div>
+            <div class="detail-row">
+                <strong>Identity:</strong>
+                <span>${data.studentUid ? 'Verified (roster PIN)' : 'Self-reported name'}</span>
+            </div>
+            <div class="detail-row">
+                <strong>Group:</strong>
+                <span>${escapeHtml(data.groupName || 'No group')}</span>
             </div>
             <div class="detail-row">
                 <strong>Tree Name:</strong>
-                <span>${data.treeName || 'Unknown'}</span>
+                <span>${escapeHtml(data.treeName || 'Unknown')}</span>
             </div>
             <div class="detail-row">
                 <strong>Scientific Name:</strong>
-                <span>${data.scientificName || 'N/A'}</span>
+                <span>${escapeHtml(data.scientificName || 'N/A')}</span>
             </div>
             <div class="detail-row">
                 <strong>Circumference:</strong>
-                <span>${data.circumference || 'N/A'} cm</span>
+                <span>${escapeHtml(data.circumference || 'N/A')} cm</span>
             </div>
             <div class="detail-row">
                 <strong>DBH (Calculated):</strong>
-                <span>${data.dbh || 'N/A'} cm</span>
+                <span>${escapeHtml(data.dbh || 'N/A')} cm${stems.length > 1 ? ` (equivalent of ${stems.length} stems)` : ''}</span>
             </div>
+            ${stemRows}
             <div class="detail-row">
                 <strong>Method Used:</strong>
-                <span>${methodLabel}</span>
+                <span>${escapeHtml(methodLabel)}</span>
             </div>
             <div class="detail-row">
                 <strong>Wood Density:</strong>
-                <span>${woodDensityValue}${data.woodDensitySource ? ` (${data.woodDensitySource})` : ''}</span>
+                <span>${woodDensityValue}${data.woodDensitySource ? ` (${escapeHtml(data.woodDensitySource)})` : ''}</span>
             </div>
             <div class="detail-row">
                 <strong>Height Used:</strong>
                 <span>${heightUsedValue}</span>
             </div>
+            ${data.crownDiameter ? `
+            <div class="detail-row">
+                <strong>Crown:</strong>
+                <span>${escapeHtml(data.crownDiameter)} m diameter, ${escapeHtml(data.crownArea)} m² (${crownSourceLabels[data.crownSource] || 'Measured'})</span>
+            </div>` : ''}
+            ${data.method === 'method3' ? `
+            <div class="detail-row">
+                <strong>Environmental Stress (E):</strong>
+                <span>${escapeHtml(data.environmentalStress || 'N/A')}${data.environmentalStressRegion ? ` (${escapeHtml(data.environmentalStressRegion)})` : ''}</span>
+            </div>` : ''}
             <div class="detail-row">
                 <strong>Forest Type:</strong>
-                <span>${forestTypeLabel}</span>
+                <span>${escapeHtml(forestTypeLabel)}</span>
             </div>
             <div class="detail-row">
                 <strong>Carbon Fraction:</strong>
-                <span>${carbonFraction}</span>
+                <span>${escapeHtml(carbonFraction)}</span>
             </div>
             <div class="detail-row">
                 <strong>Tree Age:</strong>
-                <span>${data.age || 'N/A'} years</span>
+                <span>${escapeHtml(data.age || 'N/A')} years</span>
             </div>
+            ${data.plotId ? `
+            <div class="detail-row">
+                <strong>Plot:</strong>
+                <span>${escapeHtml(data.plotName || data.plotId)} (${escapeHtml(data.plotAreaHa)} ha)</span>
+            </div>` : ''}
+            ${data.treeTag ? `
+            <div class="detail-row">
+                <strong>Tree Tag:</strong>
+                <span>${escapeHtml(data.treeTag)} (visit ${escapeHtml(data.visitNumber || 1)})</span>
+            </div>` : ''}
             <div class="detail-row">
                 <strong>GPS Location:</strong>
-                <span>${data.latitude && data.longitude ? `${data.latitude}, ${data.longitude}` : 'Not recorded'}</span>
+                <span>${data.latitude && data.longitude ? escapeHtml(`${data.latitude}, ${data.longitude}`) : 'Not recorded'}</span>
+            </div>
+            <hr style="margin: 20px 0;">
+            <h3 style="color: #667eea; margin-bottom: 15px;">Circumference Provenance</h3>
+            <div class="detail-row">
+                <strong>Input Method:</strong>
+                <span>${measurementProvenance.INPUT_METHOD_LABELS[measurementProvenance.getInputMethod(provenance)]} (weight ${measurementProvenance.getWeight(provenance, provenanceWeights)})</span>
+            </div>
+            ${isPhoto ? `
+            <div class="detail-row">
+                <strong>Reference:</strong>
+                <span>${provenance.reference ? escapeHtml(`${provenance.reference.label}${provenance.reference.sizeCm ? ` (${provenance.reference.sizeCm} cm)` : ''}`) : 'None (distance estimate)'}</span>
             </div>
+            <div class="detail-row">
+                <strong>Confidence:</strong>
+                <span>${provenance.confidence ? `${escapeHtml(provenance.confidence)}%` : 'N/A'}${provenance.photoCount > 1 ? ` (fused from ${escapeHtml(provenance.photoCount)} photos)` : ''}</span>
+            </div>
+            ${provenanceMethodRows}
+            <div class="detail-row">
+                <strong>Focal Length (EXIF):</strong>
+                <span>${provenance.focalLengthMM ? `${escapeHtml(provenance.focalLengthMM)} mm` : 'Not available'}</span>
+            </div>
+            <div class="detail-row">
+                <strong>Photo Hash:</strong>
+                <span style="font-family: monospace;">${provenance.thumbnailHash ? escapeHtml(String(provenance.thumbnailHash).slice(0, 16)) : 'N/A'}</span>${reusedPhotoCount > 0 ? `
+                <span style="color: #e67e22;"> Same photo in ${reusedPhotoCount} other submission${reusedPhotoCount > 1 ? 's' : ''}</span>` : ''}
+            </div>` : ''}
             <hr style="margin: 20px 0;">
             <h3 style="color: #667eea; margin-bottom: 15px;">Calculated Results</h3>
             <div class="detail-row">
                 <strong>Total Biomass:</strong>
-                <span>${data.totalBiomass || 'N/A'} kg</span>
+                <span>${escapeHtml(data.totalBiomass || 'N/A')} kg</span>
             </div>
             <div class="detail-row">
                 <strong>Above-Ground Biomass:</strong>
-                <span>${data.agb || 'N/A'} kg</span>
+                <span>${escapeHtml(data.agb || 'N/A')} kg</span>
             </div>
             <div class="detail-row">
                 <strong>Below-Ground Biomass:</strong>
-                <span>${data.bgb || 'N/A'} kg</span>
+                <span>${escapeHtml(data.bgb || 'N/A')} kg</span>
             </div>
             <div class="detail-row">
                 <strong>Carbon Stored:</strong>
-                <span>${data.carbon || 'N/A'} kg C</span>
+                <span>${escapeHtml(data.carbon || 'N/A')} kg C</span>
+            </div>
+            <div class="detail-row">
+                <strong>CO2 Equivalent:</strong>
+                <span>${escapeHtml(data.co2 || 'N/A')} kg</span>
+            </div>
+            ${uncertainty ? `
+            <div class="detail-row">
+                <strong>AGB 95% CI:</strong>
+                <span>${formatRange(uncertainty.aboveGround)} kg</span>
+            </div>
+            <div class="detail-row">
+                <strong>Carbon 95% CI:</strong>
+                <span>${formatRange(uncertainty.carbon)} kg C</span>
             </div>
+            <div class="detail-row">
+                <strong>CO2 95% CI:</strong>
+                <span>${formatRange(uncertainty.co2)} kg</span>
+            </div>` : ''}
             <div class="detail-row">
                 <strong>Oxygen Production:</strong>
-                <span>${data.oxygen || 'N/A'} kg O2/year</span>
+                <span>${escapeHtml(data.oxygen || 'N/A')} kg O2/year</span>
             </div>
             <div class="detail-row">
                 <strong>Pollution Absorbed:</strong>
-                <span>${data.pollution || 'N/A'} kg/year</span>
+                <span>${escapeHtml(data.pollution || 'N/A')} kg/year</span>
+            </div>
+            ${data.valuation ? `
+            <div class="detail-row">
+                <strong>Carbon Credits:</strong>
+                <span>${escapeHtml(`${data.valuation.netTonnes} tCO2e net (${data.valuation.grossTonnes} t gross, ${data.valuation.bufferPercent}% buffer, ${data.valuation.leakagePercent}% leakage)`)}</span>
+            </div>
+            <div class="detail-row">
+                <strong>Credit Value:</strong>
+                <span>${escapeHtml(`${data.valuation.currency} ${data.valuation.value} @ ${data.valuation.pricePerTonne}/t (${data.valuation.schemeLabel})`)}</span>
+            </div>` : ''}
+            ${growth ? `
+            <hr style="margin: 20px 0;">
+            <h3 style="color: #667eea; margin-bottom: 15px;">Growth Since Previous Visit</h3>
+            <div class="detail-row">
+                <strong>Interval:</strong>
+                <span>${escapeHtml(growth.years)} years (since ${new Date(growth.previousMeasuredAt).toLocaleDateString()})</span>
+            </div>
+            <div class="detail-row">
+                <strong>Annual Sequestration:</strong>
+                <span>${escapeHtml(growth.annualCarbon)} kg C/year (${escapeHtml(growth.annualCO2)} kg CO2/year)</span>
             </div>
+            <div class="detail-row">
+                <strong>DBH Growth:</strong>
+                <span>${escapeHtml(growth.dbhChangePerYear)} cm/year</span>
+            </div>
+            ${Array.isArray(growth.flags) && growth.flags.length > 0 ? `
+            <div class="detail-row">
+                <strong>Flags:</strong>
+                <span style="color: #e67e22;">${escapeHtml(growth.flags.join('; '))}</span>
+            </div>` : ''}` : ''}
             <div class="detail-row">
                 <strong>Submitted At:</strong>
                 <span>${new Date(data.timestamp).toLocaleString()}</span>
             </div>
         `;
+
+        // Ids come from the submissions, so they are wired here rather than written into onclick
+        const linkTo = (elementId, targetId) => {
+            const link = document.getElementById(elementId);
+            if (!link) return;
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                viewDetails(targetId);
+            });
+        };
+        linkTo('replacesLink', data.replaces);
+        if (replacedBy) linkTo('replacedByLink', replacedBy.id);
         
         document.getElementById('detailModal').classList.add('active');
     } catch (error) {
@@ -490,9 +1106,10 @@ window.switchTab = (tabName, clickedBtn = null) => {
         }
         
         // Load submissions data into heat map
-        console.log('🗺️ Loading heat map with', allSubmissions.length, 'submissions');
-        if (allSubmissions.length > 0) {
-            updateHeatMap(allSubmissions);
+        const visibleSubmissions = getApprovedSubmissions();
+        console.log('🗺️ Loading heat map with', visibleSubmissions.length, 'submissions');
+        if (visibleSubmissions.length > 0) {
+            updateHeatMap(visibleSubmissions);
         } else {
             console.log('⚠️ No submissions available for heat map yet');
         }
@@ -597,6 +1214,29 @@ function updateHeatMap(submissions) {
         console.warn('⚠️ L.heatLayer not available');
     }
     
+    // Canopy cover per 100 m cell, drawn below the location markers
+    const canopyCells = plotInventory.groupCanopyCells(validSubmissions.map(s => ({
+        lat: s.latitude,
+        lon: s.longitude,
+        crownArea: s.crownArea
+    })));
+    canopyCells.forEach(cell => {
+        L.rectangle([[cell.south, cell.west], [cell.north, cell.east]], {
+            color: '#10b981',
+            weight: 1,
+            fillColor: '#10b981',
+            fillOpacity: Math.min(0.6, 0.1 + cell.canopyCover / 100)
+        }).addTo(heatMapInstance)
+          .bindPopup(`
+                            <strong>Canopy Cover: ${cell.canopyCover}%</strong><br>
+                            Crown area: ${cell.crownAreaM2} m² in ${plotInventory.CANOPY_CELL_M} × ${plotInventory.CANOPY_CELL_M} m<br>
+                            Trees with crown data: ${cell.treesWithCrown} of ${cell.trees}
+          `);
+    });
+    if (canopyCells.length > 0) {
+        console.log(`🌳 Canopy cover drawn for ${canopyCells.length} cells`);
+    }
+
     // Add markers on TOP of heat layer
     groupedLocations.forEach(g => {
         const lat = g.lat;
@@ -623,6 +1263,7 @@ function updateHeatMap(submissions) {
                             Total CO2: <strong>${g.totalCO2.toFixed(2)} kg</strong><br>
                             Avg CO2 / Tree: <strong>${g.avgCO2.toFixed(2)} kg</strong><br>
                             Avg Carbon / Tree: <strong>${g.avgCarbon.toFixed(2)} kg C</strong><br>
+                            ${g.totalCrownArea > 0 ? `Crown Area: <strong>${g.totalCrownArea.toFixed(1)} m²</strong><br>` : ''}
                             Location: ${lat.toFixed(4)}, ${lng.toFixed(4)}<br><br>
                             <button
                                 type="button"
@@ -659,11 +1300,11 @@ window.showTreesAtLocation = (locationKey) => {
         const studentId = tree.studentId || 'N/A';
         const carbon = parseFloat(tree.carbon) || 0;
         const co2 = parseFloat(tree.co2) || 0;
-        const method = tree.method === 'method2' ? 'M2' : 'M1';
+        const method = getMethodShortLabel(tree.method);
         return `
             <div class="detail-row">
-                <strong>#${idx + 1} ${treeName}</strong>
-                <span>${studentId} | ${method} | C ${carbon.toFixed(2)} kg | CO2 ${co2.toFixed(2)} kg</span>
+                <strong>#${idx + 1} ${escapeHtml(treeName)}</strong>
+                <span>${escapeHtml(studentId)} | ${method} | C ${carbon.toFixed(2)} kg | CO2 ${co2.toFixed(2)} kg</span>
             </div>
         `;
     }).join('');
@@ -697,10 +1338,10 @@ window.showTreesAtLocation = (locationKey) => {
 
 console.log('✅ Admin dashboard initialized');
 
-// Auto-load dashboard data when page loads
-if (currentAdmin) {
+// Auto-load dashboard data once the signed-in admin is known
+requireAdmin().then((admin) => {
+    currentAdmin = admin;
+    document.getElementById('navUser').textContent = admin.name;
     console.log('🚀 Auto-loading dashboard data for:', currentAdmin.username);
     loadDashboardData();
-} else {
-    console.error('❌ No admin session found!');
-}
+});
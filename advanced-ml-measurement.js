@@ -9,6 +9,12 @@ class AdvancedTreeML {
         this.deeplabModel = null;    // DeepLab v3 semantic segmentation (tree pixel detection)
         this.videoStream = null;
         this.capturedImage = null;
+        this.imageProcessing = treeImageProcessing;  // pixel math, see tree-image-processing.js
+        this.worker = null;          // measurement-worker.js, started on first use
+        this.workerFailed = false;   // worker script could not start — run the pipeline inline
+        this.workerJob = null;       // { id, reject } of the job the worker is running
+        this.workerJobId = 0;
+        this.measureRun = 0;         // bumped by cancelMeasurement so stale runs stop
         
         // Camera calibration parameters
         this.cameraParams = {
@@ -321,544 +327,132 @@ class AdvancedTreeML {
         return this.capturedImage;
     }
 
-    // ==================== COLOR SPACE CONVERSIONS ====================
+    // ==================== IMAGE PROCESSING (tree-image-processing.js) ====================
     
     rgbToLab(r, g, b) {
-        let rr = r / 255, gg = g / 255, bb = b / 255;
-        rr = rr > 0.04045 ? Math.pow((rr + 0.055) / 1.055, 2.4) : rr / 12.92;
-        gg = gg > 0.04045 ? Math.pow((gg + 0.055) / 1.055, 2.4) : gg / 12.92;
-        bb = bb > 0.04045 ? Math.pow((bb + 0.055) / 1.055, 2.4) : bb / 12.92;
-        
-        let x = (rr * 0.4124 + gg * 0.3576 + bb * 0.1805) / 0.95047;
-        let y = (rr * 0.2126 + gg * 0.7152 + bb * 0.0722) / 1.00000;
-        let z = (rr * 0.0193 + gg * 0.1192 + bb * 0.9505) / 1.08883;
-        
-        x = x > 0.008856 ? Math.pow(x, 1/3) : (7.787 * x) + 16/116;
-        y = y > 0.008856 ? Math.pow(y, 1/3) : (7.787 * y) + 16/116;
-        z = z > 0.008856 ? Math.pow(z, 1/3) : (7.787 * z) + 16/116;
-        
-        return { L: (116 * y) - 16, a: 500 * (x - y), b: 200 * (y - z) };
+        return this.imageProcessing.rgbToLab(r, g, b);
     }
 
     rgbToHsv(r, g, b) {
-        r /= 255; g /= 255; b /= 255;
-        const max = Math.max(r, g, b), min = Math.min(r, g, b);
-        let h, s, v = max;
-        const d = max - min;
-        s = max === 0 ? 0 : d / max;
-        if (max === min) { h = 0; }
-        else {
-            switch (max) {
-                case r: h = (g - b) / d + (g < b ? 6 : 0); break;
-                case g: h = (b - r) / d + 2; break;
-                case b: h = (r - g) / d + 4; break;
-            }
-            h /= 6;
-        }
-        return { h: h * 360, s: s * 100, v: v * 100 };
+        return this.imageProcessing.rgbToHsv(r, g, b);
     }
 
-    // ==================== IMAGE PREPROCESSING ====================
-    
     gaussianBlur(imageData, radius) {
-        if (!radius) radius = 2;
-        const pixels = imageData.data;
-        const width = imageData.width;
-        const height = imageData.height;
-        const output = new Uint8ClampedArray(pixels.length);
-        
-        const sigma = radius / 2;
-        const kernel = [];
-        let kernelSum = 0;
-        
-        for (let y = -radius; y <= radius; y++) {
-            for (let x = -radius; x <= radius; x++) {
-                const value = Math.exp(-(x * x + y * y) / (2 * sigma * sigma));
-                kernel.push(value);
-                kernelSum += value;
-            }
-        }
-        for (let i = 0; i < kernel.length; i++) kernel[i] /= kernelSum;
-        
-        for (let y = radius; y < height - radius; y++) {
-            for (let x = radius; x < width - radius; x++) {
-                let rSum = 0, gSum = 0, bSum = 0, ki = 0;
-                for (let ky = -radius; ky <= radius; ky++) {
-                    for (let kx = -radius; kx <= radius; kx++) {
-                        const idx = ((y + ky) * width + (x + kx)) * 4;
-                        rSum += pixels[idx] * kernel[ki];
-                        gSum += pixels[idx + 1] * kernel[ki];
-                        bSum += pixels[idx + 2] * kernel[ki];
-                        ki++;
-                    }
-                }
-                const outIdx = (y * width + x) * 4;
-                output[outIdx] = rSum;
-                output[outIdx + 1] = gSum;
-                output[outIdx + 2] = bSum;
-                output[outIdx + 3] = 255;
-            }
-        }
-        return new ImageData(output, width, height);
+        return this.imageProcessing.gaussianBlur(imageData, radius);
     }
 
-    // ==================== ADVANCED TREE SEGMENTATION ====================
-    
     segmentTreeAdvanced(imageData) {
-        const pixels = imageData.data;
-        const width = imageData.width;
-        const height = imageData.height;
-        const mask = new Float32Array(width * height);
-        
-        let trunkPixels = 0, greenPixels = 0;
-        const totalPixels = width * height;
-        
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const i = (y * width + x) * 4;
-                const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
-                const hsv = this.rgbToHsv(r, g, b);
-                const lab = this.rgbToLab(r, g, b);
-                
-                let treeProb = 0;
-                
-                // Green foliage detection (HSV)
-                if (hsv.h >= 40 && hsv.h <= 170 && hsv.s > 15 && hsv.v > 20) {
-                    treeProb = Math.max(treeProb, Math.min(1, (hsv.s / 100) * 0.7 + 0.3) * 0.8);
-                    greenPixels++;
-                }
-                
-                // Brown trunk (HSV + LAB)
-                if (hsv.h >= 10 && hsv.h <= 45 && hsv.s >= 15 && hsv.s <= 80 && hsv.v >= 15 && hsv.v <= 75) {
-                    if (lab.a > -5 && lab.b > 5 && lab.L > 15 && lab.L < 75) {
-                        treeProb = Math.max(treeProb, 0.9);
-                        trunkPixels++;
-                    }
-                }
-                
-                // Dark bark - TIGHTER: require warm undertone typical of real bark
-                if (hsv.v >= 8 && hsv.v <= 45 && hsv.s >= 5 && hsv.s <= 40) {
-                    if (lab.a > -8 && lab.b > 0 && lab.L > 8 && lab.L < 45) {
-                        treeProb = Math.max(treeProb, 0.6);
-                        trunkPixels++;
-                    }
-                }
-                
-                // Light bark - TIGHTER: require warm tone, not just any gray
-                if (hsv.s >= 5 && hsv.s < 25 && hsv.v > 55 && hsv.v < 85) {
-                    if (lab.b > 3 && lab.b < 25 && lab.a > -3 && lab.a < 12) {
-                        treeProb = Math.max(treeProb, 0.4);
-                    }
-                }
-                
-                mask[y * width + x] = treeProb;
-            }
-        }
-        
-        return {
-            mask: mask, width: width, height: height,
-            greenPercent: ((greenPixels / totalPixels) * 100).toFixed(1),
-            trunkPercent: ((trunkPixels / totalPixels) * 100).toFixed(1)
-        };
+        return this.imageProcessing.segmentTreeAdvanced(imageData);
     }
 
-    // ==================== MORPHOLOGICAL OPERATIONS ====================
-    
     morphologicalClose(mask, width, height, radius) {
-        if (!radius) radius = 3;
-        let result = this.dilate(mask, width, height, radius);
-        result = this.erode(result, width, height, radius);
-        return result;
+        return this.imageProcessing.morphologicalClose(mask, width, height, radius);
     }
 
     dilate(mask, width, height, radius) {
-        const output = new Float32Array(mask.length);
-        for (let y = radius; y < height - radius; y++) {
-            for (let x = radius; x < width - radius; x++) {
-                let maxVal = 0;
-                for (let ky = -radius; ky <= radius; ky++) {
-                    for (let kx = -radius; kx <= radius; kx++) {
-                        maxVal = Math.max(maxVal, mask[(y + ky) * width + (x + kx)]);
-                    }
-                }
-                output[y * width + x] = maxVal;
-            }
-        }
-        return output;
+        return this.imageProcessing.dilate(mask, width, height, radius);
     }
 
     erode(mask, width, height, radius) {
-        const output = new Float32Array(mask.length);
-        for (let y = radius; y < height - radius; y++) {
-            for (let x = radius; x < width - radius; x++) {
-                let minVal = 1;
-                for (let ky = -radius; ky <= radius; ky++) {
-                    for (let kx = -radius; kx <= radius; kx++) {
-                        minVal = Math.min(minVal, mask[(y + ky) * width + (x + kx)]);
-                    }
-                }
-                output[y * width + x] = minVal;
-            }
-        }
-        return output;
+        return this.imageProcessing.erode(mask, width, height, radius);
     }
 
-    // ==================== TRUNK DETECTION (KEY ALGORITHM) ====================
-    
     detectTrunkPrecise(canvas, segMask, segWidth, segHeight) {
-        const context = canvas.getContext('2d');
-        const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
-        const pixels = imageData.data;
-        const width = canvas.width;
-        const height = canvas.height;
-        
-        const scaleX = segWidth / width;
-        const scaleY = segHeight / height;
-        
-        // STEP 1: Build trunk probability using vertical structure analysis
-        const trunkMask = new Float32Array(width * height);
-        
-        for (let x = 0; x < width; x++) {
-            let consecutiveBrown = 0;
-            for (let y = 0; y < height; y++) {
-                const i = (y * width + x) * 4;
-                const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
-                const hsv = this.rgbToHsv(r, g, b);
-                const lab = this.rgbToLab(r, g, b);
-                
-                // Tighter trunk color: real bark, not blankets/fabric/plastic
-                const isTrunk = (
-                    (hsv.h >= 8 && hsv.h <= 42 && hsv.s >= 12 && hsv.s <= 70 && hsv.v >= 12 && hsv.v <= 65 &&
-                     lab.a > -5 && lab.b > 2 && lab.L > 12 && lab.L < 65) ||
-                    (hsv.v >= 8 && hsv.v <= 35 && hsv.s >= 5 && hsv.s <= 40 && lab.L > 8 && lab.L < 35 && lab.b > -5)
-                );
-                
-                if (isTrunk) {
-                    consecutiveBrown++;
-                    trunkMask[y * width + x] = Math.min(1, consecutiveBrown / 40);
-                } else {
-                    consecutiveBrown = Math.max(0, consecutiveBrown - 3);
-                }
-            }
-        }
-        
-        // STEP 2: Column density profiling (lower 60% of image)
-        const columnDensity = new Float32Array(width);
-        const trunkSearchTop = Math.floor(height * 0.35);
-        const trunkSearchBottom = Math.floor(height * 0.95);
-        
-        for (let x = 0; x < width; x++) {
-            let density = 0;
-            for (let y = trunkSearchTop; y < trunkSearchBottom; y++) {
-                density += trunkMask[y * width + x];
-            }
-            columnDensity[x] = density;
-        }
-        
-        // STEP 3: Find trunk center using smoothed peak detection
-        const smoothedDensity = this.smoothArray(columnDensity, 15);
-        const searchStart = Math.floor(width * 0.15);
-        const searchEnd = Math.floor(width * 0.85);
-        let maxDensity = 0;
-        let trunkCenterX = width / 2;
-        
-        for (let x = searchStart; x < searchEnd; x++) {
-            if (smoothedDensity[x] > maxDensity) {
-                maxDensity = smoothedDensity[x];
-                trunkCenterX = x;
-            }
-        }
-        
-        // STEP 4: Find trunk edges at breast height
-        const breastHeightY = Math.floor(height * 0.65);
-        const scanRows = 20;
-        const trunkEdges = [];
-        
-        for (let dy = -scanRows; dy <= scanRows; dy++) {
-            const scanY = Math.max(0, Math.min(height - 1, breastHeightY + dy));
-            
-            let leftEdge = trunkCenterX;
-            for (let x = trunkCenterX; x >= 0; x--) {
-                if (trunkMask[scanY * width + x] < 0.15) { leftEdge = x; break; }
-            }
-            
-            let rightEdge = trunkCenterX;
-            for (let x = trunkCenterX; x < width; x++) {
-                if (trunkMask[scanY * width + x] < 0.15) { rightEdge = x; break; }
-            }
-            
-            if (rightEdge > leftEdge + 5) {
-                trunkEdges.push({ left: leftEdge, right: rightEdge, width: rightEdge - leftEdge });
-            }
-        }
-        
-        // STEP 5: Robust trunk width (median of all scans)
-        if (trunkEdges.length === 0) {
-            const halfMax = maxDensity / 2;
-            let fwhmLeft = trunkCenterX, fwhmRight = trunkCenterX;
-            for (let x = trunkCenterX; x >= 0; x--) {
-                if (smoothedDensity[x] < halfMax) { fwhmLeft = x; break; }
-            }
-            for (let x = trunkCenterX; x < width; x++) {
-                if (smoothedDensity[x] < halfMax) { fwhmRight = x; break; }
-            }
-            trunkEdges.push({ left: fwhmLeft, right: fwhmRight, width: fwhmRight - fwhmLeft });
-        }
-        
-        trunkEdges.sort(function(a, b) { return a.width - b.width; });
-        const medianIdx = Math.floor(trunkEdges.length / 2);
-        const medianEdge = trunkEdges[medianIdx];
-        
-        // Cross-validate with Sobel edge detection
-        const sobelTrunkWidth = this.detectTrunkBySobel(imageData, trunkCenterX, breastHeightY, width, height);
-        
-        let finalTrunkWidthPx;
-        if (sobelTrunkWidth > 10) {
-            finalTrunkWidthPx = medianEdge.width * 0.5 + sobelTrunkWidth * 0.5;
-        } else {
-            finalTrunkWidthPx = medianEdge.width;
-        }
-        
-        // STEP 6: Find tree bounding box
-        const processedMask = this.morphologicalClose(segMask, segWidth, segHeight, 5);
-        let minX = segWidth, maxX = 0, minY = segHeight, maxY = 0;
-        const centerSearchX = segWidth / 2;
-        const searchRange = segWidth * 0.7;
-        
-        for (let y = 0; y < segHeight; y++) {
-            for (let x = 0; x < segWidth; x++) {
-                if (Math.abs(x - centerSearchX) > searchRange / 2) continue;
-                if (processedMask[y * segWidth + x] > 0.3) {
-                    minX = Math.min(minX, x);
-                    maxX = Math.max(maxX, x);
-                    minY = Math.min(minY, y);
-                    maxY = Math.max(maxY, y);
-                }
-            }
-        }
-        
-        return {
-            x: Math.floor(minX / scaleX),
-            y: Math.floor(minY / scaleY),
-            width: Math.floor((maxX - minX) / scaleX),
-            height: Math.floor((maxY - minY) / scaleY),
-            centerX: Math.floor(trunkCenterX),
-            centerY: Math.floor(breastHeightY),
-            trunkLeft: Math.floor(medianEdge.left),
-            trunkRight: Math.floor(medianEdge.right),
-            trunkWidthPx: Math.floor(finalTrunkWidthPx),
-            breastHeightY: breastHeightY,
-            trunkCenterX: Math.floor(trunkCenterX)
-        };
+        const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        return this.imageProcessing.detectTrunk(imageData, segMask, segWidth, segHeight);
     }
 
-    // Sobel-based trunk edge detection for cross-validation
     detectTrunkBySobel(imageData, centerX, breastHeightY, width, height) {
-        const pixels = imageData.data;
-        const bandHeight = 30;
-        const gradients = new Float32Array(width);
-        
-        for (let x = 1; x < width - 1; x++) {
-            let totalGrad = 0, count = 0;
-            for (let dy = -bandHeight; dy <= bandHeight; dy++) {
-                const y = breastHeightY + dy;
-                if (y < 1 || y >= height - 1) continue;
-                const leftIdx = (y * width + (x - 1)) * 4;
-                const rightIdx = (y * width + (x + 1)) * 4;
-                const leftGray = (pixels[leftIdx] + pixels[leftIdx + 1] + pixels[leftIdx + 2]) / 3;
-                const rightGray = (pixels[rightIdx] + pixels[rightIdx + 1] + pixels[rightIdx + 2]) / 3;
-                totalGrad += Math.abs(rightGray - leftGray);
-                count++;
-            }
-            gradients[x] = count > 0 ? totalGrad / count : 0;
-        }
-        
-        const searchRadius = Math.floor(width * 0.25);
-        let leftEdge = centerX, rightEdge = centerX;
-        let leftMax = 0, rightMax = 0;
-        
-        for (let x = centerX; x >= Math.max(0, centerX - searchRadius); x--) {
-            if (gradients[x] > leftMax) { leftMax = gradients[x]; leftEdge = x; }
-        }
-        for (let x = centerX; x <= Math.min(width - 1, centerX + searchRadius); x++) {
-            if (gradients[x] > rightMax) { rightMax = gradients[x]; rightEdge = x; }
-        }
-        
-        return rightEdge - leftEdge;
+        return this.imageProcessing.detectTrunkBySobel(imageData, centerX, breastHeightY, width, height);
     }
 
     smoothArray(arr, windowSize) {
-        const output = new Float32Array(arr.length);
-        const half = Math.floor(windowSize / 2);
-        for (let i = 0; i < arr.length; i++) {
-            let sum = 0, count = 0;
-            for (let j = Math.max(0, i - half); j <= Math.min(arr.length - 1, i + half); j++) {
-                sum += arr[j]; count++;
-            }
-            output[i] = sum / count;
-        }
-        return output;
+        return this.imageProcessing.smoothArray(arr, windowSize);
     }
 
-    // ==================== TREE VALIDATION ====================
-    
     validateTreePresence(imageData) {
-        const pixels = imageData.data;
-        const width = imageData.width;
-        const height = imageData.height;
-        
-        let greenPixels = 0, brownPixels = 0, pureSkinPixels = 0, grayPixels = 0, skyPixels = 0;
-        const step = width > 1000 ? 2 : 1;
-        let sampledPixels = 0;
-        
-        // Spatial tracking: top half vs bottom half
-        const midY = Math.floor(height / 2);
-        let greenTop = 0, greenBottom = 0;
-        let brownTop = 0, brownBottom = 0;
-        
-        // Texture variance tracking for brown/bark regions
-        let trunkVarianceSum = 0, trunkVarianceCount = 0;
-        
-        // Skin region spatial tracking (grid-based clustering)
-        const gridCols = 8, gridRows = 8;
-        const skinGrid = new Float32Array(gridCols * gridRows);
-        const gridW = Math.floor(width / gridCols);
-        const gridH = Math.floor(height / gridRows);
-        
-        for (let y = 0; y < height; y += step) {
-            for (let x = 0; x < width; x += step) {
-                const i = (y * width + x) * 4;
-                const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
-                const hsv = this.rgbToHsv(r, g, b);
-                sampledPixels++;
-                
-                const isTop = y < midY;
-                
-                // Green foliage
-                const isGreen = hsv.h >= 40 && hsv.h <= 170 && hsv.s > 15 && hsv.v > 15;
-                if (isGreen) {
-                    greenPixels++;
-                    if (isTop) greenTop++; else greenBottom++;
-                }
-                
-                // Brown bark/trunk - TIGHTER ranges than before
-                const isBrown = hsv.h >= 10 && hsv.h <= 45 && hsv.s >= 15 && hsv.s <= 75 && hsv.v >= 12 && hsv.v <= 70;
-                if (isBrown) {
-                    brownPixels++;
-                    if (isTop) brownTop++; else brownBottom++;
-                    
-                    // Texture variance sampling (every 8th brown pixel for performance)
-                    if (x % 8 === 0 && y % 8 === 0 && x > 2 && x < width - 2 && y > 2 && y < height - 2) {
-                        let localSum = 0, localSqSum = 0, localN = 0;
-                        for (let dy = -2; dy <= 2; dy++) {
-                            for (let dx = -2; dx <= 2; dx++) {
-                                const ni = ((y + dy) * width + (x + dx)) * 4;
-                                const gray = (pixels[ni] + pixels[ni + 1] + pixels[ni + 2]) / 3;
-                                localSum += gray;
-                                localSqSum += gray * gray;
-                                localN++;
-                            }
-                        }
-                        const mean = localSum / localN;
-                        const variance = (localSqSum / localN) - (mean * mean);
-                        trunkVarianceSum += variance;
-                        trunkVarianceCount++;
-                    }
-                }
-                
-                // Skin detection - STRICT: only count if NOT also brown/bark
-                const isSkinHue = hsv.h >= 8 && hsv.h <= 28 && hsv.s >= 30 && hsv.s <= 65 && hsv.v >= 55 && hsv.v <= 90;
-                const hasSkinRGB = r > 120 && g > 80 && b > 50 && r > g && g > b && (r - b) > 30;
-                
-                if (isSkinHue && hasSkinRGB && !isBrown) {
-                    pureSkinPixels++;
-                    const gx = Math.min(gridCols - 1, Math.floor(x / gridW));
-                    const gy = Math.min(gridRows - 1, Math.floor(y / gridH));
-                    skinGrid[gy * gridCols + gx]++;
-                }
-                
-                if (hsv.s < 12 && hsv.v > 35 && hsv.v < 80) grayPixels++;
-                if (hsv.h >= 190 && hsv.h <= 245 && hsv.s > 25 && hsv.v > 55) skyPixels++;
-            }
+        return this.imageProcessing.validateTreePresence(imageData);
+    }
+
+    // ==================== PIXEL PIPELINE WORKER ====================
+
+    // Runs TreeImageProcessing.analyzePixels in measurement-worker.js, or inline where a worker
+    // can't start (no Worker support, file:// pages, script missing)
+    async runPixelPipeline(canvas, deeplab, onProgress) {
+        const runInline = () => {
+            const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+            return this.imageProcessing.analyzePixels(imageData, deeplab, onProgress);
+        };
+        if (typeof Worker === 'undefined' || location.protocol === 'file:' || this.workerFailed) {
+            return runInline();
         }
-        
-        const greenPercent = (greenPixels / sampledPixels) * 100;
-        const brownPercent = (brownPixels / sampledPixels) * 100;
-        const skinPercent = (pureSkinPixels / sampledPixels) * 100;
-        const grayPercent = (grayPixels / sampledPixels) * 100;
-        
-        // Spatial arrangement score: green in top, brown in bottom (tree-like)
-        let spatialScore = 0;
-        if (greenPixels > 0 && brownPixels > 0) {
-            const greenTopRatio = greenTop / greenPixels;
-            const brownBottomRatio = brownBottom / brownPixels;
-            spatialScore = (greenTopRatio + brownBottomRatio) / 2;
-        } else if (greenPixels > 0) {
-            spatialScore = (greenTop / greenPixels) * 0.5;
+
+        const id = ++this.workerJobId;
+        const job = { id: id, deeplab: deeplab ? { mask: deeplab.mask, width: deeplab.width, height: deeplab.height } : null };
+        const transfer = [];
+        if (typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function') {
+            job.bitmap = await createImageBitmap(canvas);
+            transfer.push(job.bitmap);
+        } else {
+            const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+            job.pixels = imageData.data;
+            job.width = imageData.width;
+            job.height = imageData.height;
+            transfer.push(imageData.data.buffer);
         }
-        
-        // Texture score: bark has high variance (~50+), flat surfaces (laptop, wall) have low (<20)
-        const avgTrunkVariance = trunkVarianceCount > 0 ? trunkVarianceSum / trunkVarianceCount : 0;
-        const hasNaturalTexture = avgTrunkVariance > 25;
-        
-        // Skin clustering
-        let skinClusterScore = 0;
-        const maxSkinCell = Math.max.apply(null, Array.from(skinGrid));
-        const totalSkinCells = Array.from(skinGrid).filter(function(v) { return v > 0; }).length;
-        if (pureSkinPixels > 0 && totalSkinCells > 0) {
-            skinClusterScore = maxSkinCell / pureSkinPixels;
+
+        return new Promise((resolve, reject) => {
+            // The worker runs one job at a time; a newer measurement supersedes the one in flight
+            this._stopWorkerJob();
+            if (!this.worker) this.worker = new Worker('measurement-worker.js');
+            this.workerJob = { id: id, reject: reject };
+            this.worker.onmessage = (event) => {
+                const msg = event.data;
+                if (msg.id !== id) return;
+                if (msg.type === 'progress') {
+                    if (onProgress) onProgress(msg.message);
+                    return;
+                }
+                this.workerJob = null;
+                if (msg.type === 'result') resolve(msg.result);
+                else reject(new Error(msg.message));
+            };
+            this.worker.onerror = (event) => {
+                // Script failed to load or crashed — fall back to the main thread from now on
+                event.preventDefault();
+                console.warn('Measurement worker failed, running inline:', event.message);
+                this.worker.terminate();
+                this.worker = null;
+                this.workerFailed = true;
+                this.workerJob = null;
+                try { resolve(runInline()); } catch (e) { reject(e); }
+            };
+            this.worker.postMessage(job, transfer);
+        });
+    }
+
+    // Stops the measurement in progress (Retake / close). measureAutomatically then rejects
+    // with an error whose `cancelled` flag is set.
+    cancelMeasurement() {
+        this.measureRun++;
+        this._stopWorkerJob();
+    }
+
+    // Terminates the worker mid-job and rejects that job as cancelled
+    _stopWorkerJob() {
+        if (this.worker && this.workerJob) {
+            this.worker.terminate();
+            this.worker = null;
+            const job = this.workerJob;
+            this.workerJob = null;
+            job.reject(this._cancelledError());
         }
-        
-        // === TREE DETECTION: Strict multi-signal scoring ===
-        // Trees MUST have strong green AND brown, plus structural evidence
-        
-        const combinedTreeColor = greenPercent + brownPercent;
-        // Require significant green foliage AND brown bark together
-        const hasBothColors = greenPercent > 8 && brownPercent > 5 && combinedTreeColor > 18;
-        // Or very dominant green (forest/tree fills frame)
-        const hasHighGreen = greenPercent > 30;
-        // Or high brown with strong texture AND some green present
-        const hasHighBrownWithTexture = brownPercent > 15 && hasNaturalTexture && greenPercent > 3;
-        
-        const meetsColorCriteria = hasBothColors || hasHighGreen || hasHighBrownWithTexture;
-        
-        // Supporting structural signals — REQUIRE at least 2
-        const hasGoodSpatial = spatialScore > 0.45;
-        const notArtificial = grayPercent < 50;
-        const hasStrongTexture = avgTrunkVariance > 35;
-        const supportCount = (hasGoodSpatial ? 1 : 0) + (notArtificial ? 1 : 0) + (hasStrongTexture ? 1 : 0);
-        
-        const isTree = meetsColorCriteria && supportCount >= 2;
-        
-        // Human/vehicle detection
-        const hasTreeColors = greenPercent > 5 || brownPercent > 5;
-        const hasPerson = skinPercent > 30 && skinClusterScore > 0.15 && !hasTreeColors;
-        const hasVehicleOrBuilding = grayPercent > 55 && !meetsColorCriteria;
-        
-        console.log('Tree validation: green=' + greenPercent.toFixed(1) + '%, brown=' + brownPercent.toFixed(1) + 
-            '%, gray=' + grayPercent.toFixed(1) + '%, spatial=' + spatialScore.toFixed(2) + 
-            ', texture=' + avgTrunkVariance.toFixed(0) + ', colorOK=' + meetsColorCriteria + 
-            ', support=' + supportCount + ', isTree=' + isTree);
-        
-        return {
-            isTree: isTree,
-            greenPercent: greenPercent.toFixed(1),
-            brownPercent: brownPercent.toFixed(1),
-            skinPercent: skinPercent.toFixed(1),
-            grayPercent: grayPercent.toFixed(1),
-            spatialScore: spatialScore.toFixed(2),
-            textureScore: avgTrunkVariance.toFixed(0),
-            errorMessage: this._getTreeValidationError(isTree, meetsColorCriteria, hasPerson, hasVehicleOrBuilding, supportCount)
-        };
     }
 
-    _getTreeValidationError(isTree, meetsColorCriteria, hasPerson, hasVehicleOrBuilding, supportCount) {
-        if (isTree) return null;
-        if (hasPerson) return 'No tree found — A person is visible in the photo. Please take a photo of a tree. 📸';
-        if (hasVehicleOrBuilding) return 'No tree found — This looks like a building/vehicle/object. Point camera at a tree. 🌳';
-        if (!meetsColorCriteria) return 'No tree found — Both green leaves and brown trunk should be clearly visible. 🍃';
-        if (supportCount < 1) return 'This does not appear to be a tree. Center the tree with natural bark texture visible. 🌲';
-        return 'No tree found. Stand 2-3m away, ensure trunk + leaves are in frame. 📏';
+    _cancelledError() {
+        const error = new Error('Analysis cancelled');
+        error.cancelled = true;
+        return error;
     }
 
     // ==================== STRUCTURAL VALIDATION (Post-Detection) ====================
@@ -1161,21 +755,34 @@ class AdvancedTreeML {
 
     // ==================== MAIN MEASUREMENT FUNCTION ====================
     
-    async measureAutomatically(canvas, imageFile) {
+    // onProgress(message) is called as each stage starts; see cancelMeasurement to stop a run
+    async measureAutomatically(canvas, imageFile, onProgress) {
+        var run = ++this.measureRun;
+        var self = this;
+        var progress = function(message) {
+            if (run === self.measureRun && onProgress) onProgress(message);
+        };
+        var checkCancelled = function() {
+            if (run !== self.measureRun) throw self._cancelledError();
+        };
+        
         try {
-            if (!this.isModelLoaded) { await this.loadModels(); }
+            if (!this.isModelLoaded) {
+                progress('Loading AI models...');
+                await this.loadModels();
+                checkCancelled();
+            }
             
             console.log('🔬 Starting DeepLab + Real-World Tree Analysis...');
             var startTime = performance.now();
             
-            var context = canvas.getContext('2d');
-            var imageData = context.getImageData(0, 0, canvas.width, canvas.height);
-            
             // ============================================================
             // STEP 0-A: DeepLab Semantic Segmentation (PRIMARY METHOD)
             // Detects actual tree pixels, ignores person/bike/background
             // ============================================================
+            progress('Finding tree pixels (DeepLab)...');
             var deeplabResult = await this.segmentWithDeepLab(canvas);
+            checkCancelled();
             var usingDeepLab = false;
             
             if (deeplabResult && deeplabResult.treePercent >= 4) {
@@ -1190,7 +797,9 @@ class AdvancedTreeML {
             // ============================================================
             // STEP 0-B: COCO-SSD check (block indoor objects)
             // ============================================================
+            progress('Checking for people and indoor objects...');
             var aiDetection = await this.detectObjectsAI(canvas);
+            checkCancelled();
             console.log('AI Object Detection:', aiDetection);
             
             if (!aiDetection.isTree) {
@@ -1216,58 +825,15 @@ class AdvancedTreeML {
             }
             
             // ============================================================
-            // STEP 1: Color validation (only if DeepLab didn't find tree)
-            // ============================================================
-            var validation = null;
-            if (!usingDeepLab) {
-                validation = this.validateTreePresence(imageData);
-                console.log('Color validation:', validation);
-                
-                if (!validation.isTree) {
-                    const hindiMsg = validation.errorMessage + '\n\n🌳 No tree found! The trunk and leaves should be clearly visible.';
-                    throw new Error(hindiMsg);
-                }
-            } else {
-                // DeepLab found tree — create a pass-through validation result
-                validation = { isTree: true, greenPercent: '?', brownPercent: '?', source: 'deeplab' };
-            }
-            
-            // ============================================================
-            // STEP 2: Gaussian blur for noise reduction
+            // STEPS 1-4 (measurement-worker.js): colour validation when DeepLab didn't
+            // find the tree, Gaussian blur, segmentation (DeepLab mask or colour-based)
+            // and precise trunk detection with vertical analysis
             // ============================================================
-            var blurred = this.gaussianBlur(imageData, 2);
-            
-            // ============================================================
-            // STEP 3: Build segmentation mask
-            // PRIMARY: DeepLab pixel mask (tree only, no background)
-            // FALLBACK: Color-based segmentation
-            // ============================================================
-            var segResult;
-            if (usingDeepLab) {
-                // Use DeepLab mask directly — scale it to canvas size
-                segResult = {
-                    mask: deeplabResult.mask,
-                    width: deeplabResult.width,
-                    height: deeplabResult.height,
-                    greenPercent: deeplabResult.treePercent.toFixed(1),
-                    trunkPercent: deeplabResult.treePercent.toFixed(1),
-                    source: 'deeplab'
-                };
-                console.log('🌳 Using DeepLab mask for trunk detection');
-            } else {
-                segResult = this.segmentTreeAdvanced(blurred);
-                console.log('Color Segmentation: Green ' + segResult.greenPercent + '%, Trunk ' + segResult.trunkPercent + '%');
-                
-                if (parseFloat(segResult.greenPercent) < 1 && parseFloat(segResult.trunkPercent) < 1) {
-                    throw new Error('Tree not clearly visible! The tree should fill 30-80% of the frame with good lighting. 📸');
-                }
-            }
-            
-            // ============================================================
-            // STEP 4: Precise trunk detection with vertical analysis
-            // ============================================================
-            var bounds = this.detectTrunkPrecise(canvas, segResult.mask, segResult.width, segResult.height);
-            console.log('Trunk detected:', bounds);
+            if (usingDeepLab) console.log('🌳 Using DeepLab mask for trunk detection');
+            var pixelResult = await this.runPixelPipeline(canvas, usingDeepLab ? deeplabResult : null, progress);
+            checkCancelled();
+            var validation = pixelResult.validation;
+            var bounds = pixelResult.bounds;
             
             if (bounds.trunkWidthPx < 5) {
                 if (usingDeepLab) {
@@ -1277,6 +843,7 @@ class AdvancedTreeML {
             }
             
             // Step 4b: Structural validation — skip strict checks if DeepLab confirmed tree
+            progress('Checking trunk shape...');
             var structureCheck;
             if (usingDeepLab) {
                 // DeepLab already confirmed these are tree pixels — only check extreme cases
@@ -1314,7 +881,9 @@ class AdvancedTreeML {
             console.log('Species for validation:', selectedSpecies || 'none');
             
             // Step 6: REAL-WORLD MEASUREMENT (Photogrammetry + Reference Objects + Bayesian Fusion)
+            progress('Calculating real-world size...');
             var measurements = await this.estimateRealWorldMeasurements(bounds, canvas, selectedSpecies, this.cocoModel, imageFile);
+            checkCancelled();
             
             // Step 7: Final validation
             var circumference = parseFloat(measurements.circumference);
@@ -1364,7 +933,11 @@ class AdvancedTreeML {
             };
             
         } catch (error) {
-            console.error('Measurement error:', error);
+            if (error.cancelled) {
+                console.log('Measurement cancelled');
+            } else {
+                console.error('Measurement error:', error);
+            }
             throw error;
         }
     }
@@ -1455,6 +1028,20 @@ class AdvancedTreeML {
         context.beginPath();
         context.arc(cx, cy, 3, 0, 2 * Math.PI);
         context.fill();
+        
+        // Calibration marker outline
+        var marker = measurements.realWorldData && measurements.realWorldData.marker;
+        if (marker) {
+            context.strokeStyle = '#f1c40f';
+            context.lineWidth = 3;
+            context.beginPath();
+            marker.corners.forEach(function(c, i) {
+                if (i === 0) context.moveTo(c.x, c.y); else context.lineTo(c.x, c.y);
+            });
+            context.closePath();
+            context.stroke();
+            this._drawPillLabel(context, 'Marker ' + marker.sizeCm + ' cm', marker.bbox.x, marker.bbox.y - 8, 'rgba(241, 196, 15, 0.9)');
+        }
     }
 
     _drawPillLabel(context, text, x, y, bgColor) {
@@ -1,27 +1,51 @@
 // Main Application Logic
-let calculationHistory = [];
+let calculationHistory = []; // the history page currently shown
+let taggedHistory = []; // every tagged visit, for re-measurement lookups
+let historyPage = 0;
+let historyTotal = 0;
+let historySearchDebounceTimer = null;
 let selectedTreeIndex = null;
 let treeSearchIndex = [];
 let treeSearchDebounceTimer = null;
 let lastIndexedSpeciesCount = 0;
+let projectionBase = null;
+let currentProjections = [];
+let plots = [];
+let activePlotId = null;
+let lastDisplayedResults = null;
+let circumferenceProvenance = null; // set by the camera flow; null means the value was typed (tape)
 
 const MAX_SEARCH_RESULTS = 80;
 const SEARCH_DEBOUNCE_MS = 100;
+const HISTORY_PAGE_SIZE = 20;
 
 // Logout function
-window.logout = () => {
+window.logout = async () => {
     if (confirm('Are you sure you want to logout?')) {
         localStorage.removeItem('studentSession');
         localStorage.removeItem('adminSession');
+        // Admins browsing the calculator are also signed in to Firebase Auth
+        if (window.firebaseAuth && window.firebaseAuth.currentUser) {
+            await window.firebaseAuth.signOut();
+        }
         window.location.href = 'login.html';
     }
 };
 
-// Load history from localStorage on page load
+// Load history from the tree store on page load
 document.addEventListener('DOMContentLoaded', () => {
+    initializeHistoryControls();
     loadHistory();
     initializeTreeSearch();
     initializeMethodControls();
+    initializeCrownControls();
+    initializeStemControls();
+    initializeTreeTagControls();
+    initializeProjectionControls();
+    initializePlotControls();
+    initializeValuationControls();
+    initializeOutbox();
+    initializeFeedbackInbox();
     animatePageLoad();
     initializeGPSLocation();
 
@@ -30,6 +54,9 @@ document.addEventListener('DOMContentLoaded', () => {
         .catch(() => {
             // Built-in densities remain available even if archive load fails.
         });
+
+    // Method 3 needs the offline E lookup; Methods 1 and 2 work without it.
+    indianCalculator.loadEnvironmentalStressLookup();
 });
 
 // Initialize GPS Location functionality
@@ -228,15 +255,6 @@ function ensureTreeSearchIndex() {
     lastIndexedSpeciesCount = treeSpeciesData.length;
 }
 
-function escapeHtml(value) {
-    return String(value)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;');
-}
-
 // Show tree options based on search query
 function showTreeOptions(query) {
     const dropdown = document.getElementById('treeDropdown');
@@ -307,29 +325,575 @@ function selectTree(index) {
 
     // Auto-fill density as soon as a species is selected.
     refreshWoodDensityForSelection();
+    refreshPredictedHeight();
+
+    // The first pick after a photo suggestion (accepted or corrected) is classifier feedback
+    if (typeof speciesClassifier !== 'undefined' && speciesClassifier.pending) {
+        speciesClassifier.recordChoice(index).catch(error => console.warn('Species feedback not saved:', error));
+    }
 }
 
 function initializeMethodControls() {
     const methodSelect = document.getElementById('biomassMethod');
     const heightGroup = document.getElementById('treeHeightGroup');
     const heightInput = document.getElementById('treeHeight');
+    const methodNote = document.getElementById('methodNote');
 
     if (!methodSelect || !heightGroup || !heightInput) {
         return;
     }
 
     const updateMethodState = () => {
-        const requiresHeight = methodSelect.value === 'method2';
+        const requiresHeight = methodSelect.value === 'method2' || methodSelect.value === 'method4';
         heightGroup.style.display = requiresHeight ? 'block' : 'none';
         heightInput.required = requiresHeight;
 
         if (!requiresHeight) {
             heightInput.value = '';
+            setHeightSource(null);
+        } else if (!heightInput.value) {
+            // Most users skip height, so start from a predicted value they can overwrite.
+            predictTreeHeight();
+        }
+
+        if (methodNote) {
+            methodNote.style.display = methodSelect.value === 'method3' ? 'block' : 'none';
         }
+        const crownMethodNote = document.getElementById('crownMethodNote');
+        if (crownMethodNote) {
+            crownMethodNote.style.display = methodSelect.value === 'method4' ? 'block' : 'none';
+        }
+        document.getElementById('crownDiameter').required = methodSelect.value === 'method4';
     };
 
     methodSelect.addEventListener('change', updateMethodState);
     updateMethodState();
+
+    heightInput.addEventListener('input', () => {
+        setHeightSource(heightInput.value ? 'measured' : null);
+    });
+
+    document.getElementById('predictHeightBtn')?.addEventListener('click', () => {
+        if (!predictTreeHeight()) {
+            alert('Enter the circumference first to predict height from DBH.');
+        }
+    });
+
+    document.getElementById('circumference').addEventListener('change', refreshPredictedHeight);
+    document.getElementById('treeForm').addEventListener('reset', () => setHeightSource(null));
+
+    // A typed circumference is a tape measurement, even if the camera filled it first
+    document.getElementById('circumference').addEventListener('input', () => setCircumferenceProvenance(null));
+    document.getElementById('treeForm').addEventListener('reset', () => setCircumferenceProvenance(null));
+}
+
+// Called by the camera flow with measurementProvenance.fromPhotoSession(...) when it fills the circumference
+function setCircumferenceProvenance(provenance) {
+    circumferenceProvenance = provenance;
+}
+
+// Height source: 'measured' (typed), 'predicted' (H-D model), 'photo' (camera estimate),
+// 'clinometer' or 'referencePhoto' (height tool)
+function setHeightSource(source, note = null) {
+    const heightInput = document.getElementById('treeHeight');
+    const heightSourceNote = document.getElementById('heightSourceNote');
+
+    // Only height tool results carry an error estimate; set again by applyMeasuredHeight
+    delete heightInput.dataset.errorCv;
+
+    if (source) {
+        heightInput.dataset.source = source;
+    } else {
+        delete heightInput.dataset.source;
+    }
+
+    if (!heightSourceNote) {
+        return;
+    }
+
+    if (note) {
+        heightSourceNote.textContent = note;
+    } else if (source === 'measured') {
+        heightSourceNote.textContent = 'Measured height entered manually.';
+    } else {
+        heightSourceNote.textContent = 'Enter a measured height, or predict it from DBH and location.';
+    }
+}
+
+function predictTreeHeight() {
+    const stemCircumferences = getStemCircumferences();
+    if (!stemCircumferences || !Number.isFinite(stemCircumferences[0]) || stemCircumferences[0] <= 0) {
+        return false;
+    }
+
+    // Multi-stem trees: the thickest stem sets the canopy height.
+    const dbhCm = indianCalculator.convertCircumferenceToDiameter(Math.max(...stemCircumferences));
+    const tree = selectedTreeIndex !== null ? treeSpeciesData[selectedTreeIndex] : null;
+    const prediction = indianCalculator.predictHeightFromDBH(dbhCm, {
+        latitude: document.getElementById('latitude')?.value,
+        longitude: document.getElementById('longitude')?.value,
+        referenceHeight: tree?.avgHeight,
+        referenceDbh: tree?.avgDBH
+    });
+
+    if (!prediction) {
+        return false;
+    }
+
+    document.getElementById('treeHeight').value = prediction.height.toFixed(1);
+    setHeightSource('predicted',
+        `Predicted ${prediction.height.toFixed(1)} m (95%: ${prediction.lower.toFixed(1)}–${prediction.upper.toFixed(1)} m) · ${prediction.model}, ${prediction.region}. Overwrite with a measured height if you have one.`
+    );
+    return true;
+}
+
+// Keep a predicted height in step with DBH/species; never overwrite measured or photo heights.
+function refreshPredictedHeight() {
+    const heightInput = document.getElementById('treeHeight');
+    const methodSelect = document.getElementById('biomassMethod');
+    if (!heightInput || !['method2', 'method4'].includes(methodSelect?.value)) {
+        return;
+    }
+
+    if (!heightInput.value || heightInput.dataset.source === 'predicted') {
+        predictTreeHeight();
+    }
+}
+
+// Called by the camera flow with the photo-based height estimate (metres)
+function applyPhotoHeightEstimate(heightM) {
+    const heightInput = document.getElementById('treeHeight');
+    const keep = ['measured', 'clinometer', 'referencePhoto'].includes(heightInput?.dataset.source);
+    if (!heightInput || !Number.isFinite(heightM) || heightM <= 0 || keep) {
+        return;
+    }
+
+    heightInput.value = heightM.toFixed(1);
+    setHeightSource('photo', `Photo estimate ${heightM.toFixed(1)} m from the AI camera. Overwrite with a measured height if you have one.`);
+}
+
+// Crown diameter: typed ('measured'), mean of two paced spreads ('spread') or the AI camera ('photo')
+function initializeCrownControls() {
+    const crownInput = document.getElementById('crownDiameter');
+    if (!crownInput) {
+        return;
+    }
+
+    crownInput.addEventListener('input', () => {
+        setCrownSource(crownInput.value ? 'measured' : null);
+    });
+
+    ['crownSpreadA', 'crownSpreadB'].forEach((id) => {
+        document.getElementById(id)?.addEventListener('input', updateCrownFromSpreads);
+    });
+
+    document.getElementById('treeForm').addEventListener('reset', () => setCrownSource(null));
+}
+
+function setCrownSource(source, note = null) {
+    const crownInput = document.getElementById('crownDiameter');
+    const crownSourceNote = document.getElementById('crownSourceNote');
+
+    if (source) {
+        crownInput.dataset.source = source;
+    } else {
+        delete crownInput.dataset.source;
+    }
+
+    if (!crownSourceNote) {
+        return;
+    }
+
+    const diameter = parseFloat(crownInput.value);
+    if (note) {
+        crownSourceNote.textContent = note;
+    } else if (source && diameter > 0) {
+        crownSourceNote.textContent = `${indianCalculator.CROWN_SOURCE_LABELS[source]} · crown area ${indianCalculator.calculateCrownArea(diameter).toFixed(1)} m²`;
+    } else {
+        crownSourceNote.textContent = 'Optional: crown width, or pace the crown spread along two perpendicular lines under the drip line.';
+    }
+}
+
+function updateCrownFromSpreads() {
+    const crownInput = document.getElementById('crownDiameter');
+    const diameter = indianCalculator.calculateCrownDiameterFromSpreads(
+        document.getElementById('crownSpreadA')?.value,
+        document.getElementById('crownSpreadB')?.value
+    );
+
+    if (diameter) {
+        crownInput.value = diameter.toFixed(1);
+        setCrownSource('spread');
+    } else if (crownInput.dataset.source === 'spread') {
+        crownInput.value = '';
+        setCrownSource(null);
+    }
+}
+
+// Called by the camera flow with the photo crown estimate; never overwrites a measured crown
+function applyPhotoCrownEstimate(crown) {
+    const crownInput = document.getElementById('crownDiameter');
+    const keep = ['measured', 'spread'].includes(crownInput?.dataset.source);
+    if (!crownInput || !crown || !(crown.crownDiameter > 0) || keep) {
+        return;
+    }
+
+    crownInput.value = crown.crownDiameter.toFixed(1);
+    setCrownSource('photo', `Photo estimate ${crown.crownDiameter.toFixed(1)} m (crown area ${crown.crownArea.toFixed(1)} m²)${crown.clipped ? ' - crown runs off the photo, so this is a minimum' : ''}. Overwrite with a paced spread if you can.`);
+}
+
+// Called by the height tool with a clinometer or reference-photo measurement (metres, with SD)
+function applyMeasuredHeight(measurement) {
+    const heightInput = document.getElementById('treeHeight');
+    if (!heightInput || !(measurement.height > 0)) {
+        return;
+    }
+
+    heightInput.value = measurement.height.toFixed(1);
+    setHeightSource(measurement.method,
+        `${indianCalculator.HEIGHT_SOURCE_LABELS[measurement.method]}: ${measurement.height.toFixed(1)} ± ${measurement.sd.toFixed(1)} m (95%: ${measurement.lower.toFixed(1)}–${measurement.upper.toFixed(1)} m) · ${measurement.details}`
+    );
+    heightInput.dataset.errorCv = measurement.cv.toFixed(3);
+}
+
+// Multi-stem trees: the main circumference field is stem 1, extra stems are added below it
+function initializeStemControls() {
+    const addStemBtn = document.getElementById('addStemBtn');
+    const stemList = document.getElementById('extraStemsList');
+
+    if (!addStemBtn || !stemList) {
+        return;
+    }
+
+    addStemBtn.addEventListener('click', () => addStemInput());
+
+    document.getElementById('treeForm').addEventListener('reset', () => {
+        stemList.innerHTML = '';
+        updateStemSummary();
+    });
+}
+
+function addStemInput(value = '') {
+    const stemList = document.getElementById('extraStemsList');
+    const row = document.createElement('div');
+    row.className = 'extra-stem-row';
+    row.innerHTML = `
+        <span class="stem-label"></span>
+        <input type="number" class="stem-circumference" step="0.1" min="0.1" placeholder="Stem circumference in cm" value="${escapeHtml(value)}">
+        <span class="unit-label">cm</span>
+        <button type="button" class="delete-btn" title="Remove stem">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+
+    row.querySelector('.delete-btn').addEventListener('click', () => {
+        row.remove();
+        updateStemSummary();
+    });
+
+    stemList.appendChild(row);
+    updateStemSummary();
+    row.querySelector('input').focus();
+}
+
+function updateStemSummary() {
+    const rows = document.querySelectorAll('#extraStemsList .extra-stem-row');
+    const stemSummary = document.getElementById('stemSummary');
+
+    rows.forEach((row, index) => {
+        row.querySelector('.stem-label').textContent = `Stem ${index + 2}`;
+    });
+
+    if (!stemSummary) {
+        return;
+    }
+
+    stemSummary.textContent = rows.length > 0
+        ? `Multi-stem tree: ${rows.length + 1} stems. The first field above is Stem 1.`
+        : 'Multi-stem tree? Add each stem\'s circumference at breast height.';
+}
+
+// Returns every stem circumference, or null if an extra stem holds an invalid value
+function getStemCircumferences() {
+    const circumferences = [parseFloat(document.getElementById('circumference').value)];
+
+    const extraInputs = document.querySelectorAll('#extraStemsList .stem-circumference');
+    for (const input of extraInputs) {
+        if (!input.value.trim()) {
+            continue;
+        }
+
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value) || value <= 0) {
+            return null;
+        }
+        circumferences.push(value);
+    }
+
+    return circumferences;
+}
+
+function formatStemBreakdown(inputs) {
+    if (!inputs || !Array.isArray(inputs.stems) || inputs.stems.length < 2) {
+        return '1';
+    }
+
+    const parts = inputs.stems.map((stem, index) =>
+        `S${index + 1}: ${stem.circumference} cm (AGB ${stem.agb} kg)`
+    );
+    return `${inputs.stems.length} - ${parts.join('; ')}`;
+}
+
+// "± 12.40 (95% CI 30.10–55.00)" for a calculator confidence interval
+function formatRange(range) {
+    if (!range) {
+        return '';
+    }
+    return `± ${range.plusMinus} (95% CI ${range.lower}–${range.upper})`;
+}
+
+// Carbon credit valuation settings persist between sessions
+function getValuationSettings() {
+    const saved = localStorage.getItem('carbonValuationSettings');
+    return carbonValuation.normalizeSettings(saved ? JSON.parse(saved) : {});
+}
+
+function initializeValuationControls() {
+    const schemeSelect = document.getElementById('creditScheme');
+    if (!schemeSelect) {
+        return;
+    }
+
+    const settings = getValuationSettings();
+    const fields = {
+        scheme: schemeSelect,
+        customPrice: document.getElementById('creditCustomPrice'),
+        customCurrency: document.getElementById('creditCustomCurrency'),
+        bufferPercent: document.getElementById('creditBuffer'),
+        leakagePercent: document.getElementById('creditLeakage'),
+        currency: document.getElementById('creditCurrency')
+    };
+
+    Object.entries(fields).forEach(([key, field]) => {
+        field.value = settings[key];
+        field.addEventListener('change', () => {
+            const updated = carbonValuation.normalizeSettings(
+                Object.fromEntries(Object.entries(fields).map(([name, input]) => [name, input.value]))
+            );
+            localStorage.setItem('carbonValuationSettings', JSON.stringify(updated));
+            updateCreditCard(lastDisplayedResults);
+        });
+    });
+
+    updateCreditCard(null);
+}
+
+function updateCreditCard(results) {
+    const settings = getValuationSettings();
+    document.getElementById('creditCustomPriceGroup').style.display = settings.scheme === 'custom' ? 'block' : 'none';
+    document.getElementById('creditPriceNote').textContent = carbonValuation.SCHEMES[settings.scheme].note;
+
+    if (!results) {
+        return;
+    }
+
+    const valuation = carbonValuation.calculate(results.co2Tonnes ?? (parseFloat(results.co2) / 1000), settings);
+    document.getElementById('creditValue').textContent = valuation.formattedValue;
+    document.getElementById('creditUnit').textContent = `${valuation.netTonnes} tCO₂e net credits`;
+    document.getElementById('creditBreakdown').textContent =
+        `${valuation.grossTonnes} t gross - ${valuation.bufferPercent}% buffer - ${valuation.leakagePercent}% leakage @ ${valuation.formattedPrice}/t`;
+}
+
+// Tagged trees: a repeat measurement with the same tag is linked to the earlier visits
+function initializeTreeTagControls() {
+    const tagInput = document.getElementById('treeTag');
+    if (!tagInput) {
+        return;
+    }
+
+    tagInput.addEventListener('input', updateTreeTagNote);
+    document.getElementById('treeForm').addEventListener('reset', () => {
+        setTimeout(updateTreeTagNote, 0);
+    });
+}
+
+function updateTreeTagNote() {
+    const tagNote = document.getElementById('treeTagNote');
+    const treeTag = treeGrowthMonitor.normalizeTag(document.getElementById('treeTag')?.value);
+    if (!tagNote) {
+        return;
+    }
+
+    if (!treeTag) {
+        tagNote.textContent = 'Re-measuring a tagged tree? Use the same tag to track its annual growth.';
+        return;
+    }
+
+    const visits = treeGrowthMonitor.findMeasurements(taggedHistory, treeTag);
+    if (visits.length === 0) {
+        tagNote.textContent = `New tag ${treeTag} - this will be visit 1.`;
+        return;
+    }
+
+    const last = visits[visits.length - 1];
+    const lastDate = new Date(treeGrowthMonitor.getMeasuredTime(last)).toLocaleDateString();
+    tagNote.textContent = `Visit ${visits.length + 1} of ${treeTag}. Last measured ${lastDate}: ${last.tree}, ${last.circumference} cm.`;
+}
+
+function updateKnownTreeTags() {
+    const datalist = document.getElementById('knownTreeTags');
+    if (!datalist) {
+        return;
+    }
+
+    const tags = [...new Set(taggedHistory.map(calc => calc.treeTag).filter(Boolean))];
+    datalist.innerHTML = tags.map(tag => `<option value="${escapeHtml(tag)}"></option>`).join('');
+}
+
+// Links this calculation to the latest earlier visit of the same tag
+function buildTreeMonitoring(treeTag, treeData, results, latitude, longitude) {
+    const measuredAt = new Date().toISOString();
+    if (!treeTag) {
+        return { treeTag: null, measuredAt, visitNumber: 1, growth: null };
+    }
+
+    const visits = treeGrowthMonitor.findMeasurements(taggedHistory, treeTag);
+    const previous = visits[visits.length - 1];
+    const growth = previous
+        ? treeGrowthMonitor.calculateSequestration(previous, {
+            measuredAt,
+            tree: treeData.name,
+            circumference: results.inputs.circumference,
+            carbon: results.carbon,
+            method: results.inputs.method,
+            methodLabel: results.inputs.methodLabel,
+            woodDensity: results.inputs.woodDensity,
+            heightUsed: results.inputs.height,
+            heightSource: results.inputs.heightSource || null,
+            latitude,
+            longitude
+        })
+        : null;
+
+    return { treeTag, measuredAt, visitNumber: visits.length + 1, growth };
+}
+
+function displayGrowth(monitoring, currentCarbon) {
+    const growthCard = document.getElementById('growthCard');
+    if (!growthCard) {
+        return;
+    }
+
+    if (!monitoring || !monitoring.growth) {
+        growthCard.style.display = 'none';
+        return;
+    }
+
+    const growth = monitoring.growth;
+    document.getElementById('annualCarbonValue').textContent = growth.annualCarbon;
+    document.getElementById('annualCO2Value').textContent = growth.annualCO2;
+    document.getElementById('dbhGrowthValue').textContent = growth.dbhChangePerYear;
+    document.getElementById('growthSummary').textContent =
+        `${monitoring.treeTag}, visit ${monitoring.visitNumber}: ${growth.carbonIncrement} kg C gained over ${growth.years} years since ${new Date(growth.previousMeasuredAt).toLocaleDateString()}.`;
+    document.getElementById('growthFlags').innerHTML = growth.flags
+        .map(flag => `<li>${escapeHtml(flag)}</li>`)
+        .join('');
+
+    // Earlier visits of this tag plus the one being displayed
+    const currentTime = Date.parse(monitoring.measuredAt);
+    const points = treeGrowthMonitor.findMeasurements(taggedHistory, monitoring.treeTag)
+        .filter(calc => treeGrowthMonitor.getMeasuredTime(calc) < currentTime)
+        .map(calc => ({
+            time: treeGrowthMonitor.getMeasuredTime(calc),
+            carbon: parseFloat(calc.results.carbon) || 0,
+            flagged: Boolean(calc.growth && calc.growth.flags.length > 0)
+        }));
+    points.push({ time: currentTime, carbon: parseFloat(currentCarbon) || 0, flagged: growth.flags.length > 0 });
+    document.getElementById('growthChart').innerHTML = treeGrowthMonitor.renderGrowthChart(points);
+
+    growthCard.style.display = 'block';
+}
+
+// Growth projection: current tree (plus an optional comparison species) over 10-50 years
+function initializeProjectionControls() {
+    const horizonSelect = document.getElementById('projectionHorizon');
+    const compareSelect = document.getElementById('projectionCompare');
+    if (!horizonSelect || !compareSelect) {
+        return;
+    }
+
+    // Only species with their own growth rates are worth comparing against
+    const seen = new Set();
+    treeSpeciesData.forEach((tree, index) => {
+        const key = indianCalculator.normalizeSpeciesName(tree.scientific);
+        if (!growthProjector.SPECIES_GROWTH[key] || seen.has(key)) {
+            return;
+        }
+        seen.add(key);
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = tree.name;
+        compareSelect.appendChild(option);
+    });
+
+    horizonSelect.addEventListener('change', renderProjection);
+    compareSelect.addEventListener('change', renderProjection);
+}
+
+function renderProjection() {
+    const projectionCard = document.getElementById('projectionCard');
+    if (!projectionCard || !projectionBase) {
+        return;
+    }
+
+    const horizon = document.getElementById('projectionHorizon').value;
+    const compareIndex = document.getElementById('projectionCompare').value;
+
+    try {
+        currentProjections = [growthProjector.project({ ...projectionBase, horizon })];
+
+        if (compareIndex !== '') {
+            // Same starting size and age, but the comparison species' own density and height curve
+            const compareTree = treeSpeciesData[Number(compareIndex)];
+            currentProjections.push(growthProjector.project({
+                ...projectionBase,
+                treeData: compareTree,
+                woodDensity: indianCalculator.getWoodDensityDetails(compareTree.name, compareTree.scientific).density,
+                height: null,
+                horizon
+            }));
+        }
+    } catch (error) {
+        console.warn('Growth projection unavailable:', error);
+        currentProjections = [];
+        projectionCard.style.display = 'none';
+        return;
+    }
+
+    const main = currentProjections[0];
+    const last = main.rows[main.rows.length - 1];
+    document.getElementById('projectionSummary').textContent =
+        `${main.species}: DBH ${main.rows[0].dbh} → ${last.dbh} cm, about ${last.cumulativeCO2} kg CO₂ more stored after ${main.horizon} years. ` +
+        `Growth ${main.growth.mai} cm/year (${main.growth.source}${main.growth.ageCalibrated ? `, adjusted x${main.growth.siteFactor} for this tree's age` : ''}).`;
+    document.getElementById('projectionChart').innerHTML = growthProjector.renderProjectionChart(currentProjections);
+    document.getElementById('projectionTable').innerHTML = formatProjectionTable(currentProjections);
+    projectionCard.style.display = 'block';
+}
+
+function formatProjectionTable(projections) {
+    const [main, compare] = projections;
+    const compareRows = compare ? growthProjector.getMilestoneRows(compare) : [];
+    const header = `
+        <tr>
+            <th>Year</th><th>Age</th><th>DBH (cm)</th><th>AGB (kg)</th><th>Carbon (kg C)</th><th>Cumulative CO₂ (kg)</th>
+            ${compare ? `<th>${escapeHtml(compare.species)} Carbon (kg C)</th><th>${escapeHtml(compare.species)} CO₂ (kg)</th>` : ''}
+        </tr>`;
+    const rows = growthProjector.getMilestoneRows(main).map((row, index) => `
+        <tr>
+            <td>+${row.year}</td><td>${row.age ?? '-'}</td><td>${row.dbh}</td><td>${row.agb}</td><td>${row.carbon}</td><td>${row.cumulativeCO2}</td>
+            ${compare ? `<td>${compareRows[index].carbon}</td><td>${compareRows[index].cumulativeCO2}</td>` : ''}
+        </tr>`).join('');
+    return `<thead>${header}</thead><tbody>${rows}</tbody>`;
 }
 
 function refreshWoodDensityForSelection() {
@@ -368,16 +932,25 @@ document.getElementById('treeForm').addEventListener('submit', (e) => {
 
 // Perform calculation
 function performCalculation() {
+    // Circumference may have changed since the height was predicted (e.g. camera auto-fill)
+    refreshPredictedHeight();
+
     // Get form values
     const speciesIndex = selectedTreeIndex;
     const circumference = parseFloat(document.getElementById('circumference').value);
+    const stemCircumferences = getStemCircumferences();
     const method = document.getElementById('biomassMethod')?.value || 'method1';
     const heightM = parseFloat(document.getElementById('treeHeight')?.value);
+    const heightSource = document.getElementById('treeHeight')?.dataset.source || 'measured';
+    const heightErrorCv = parseFloat(document.getElementById('treeHeight')?.dataset.errorCv) || 0;
+    const crownDiameterM = parseFloat(document.getElementById('crownDiameter')?.value);
+    const crownSource = document.getElementById('crownDiameter')?.dataset.source || 'measured';
     const forestType = document.getElementById('forestType')?.value || 'broadleaf';
     const woodDensityOverride = parseFloat(document.getElementById('woodDensity')?.value);
     const age = document.getElementById('age')?.value || 'N/A';
     const latitude = document.getElementById('latitude')?.value || 'Not captured';
     const longitude = document.getElementById('longitude')?.value || 'Not captured';
+    const treeTag = treeGrowthMonitor.normalizeTag(document.getElementById('treeTag')?.value);
 
     // Validate inputs (speciesIndex can be 0, so check for null/undefined)
     if (speciesIndex === null || speciesIndex === undefined || !circumference) {
@@ -385,8 +958,18 @@ function performCalculation() {
         return;
     }
 
-    if (method === 'method2' && (!Number.isFinite(heightM) || heightM <= 0)) {
-        alert('Method 2 requires tree height in meters. Please enter a valid height.');
+    if (!stemCircumferences) {
+        alert('Each additional stem needs a valid circumference in cm (or remove the empty stem).');
+        return;
+    }
+
+    if ((method === 'method2' || method === 'method4') && (!Number.isFinite(heightM) || heightM <= 0)) {
+        alert(`${method === 'method2' ? 'Method 2' : 'Method 4'} requires tree height in meters. Please enter a valid height.`);
+        return;
+    }
+
+    if (method === 'method4' && (!Number.isFinite(crownDiameterM) || crownDiameterM <= 0)) {
+        alert('Method 4 requires the crown diameter in meters. Enter it, pace the crown spread, or take a photo of the whole tree.');
         return;
     }
 
@@ -395,23 +978,54 @@ function performCalculation() {
         return;
     }
 
+    if (method === 'method3' && !indianCalculator.getEnvironmentalStress(latitude, longitude)) {
+        alert('Method 3 needs GPS coordinates inside the environmental stress (E) lookup area. Tap "Get Location" first, or choose Method 1 or 2.');
+        return;
+    }
+
     // Get tree species data
     const treeData = getTreeData(speciesIndex);
 
     // Calculate results using Chave (2014) method selection
-    const results = indianCalculator.calculate(circumference, treeData.name, heightM, {
+    const circumferenceInput = stemCircumferences.length > 1 ? stemCircumferences : circumference;
+    const results = indianCalculator.calculate(circumferenceInput, treeData.name, heightM, {
         scientificName: treeData.scientific,
         method,
         forestType,
-        woodDensityOverride
+        woodDensityOverride,
+        heightSource,
+        heightErrorCv,
+        crownDiameterM,
+        crownSource,
+        latitude,
+        longitude
     });
 
+    // How the circumference was measured (tape unless the camera filled it)
+    results.provenance = circumferenceProvenance || measurementProvenance.tape();
+
+    // Link to earlier visits of the same tagged tree
+    results.monitoring = buildTreeMonitoring(treeTag, treeData, results, latitude, longitude);
+
+    // Credit value under the user's chosen price scheme at the time of calculation
+    results.valuation = carbonValuation.calculate(results.co2Tonnes, getValuationSettings());
+
+    // Trees recorded while a sample plot is active belong to that plot
+    const activePlot = getActivePlot();
+    results.plot = activePlot
+        ? { id: activePlot.id, name: activePlot.name, areaHa: activePlot.areaHa, shape: activePlot.shape }
+        : null;
+
     // Display results
     displayResults(treeData, results, age, latitude, longitude);
 
     // Save to history
     saveToHistory(treeData, results, age, latitude, longitude);
 
+    if (activePlot) {
+        addTreeToPlot(activePlot, treeData, results);
+    }
+
     // Scroll to results
     document.getElementById('resultsSection').scrollIntoView({ behavior: 'smooth' });
 }
@@ -425,13 +1039,19 @@ function displayResults(treeData, results, age, latitude, longitude) {
     document.getElementById('treeName').textContent = treeData.name;
     document.getElementById('treeDetails').innerHTML = `
         <p><strong>Scientific Name:</strong> ${treeData.scientific}</p>
-        <p><strong>Circumference:</strong> ${results.inputs.circumference} cm</p>
+        <p><strong>Circumference:</strong> ${results.inputs.circumference} cm${results.provenance ? ` (${measurementProvenance.describe(results.provenance)})` : ''}</p>
         <p><strong>DBH (Calculated):</strong> ${results.inputs.dbh} cm</p>
+        ${results.inputs.stemCount > 1 ? `<p><strong>Stems:</strong> ${formatStemBreakdown(results.inputs)}</p>` : ''}
         <p><strong>Method:</strong> ${results.inputs.methodLabel}</p>
-        <p><strong>Height Used:</strong> ${results.inputs.height === 'Not used' ? 'Not used' : `${results.inputs.height} m`}</p>
+        <p><strong>Height Used:</strong> ${results.inputs.height === 'Not used' ? 'Not used' : `${results.inputs.height} m (${results.inputs.heightSourceLabel || 'Measured'}${results.inputs.heightErrorCv ? `, ± ${(results.inputs.height * results.inputs.heightErrorCv).toFixed(1)} m` : ''})`}</p>
+        ${results.inputs.crownDiameter ? `<p><strong>Crown:</strong> ${results.inputs.crownDiameter} m diameter, ${results.inputs.crownArea} m² (${results.inputs.crownSourceLabel})</p>` : ''}
+        ${results.inputs.method === 'method3' ? `<p><strong>Environmental Stress (E):</strong> ${results.inputs.environmentalStress} (${results.inputs.environmentalStressRegion})</p>` : ''}
         <p><strong>Wood Density:</strong> ${results.inputs.woodDensity} g/cm^3 (${results.inputs.woodDensitySource})</p>
         <p><strong>Forest Type:</strong> ${results.inputs.forestType} (CF ${results.inputs.carbonFraction})</p>
+        <p><strong>CO₂ Equivalent:</strong> ${results.co2} kg ${formatRange(results.uncertainty?.co2)}</p>
+        ${results.uncertainty ? `<p><strong>Uncertainty (log σ):</strong> ${results.uncertainty.logSigma} = model ${results.uncertainty.sources.model}, wood density ${results.uncertainty.sources.woodDensity}, circumference ${results.uncertainty.sources.circumference}${Number(results.uncertainty.sources.height) > 0 ? `, height ${results.uncertainty.sources.height}` : ''}${Number(results.uncertainty.sources.crown) > 0 ? `, crown ${results.uncertainty.sources.crown}` : ''}</p>` : ''}
         <p><strong>Age:</strong> ${age} years</p>
+        ${results.monitoring?.treeTag ? `<p><strong>Tree Tag:</strong> ${escapeHtml(results.monitoring.treeTag)} (visit ${results.monitoring.visitNumber})</p>` : ''}
         <p><strong>GPS Location:</strong> ${latitude}, ${longitude}</p>
     `;
 
@@ -443,12 +1063,37 @@ function displayResults(treeData, results, age, latitude, longitude) {
 
     document.getElementById('oxygenValue').textContent = results.oxygen;
     document.getElementById('pollutionValue').textContent = results.pollution;
+    lastDisplayedResults = results;
+    updateCreditCard(results);
+
+    // 95% confidence intervals (older history entries have none)
+    document.getElementById('biomassRange').textContent = formatRange(results.uncertainty?.totalBiomass);
+    document.getElementById('carbonRange').textContent = formatRange(results.uncertainty?.carbon);
+    document.getElementById('oxygenRange').textContent = formatRange(results.uncertainty?.oxygen);
 
     // Update equivalents
     document.getElementById('peopleEquivalent').textContent = results.equivalents.people;
     document.getElementById('carEquivalent').textContent = results.equivalents.carKm;
     document.getElementById('homeEquivalent').textContent = results.equivalents.homeDays;
 
+    displayGrowth(results.monitoring, results.carbon);
+
+    // Project this tree forward with the same method, density and location
+    const heightUsed = parseFloat(results.inputs.height);
+    projectionBase = {
+        treeData,
+        dbh: parseFloat(results.inputs.dbh),
+        age: parseFloat(age),
+        // There is no crown growth model, so open-grown trees are projected with Method 2
+        method: results.inputs.method === 'method4' ? 'method2' : results.inputs.method,
+        forestType: results.inputs.forestType,
+        woodDensity: parseFloat(results.inputs.woodDensity),
+        height: Number.isFinite(heightUsed) ? heightUsed : null,
+        latitude,
+        longitude
+    };
+    renderProjection();
+
     // Display tree information for agriculture users
     const treeInfoCard = document.getElementById('treeInfoCard');
     if (treeData.info) {
@@ -475,47 +1120,68 @@ function animateResults() {
     });
 }
 
-// Save calculation to history
-function saveToHistory(treeData, results, age, latitude, longitude) {
+// Save calculation to the tree store
+async function saveToHistory(treeData, results, age, latitude, longitude) {
+    const monitoring = results.monitoring || {};
     const calculation = {
         id: Date.now(),
         timestamp: new Date().toLocaleString(),
+        measuredAt: monitoring.measuredAt || new Date().toISOString(),
+        treeTag: monitoring.treeTag || null,
+        visitNumber: monitoring.visitNumber || 1,
+        growth: monitoring.growth || null,
+        plotId: results.plot?.id || null,
+        plotName: results.plot?.name || null,
+        valuation: results.valuation || null,
         tree: treeData.name,
         species: treeData.name,  // For map.js compatibility
         age: age,
         latitude: latitude,
         longitude: longitude,
-        circumference: parseFloat(document.getElementById('circumference').value),
+        circumference: parseFloat(results.inputs.circumference),
+        stemCount: results.inputs.stemCount || 1,
+        stems: results.inputs.stems || [],
         method: results.inputs.method,
         methodLabel: results.inputs.methodLabel,
         forestType: results.inputs.forestType,
         woodDensity: results.inputs.woodDensity,
         heightUsed: results.inputs.height,
+        heightSource: results.inputs.heightSource || null,
+        crownDiameter: results.inputs.crownDiameter || null,
+        crownArea: results.inputs.crownArea || null,
+        crownSource: results.inputs.crownSource || null,
+        environmentalStress: results.inputs.environmentalStress || 'Not used',
+        provenance: results.provenance || null,
         co2: results.co2,
         oxygen: results.oxygen,
         results: results
     };
 
-    calculationHistory.unshift(calculation);
-
-    // Keep only last 20 calculations
-    if (calculationHistory.length > 20) {
-        calculationHistory = calculationHistory.slice(0, 20);
+    let saved;
+    try {
+        saved = await treeStore.put(calculation);
+    } catch (error) {
+        console.error('❌ Error saving calculation:', error);
+        alert('Could not save this calculation on this device. Please check that storage is available.');
     }
 
-    // Save to localStorage (both keys for compatibility)
-    localStorage.setItem('treeCalculations', JSON.stringify(calculationHistory));
-    localStorage.setItem('treeHistory', JSON.stringify(calculationHistory));
+    // If user is logged in, submit to Firebase for admin; a failed local save must not drop it
+    submitToAdmin(treeData, results, age, latitude, longitude, saved ? calculation.id : null);
+    if (!saved) return;
 
-    // Update history display
-    displayHistory();
-    
-    // If user is logged in, submit to Firebase for admin
-    submitToAdmin(treeData, results, age, latitude, longitude);
+    if (saved.treeTag) {
+        taggedHistory.push(saved);
+    }
+
+    // Show the new calculation at the top of the first page
+    historyPage = 0;
+    await populateHistorySpeciesFilter();
+    await loadHistoryPage();
+    updateTreeTagNote();
 }
 
-// Submit data to admin's Firebase collection
-async function submitToAdmin(treeData, results, age, latitude, longitude) {
+// Queue data for the admin's Firebase collection; the outbox delivers it when online
+async function submitToAdmin(treeData, results, age, latitude, longitude, historyId = null) {
     const studentSession = localStorage.getItem('studentSession');
     if (!studentSession) {
         console.log('⚠️ No user session found, skipping admin submission');
@@ -523,27 +1189,39 @@ async function submitToAdmin(treeData, results, age, latitude, longitude) {
     }
     
     const session = JSON.parse(studentSession);
-    console.log('📤 Submitting data to admin:', session.adminUsername);
+    console.log('📤 Queueing data for admin:', session.adminUsername);
     
     try {
-        const { getFirestore, collection, addDoc } = await import("https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js");
-        const db = getFirestore(window.firebaseApp);
-        
         const submissionData = {
             adminUsername: session.adminUsername,
             studentId: session.studentId,
+            studentUid: session.studentUid || null,  // roster groups: bound to the signed-in student
+            rollNumber: session.rollNumber || null,
+            memberId: session.memberId || null,  // passes/{code}/members entry; sessions before it have none
             accessCode: session.accessCode,
+            groupId: session.groupId || null,  // sessions from before groups have none
+            groupName: session.groupName || null,
             treeName: treeData.name,
             scientificName: treeData.scientific,
-            circumference: parseFloat(document.getElementById('circumference').value),
+            circumference: parseFloat(results.inputs.circumference),
             dbh: results.inputs.dbh,
+            stemCount: results.inputs.stemCount || 1,
+            stems: results.inputs.stems || [],
             method: results.inputs.method,
             methodLabel: results.inputs.methodLabel,
             forestType: results.inputs.forestType,
             woodDensity: results.inputs.woodDensity,
             woodDensitySource: results.inputs.woodDensitySource,
             heightUsed: results.inputs.height,
+            heightSource: results.inputs.heightSource || null,
+            crownDiameter: results.inputs.crownDiameter || null,
+            crownArea: results.inputs.crownArea || null,
+            crownSource: results.inputs.crownSource || null,
+            environmentalStress: results.inputs.environmentalStress || 'Not used',
+            environmentalStressRegion: results.inputs.environmentalStressRegion || null,
             carbonFraction: results.inputs.carbonFraction,
+            inputMethod: measurementProvenance.getInputMethod(results.provenance),  // flat copy for queries
+            provenance: results.provenance || null,
             age: age,
             latitude: latitude,
             longitude: longitude,
@@ -554,44 +1232,584 @@ async function submitToAdmin(treeData, results, age, latitude, longitude) {
             co2: results.co2,
             oxygen: results.oxygen,
             pollution: results.pollution,
+            uncertainty: results.uncertainty || null,
+            treeTag: results.monitoring?.treeTag || null,
+            visitNumber: results.monitoring?.visitNumber || 1,
+            growth: results.monitoring?.growth || null,
+            plotId: results.plot?.id || null,
+            plotName: results.plot?.name || null,
+            plotAreaHa: results.plot?.areaHa || null,
+            plotShape: results.plot?.shape || null,
+            valuation: results.valuation || null,
+            replaces: pendingResubmission ? pendingResubmission.replaces : null,  // corrected remeasurement
             timestamp: new Date().toISOString()
         };
         
         console.log('📋 Submission data:', submissionData);
         
-        const docRef = await addDoc(collection(db, 'submissions'), submissionData);
-        
-        console.log('✅ Data submitted successfully! Doc ID:', docRef.id);
+        // The service worker has no Firebase SDK, so keep what it needs to send via REST
+        const options = window.firebaseApp?.options || {};
+        await submissionOutbox.enqueue(submissionData, {
+            historyId,
+            endpoint: options.projectId ? { projectId: options.projectId, apiKey: options.apiKey } : null
+        });
+        if (pendingResubmission) {
+            setPendingResubmission(null);
+        }
+        await refreshOutboxStatus();
+        registerOutboxSync();
+        flushOutbox();
     } catch (error) {
-        console.error('❌ Error submitting to admin:', error);
-        console.error('Error code:', error.code);
+        console.error('❌ Error queueing submission:', error);
         console.error('Error message:', error.message);
     }
 }
 
-// Load history from localStorage
-function loadHistory() {
-    const saved = localStorage.getItem('treeCalculations');
-    if (saved) {
-        calculationHistory = JSON.parse(saved);
-        displayHistory();
+// Offline outbox: per-history sync status and retry triggers
+let outboxStatusByHistoryId = new Map();
+let outboxRetryTimer = null;
+
+function initializeOutbox() {
+    if (!('indexedDB' in window)) {
+        return;
+    }
+
+    window.addEventListener('online', () => flushOutbox());
+    document.getElementById('resyncBtn')?.addEventListener('click', forceResync);
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'FLUSH_OUTBOX') {
+                flushOutbox();
+            } else if (event.data && event.data.type === 'OUTBOX_UPDATED') {
+                refreshOutboxStatus();
+            }
+        });
+    }
+
+    refreshOutboxStatus().then(() => flushOutbox());
+}
+
+// Uses the same document id on every attempt, so a retry after a lost response cannot duplicate it
+async function sendOutboxEntry(entry) {
+    if (!navigator.onLine) {
+        throw new Error('Offline');
+    }
+    const { getFirestore, doc, setDoc } = await import("https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js");
+    const db = getFirestore(window.firebaseApp);
+    // Roster students are checked against their anonymous Auth user, restored asynchronously
+    if (window.firebaseAuth) {
+        await window.firebaseAuth.authStateReady();
+    }
+    await setDoc(doc(db, 'submissions', entry.id), entry.data);
+}
+
+async function flushOutbox() {
+    try {
+        const summary = await submissionOutbox.flush(sendOutboxEntry);
+        if (summary.synced > 0) {
+            console.log(`✅ Outbox: ${summary.synced} submission(s) delivered to admin`);
+        }
+    } catch (error) {
+        console.error('❌ Outbox flush failed:', error);
+    }
+
+    await refreshOutboxStatus();
+    scheduleOutboxRetry();
+}
+
+async function scheduleOutboxRetry() {
+    clearTimeout(outboxRetryTimer);
+    const nextAttemptAt = await submissionOutbox.getNextAttemptAt();
+    if (nextAttemptAt !== null) {
+        outboxRetryTimer = setTimeout(flushOutbox, Math.max(1000, nextAttemptAt - Date.now()));
+    }
+}
+
+function registerOutboxSync() {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync && registration.sync.register(submissionOutbox.SYNC_TAG))
+        .catch(() => {
+            // No Background Sync (e.g. Safari/Firefox): the online event and retry timer cover it.
+        });
+}
+
+async function forceResync() {
+    const count = await submissionOutbox.resetForResync();
+    if (count === 0) {
+        alert('Everything is already synced with the admin.');
+        return;
+    }
+    await flushOutbox();
+}
+
+async function refreshOutboxStatus() {
+    try {
+        const entries = await submissionOutbox.getAll();
+        outboxStatusByHistoryId = new Map(entries.filter(entry => entry.historyId).map(entry => [entry.historyId, entry]));
+    } catch (error) {
+        console.warn('Outbox unavailable:', error);
+        return;
+    }
+
+    const unsynced = [...outboxStatusByHistoryId.values()].filter(entry => entry.status !== 'synced').length;
+    const resyncBtn = document.getElementById('resyncBtn');
+    if (resyncBtn) {
+        resyncBtn.innerHTML = `<i class="fas fa-sync-alt"></i> Resync${unsynced > 0 ? ` (${unsynced})` : ''}`;
+    }
+    displayHistory();
+}
+
+function getSyncBadge(historyId) {
+    const entry = outboxStatusByHistoryId.get(historyId);
+    if (!entry) {
+        return '';
+    }
+
+    const labels = { pending: 'Pending', synced: 'Synced', failed: 'Failed' };
+    const title = entry.status === 'synced'
+        ? `Delivered ${new Date(entry.syncedAt).toLocaleString()}`
+        : `${entry.attempts} attempt(s)${entry.lastError ? ` - ${entry.lastError}` : ''}`;
+    return `<span class="sync-badge ${entry.status}" title="${escapeHtml(title)}">${labels[entry.status]}</span>`;
+}
+
+// Admin feedback inbox: review verdicts for submissions this device delivered (see submission-review.js)
+let feedbackEntries = new Map();
+let pendingResubmission = null; // { replaces, treeName } while the user corrects a measurement
+const FEEDBACK_LIMIT = 50;
+
+function initializeFeedbackInbox() {
+    if (!localStorage.getItem('studentSession') || !('indexedDB' in window)) {
+        return;
+    }
+
+    document.getElementById('feedbackSection').style.display = '';
+    document.getElementById('refreshFeedbackBtn').addEventListener('click', loadFeedbackInbox);
+    document.getElementById('cancelResubmitBtn').addEventListener('click', () => setPendingResubmission(null));
+    loadFeedbackInbox();
+}
+
+async function loadFeedbackInbox() {
+    const session = JSON.parse(localStorage.getItem('studentSession') || 'null');
+    if (!session) {
+        return;
+    }
+
+    try {
+        // Only this user's deliveries; several users may share a device
+        const entries = (await submissionOutbox.getAll())
+            .filter(entry => entry.status === 'synced'
+                && entry.data.adminUsername === session.adminUsername
+                && entry.data.studentId === session.studentId)
+            .sort((a, b) => (b.syncedAt || '').localeCompare(a.syncedAt || ''))
+            .slice(0, FEEDBACK_LIMIT);
+
+        const { getFirestore } = await import("https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js");
+        const { loadReviews } = await import('./submission-review.js');
+        const reviews = await loadReviews(getFirestore(window.firebaseApp), entries.map(entry => entry.id));
+
+        feedbackEntries = new Map(entries.map(entry => [entry.id, entry]));
+        displayFeedback(entries, reviews);
+    } catch (error) {
+        console.warn('Could not load admin feedback:', error);
+    }
+}
+
+function displayFeedback(entries, reviews) {
+    const list = document.getElementById('feedbackList');
+    const labels = { approved: 'Approved', rejected: 'Rejected', 'needs-remeasure': 'Needs remeasure' };
+    const resubmitted = new Set(entries.filter(entry => entry.data.replaces).map(entry => entry.data.replaces));
+    const reviewed = entries.filter(entry => reviews.has(entry.id) && labels[reviews.get(entry.id).status]);
+    const waiting = entries.length - reviewed.length;
+
+    if (reviewed.length === 0) {
+        list.innerHTML = `<p class="no-history">${waiting > 0 ? `${waiting} tree(s) waiting for your admin's review.` : 'No feedback yet. Your admin\'s review of each tree will appear here.'}</p>`;
+        return;
+    }
+
+    list.innerHTML = reviewed.map(entry => {
+        const review = reviews.get(entry.id);
+        const canResubmit = review.status !== 'approved' && !resubmitted.has(entry.id);
+        return `
+        <div class="history-item">
+            <div class="history-info">
+                <h4>🌳 ${escapeHtml(entry.data.treeName || 'Tree')} <span class="sync-badge ${review.status}">${labels[review.status]}</span></h4>
+                <p>${escapeHtml(entry.data.circumference)} cm • ${new Date(entry.data.timestamp).toLocaleString()}${resubmitted.has(entry.id) ? ' • Resubmitted' : ''}</p>
+                ${review.comment ? `<p>💬 ${escapeHtml(review.comment)}${review.reviewedBy ? ` (${escapeHtml(review.reviewedBy)})` : ''}</p>` : ''}
+            </div>
+            ${canResubmit ? `
+            <div class="history-stats">
+                <button class="btn-export" onclick="startResubmission('${entry.id}')">
+                    <i class="fas fa-redo"></i> Remeasure
+                </button>
+            </div>` : ''}
+        </div>`;
+    }).join('') + (waiting > 0 ? `<p class="no-history">${waiting} more tree(s) waiting for review.</p>` : '');
+}
+
+// Loads the species and old circumference into the form; the next calculation is sent as the correction
+function startResubmission(submissionId) {
+    const entry = feedbackEntries.get(submissionId);
+    if (!entry) {
+        return;
+    }
+
+    const treeIndex = treeSpeciesData.findIndex(tree => tree.name === entry.data.treeName);
+    if (treeIndex >= 0) {
+        selectTree(treeIndex);
+    }
+    document.getElementById('circumference').value = entry.data.circumference || '';
+    setCircumferenceProvenance(null);
+    setPendingResubmission({ replaces: submissionId, treeName: entry.data.treeName });
+    document.querySelector('.input-section').scrollIntoView({ behavior: 'smooth' });
+}
+
+function setPendingResubmission(resubmission) {
+    pendingResubmission = resubmission;
+    const banner = document.getElementById('resubmitBanner');
+    if (!banner) {
+        return;
+    }
+    banner.style.display = resubmission ? 'flex' : 'none';
+    document.getElementById('resubmitText').textContent = resubmission
+        ? `Remeasuring ${resubmission.treeName || 'tree'}: measure again, then Calculate to send the correction.`
+        : '';
+}
+
+// Plot inventory: sample plots with their own tree lists, stored in localStorage
+function loadPlots() {
+    const saved = localStorage.getItem('treePlots');
+    plots = saved ? JSON.parse(saved) : [];
+    activePlotId = localStorage.getItem('activePlotId');
+    if (!plots.some(plot => plot.id === activePlotId)) {
+        activePlotId = null;
+    }
+}
+
+function savePlots() {
+    localStorage.setItem('treePlots', JSON.stringify(plots));
+    if (activePlotId) {
+        localStorage.setItem('activePlotId', activePlotId);
+    } else {
+        localStorage.removeItem('activePlotId');
+    }
+}
+
+function getActivePlot() {
+    return plots.find(plot => plot.id === activePlotId) || null;
+}
+
+function initializePlotControls() {
+    const plotForm = document.getElementById('plotForm');
+    if (!plotForm) {
+        return;
+    }
+
+    loadPlots();
+
+    const shapeSelect = document.getElementById('plotShape');
+    const readPlotDimensions = () => ({
+        radius: parseFloat(document.getElementById('plotRadius').value),
+        length: parseFloat(document.getElementById('plotLength').value),
+        width: parseFloat(document.getElementById('plotWidth').value),
+        boundary: plotInventory.parseBoundary(document.getElementById('plotBoundary').value)
+    });
+    const updateAreaPreview = () => {
+        const shape = shapeSelect.value;
+        document.querySelectorAll('#plotForm .plot-dimension').forEach(group => {
+            group.style.display = group.dataset.shapes.split(' ').includes(shape) ? 'block' : 'none';
+        });
+
+        const areaHa = plotInventory.calculateAreaHa(shape, readPlotDimensions());
+        document.getElementById('plotAreaPreview').textContent = areaHa > 0
+            ? `Plot area: ${areaHa.toFixed(4)} ha (${(areaHa * 10000).toFixed(0)} m²)`
+            : 'Enter plot dimensions to see its area.';
+    };
+
+    document.getElementById('newPlotBtn').addEventListener('click', () => {
+        plotForm.style.display = plotForm.style.display === 'none' ? 'grid' : 'none';
+        updateAreaPreview();
+    });
+
+    shapeSelect.addEventListener('change', updateAreaPreview);
+    plotForm.addEventListener('input', updateAreaPreview);
+
+    document.getElementById('addBoundaryPointBtn').addEventListener('click', () => {
+        const lat = document.getElementById('latitude').value;
+        const lon = document.getElementById('longitude').value;
+        if (!lat || !lon) {
+            alert('Tap "Get Location" in Tree Details first, then add the point.');
+            return;
+        }
+        const boundary = document.getElementById('plotBoundary');
+        boundary.value = `${boundary.value.trim()}\n${lat},${lon}`.trim();
+        updateAreaPreview();
+    });
+
+    plotForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const shape = shapeSelect.value;
+        const dimensions = readPlotDimensions();
+        const latitude = parseFloat(document.getElementById('latitude').value);
+        const longitude = parseFloat(document.getElementById('longitude').value);
+
+        let plot;
+        try {
+            plot = plotInventory.createPlot({
+                name: document.getElementById('plotName').value,
+                shape,
+                dimensions: shape === 'boundary' ? { boundary: dimensions.boundary } : dimensions,
+                centerLat: Number.isFinite(latitude) ? latitude : null,
+                centerLon: Number.isFinite(longitude) ? longitude : null
+            });
+        } catch (error) {
+            alert(`${error.message}. ${shape === 'boundary' ? 'Add at least 3 boundary corners.' : 'Check the plot dimensions.'}`);
+            return;
+        }
+
+        plots.unshift(plot);
+        activePlotId = plot.id;
+        savePlots();
+
+        plotForm.reset();
+        plotForm.style.display = 'none';
+        displayPlots();
+    });
+
+    document.getElementById('activePlotSelect').addEventListener('change', (e) => {
+        activePlotId = e.target.value || null;
+        savePlots();
+        displayPlots();
+    });
+
+    document.getElementById('deletePlotBtn').addEventListener('click', () => {
+        const plot = getActivePlot();
+        if (!plot) {
+            alert('Select a plot to delete.');
+            return;
+        }
+        if (confirm(`Delete plot "${plot.name}" and its ${plot.trees.length} tree records? Calculation history is kept.`)) {
+            plots = plots.filter(p => p.id !== plot.id);
+            activePlotId = null;
+            savePlots();
+            displayPlots();
+        }
+    });
+
+    displayPlots();
+}
+
+function addTreeToPlot(plot, treeData, results) {
+    plot.trees.push(plotInventory.createTreeRecord(treeData, results, {
+        measuredAt: results.monitoring?.measuredAt,
+        treeTag: results.monitoring?.treeTag
+    }));
+    savePlots();
+    displayPlots();
+}
+
+function removeTreeFromPlot(event, treeId) {
+    event.stopPropagation();
+
+    const plot = getActivePlot();
+    if (plot && confirm('Remove this tree from the plot?')) {
+        plot.trees = plot.trees.filter(tree => tree.id !== treeId);
+        savePlots();
+        displayPlots();
+    }
+}
+
+function displayPlots() {
+    const plotSelect = document.getElementById('activePlotSelect');
+    const plotSummary = document.getElementById('plotSummary');
+    const activePlotNote = document.getElementById('activePlotNote');
+    const plot = getActivePlot();
+
+    plotSelect.innerHTML = '<option value="">No plot (individual trees)</option>' + plots.map(p => `
+        <option value="${p.id}" ${p.id === activePlotId ? 'selected' : ''}>${escapeHtml(p.name)} (${p.areaHa} ha, ${p.trees.length} trees)</option>
+    `).join('');
+
+    if (activePlotNote) {
+        activePlotNote.style.display = plot ? 'block' : 'none';
+        activePlotNote.innerHTML = plot
+            ? `<i class="fas fa-vector-square"></i> Recording into plot "${escapeHtml(plot.name)}" (${plot.trees.length} trees so far)`
+            : '';
+    }
+
+    if (!plot) {
+        plotSummary.innerHTML = '<p class="no-history">Create a plot, select it above, then calculate each tree in the plot.</p>';
+        return;
+    }
+
+    const metrics = plotInventory.calculateStandMetrics(plot);
+    const targetArea = parseFloat(plotSummary.querySelector('#plotExtrapolateArea')?.value) || 1;
+    const extrapolated = plotInventory.extrapolate(metrics, targetArea);
+
+    plotSummary.innerHTML = `
+        <p class="plot-hint">${plotInventory.SHAPES[plot.shape]} plot, ${plot.areaHa} ha${plot.centerLat !== null ? ` at ${plot.centerLat}, ${plot.centerLon}` : ''} · created ${new Date(plot.createdAt).toLocaleDateString()}</p>
+        <div class="plot-metrics">
+            <div class="stat-badge"><strong>${metrics.treeCount}</strong><small>Trees (${metrics.stemCount} stems)</small></div>
+            <div class="stat-badge"><strong>${metrics.stemsPerHa}</strong><small>Stems/ha</small></div>
+            <div class="stat-badge"><strong>${metrics.basalAreaPerHa}</strong><small>Basal area m²/ha</small></div>
+            <div class="stat-badge"><strong>${metrics.quadraticMeanDbh}</strong><small>Quadratic mean DBH (cm)</small></div>
+            <div class="stat-badge"><strong>${metrics.agbTPerHa}</strong><small>AGB t/ha</small></div>
+            <div class="stat-badge"><strong>${metrics.carbonTPerHa}</strong><small>Carbon t C/ha</small></div>
+            <div class="stat-badge"><strong>${metrics.co2TPerHa}</strong><small>CO₂ t/ha</small></div>
+            <div class="stat-badge"><strong>${metrics.canopyCover !== null ? `${metrics.canopyCover}%` : '-'}</strong><small>Canopy cover (${metrics.treesWithCrown} of ${metrics.treeCount} crowns)</small></div>
+        </div>
+        <div class="plot-extrapolation">
+            <label for="plotExtrapolateArea">Extrapolate to</label>
+            <input type="number" id="plotExtrapolateArea" min="0.01" step="0.01" value="${targetArea}">
+            <span>ha of similar stand ≈ ${extrapolated ? `${extrapolated.trees} trees, ${extrapolated.agbTonnes} t AGB, ${extrapolated.carbonTonnes} t C, ${extrapolated.co2Tonnes} t CO₂` : '-'}</span>
+        </div>
+        ${metrics.composition.length > 0 ? `
+        <div class="projection-table-wrapper">
+            <table class="projection-table">
+                <thead><tr><th>Species</th><th>Trees</th><th>% Trees</th><th>% Basal Area</th><th>Carbon t C/ha</th></tr></thead>
+                <tbody>
+                    ${metrics.composition.map(entry => `
+                    <tr><td>${escapeHtml(entry.species)}</td><td>${entry.trees}</td><td>${entry.treeShare}</td><td>${entry.basalAreaShare}</td><td>${entry.carbonTPerHa}</td></tr>`).join('')}
+                </tbody>
+            </table>
+        </div>` : ''}
+        <div class="history-list" style="margin-top: 16px;">
+            ${plot.trees.length === 0 ? '<p class="no-history">No trees in this plot yet. Calculate a tree to add it.</p>' : plot.trees.map((tree, index) => `
+            <div class="history-item">
+                <div class="history-info">
+                    <h4>${index + 1}. ${escapeHtml(tree.species)}${tree.treeTag ? ` <small>#${escapeHtml(tree.treeTag)}</small>` : ''}</h4>
+                    <p>DBH ${tree.dbh.toFixed(1)} cm${tree.stemDbhs.length > 1 ? ` (${tree.stemDbhs.length} stems)` : ''}${tree.crownArea ? ` • Crown ${tree.crownArea.toFixed(1)} m²` : ''} • AGB ${tree.agb.toFixed(1)} kg • ${tree.carbon.toFixed(1)} kg C</p>
+                </div>
+                <div class="history-stats">
+                    <button class="delete-btn" onclick="removeTreeFromPlot(event, ${tree.id})">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>`).join('')}
+        </div>
+    `;
+
+    plotSummary.querySelector('#plotExtrapolateArea').addEventListener('change', displayPlots);
+}
+
+// Load history from the IndexedDB tree store (older localStorage history is migrated on first open)
+async function loadHistory() {
+    try {
+        taggedHistory = await treeStore.getTagged();
+        await populateHistorySpeciesFilter();
+        await loadHistoryPage();
+    } catch (error) {
+        console.error('❌ Could not open the tree store:', error);
+    }
+}
+
+function initializeHistoryControls() {
+    const searchInput = document.getElementById('historySearch');
+    const speciesSelect = document.getElementById('historySpecies');
+    if (!searchInput || !speciesSelect) {
+        return;
+    }
+
+    searchInput.addEventListener('input', () => {
+        clearTimeout(historySearchDebounceTimer);
+        historySearchDebounceTimer = setTimeout(() => {
+            historyPage = 0;
+            loadHistoryPage();
+        }, SEARCH_DEBOUNCE_MS);
+    });
+
+    speciesSelect.addEventListener('change', () => {
+        historyPage = 0;
+        loadHistoryPage();
+    });
+
+    document.getElementById('historyPrev').addEventListener('click', () => {
+        if (historyPage > 0) {
+            historyPage--;
+            loadHistoryPage();
+        }
+    });
+
+    document.getElementById('historyNext').addEventListener('click', () => {
+        if ((historyPage + 1) * HISTORY_PAGE_SIZE < historyTotal) {
+            historyPage++;
+            loadHistoryPage();
+        }
+    });
+}
+
+async function populateHistorySpeciesFilter() {
+    const speciesSelect = document.getElementById('historySpecies');
+    if (!speciesSelect) {
+        return;
+    }
+
+    const selected = speciesSelect.value;
+    const species = await treeStore.getSpecies();
+    speciesSelect.innerHTML = '<option value="">All species</option>' +
+        species.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+    speciesSelect.value = species.includes(selected) ? selected : '';
+}
+
+async function loadHistoryPage() {
+    const search = document.getElementById('historySearch')?.value || '';
+    const species = document.getElementById('historySpecies')?.value || '';
+
+    const page = await treeStore.getPage({
+        offset: historyPage * HISTORY_PAGE_SIZE,
+        limit: HISTORY_PAGE_SIZE,
+        species,
+        search
+    });
+
+    // Step back if deletions emptied the last page
+    if (page.records.length === 0 && historyPage > 0) {
+        historyPage = Math.max(0, Math.ceil(page.total / HISTORY_PAGE_SIZE) - 1);
+        return loadHistoryPage();
+    }
+
+    calculationHistory = page.records;
+    historyTotal = page.total;
+    displayHistory();
+}
+
+function updateHistoryPager() {
+    const pager = document.getElementById('historyPager');
+    if (!pager) {
+        return;
     }
+
+    const pageCount = Math.ceil(historyTotal / HISTORY_PAGE_SIZE);
+    pager.style.display = pageCount > 1 ? 'flex' : 'none';
+    document.getElementById('historyPageInfo').textContent =
+        `Page ${historyPage + 1} of ${pageCount} (${historyTotal} records)`;
+    document.getElementById('historyPrev').disabled = historyPage === 0;
+    document.getElementById('historyNext').disabled = historyPage + 1 >= pageCount;
 }
 
-// Display history list
+// Display the current history page
 function displayHistory() {
     const historyList = document.getElementById('historyList');
 
+    updateKnownTreeTags();
+    updateHistoryPager();
+
     if (calculationHistory.length === 0) {
-        historyList.innerHTML = '<p class="no-history">No calculations yet. Start by calculating a tree\'s impact!</p>';
+        const filtered = document.getElementById('historySearch')?.value || document.getElementById('historySpecies')?.value;
+        historyList.innerHTML = filtered
+            ? '<p class="no-history">No calculations match this search.</p>'
+            : '<p class="no-history">No calculations yet. Start by calculating a tree\'s impact!</p>';
         return;
     }
 
     historyList.innerHTML = calculationHistory.map(calc => `
         <div class="history-item" onclick="loadCalculation(${calc.id})">
             <div class="history-info">
-                <h4>🌳 ${calc.tree}</h4>
-                <p>${calc.timestamp} • ${calc.latitude || 'N/A'}, ${calc.longitude || 'N/A'}</p>
+                <h4>🌳 ${escapeHtml(calc.tree)}${calc.treeTag ? ` <small>#${escapeHtml(calc.treeTag)}</small>` : ''} ${getSyncBadge(calc.id)}</h4>
+                <p>${calc.timestamp} • ${calc.latitude || 'N/A'}, ${calc.longitude || 'N/A'}${calc.plotName ? ` • ${escapeHtml(calc.plotName)}` : ''}${calc.provenance ? ` • ${escapeHtml(measurementProvenance.describe(calc.provenance))}` : ''}</p>
             </div>
             <div class="history-stats">
                 <div class="stat-badge">
@@ -620,53 +1838,81 @@ function loadCalculation(id) {
 }
 
 // Delete a calculation from history
-function deleteCalculation(event, id) {
+async function deleteCalculation(event, id) {
     event.stopPropagation();
 
     if (confirm('Delete this calculation?')) {
-        calculationHistory = calculationHistory.filter(c => c.id !== id);
-        localStorage.setItem('treeCalculations', JSON.stringify(calculationHistory));
-        displayHistory();
+        await treeStore.delete(id);
+        taggedHistory = taggedHistory.filter(c => c.id !== id);
+        await populateHistorySpeciesFilter();
+        await loadHistoryPage();
+        updateTreeTagNote();
     }
 }
 
 // Clear all history
-document.getElementById('clearHistory').addEventListener('click', () => {
+document.getElementById('clearHistory').addEventListener('click', async () => {
     if (confirm('Clear all calculation history?')) {
-        calculationHistory = [];
-        localStorage.removeItem('treeCalculations');
-        displayHistory();
+        await treeStore.clear();
+        taggedHistory = [];
+        historyPage = 0;
+        await populateHistorySpeciesFilter();
+        await loadHistoryPage();
+        updateTreeTagNote();
     }
 });
 
-// Export history to Excel
-document.getElementById('exportExcel').addEventListener('click', () => {
-    if (calculationHistory.length === 0) {
+// Export history to Excel (every stored calculation, not just the visible page)
+document.getElementById('exportExcel').addEventListener('click', async () => {
+    const allCalculations = await treeStore.getAll();
+    if (allCalculations.length === 0) {
         alert('No calculation history to export!');
         return;
     }
 
     // Prepare data for Excel
-    const excelData = calculationHistory.map((calc, index) => {
+    const excelData = allCalculations.map((calc, index) => {
         return {
             'Sr. No.': index + 1,
             'Date & Time': calc.timestamp,
             'Tree Name': calc.tree,
             'Tree Age (years)': calc.age,
+            'Tree Tag': calc.treeTag || '',
+            'Plot': calc.plotName || '',
+            'Visit': calc.visitNumber || 1,
             'Latitude': calc.latitude || 'N/A',
             'Longitude': calc.longitude || 'N/A',
             'Method': calc.results.inputs.methodLabel,
             'Forest Type': calc.results.inputs.forestType,
             'Wood Density (g/cm^3)': calc.results.inputs.woodDensity,
             'Height Used (m)': calc.results.inputs.height,
+            'Height Source': calc.results.inputs.heightSourceLabel || (calc.results.inputs.height === 'Not used' ? 'Not used' : 'Measured'),
+            'Crown Diameter (m)': calc.results.inputs.crownDiameter || '',
+            'Crown Area (m2)': calc.results.inputs.crownArea || '',
+            'Crown Source': calc.results.inputs.crownSourceLabel || '',
+            'Environmental Stress (E)': calc.results.inputs.environmentalStress || 'Not used',
             'Circumference (cm)': calc.results.inputs.circumference,
+            'Circumference Source': measurementProvenance.describe(calc.results.provenance),
+            'Stems': formatStemBreakdown(calc.results.inputs),
             'DBH (cm)': calc.results.inputs.dbh,
             'Total Biomass (kg)': calc.results.biomass.total,
+            'Total Biomass 95% CI (kg)': formatRange(calc.results.uncertainty?.totalBiomass),
             'Above-Ground Biomass (kg)': calc.results.biomass.aboveGround,
             'Below-Ground Biomass (kg)': calc.results.biomass.belowGround,
             'Carbon Stored (kg C)': calc.results.carbon,
+            'Carbon 95% CI (kg C)': formatRange(calc.results.uncertainty?.carbon),
+            'CO2 (kg)': calc.results.co2,
+            'CO2 95% CI (kg)': formatRange(calc.results.uncertainty?.co2),
             'Oxygen Produced (kg/year)': calc.results.oxygen,
+            'Oxygen 95% CI (kg/year)': formatRange(calc.results.uncertainty?.oxygen),
             'Pollution Absorbed (kg/year)': calc.results.pollution,
+            'Credit Scheme': calc.valuation ? calc.valuation.schemeLabel : '',
+            'Net Credits (tCO2e)': calc.valuation ? calc.valuation.netTonnes : '',
+            'Credit Value': calc.valuation ? `${calc.valuation.currency} ${calc.valuation.value}` : '',
+            'Annual Carbon Sequestration (kg C/year)': calc.growth ? calc.growth.annualCarbon : '',
+            'Annual CO2 Sequestration (kg/year)': calc.growth ? calc.growth.annualCO2 : '',
+            'DBH Growth (cm/year)': calc.growth ? calc.growth.dbhChangePerYear : '',
+            'Growth Flags': calc.growth ? calc.growth.flags.join('; ') : '',
             'People Oxygen Equivalent': calc.results.equivalents.people,
             'Car KM Offset': calc.results.equivalents.carKm,
             'Home Days Offset': calc.results.equivalents.homeDays
@@ -683,20 +1929,41 @@ document.getElementById('exportExcel').addEventListener('click', () => {
         { wch: 20 }, // Date & Time
         { wch: 25 }, // Tree Name
         { wch: 15 }, // Age
+        { wch: 14 }, // Tree Tag
+        { wch: 20 }, // Plot
+        { wch: 8 },  // Visit
         { wch: 12 }, // Latitude
         { wch: 12 }, // Longitude
         { wch: 40 }, // Method
         { wch: 16 }, // Forest Type
         { wch: 18 }, // Wood Density
         { wch: 16 }, // Height Used
+        { wch: 22 }, // Height Source
+        { wch: 18 }, // Crown Diameter
+        { wch: 16 }, // Crown Area
+        { wch: 20 }, // Crown Source
+        { wch: 22 }, // Environmental Stress
         { wch: 18 }, // Circumference
+        { wch: 40 }, // Stems
         { wch: 12 }, // DBH
         { wch: 20 }, // Total Biomass
+        { wch: 32 }, // Total Biomass CI
         { wch: 25 }, // AGB
         { wch: 25 }, // BGB
         { wch: 20 }, // Carbon
+        { wch: 32 }, // Carbon CI
+        { wch: 14 }, // CO2
+        { wch: 32 }, // CO2 CI
         { wch: 25 }, // Oxygen
+        { wch: 32 }, // Oxygen CI
         { wch: 25 }, // Pollution
+        { wch: 36 }, // Credit Scheme
+        { wch: 20 }, // Net Credits
+        { wch: 18 }, // Credit Value
+        { wch: 30 }, // Annual Carbon
+        { wch: 28 }, // Annual CO2
+        { wch: 18 }, // DBH Growth
+        { wch: 50 }, // Growth Flags
         { wch: 22 }, // People Oxygen
         { wch: 15 }, // Car KM
         { wch: 15 }  // Home Days
@@ -705,6 +1972,38 @@ document.getElementById('exportExcel').addEventListener('click', () => {
     // Add worksheet to workbook
     XLSX.utils.book_append_sheet(wb, ws, 'Tree Calculations');
 
+    // Year-by-year projection of the tree currently shown in results
+    if (currentProjections.length > 0) {
+        const projectionData = currentProjections.flatMap(projection => projection.rows.map(row => ({
+            'Species': projection.species,
+            'Year': row.year,
+            'Age (years)': row.age ?? '',
+            'DBH (cm)': row.dbh,
+            'Height (m)': row.height ?? 'Not used',
+            'Above-Ground Biomass (kg)': row.agb,
+            'Carbon Stored (kg C)': row.carbon,
+            'CO2 (kg)': row.co2,
+            'Cumulative CO2 Added (kg)': row.cumulativeCO2,
+            'DBH Growth Rate (cm/year)': projection.growth.mai,
+            'Growth Rate Source': projection.growth.source
+        })));
+        const projectionWs = XLSX.utils.json_to_sheet(projectionData);
+        projectionWs['!cols'] = [
+            { wch: 30 }, // Species
+            { wch: 8 },  // Year
+            { wch: 12 }, // Age
+            { wch: 10 }, // DBH
+            { wch: 12 }, // Height
+            { wch: 25 }, // AGB
+            { wch: 20 }, // Carbon
+            { wch: 14 }, // CO2
+            { wch: 26 }, // Cumulative CO2
+            { wch: 24 }, // Growth Rate
+            { wch: 20 }  // Growth Rate Source
+        ];
+        XLSX.utils.book_append_sheet(wb, projectionWs, 'Growth Projection');
+    }
+
     // Generate filename with timestamp
     const filename = `EcoTree_History_${new Date().toISOString().slice(0, 10)}.xlsx`;
 
@@ -736,6 +2035,14 @@ document.getElementById('downloadPDF').addEventListener('click', () => {
     const people = document.getElementById('peopleEquivalent').textContent || '0';
     const car = document.getElementById('carEquivalent').textContent || '0';
     const home = document.getElementById('homeEquivalent').textContent || '0';
+    const biomassRange = document.getElementById('biomassRange').textContent;
+    const carbonRange = document.getElementById('carbonRange').textContent;
+    const oxygenRange = document.getElementById('oxygenRange').textContent;
+    const creditUnit = document.getElementById('creditUnit').textContent;
+    // jsPDF core fonts cannot draw the rupee sign, so use the currency code
+    const creditValuation = lastDisplayedResults
+        ? carbonValuation.calculate(lastDisplayedResults.co2Tonnes, getValuationSettings())
+        : null;
     
     // Get tree details
     const detailLines = Array.from(document.querySelectorAll('#treeDetails p'));
@@ -746,6 +2053,7 @@ document.getElementById('downloadPDF').addEventListener('click', () => {
     
     const circumference = getDetailLine('Circumference:');
     const dbh = getDetailLine('DBH (Calculated):');
+    const stems = getDetailLine('Stems:');
     const age = getDetailLine('Age:');
     const gpsLocation = getDetailLine('GPS Location:');
     
@@ -774,12 +2082,14 @@ document.getElementById('downloadPDF').addEventListener('click', () => {
     
     y = 45;
     
-    // Tree Info Box
+    // Tree Info Box (taller when a multi-stem breakdown is shown)
+    const stemLines = stems ? doc.splitTextToSize(stems, 170) : [];
+    const infoBoxH = 35 + stemLines.length * 5;
     doc.setFillColor(232, 245, 233);
-    doc.roundedRect(15, y, 180, 35, 3, 3, 'F');
+    doc.roundedRect(15, y, 180, infoBoxH, 3, 3, 'F');
     doc.setDrawColor(46, 204, 113);
     doc.setLineWidth(0.5);
-    doc.roundedRect(15, y, 180, 35, 3, 3, 'S');
+    doc.roundedRect(15, y, 180, infoBoxH, 3, 3, 'S');
     
     doc.setTextColor(...darkGreen);
     doc.setFontSize(16);
@@ -793,15 +2103,26 @@ document.getElementById('downloadPDF').addEventListener('click', () => {
     doc.text(dbh, 80, y + 22);
     doc.text(age, 20, y + 30);
     doc.text(gpsLocation, 80, y + 30);
+    if (stemLines.length > 0) {
+        doc.setFontSize(8);
+        doc.text(stemLines, 20, y + 37);
+    }
     
-    y = 90;
+    y = 55 + infoBoxH;
     
     // Results Grid
     const cards = [
-        { title: 'Total Biomass', value: biomass, unit: 'kg', color: [243, 156, 18], extra: `AGB: ${agb} | BGB: ${bgb}` },
-        { title: 'Carbon Stored', value: carbon, unit: 'kg C', color: [149, 165, 166] },
-        { title: 'Oxygen Production', value: oxygen, unit: 'kg O2/year', color: [26, 188, 156] },
-        { title: 'Air Pollution Removed', value: pollution, unit: 'kg/year', color: [231, 76, 60] }
+        { title: 'Total Biomass', value: biomass, unit: 'kg', color: [243, 156, 18], extra: `AGB: ${agb} | BGB: ${bgb}`, range: biomassRange },
+        { title: 'Carbon Stored', value: carbon, unit: 'kg C', color: [149, 165, 166], range: carbonRange },
+        { title: 'Oxygen Production', value: oxygen, unit: 'kg O2/year', color: [26, 188, 156], range: oxygenRange },
+        { title: 'Air Pollution Removed', value: pollution, unit: 'kg/year', color: [231, 76, 60] },
+        ...(creditValuation ? [{
+            title: 'Carbon Credit Value',
+            value: `${creditValuation.currency} ${Number(creditValuation.value).toFixed(2)}`,
+            unit: creditUnit.replace('₂', '2'),
+            color: [241, 196, 15],
+            extra: `${creditValuation.schemeLabel.replace(/\s*\(.*\)/, '')}, buffer ${creditValuation.bufferPercent}%, leakage ${creditValuation.leakagePercent}%`
+        }] : [])
     ];
     
     let cardX = 15;
@@ -833,7 +2154,11 @@ document.getElementById('downloadPDF').addEventListener('click', () => {
         doc.setTextColor(...gray);
         doc.setFontSize(8);
         doc.setFont('helvetica', 'normal');
-        doc.text(card.unit, cardX + cardW/2, cardY + 28, { align: 'center' });
+        // jsPDF core fonts have no "±" or en dash glyphs
+        const unitText = card.range
+            ? `${card.unit}  ${card.range.replace('±', '+/-').replace('–', ' to ')}`
+            : card.unit;
+        doc.text(unitText, cardX + cardW/2, cardY + 28, { align: 'center' });
         
         if (card.extra) {
             doc.setFontSize(7);
@@ -845,6 +2170,10 @@ document.getElementById('downloadPDF').addEventListener('click', () => {
     
     // Environmental Equivalents
     y = cardY + cardH + 15;
+    if (y + 60 > 290) {
+        doc.addPage();
+        y = 20;
+    }
     
     doc.setFillColor(243, 229, 245);
     doc.roundedRect(15, y, 180, 40, 3, 3, 'F');
@@ -884,6 +2213,48 @@ document.getElementById('downloadPDF').addEventListener('click', () => {
     doc.setFontSize(9);
     doc.text('Generated by EcoTree Tracker - Making environmental impact visible', 105, y, { align: 'center' });
     doc.text(new Date().toLocaleString(), 105, y + 6, { align: 'center' });
+
+    // Growth projection table on its own page
+    if (currentProjections.length > 0) {
+        const [main, compare] = currentProjections;
+        const compareRows = compare ? growthProjector.getMilestoneRows(compare) : [];
+
+        doc.addPage();
+        doc.setTextColor(...darkGreen);
+        doc.setFontSize(16);
+        doc.setFont('helvetica', 'bold');
+        doc.text(`Growth Projection - ${main.horizon} years`, 105, 20, { align: 'center' });
+
+        doc.setTextColor(...gray);
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'normal');
+        doc.text(`${main.species}: DBH growth ${main.growth.mai} cm/year (${main.growth.source}), levelling off near ${main.growth.maxDbh} cm`, 105, 28, { align: 'center' });
+
+        const columns = compare
+            ? ['Year', 'DBH (cm)', 'AGB (kg)', 'Carbon (kg C)', 'Cum. CO2 (kg)', `${compare.species.split(' (')[0]} C (kg)`, `${compare.species.split(' (')[0]} CO2 (kg)`]
+            : ['Year', 'Age', 'DBH (cm)', 'AGB (kg)', 'Carbon (kg C)', 'Cum. CO2 (kg)'];
+        const colW = 180 / columns.length;
+        let rowY = 40;
+
+        doc.setTextColor(...dark);
+        doc.setFont('helvetica', 'bold');
+        columns.forEach((col, i) => doc.text(col, 15 + colW * i + colW / 2, rowY, { align: 'center' }));
+        doc.setDrawColor(...green);
+        doc.line(15, rowY + 2, 195, rowY + 2);
+
+        doc.setFont('helvetica', 'normal');
+        growthProjector.getMilestoneRows(main).forEach((row, index) => {
+            rowY += 7;
+            const cells = compare
+                ? [`+${row.year}`, row.dbh, row.agb, row.carbon, row.cumulativeCO2, compareRows[index].carbon, compareRows[index].cumulativeCO2]
+                : [`+${row.year}`, row.age ?? '-', row.dbh, row.agb, row.carbon, row.cumulativeCO2];
+            cells.forEach((cell, i) => doc.text(String(cell), 15 + colW * i + colW / 2, rowY, { align: 'center' }));
+        });
+
+        doc.setTextColor(...gray);
+        doc.setFontSize(8);
+        doc.text('Projections assume average growth for the species and site; actual growth varies with rainfall, soil and management.', 105, rowY + 12, { align: 'center' });
+    }
     
     // Save
     doc.save(`tree-carbon-report-${Date.now()}.pdf`);
@@ -901,12 +2272,20 @@ function getFullShareText() {
     const peopleEquivalent = document.getElementById('peopleEquivalent').textContent;
     const carEquivalent = document.getElementById('carEquivalent').textContent;
     const homeEquivalent = document.getElementById('homeEquivalent').textContent;
+    const biomassRange = document.getElementById('biomassRange').textContent;
+    const carbonRange = document.getElementById('carbonRange').textContent;
+    const growthVisible = document.getElementById('growthCard')?.style.display === 'block';
+    const growthLine = growthVisible
+        ? `📈 Annual Sequestration: ${document.getElementById('annualCO2Value').textContent} kg CO₂/year\n`
+        : '';
 
     return `🌳 *${treeName} - Environmental Impact Report*\n\n` +
-           `⚖️ Total Biomass: ${biomassValue} kg\n` +
+           `⚖️ Total Biomass: ${biomassValue} kg ${biomassRange}\n` +
            `   ▪ Above-ground: ${agbValue} kg\n` +
            `   ▪ Below-ground: ${bgbValue} kg\n\n` +
-           `🔬 Carbon Stored: ${carbonValue} kg C\n` +
+           `🔬 Carbon Stored: ${carbonValue} kg C ${carbonRange}\n` +
+           growthLine +
+           `💰 Carbon Credit Value: ${document.getElementById('creditValue').textContent} (${document.getElementById('creditUnit').textContent})\n` +
            `💨 Oxygen Produced: ${oxygenValue} kg O₂/year\n` +
            `🌫️ Pollution Absorbed: ${pollutionValue} kg/year\n\n` +
            `🌍 *Environmental Equivalents:*\n` +
@@ -0,0 +1,195 @@
+// Calibration Benchmark
+// Replays calibration samples through AdvancedTreeML.measureAutomatically (which runs
+// RealWorldMeasurement.fullMeasurement), reports accuracy per method and fits new correction factors.
+//
+// Headless run: serve the repo root, then for example
+//   chrome --headless=new --virtual-time-budget=900000 --dump-dom \
+//     "http://localhost:8000/calibration-benchmark.html?dataset=ecotree-calibration.json"
+// The report is written as JSON to #benchmarkReport and <body data-benchmark-status="done">.
+
+let benchmarkML = null;
+let lastReport = null;
+
+const BENCHMARK_MAX_WIDTH = 1200; // same downscale as camera-handler.js
+
+function setBenchmarkStatus(text, type = 'info') {
+    const statusEl = document.getElementById('benchmarkStatus');
+    statusEl.className = 'status ' + type;
+    statusEl.textContent = text;
+}
+
+function loadPhotoToCanvas(photo, canvas) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(photo);
+        const img = new Image();
+        img.onload = () => {
+            let w = img.width, h = img.height;
+            if (w > BENCHMARK_MAX_WIDTH) {
+                h = Math.round(h * (BENCHMARK_MAX_WIDTH / w));
+                w = BENCHMARK_MAX_WIDTH;
+            }
+            canvas.width = w;
+            canvas.height = h;
+            canvas.getContext('2d').drawImage(img, 0, 0, w, h);
+            URL.revokeObjectURL(url);
+            resolve();
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Photo could not be decoded'));
+        };
+        img.src = url;
+    });
+}
+
+// Re-measures one sample exactly as the app would: same reference setting and species
+async function replaySample(sample, canvas) {
+    await loadPhotoToCanvas(sample.photo, canvas);
+
+    if (sample.reference && sample.reference.type) {
+        realWorldEngine.setManualReference(sample.reference.type, sample.reference.customWidthCm);
+    } else {
+        realWorldEngine.clearManualReference();
+    }
+    // measureAutomatically reads the selected species from the form
+    document.getElementById('treeSearch').value = sample.species || '';
+
+    const measurements = await benchmarkML.measureAutomatically(canvas, sample.photo);
+    const rawMethods = (measurements.realWorldData && measurements.realWorldData.rawMethods) || [];
+
+    return {
+        id: sample.id,
+        species: sample.species || null,
+        tapeCircumference: sample.tapeCircumference,
+        circumference: parseFloat(measurements.circumference),
+        confidence: parseFloat(measurements.confidence),
+        methods: rawMethods.map(m => ({ method: m.method, circumference: Number(m.circumference.toFixed(1)) }))
+    };
+}
+
+async function runBenchmark(samples) {
+    if (samples.length === 0) {
+        throw new Error('The dataset has no samples');
+    }
+
+    setBenchmarkStatus('Loading models...');
+    benchmarkML = benchmarkML || new AdvancedTreeML();
+    await benchmarkML.loadModels();
+    await realWorldEngine.loadCorrectionFactors();
+
+    const canvas = document.getElementById('benchmarkCanvas');
+    const results = [];
+    const failures = [];
+
+    for (let i = 0; i < samples.length; i++) {
+        setBenchmarkStatus(`Replaying sample ${i + 1} of ${samples.length}...`);
+        try {
+            results.push(await replaySample(samples[i], canvas));
+        } catch (error) {
+            failures.push({ id: samples[i].id, error: error.message || String(error) });
+        }
+    }
+
+    return {
+        ranAt: new Date().toISOString(),
+        sampleCount: samples.length,
+        measuredCount: results.length,
+        factorsUsed: { ...realWorldEngine.correctionFactors },
+        methodScaleUsed: { ...realWorldEngine.methodScale },
+        calibrationUsed: realWorldEngine.calibrationInfo,
+        accuracy: calibrationDataset.benchmark(results, realWorldEngine),
+        fitted: calibrationDataset.fitCorrectionFactors(results, realWorldEngine),
+        failures,
+        results
+    };
+}
+
+function formatStat(value, suffix = '') {
+    return value === null ? '-' : value + suffix;
+}
+
+function renderReport(report) {
+    const rows = [['Final (fused)', report.accuracy.final]]
+        .concat(Object.keys(report.accuracy.methods).map(key => [key, report.accuracy.methods[key]]));
+
+    document.getElementById('accuracyTable').innerHTML = `
+        <tr><th>Method</th><th>n</th><th>MAE (cm)</th><th>Bias (cm)</th><th>RMSE (cm)</th><th>MAPE</th></tr>
+        ${rows.map(([name, stats]) => `
+            <tr>
+                <td>${name}</td>
+                <td>${stats.n}</td>
+                <td>${formatStat(stats.mae)}</td>
+                <td>${formatStat(stats.bias)}</td>
+                <td>${formatStat(stats.rmse)}</td>
+                <td>${formatStat(stats.mape, '%')}</td>
+            </tr>
+        `).join('')}
+    `;
+
+    document.getElementById('fittedFactors').textContent = JSON.stringify(report.fitted, null, 2);
+    document.getElementById('benchmarkReport').textContent = JSON.stringify(report, null, 2);
+    document.getElementById('downloadFactorsBtn').disabled = false;
+    document.getElementById('reportCard').style.display = 'block';
+
+    const summary = `${report.measuredCount} of ${report.sampleCount} samples measured` +
+        (report.failures.length > 0 ? `, ${report.failures.length} failed (see report)` : '') +
+        `. Final MAE ${formatStat(report.accuracy.final.mae, ' cm')}, bias ${formatStat(report.accuracy.final.bias, ' cm')}.`;
+    setBenchmarkStatus(summary, report.failures.length > 0 ? 'warning' : 'success');
+}
+
+async function runAndRender(samples) {
+    document.body.dataset.benchmarkStatus = 'running';
+    try {
+        lastReport = await runBenchmark(samples);
+        renderReport(lastReport);
+        document.body.dataset.benchmarkStatus = 'done';
+    } catch (error) {
+        console.error('Benchmark failed:', error);
+        setBenchmarkStatus('Benchmark failed: ' + error.message, 'error');
+        document.body.dataset.benchmarkStatus = 'error';
+    }
+}
+
+function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2) + '\n'], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('datasetFile').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const samples = await calibrationDataset.importDataset(JSON.parse(await file.text()));
+        runAndRender(samples);
+    });
+
+    document.getElementById('deviceSamplesBtn').addEventListener('click', async () => {
+        runAndRender(await calibrationDataset.getAll());
+    });
+
+    document.getElementById('downloadFactorsBtn').addEventListener('click', () => {
+        if (lastReport) {
+            downloadJson(lastReport.fitted, 'correction-factors.json');
+        }
+    });
+
+    // ?dataset=<url> runs unattended (headless browsers)
+    const datasetUrl = new URLSearchParams(window.location.search).get('dataset');
+    if (datasetUrl) {
+        fetch(datasetUrl)
+            .then(response => {
+                if (!response.ok) throw new Error('Dataset not accessible: ' + datasetUrl);
+                return response.json();
+            })
+            .then(dataset => calibrationDataset.importDataset(dataset))
+            .then(samples => runAndRender(samples))
+            .catch(error => {
+                setBenchmarkStatus(error.message, 'error');
+                document.body.dataset.benchmarkStatus = 'error';
+            });
+    }
+});
@@ -0,0 +1,209 @@
+// Calibration Dataset
+// Photo measurements paired with tape-measured circumferences, stored on the device (IndexedDB),
+// plus the error statistics and correction-factor fit used by calibration-benchmark.html.
+
+class CalibrationDataset {
+    constructor() {
+        this.DB_NAME = "ecotree-calibration";
+        this.DB_VERSION = 1;
+        this.STORE = "samples";
+        this.MIN_FIT_SAMPLES = 5; // per method; fewer pairs leave that factor unchanged
+
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.STORE, { keyPath: "id" });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async runTransaction(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const request = callback(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // photo: the original image File/Blob, so EXIF survives for replay
+    async addSample({ photo, tapeCircumference, species = null, reference = null, measurement }) {
+        const tape = parseFloat(tapeCircumference);
+        if (!(tape > 0)) {
+            throw new Error("Enter the tape-measured circumference in cm");
+        }
+        if (!photo) {
+            throw new Error("No photo to calibrate against");
+        }
+
+        const sample = {
+            id: Date.now(),
+            createdAt: new Date().toISOString(),
+            tapeCircumference: tape,
+            photo,
+            photoName: photo.name || "photo.jpg",
+            species,
+            reference,
+            measurement: this.summarizeMeasurement(measurement)
+        };
+        await this.runTransaction("readwrite", (store) => store.put(sample));
+        return sample;
+    }
+
+    // What the app reported at capture time (the benchmark re-measures from the photo)
+    summarizeMeasurement(measurement) {
+        if (!measurement) {
+            return null;
+        }
+        const rawMethods = (measurement.realWorldData && measurement.realWorldData.rawMethods) || [];
+        return {
+            circumference: parseFloat(measurement.circumference) || null,
+            confidence: parseFloat(measurement.confidence) || null,
+            methods: rawMethods.map((m) => ({ method: m.method, circumference: m.circumference }))
+        };
+    }
+
+    getAll() {
+        return this.runTransaction("readonly", (store) => store.getAll());
+    }
+
+    count() {
+        return this.runTransaction("readonly", (store) => store.count());
+    }
+
+    clear() {
+        return this.runTransaction("readwrite", (store) => store.clear());
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // Portable JSON (photos as data URLs) for sharing and headless replay
+    async exportDataset() {
+        const samples = await this.getAll();
+        return {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            samples: await Promise.all(samples.map(async (sample) => ({
+                ...sample,
+                photo: await this.blobToDataUrl(sample.photo)
+            })))
+        };
+    }
+
+    // Inverse of exportDataset(): photos back to Files
+    async importDataset(dataset) {
+        const samples = Array.isArray(dataset && dataset.samples) ? dataset.samples : [];
+        return Promise.all(samples.map(async (sample) => {
+            const blob = await (await fetch(sample.photo)).blob();
+            return { ...sample, photo: new File([blob], sample.photoName || "photo.jpg", { type: blob.type }) };
+        }));
+    }
+
+    // pairs: [{ predicted, actual }] in cm; bias > 0 means the photo overestimates
+    summarizeErrors(pairs) {
+        const n = pairs.length;
+        if (n === 0) {
+            return { n: 0, mae: null, bias: null, rmse: null, mape: null };
+        }
+
+        const errors = pairs.map((pair) => pair.predicted - pair.actual);
+        const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+        return {
+            n,
+            mae: Number(mean(errors.map(Math.abs)).toFixed(2)),
+            bias: Number(mean(errors).toFixed(2)),
+            rmse: Number(Math.sqrt(mean(errors.map((e) => e * e))).toFixed(2)),
+            mape: Number((mean(pairs.map((pair, i) => Math.abs(errors[i]) / pair.actual)) * 100).toFixed(1))
+        };
+    }
+
+    // results: [{ tapeCircumference, circumference, methods: [{ method, circumference }] }] from the replay
+    benchmark(results, engine) {
+        const byMethod = {};
+        results.forEach((result) => {
+            result.methods.forEach((m) => {
+                const key = engine.getMethodKey(m.method);
+                (byMethod[key] = byMethod[key] || []).push({ predicted: m.circumference, actual: result.tapeCircumference });
+            });
+        });
+
+        const methods = {};
+        Object.keys(byMethod).sort().forEach((key) => {
+            methods[key] = this.summarizeErrors(byMethod[key]);
+        });
+
+        return {
+            final: this.summarizeErrors(results.map((result) => ({ predicted: result.circumference, actual: result.tapeCircumference }))),
+            methods
+        };
+    }
+
+    geometricMean(values) {
+        return Math.exp(values.reduce((sum, value) => sum + Math.log(value), 0) / values.length);
+    }
+
+    // Refits the factors the replay ran with. Each method value is un-corrected, then the factor
+    // making (method value × trunkCircularity × barkThickness) unbiased in log space is taken.
+    // Tape circumference alone cannot separate distanceOverestimate from perspectiveCorrection,
+    // or trunkCircularity from barkThickness, so only distanceOverestimate and methodScale move.
+    fitCorrectionFactors(results, engine) {
+        const factors = { ...engine.correctionFactors };
+        const fused = factors.trunkCircularity * factors.barkThickness;
+        const ratios = {};
+
+        results.forEach((result) => {
+            result.methods.forEach((m) => {
+                const uncorrected = m.circumference / engine.getMethodCorrection(m.method);
+                if (uncorrected > 0) {
+                    const key = engine.getMethodKey(m.method);
+                    (ratios[key] = ratios[key] || []).push(result.tapeCircumference / (uncorrected * fused));
+                }
+            });
+        });
+
+        const usesDistance = (key) => !["crown_allometry", "smart_fov", "reference_marker"].includes(key);
+        const distanceRatios = Object.keys(ratios).filter(usesDistance).flatMap((key) => ratios[key]);
+        if (distanceRatios.length >= this.MIN_FIT_SAMPLES) {
+            factors.distanceOverestimate = Number((this.geometricMean(distanceRatios) / factors.perspectiveCorrection).toFixed(3));
+        }
+
+        const methodScale = {};
+        Object.keys(ratios).sort().forEach((key) => {
+            if (ratios[key].length < this.MIN_FIT_SAMPLES) {
+                return;
+            }
+            const base = usesDistance(key) ? factors.distanceOverestimate * factors.perspectiveCorrection : 1;
+            methodScale[key] = Number((this.geometricMean(ratios[key]) / base).toFixed(3));
+        });
+
+        return {
+            description: "Multiplicative corrections applied by RealWorldMeasurement to photo-based trunk diameters. distanceOverestimate and perspectiveCorrection scale each distance-based method; trunkCircularity and barkThickness scale the fused diameter; methodScale holds optional per-method multipliers.",
+            source: `Fitted by calibration-benchmark.html from ${results.length} tape-measured samples`,
+            fittedAt: new Date().toISOString(),
+            sampleCount: results.length,
+            correctionFactors: factors,
+            methodScale
+        };
+    }
+}
+
+const calibrationDataset = new CalibrationDataset();
+console.log("Calibration Dataset loaded");
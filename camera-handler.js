@@ -7,6 +7,12 @@ let advancedML = null;
 let manualSelectionMode = false;
 let manualPoints = [];
 let originalImageData = null;
+let lastPhotoFile = null;
+let lastMeasurements = null;
+let photoSession = []; // photos of the current trunk: { file, measurements, angleDeg }
+
+const MAX_SESSION_PHOTOS = 4;
+const SESSION_ANGLES = [0, 90, 180, 270];
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
@@ -31,20 +37,100 @@ function initializeCameraHandlers() {
 
     // ===== Open Camera: trigger native camera =====
     openCameraBtn.addEventListener('click', () => {
+        photoSession = [];
         cameraFileInput.value = '';
         cameraFileInput.click();
     });
 
     // ===== When photo is taken/selected =====
-    cameraFileInput.addEventListener('change', async (e) => {
+    cameraFileInput.addEventListener('change', (e) => {
         const file = e.target.files[0];
-        if (!file) return;
+        if (file) loadPhotoFile(file);
+    });
+
+    // ===== Live camera: trunk guidance overlay, auto-capture =====
+    const liveCameraBtn = document.getElementById('liveCameraBtn');
+    const liveAutoCapture = document.getElementById('liveAutoCapture');
+
+    liveCameraBtn.addEventListener('click', async () => {
+        photoSession = [];
+        // iOS only grants motion access from a user gesture
+        await liveTrunkGuide.requestMotionAccess();
+        startLivePreview();
+    });
+
+    document.getElementById('liveCaptureBtn').addEventListener('click', () => {
+        liveTrunkGuide.capture().catch(error => showLiveGuidance(null, error.message));
+    });
+
+    document.getElementById('livePickerBtn').addEventListener('click', () => {
+        stopLivePreview();
+        cameraFileInput.value = '';
+        cameraFileInput.click();
+    });
+
+    liveAutoCapture.addEventListener('change', () => {
+        liveTrunkGuide.options.autoCapture = liveAutoCapture.checked;
+    });
+
+    async function startLivePreview() {
+        cameraModal.style.display = 'flex';
+        resetModalUI();
+        document.getElementById('photoPreviewSection').style.display = 'none';
+        document.getElementById('livePreviewSection').style.display = 'block';
+        showLiveGuidance(null, 'Starting camera...');
+
+        applyReferenceSelection();
+        // COCO-SSD is only needed for the auto reference hint; the trunk pass runs without it
+        advancedML.loadModels().catch(error => console.warn('Models not loaded for live preview:', error));
+
+        try {
+            await liveTrunkGuide.start(advancedML, document.getElementById('cameraVideo'), document.getElementById('liveOverlayCanvas'), {
+                autoCapture: liveAutoCapture.checked,
+                onGuidance: (result) => showLiveGuidance(result),
+                onCapture: (file) => {
+                    stopLivePreview();
+                    loadPhotoFile(file);
+                }
+            });
+        } catch (error) {
+            showLiveGuidance(null, error.message + ' Use the photo picker instead.');
+        }
+    }
+
+    function stopLivePreview() {
+        liveTrunkGuide.stop();
+        document.getElementById('livePreviewSection').style.display = 'none';
+        document.getElementById('photoPreviewSection').style.display = 'block';
+    }
+
+    function showLiveGuidance(result, message = '') {
+        const textEl = document.getElementById('liveGuidanceText');
+        const hintsEl = document.getElementById('liveGuidanceHints');
+        const progressEl = document.getElementById('liveCaptureProgress');
+
+        if (!result) {
+            textEl.textContent = message;
+            textEl.style.color = '#e2e8f0';
+            hintsEl.textContent = '';
+            progressEl.style.width = '0%';
+            return;
+        }
+
+        textEl.textContent = result.ok ? '✅ Hold still...' : result.problems[0];
+        textEl.style.color = result.ok ? '#34d399' : '#fbbf24';
+        hintsEl.textContent = result.problems.slice(1).concat(result.hints).join(' · ');
+        progressEl.style.width = `${Math.round(result.progress * 100)}%`;
+    }
 
+    // ===== Load a picked or captured photo into the analyzer =====
+    function loadPhotoFile(file) {
         // Show modal with preview
         cameraModal.style.display = 'flex';
         resetModalUI();
         manualSelectionMode = false;
         manualPoints = [];
+        lastPhotoFile = file;
 
         const reader = new FileReader();
         reader.onload = async (evt) => {
@@ -72,11 +158,28 @@ function initializeCameraHandlers() {
             img.src = evt.target.result;
         };
         reader.readAsDataURL(file);
-    });
+    }
+
+    // Pass manual reference object selection to real-world engine
+    function applyReferenceSelection() {
+        if (typeof realWorldEngine === 'undefined' || !referenceObjectSelect) return;
+        const refValue = referenceObjectSelect.value;
+        if (refValue && refValue !== 'none') {
+            let refWidth = null;
+            if (refValue === 'custom' && customWidthInput) {
+                refWidth = parseFloat(customWidthInput.value);
+            }
+            realWorldEngine.setManualReference(refValue, refWidth);
+            console.log('📏 Manual reference set:', refValue, refWidth ? refWidth + 'cm' : '');
+        } else {
+            realWorldEngine.clearManualReference();
+        }
+    }
 
     // ===== Analyze the photo (Auto mode) =====
     async function analyzePhoto(canvas, imageFile) {
         const statusEl = document.getElementById('analysisStatus');
+        const statusText = document.getElementById('analysisStatusText');
         const errorEl = document.getElementById('analysisError');
         const errorText = document.getElementById('analysisErrorText');
         const resultsEl = document.getElementById('measurementResults');
@@ -85,28 +188,18 @@ function initializeCameraHandlers() {
         if (modeSelectorEl) modeSelectorEl.style.display = 'none';
 
         statusEl.style.display = 'block';
+        statusText.textContent = 'Analyzing tree...';
         errorEl.style.display = 'none';
         resultsEl.style.display = 'none';
-        retakeTopEl.style.display = 'none';
+        // Retake stays available while analyzing and cancels the run
+        retakeTopEl.style.display = 'inline-block';
 
         try {
-            // Pass manual reference object selection to real-world engine
-            if (typeof realWorldEngine !== 'undefined' && referenceObjectSelect) {
-                const refValue = referenceObjectSelect.value;
-                if (refValue && refValue !== 'none') {
-                    let refWidth = null;
-                    if (refValue === 'custom' && customWidthInput) {
-                        refWidth = parseFloat(customWidthInput.value);
-                    }
-                    realWorldEngine.setManualReference(refValue, refWidth);
-                    console.log('📏 Manual reference set:', refValue, refWidth ? refWidth + 'cm' : '');
-                } else {
-                    realWorldEngine.clearManualReference();
-                }
-            }
+            applyReferenceSelection();
 
-            await advancedML.loadModels();
-            const measurements = await advancedML.measureAutomatically(canvas, imageFile);
+            const measurements = await advancedML.measureAutomatically(canvas, imageFile, (message) => {
+                statusText.textContent = message;
+            });
 
             // Draw detection overlay on canvas
             advancedML.drawDetectionOverlay(canvas, measurements.bounds, measurements);
@@ -115,6 +208,8 @@ function initializeCameraHandlers() {
             showFullResults(measurements);
 
         } catch (error) {
+            // Retake or close already reset the modal
+            if (error.cancelled) return;
             console.error('Analysis error:', error);
             statusEl.style.display = 'none';
             errorEl.style.display = 'block';
@@ -833,6 +928,26 @@ function initializeCameraHandlers() {
         resultsEl.style.display = 'block';
         retakeTopEl.style.display = 'inline-block';
         
+        fillDetectedValues(measurements);
+        
+        // Add method details info
+        addMethodInfo(resultsEl, measurements);
+
+        lastMeasurements = measurements;
+        updateCalibrationStatus();
+        showSpeciesSuggestions(measurements);
+
+        // Re-measuring the same photo (e.g. manual mode) updates its entry instead of adding one
+        const lastPhoto = photoSession[photoSession.length - 1];
+        if (lastPhoto && lastPhoto.file === lastPhotoFile) {
+            lastPhoto.measurements = measurements;
+        } else if (photoSession.length < MAX_SESSION_PHOTOS) {
+            photoSession.push({ file: lastPhotoFile, measurements, angleDeg: SESSION_ANGLES[photoSession.length] });
+        }
+        renderPhotoSession();
+    }
+
+    function fillDetectedValues(measurements) {
         // Fill primary circumference
         document.getElementById('detectedCircumference').textContent = measurements.circumference;
         document.getElementById('detectedConfidence').textContent = measurements.confidence;
@@ -847,9 +962,201 @@ function initializeCameraHandlers() {
         if (girthEl) girthEl.textContent = measurements.girth || measurements.circumference;
         if (heightEl) heightEl.textContent = measurements.height || '-';
         if (trunkWidthEl) trunkWidthEl.textContent = measurements.trunkWidth || '-';
-        
-        // Add method details info
-        addMethodInfo(resultsEl, measurements);
+    }
+
+    // ===== Multi-photo: per-photo estimates and the fused circumference =====
+    function renderPhotoSession() {
+        const listEl = document.getElementById('photoSessionList');
+        const fusionEl = document.getElementById('photoSessionFusion');
+        const addPhotoBtn = document.getElementById('addPhotoBtn');
+        if (!listEl || typeof realWorldEngine === 'undefined') return;
+
+        addPhotoBtn.style.display = photoSession.length < MAX_SESSION_PHOTOS ? 'inline-block' : 'none';
+
+        if (photoSession.length < 2) {
+            listEl.innerHTML = '';
+            fusionEl.innerHTML = '';
+            if (photoSession.length === 1) fillDetectedValues(photoSession[0].measurements);
+            return;
+        }
+
+        listEl.innerHTML = photoSession.map((photo, index) => `
+            <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 6px;">
+                <span style="flex: 1;">📷 Photo ${index + 1}: <b>${photo.measurements.circumference} cm</b>
+                    <span style="opacity: 0.6;">(${photo.measurements.confidence}%)</span></span>
+                <select data-photo-index="${index}" title="Position around the trunk" style="padding: 4px 6px; background: rgba(30,41,59,0.8); border: 1px solid rgba(139,92,246,0.3); border-radius: 6px; color: #e2e8f0; font-size: 12px;">
+                    ${SESSION_ANGLES.map(angle => `<option value="${angle}" ${angle === photo.angleDeg ? 'selected' : ''}>${angle}°</option>`).join('')}
+                </select>
+                <button type="button" data-remove-index="${index}" title="Remove this photo" style="background: none; border: none; color: #f87171; cursor: pointer;">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+
+        const fused = realWorldEngine.fuseMultiplePhotos(photoSession.map(photo => ({
+            circumference: parseFloat(photo.measurements.circumference),
+            confidence: parseFloat(photo.measurements.confidence),
+            angleDeg: photo.angleDeg,
+            // Auto results already include the engine's circularity factor; manual ones do not
+            circularityCorrected: Boolean(photo.measurements.realWorldData)
+        })));
+
+        fusionEl.innerHTML = `
+            <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(255,255,255,0.06);">
+                <i class="fas fa-layer-group" style="color: #a78bfa;"></i>
+                <b>Fused (${fused.method === 'ellipse' ? 'ellipse' : 'same-side average'}):</b> ${fused.circumference} cm, ${fused.confidence}% confidence
+                <div style="opacity: 0.7; margin-top: 2px;">
+                    Spread between photos: ${fused.spreadPercent}%${fused.ellipseRatio !== null ? ` • Axes ${fused.axisDiameters[0]} × ${fused.axisDiameters[1]} cm` : ''}
+                </div>
+                ${fused.warnings.map(warning => `<div style="color: #fbbf24; margin-top: 2px;"><i class="fas fa-exclamation-triangle"></i> ${warning}</div>`).join('')}
+            </div>
+        `;
+
+        fillDetectedValues({
+            circumference: fused.circumference.toFixed(1),
+            confidence: fused.confidence.toFixed(1),
+            diameter: fused.trunkDiameter.toFixed(1),
+            height: photoSession[photoSession.length - 1].measurements.height,
+            trunkWidth: photoSession[photoSession.length - 1].measurements.trunkWidth
+        });
+    }
+
+    const photoSessionList = document.getElementById('photoSessionList');
+    if (photoSessionList) {
+        photoSessionList.addEventListener('change', (e) => {
+            const index = e.target.dataset.photoIndex;
+            if (index !== undefined) {
+                photoSession[index].angleDeg = parseInt(e.target.value, 10);
+                renderPhotoSession();
+            }
+        });
+        photoSessionList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-index]');
+            if (removeBtn) {
+                photoSession.splice(parseInt(removeBtn.dataset.removeIndex, 10), 1);
+                renderPhotoSession();
+            }
+        });
+    }
+
+    const addPhotoBtn = document.getElementById('addPhotoBtn');
+    if (addPhotoBtn) {
+        addPhotoBtn.addEventListener('click', () => {
+            cameraFileInput.value = '';
+            cameraFileInput.click();
+        });
+    }
+
+    // ===== Calibration: pair this photo with a tape-measured circumference =====
+    async function updateCalibrationStatus(message) {
+        const statusEl = document.getElementById('calibrationStatus');
+        if (!statusEl || typeof calibrationDataset === 'undefined') return;
+
+        try {
+            const count = await calibrationDataset.count();
+            statusEl.textContent = (message ? message + ' ' : '') + count + ' calibration sample(s) on this device.';
+        } catch (error) {
+            statusEl.textContent = 'Calibration storage is not available in this browser.';
+        }
+    }
+
+    const saveCalibrationBtn = document.getElementById('saveCalibrationBtn');
+    if (saveCalibrationBtn) {
+        saveCalibrationBtn.addEventListener('click', async () => {
+            const tapeInput = document.getElementById('tapeCircumference');
+            const refValue = referenceObjectSelect ? referenceObjectSelect.value : 'none';
+
+            try {
+                await calibrationDataset.addSample({
+                    photo: lastPhotoFile,
+                    tapeCircumference: tapeInput.value,
+                    species: lastMeasurements ? lastMeasurements.species : null,
+                    reference: refValue && refValue !== 'none'
+                        ? { type: refValue, customWidthCm: refValue === 'custom' ? parseFloat(customWidthInput.value) : null }
+                        : null,
+                    measurement: lastMeasurements
+                });
+                tapeInput.value = '';
+                updateCalibrationStatus('✅ Sample saved.');
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+    }
+
+    const exportCalibrationBtn = document.getElementById('exportCalibrationBtn');
+    if (exportCalibrationBtn) {
+        exportCalibrationBtn.addEventListener('click', async () => {
+            const dataset = await calibrationDataset.exportDataset();
+            if (dataset.samples.length === 0) {
+                alert('No calibration samples yet. Enter a tape-measured circumference and save a sample first.');
+                return;
+            }
+
+            const blob = new Blob([JSON.stringify(dataset)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'ecotree-calibration-' + new Date().toISOString().split('T')[0] + '.json';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        });
+    }
+
+    // ===== Species suggestions: pick one, or correct through the search list =====
+    async function showSpeciesSuggestions(measurements) {
+        const listEl = document.getElementById('speciesSuggestions');
+        const statusEl = document.getElementById('speciesSuggestStatus');
+        if (!listEl || typeof speciesClassifier === 'undefined' || !originalImageData) return;
+
+        listEl.innerHTML = '';
+        statusEl.textContent = 'Looking at bark and leaves...';
+
+        // The result canvas already carries the detection overlay; classify the clean photo
+        const photoCanvas = document.createElement('canvas');
+        photoCanvas.width = originalImageData.width;
+        photoCanvas.height = originalImageData.height;
+        photoCanvas.getContext('2d').putImageData(originalImageData, 0, 0);
+
+        try {
+            const result = await speciesClassifier.suggest(photoCanvas, measurements.bounds, lastPhotoFile);
+            result.suggestions.forEach(suggestion => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.style.cssText = 'padding: 6px 10px; background: rgba(16,185,129,0.12); color: #a7f3d0; border: 1px solid rgba(16,185,129,0.3); border-radius: 16px; cursor: pointer; font-size: 12px;';
+                chip.textContent = `${suggestion.name} · ${suggestion.confidence.toFixed(0)}%`;
+                chip.addEventListener('click', () => {
+                    // selectTree (app.js) fills wood density and saves the choice as feedback
+                    selectTree(suggestion.index);
+                    statusEl.textContent = `✅ ${suggestion.name} selected. Thanks - this photo now helps future suggestions.`;
+                });
+                listEl.appendChild(chip);
+            });
+
+            statusEl.textContent = result.suggestions.length > 0
+                ? `Closest matches among ${result.sampleCount} photo(s) labelled on this device. Not listed? Pick the right species in the search box - the correction is saved to improve suggestions.`
+                : `Suggestions start after ${result.samplesNeeded} more labelled photo(s) on this device. Pick the species in the search box - each pick is saved for future suggestions.`;
+        } catch (error) {
+            console.warn('Species suggestion failed:', error);
+            statusEl.textContent = 'Species suggestion is not available in this browser.';
+        }
+    }
+
+    const exportSpeciesFeedbackBtn = document.getElementById('exportSpeciesFeedbackBtn');
+    if (exportSpeciesFeedbackBtn) {
+        exportSpeciesFeedbackBtn.addEventListener('click', async () => {
+            const dataset = await speciesClassifier.exportFeedback();
+            if (dataset.samples.length === 0) {
+                alert('No species feedback yet. Pick or correct a suggested species first.');
+                return;
+            }
+
+            const blob = new Blob([JSON.stringify(dataset)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'ecotree-species-feedback-' + new Date().toISOString().split('T')[0] + '.json';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        });
     }
 
     // ===== Add method info under results =====
@@ -877,9 +1184,11 @@ function initializeCameraHandlers() {
             const rwd = measurements.realWorldData;
             const parts = [];
             if (rwd.referenceUsed) parts.push('📏 Reference: <b>' + rwd.referenceUsed + '</b>');
+            if (rwd.marker) parts.push('🎯 Marker: <b>' + rwd.marker.pxPerCm.toFixed(1) + ' px/cm</b>, tilt <b>' + rwd.marker.tiltDeg.toFixed(0) + '°</b>');
             if (rwd.estimatedDistance) parts.push('📐 Distance: <b>' + rwd.estimatedDistance.toFixed(1) + 'm</b>');
             if (rwd.exifFocalLength) parts.push('📷 Focal: <b>' + rwd.exifFocalLength.toFixed(1) + 'mm</b>');
             if (rwd.measurementBasis) parts.push('🔬 Basis: <b>' + rwd.measurementBasis + '</b>');
+            if (rwd.crown) parts.push('🌳 Crown: <b>' + rwd.crown.crownDiameter.toFixed(1) + 'm</b>' + (rwd.crown.clipped ? ' (min)' : ''));
             if (parts.length) {
                 realWorldHTML = '<div style="margin-top:6px; padding-top:6px; border-top:1px solid rgba(255,255,255,0.05);">' +
                     parts.join(' &nbsp;|&nbsp; ') + '</div>';
@@ -914,6 +1223,12 @@ function initializeCameraHandlers() {
 
     // ===== Retake: open native camera again =====
     function handleRetake() {
+        advancedML.cancelMeasurement();
+        // The retaken photo replaces the current one in a multi-photo session
+        const lastPhoto = photoSession[photoSession.length - 1];
+        if (lastPhoto && lastPhoto.file === lastPhotoFile) {
+            photoSession.pop();
+        }
         cameraModal.style.display = 'none';
         resetModalUI();
         cameraFileInput.value = '';
@@ -938,6 +1253,9 @@ function initializeCameraHandlers() {
 
     // ===== Close modal =====
     closeCameraBtn.addEventListener('click', () => {
+        photoSession = [];
+        stopLivePreview();
+        advancedML.cancelMeasurement();
         cameraModal.style.display = 'none';
         resetModalUI();
     });
@@ -949,7 +1267,7 @@ function initializeCameraHandlers() {
     });
 
     // ===== Use measurement: fill circumference & auto-calculate =====
-    useMeasurementBtn.addEventListener('click', () => {
+    useMeasurementBtn.addEventListener('click', async () => {
         const circumference = document.getElementById('detectedCircumference').textContent;
         const circumferenceValue = parseFloat(circumference);
 
@@ -962,7 +1280,27 @@ function initializeCameraHandlers() {
         document.getElementById('circumference').value = circumference;
         document.getElementById('circumference').disabled = false;
 
+        // Photo height estimate (cm) pre-fills Method 2 height unless the user measured it
+        const detectedHeightCm = parseFloat(document.getElementById('detectedHeight').textContent);
+        if (typeof applyPhotoHeightEstimate === 'function' && detectedHeightCm > 0) {
+            applyPhotoHeightEstimate(detectedHeightCm / 100);
+        }
+
+        // Crown width from the same photo pre-fills crown diameter unless it was measured
+        const crown = lastMeasurements && lastMeasurements.realWorldData && lastMeasurements.realWorldData.crown;
+        if (typeof applyPhotoCrownEstimate === 'function' && crown) {
+            applyPhotoCrownEstimate(crown);
+        }
+
+        // Record how the circumference was measured before the session is cleared
+        const session = photoSession.length > 0 ? photoSession.slice() : [{ file: lastPhotoFile, measurements: lastMeasurements }];
+        if (typeof setCircumferenceProvenance === 'function' && session[0].measurements) {
+            const shownConfidence = parseFloat(document.getElementById('detectedConfidence').textContent);
+            setCircumferenceProvenance(await measurementProvenance.fromPhotoSession(session, shownConfidence));
+        }
+
         // Close modal
+        photoSession = [];
         cameraModal.style.display = 'none';
         resetModalUI();
 
@@ -996,6 +1334,10 @@ function initializeCameraHandlers() {
         referenceObjectSelect.addEventListener('change', (e) => {
             const value = e.target.value;
             customSizeInput.style.display = value === 'custom' ? 'block' : 'none';
+            if (liveTrunkGuide.isRunning()) {
+                applyReferenceSelection();
+                liveTrunkGuide.referenceFound = null;
+            }
         });
     }
 
@@ -1016,6 +1358,9 @@ function initializeCameraHandlers() {
         if (modeSelector) modeSelector.style.display = 'none';
         const manualInstruction = document.getElementById('manualInstruction');
         if (manualInstruction) manualInstruction.style.display = 'none';
+        const tapeInput = document.getElementById('tapeCircumference');
+        if (tapeInput) tapeInput.value = '';
+        lastMeasurements = null;
     }
 }
 
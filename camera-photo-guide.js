@@ -1,5 +1,30 @@
 /* Camera Photo Taking Guide - Visual Instructions */
 
+// The guide's instructions as numbers, so the live camera preview can check them frame by frame
+const PHOTO_GUIDE_RULES = {
+    minTrunkWidth: 0.05,     // trunk width / frame width - narrower means too far away
+    maxTrunkWidth: 0.35,     // wider means too close (lens distortion)
+    maxCenterOffset: 0.15,   // trunk centre from frame centre, fraction of frame width
+    maxSidewaysTiltDeg: 8,   // camera must stay vertical
+    maxPitchDeg: 15,         // camera pointing up or down instead of at chest height
+    minBrightness: 50,       // mean luma 0-255
+    maxBrightness: 220,
+    minGreenPercent: 1       // some leaves in frame
+};
+
+const PHOTO_GUIDE_MESSAGES = {
+    noTrunk: 'No trunk found - point the camera at the trunk',
+    tooFar: 'Move closer (stand 2–3 m away)',
+    tooClose: 'Move back (stand 2–3 m away)',
+    offCenter: 'Keep the trunk centred',
+    sideways: 'Hold the phone level - it is tilted sideways',
+    pitch: 'Point the camera straight at the trunk at chest height',
+    tooDark: 'Too dark - find better light',
+    tooBright: 'Too bright - avoid shooting into the sun',
+    noLeaves: 'Include some leaves in the frame',
+    noReference: 'Reference object not found'
+};
+
 // Show visual guide when camera opens
 function showCameraGuide() {
     const guide = document.createElement('div');
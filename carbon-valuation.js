@@ -0,0 +1,108 @@
+// Carbon Credit Valuation
+// Converts CO2 tonnes into tradable credits and their value under a selectable price scheme
+
+class CarbonValuation {
+    constructor() {
+        // Indicative prices only; credits are never issued for single unverified trees.
+        this.SCHEMES = {
+            voluntary: {
+                label: "Voluntary carbon market (nature-based)",
+                price: 6,
+                currency: "USD",
+                note: "Indicative nature-based VCM average, USD per tCO2e"
+            },
+            ccts: {
+                label: "India CCTS (Carbon Credit Trading Scheme)",
+                price: 500,
+                currency: "INR",
+                note: "Indicative CCTS offset price, INR per tCO2e (market price not yet discovered)"
+            },
+            custom: {
+                label: "Custom price",
+                price: null,
+                currency: null,
+                note: "Price entered by the user"
+            }
+        };
+
+        // Units of each currency per 1 INR (indicative, update as needed)
+        this.EXCHANGE_RATES = {
+            INR: 1,
+            USD: 1 / 83,
+            EUR: 1 / 90
+        };
+        this.CURRENCY_SYMBOLS = { INR: "₹", USD: "$", EUR: "€" };
+
+        this.DEFAULT_SETTINGS = {
+            scheme: "voluntary",
+            customPrice: 1000,
+            customCurrency: "INR",
+            bufferPercent: 20, // AFOLU non-permanence buffer pool
+            leakagePercent: 10, // emissions displaced outside the project
+            currency: "INR"
+        };
+    }
+
+    normalizeSettings(settings = {}) {
+        const merged = { ...this.DEFAULT_SETTINGS, ...settings };
+        const clampPercent = (value, fallback) => {
+            const number = Number(value);
+            return Number.isFinite(number) ? Math.min(100, Math.max(0, number)) : fallback;
+        };
+
+        return {
+            scheme: this.SCHEMES[merged.scheme] ? merged.scheme : this.DEFAULT_SETTINGS.scheme,
+            customPrice: Math.max(0, Number(merged.customPrice) || 0),
+            customCurrency: this.EXCHANGE_RATES[merged.customCurrency] ? merged.customCurrency : "INR",
+            bufferPercent: clampPercent(merged.bufferPercent, this.DEFAULT_SETTINGS.bufferPercent),
+            leakagePercent: clampPercent(merged.leakagePercent, this.DEFAULT_SETTINGS.leakagePercent),
+            currency: this.EXCHANGE_RATES[merged.currency] ? merged.currency : "INR"
+        };
+    }
+
+    convert(amount, fromCurrency, toCurrency) {
+        return (amount / this.EXCHANGE_RATES[fromCurrency]) * this.EXCHANGE_RATES[toCurrency];
+    }
+
+    formatMoney(amount, currency) {
+        const locale = currency === "INR" ? "en-IN" : "en-US";
+        return `${this.CURRENCY_SYMBOLS[currency] || ""}${Number(amount).toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    // co2Tonnes: gross CO2 stored (calculator's co2Tonnes)
+    calculate(co2Tonnes, settings = {}) {
+        const config = this.normalizeSettings(settings);
+        const scheme = this.SCHEMES[config.scheme];
+        const grossTonnes = Math.max(0, Number(co2Tonnes) || 0);
+
+        const bufferTonnes = grossTonnes * (config.bufferPercent / 100);
+        const leakageTonnes = (grossTonnes - bufferTonnes) * (config.leakagePercent / 100);
+        const netTonnes = grossTonnes - bufferTonnes - leakageTonnes;
+
+        const priceCurrency = config.scheme === "custom" ? config.customCurrency : scheme.currency;
+        const schemePrice = config.scheme === "custom" ? config.customPrice : scheme.price;
+        const price = this.convert(schemePrice, priceCurrency, config.currency);
+        const value = netTonnes * price;
+
+        return {
+            scheme: config.scheme,
+            schemeLabel: scheme.label,
+            priceNote: scheme.note,
+            currency: config.currency,
+            pricePerTonne: price.toFixed(2),
+            grossTonnes: grossTonnes.toFixed(3),
+            bufferPercent: config.bufferPercent,
+            bufferTonnes: bufferTonnes.toFixed(3),
+            leakagePercent: config.leakagePercent,
+            leakageTonnes: leakageTonnes.toFixed(3),
+            netTonnes: netTonnes.toFixed(3),
+            value: value.toFixed(2),
+            valueInr: this.convert(value, config.currency, "INR").toFixed(2),
+            formattedValue: this.formatMoney(value, config.currency),
+            formattedPrice: this.formatMoney(price, config.currency)
+        };
+    }
+}
+
+const carbonValuation = new CarbonValuation();
+console.log("Carbon Valuation loaded");
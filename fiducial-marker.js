@@ -0,0 +1,332 @@
+// Fiducial Calibration Marker
+// A printable ArUco-style square (6×6 cells: black border + 4×4 code) of known size, pinned
+// upright on the trunk at breast height. Found in a photo it gives the pixel-to-cm scale at the
+// trunk itself and the camera's tilt against it, so RealWorldMeasurement needs no distance guess.
+
+class FiducialMarker {
+    constructor() {
+        this.SIZE_CM = 10;          // printed black square, edge to edge
+        this.GRID = 6;              // cells per side including the border
+        // No rotational symmetry: each 90° turn differs in 8+ bits, so the orientation is unambiguous
+        this.CODE = [
+            [1, 0, 1, 1],
+            [0, 1, 0, 0],
+            [1, 1, 0, 1],
+            [0, 0, 1, 0]
+        ];
+        this.MAX_BIT_ERRORS = 1;
+        this.MIN_SIDE_PX = 24;      // below ~4 px per cell the code cannot be read
+        this.MIN_CONTRAST = 40;     // grey levels between black and white cells
+        this.MAX_TILT_DEG = 60;     // beyond this the foreshortened side is too short to trust
+    }
+
+    // 6×6 matrix, 1 = black
+    getCells() {
+        const cells = [];
+        for (let i = 0; i < this.GRID; i++) {
+            const row = [];
+            for (let j = 0; j < this.GRID; j++) {
+                const border = i === 0 || j === 0 || i === this.GRID - 1 || j === this.GRID - 1;
+                row.push(border ? 1 : this.CODE[i - 1][j - 1]);
+            }
+            cells.push(row);
+        }
+        return cells;
+    }
+
+    // Sized in cm so a 100% print has the exact size. One white cell of quiet zone all round.
+    toSVG(sizeCm = this.SIZE_CM) {
+        const cells = this.getCells();
+        const total = this.GRID + 2;
+        const outerCm = sizeCm * total / this.GRID;
+        let rects = '';
+        cells.forEach((row, i) => row.forEach((black, j) => {
+            if (black) rects += `<rect x="${j + 1}" y="${i + 1}" width="1.02" height="1.02"/>`;
+        }));
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${outerCm}cm" height="${outerCm}cm" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">` +
+            `<rect width="${total}" height="${total}" fill="#fff"/><g fill="#000">${rects}</g></svg>`;
+    }
+
+    openPrintSheet() {
+        const win = window.open('', '_blank');
+        if (!win) {
+            alert('Allow pop-ups for this site to print the calibration marker.');
+            return;
+        }
+        win.document.write(`<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>EcoTree Calibration Marker</title>
+<style>
+    body { font-family: Arial, sans-serif; text-align: center; margin: 1cm; color: #222; }
+    .check { width: ${this.SIZE_CM}cm; margin: 0.6cm auto 0.2cm; border-top: 2px solid #000; position: relative; }
+    .check span { font-size: 11px; }
+    @page { size: A4; margin: 1cm; }
+</style></head>
+<body>
+    <h2>EcoTree Calibration Marker</h2>
+    <div>▲ THIS WAY UP ▲</div>
+    ${this.toSVG()}
+    <div class="check"></div>
+    <div class="check" style="border:none;"><span>The black square and the line above must both measure exactly ${this.SIZE_CM.toFixed(1)} cm.
+        If they do not, print again at 100% / "Actual size".</span></div>
+    <p style="font-size: 13px; max-width: 15cm; margin: 0.6cm auto;">
+        Print on plain matt paper, keep it flat, and pin it upright on the trunk at breast height (1.37 m),
+        facing the camera. Keep the white margin around the black square visible in the photo.
+    </p>
+    <script>window.onload = function () { window.print(); };<\/script>
+</body></html>`);
+        win.document.close();
+    }
+
+    // ==================== DETECTION ====================
+
+    _toGray(imageData) {
+        const px = imageData.data;
+        const gray = new Uint8ClampedArray(imageData.width * imageData.height);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * px[i * 4] + 0.587 * px[i * 4 + 1] + 0.114 * px[i * 4 + 2];
+        }
+        return gray;
+    }
+
+    // Dark against the local mean, so uneven light on bark does not swamp the marker
+    _threshold(gray, w, h) {
+        const integral = new Uint32Array((w + 1) * (h + 1));
+        for (let y = 0; y < h; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < w; x++) {
+                rowSum += gray[y * w + x];
+                integral[(y + 1) * (w + 1) + x + 1] = integral[y * (w + 1) + x + 1] + rowSum;
+            }
+        }
+
+        const r = Math.max(8, Math.round(Math.min(w, h) / 10));
+        const dark = new Uint8Array(w * h);
+        for (let y = 0; y < h; y++) {
+            const y0 = Math.max(0, y - r), y1 = Math.min(h, y + r + 1);
+            for (let x = 0; x < w; x++) {
+                const x0 = Math.max(0, x - r), x1 = Math.min(w, x + r + 1);
+                const sum = integral[y1 * (w + 1) + x1] - integral[y0 * (w + 1) + x1] - integral[y1 * (w + 1) + x0] + integral[y0 * (w + 1) + x0];
+                const mean = sum / ((x1 - x0) * (y1 - y0));
+                dark[y * w + x] = gray[y * w + x] < mean * 0.8 ? 1 : 0;
+            }
+        }
+        return dark;
+    }
+
+    // 4-connected dark blobs with their bounding box and extreme points (corner candidates)
+    _findBlobs(dark, w, h) {
+        const labels = new Int32Array(w * h);
+        const blobs = [];
+        const stack = [];
+
+        for (let start = 0; start < dark.length; start++) {
+            if (!dark[start] || labels[start]) continue;
+
+            const blob = {
+                count: 0, minX: w, maxX: 0, minY: h, maxY: 0,
+                // extremes of x, y, x+y and x−y
+                left: null, right: null, top: null, bottom: null,
+                sumMin: null, sumMax: null, diffMin: null, diffMax: null
+            };
+            labels[start] = blobs.length + 1;
+            stack.push(start);
+
+            while (stack.length > 0) {
+                const idx = stack.pop();
+                const x = idx % w, y = (idx - x) / w;
+                blob.count++;
+                if (x < blob.minX) { blob.minX = x; blob.left = { x, y }; }
+                if (x > blob.maxX) { blob.maxX = x; blob.right = { x, y }; }
+                if (y < blob.minY) { blob.minY = y; blob.top = { x, y }; }
+                if (y > blob.maxY) { blob.maxY = y; blob.bottom = { x, y }; }
+                if (!blob.sumMin || x + y < blob.sumMin.x + blob.sumMin.y) blob.sumMin = { x, y };
+                if (!blob.sumMax || x + y > blob.sumMax.x + blob.sumMax.y) blob.sumMax = { x, y };
+                if (!blob.diffMin || x - y < blob.diffMin.x - blob.diffMin.y) blob.diffMin = { x, y };
+                if (!blob.diffMax || x - y > blob.diffMax.x - blob.diffMax.y) blob.diffMax = { x, y };
+
+                const neighbours = [
+                    x > 0 ? idx - 1 : -1,
+                    x < w - 1 ? idx + 1 : -1,
+                    y > 0 ? idx - w : -1,
+                    y < h - 1 ? idx + w : -1
+                ];
+                for (const n of neighbours) {
+                    if (n >= 0 && dark[n] && !labels[n]) {
+                        labels[n] = blobs.length + 1;
+                        stack.push(n);
+                    }
+                }
+            }
+            blobs.push(blob);
+        }
+        return blobs;
+    }
+
+    _quadArea(c) {
+        let area = 0;
+        for (let i = 0; i < 4; i++) {
+            const a = c[i], b = c[(i + 1) % 4];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return Math.abs(area) / 2;
+    }
+
+    // Corners in image order: top-left, top-right, bottom-right, bottom-left.
+    // Diagonal extremes find an upright square, axis extremes one turned ~45°; the larger quad wins.
+    _blobCorners(blob) {
+        const diagonal = [blob.sumMin, blob.diffMax, blob.sumMax, blob.diffMin];
+        const axis = [blob.top, blob.right, blob.bottom, blob.left];
+        const corners = this._quadArea(diagonal) >= this._quadArea(axis) ? diagonal : axis;
+
+        const cx = corners.reduce((s, c) => s + c.x, 0) / 4;
+        const cy = corners.reduce((s, c) => s + c.y, 0) / 4;
+        const sorted = corners.slice().sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+        // atan2 order starts at the left; rotate so the corner nearest the top-left comes first
+        const first = sorted.reduce((best, c, i) => (c.x + c.y < sorted[best].x + sorted[best].y ? i : best), 0);
+        // Extreme pixels sit inside the edge; move right/bottom corners onto the outer pixel boundary
+        return sorted.slice(first).concat(sorted.slice(0, first)).map((c, i) => ({
+            x: c.x + (i === 1 || i === 2 ? 1 : 0),
+            y: c.y + (i >= 2 ? 1 : 0)
+        }));
+    }
+
+    // Projective map of the unit square onto the quad (Heckbert's square-to-quad)
+    _squareToQuad(c) {
+        const [p0, p1, p2, p3] = c;
+        const sx = p0.x - p1.x + p2.x - p3.x;
+        const sy = p0.y - p1.y + p2.y - p3.y;
+        let a, b, d, e, g = 0, hh = 0;
+        if (Math.abs(sx) < 1e-9 && Math.abs(sy) < 1e-9) {
+            a = p1.x - p0.x; b = p3.x - p0.x;
+            d = p1.y - p0.y; e = p3.y - p0.y;
+        } else {
+            const dx1 = p1.x - p2.x, dx2 = p3.x - p2.x, dy1 = p1.y - p2.y, dy2 = p3.y - p2.y;
+            const den = dx1 * dy2 - dx2 * dy1;
+            g = (sx * dy2 - dx2 * sy) / den;
+            hh = (dx1 * sy - sx * dy1) / den;
+            a = p1.x - p0.x + g * p1.x; b = p3.x - p0.x + hh * p3.x;
+            d = p1.y - p0.y + g * p1.y; e = p3.y - p0.y + hh * p3.y;
+        }
+        return (u, v) => {
+            const z = g * u + hh * v + 1;
+            return { x: (a * u + b * v + p0.x) / z, y: (d * u + e * v + p0.y) / z };
+        };
+    }
+
+    // Mean grey level of each cell's centre, sampled through the perspective map
+    _sampleCells(gray, w, h, corners) {
+        const map = this._squareToQuad(corners);
+        const cells = [];
+        for (let i = 0; i < this.GRID; i++) {
+            const row = [];
+            for (let j = 0; j < this.GRID; j++) {
+                let sum = 0, n = 0;
+                for (let si = -1; si <= 1; si++) {
+                    for (let sj = -1; sj <= 1; sj++) {
+                        const p = map((j + 0.5 + sj * 0.25) / this.GRID, (i + 0.5 + si * 0.25) / this.GRID);
+                        const x = Math.round(p.x), y = Math.round(p.y);
+                        if (x >= 0 && y >= 0 && x < w && y < h) {
+                            sum += gray[y * w + x];
+                            n++;
+                        }
+                    }
+                }
+                row.push(n > 0 ? sum / n : 255);
+            }
+            cells.push(row);
+        }
+        return cells;
+    }
+
+    // Rotation (0-3 quarter turns) and bit errors of the best match, or null
+    _decode(cells) {
+        const values = cells.flat();
+        const lo = Math.min(...values), hi = Math.max(...values);
+        if (hi - lo < this.MIN_CONTRAST) return null;
+        const cut = (lo + hi) / 2;
+        const bits = cells.map(row => row.map(v => (v < cut ? 1 : 0)));
+
+        for (let i = 0; i < this.GRID; i++) {
+            for (let j = 0; j < this.GRID; j++) {
+                const border = i === 0 || j === 0 || i === this.GRID - 1 || j === this.GRID - 1;
+                if (border && !bits[i][j]) return null;
+            }
+        }
+
+        let inner = bits.slice(1, -1).map(row => row.slice(1, -1));
+        let best = null;
+        for (let rotation = 0; rotation < 4; rotation++) {
+            let errors = 0;
+            inner.forEach((row, i) => row.forEach((bit, j) => { if (bit !== this.CODE[i][j]) errors++; }));
+            if (errors <= this.MAX_BIT_ERRORS && (!best || errors < best.errors)) best = { rotation, errors };
+            // Turn the read pattern a quarter clockwise for the next try
+            inner = inner[0].map((_, j) => inner.map(row => row[j]).reverse());
+        }
+        return best;
+    }
+
+    _distance(a, b) {
+        return Math.hypot(b.x - a.x, b.y - a.y);
+    }
+
+    // The marker with its scale and tilt, or null when none is in the photo
+    detect(canvas) {
+        const w = canvas.width, h = canvas.height;
+        if (!w || !h) return null;
+
+        const gray = this._toGray(canvas.getContext('2d').getImageData(0, 0, w, h));
+        const blobs = this._findBlobs(this._threshold(gray, w, h), w, h);
+        let found = null;
+
+        for (const blob of blobs) {
+            const bw = blob.maxX - blob.minX + 1, bh = blob.maxY - blob.minY + 1;
+            if (Math.min(bw, bh) < this.MIN_SIDE_PX || Math.max(bw, bh) > 0.9 * Math.min(w, h)) continue;
+            if (bw / bh < 0.4 || bw / bh > 2.5) continue;
+
+            const corners = this._blobCorners(blob);
+            const area = this._quadArea(corners);
+            // The black border alone covers 56% of the square; code cells add to it
+            if (blob.count < 0.45 * area || blob.count > 0.95 * area) continue;
+
+            const code = this._decode(this._sampleCells(gray, w, h, corners));
+            if (!code || (found && area <= found.areaPx)) continue;
+            found = { corners, code, areaPx: area };
+        }
+        if (!found) return null;
+
+        const [tl, tr, br, bl] = found.corners;
+        const horizontalPx = (this._distance(tl, tr) + this._distance(bl, br)) / 2;
+        const verticalPx = (this._distance(tl, bl) + this._distance(tr, br)) / 2;
+        // Turning away (or the trunk's curve) only shortens one pair of sides; the longer pair keeps the true scale
+        const sidePx = Math.max(horizontalPx, verticalPx);
+        const tiltDeg = Math.acos(Math.min(horizontalPx, verticalPx) / sidePx) * 180 / Math.PI;
+        if (tiltDeg > this.MAX_TILT_DEG) return null;
+
+        // The printed top edge, from the decoded orientation; 0° when the phone is held level
+        const markerTop = [[tl, tr], [bl, tl], [br, bl], [tr, br]][found.code.rotation];
+        const rollDeg = Math.atan2(markerTop[1].y - markerTop[0].y, markerTop[1].x - markerTop[0].x) * 180 / Math.PI;
+
+        return {
+            sizeCm: this.SIZE_CM,
+            corners: found.corners,
+            bbox: {
+                x: Math.min(tl.x, bl.x),
+                y: Math.min(tl.y, tr.y),
+                w: Math.max(tr.x, br.x) - Math.min(tl.x, bl.x),
+                h: Math.max(bl.y, br.y) - Math.min(tl.y, tr.y)
+            },
+            centerX: (tl.x + tr.x + br.x + bl.x) / 4,
+            centerY: (tl.y + tr.y + br.y + bl.y) / 4,
+            sidePx,
+            pxPerCm: sidePx / this.SIZE_CM,
+            tiltDeg,
+            tiltAxis: horizontalPx < verticalPx ? 'horizontal' : 'vertical',
+            rollDeg,
+            bitErrors: found.code.errors,
+            confidence: found.code.errors === 0 ? 0.98 : 0.9
+        };
+    }
+}
+
+const fiducialMarker = new FiducialMarker();
+console.log('Fiducial Marker loaded');
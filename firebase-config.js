@@ -1,8 +1,8 @@
 // Import the functions you need from the SDKs you need
 import { initializeApp } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js";
 import { getAnalytics } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-analytics.js";
-import { getFirestore } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
-import { getAuth } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { getFirestore, connectFirestoreEmulator } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import { getAuth, connectAuthEmulator } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
 
 // Your web app's Firebase configuration
 const firebaseConfig = {
@@ -21,10 +21,25 @@ const analytics = getAnalytics(app);
 const db = getFirestore(app);
 const auth = getAuth(app);
 
+// Local emulators (`firebase emulators:start`, ports in firebase.json): open any page on
+// localhost with ?emulators=1 once; ?emulators=0 switches back to the live project
+const params = new URLSearchParams(window.location.search);
+if (params.has('emulators')) {
+  localStorage.setItem('ecotree-emulators', params.get('emulators') === '0' ? '0' : '1');
+}
+const isLocalHost = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+const useEmulators = isLocalHost && localStorage.getItem('ecotree-emulators') === '1';
+if (useEmulators) {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectFirestoreEmulator(db, '127.0.0.1', 8080);
+  console.log("🧪 Using local Firebase emulators (Auth :9099, Firestore :8080)");
+}
+
 // Export for use in other files
 window.firebaseApp = app;
 window.firebaseDB = db;
 window.firebaseAnalytics = analytics;
 window.firebaseAuth = auth;
+window.firebaseUsingEmulators = useEmulators;
 
 console.log("🔥 Firebase initialized successfully!");
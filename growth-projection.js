@@ -0,0 +1,228 @@
+// Growth Projection
+// Forecasts DBH year by year from species mean annual increments and runs each year through IndianForestryCalculator
+
+class GrowthProjector {
+    constructor(calculator) {
+        this.calculator = calculator;
+        this.HORIZONS = [10, 20, 30, 40, 50];
+        this.DEFAULT_HORIZON = 30;
+
+        // Mean annual DBH increment (cm/year) over a typical rotation and the DBH (cm) growth levels off at.
+        // Approximate values compiled from Indian plantation yield tables and species silvics notes;
+        // palms and bamboo thicken very little once established.
+        this.SPECIES_GROWTH = {
+            "acacia nilotica": { mai: 1.0, maxDbh: 60 },
+            "albizia lebbeck": { mai: 1.3, maxDbh: 80 },
+            "annona squamosa": { mai: 0.5, maxDbh: 20 },
+            "areca catechu": { mai: 0.3, maxDbh: 20 },
+            "artocarpus heterophyllus": { mai: 1.0, maxDbh: 80 },
+            "azadirachta indica": { mai: 1.0, maxDbh: 70 },
+            "bambusoideae": { mai: 0.3, maxDbh: 12 },
+            "bauhinia variegata": { mai: 0.8, maxDbh: 40 },
+            "bombax ceiba": { mai: 1.6, maxDbh: 120 },
+            "borassus flabellifer": { mai: 0.2, maxDbh: 70 },
+            "bougainvillea glabra": { mai: 0.3, maxDbh: 15 },
+            "carica papaya": { mai: 1.5, maxDbh: 25 },
+            "cassia fistula": { mai: 0.7, maxDbh: 50 },
+            "casuarina equisetifolia": { mai: 1.8, maxDbh: 40 },
+            "cedrus deodara": { mai: 0.6, maxDbh: 150 },
+            "citrus limon": { mai: 0.4, maxDbh: 20 },
+            "cocos nucifera": { mai: 0.2, maxDbh: 40 },
+            "cupressus sempervirens": { mai: 0.6, maxDbh: 60 },
+            "dalbergia sissoo": { mai: 1.2, maxDbh: 80 },
+            "delonix regia": { mai: 1.5, maxDbh: 70 },
+            "erythrina indica": { mai: 1.2, maxDbh: 50 },
+            "eucalyptus globulus": { mai: 2.0, maxDbh: 100 },
+            "ficus benghalensis": { mai: 1.5, maxDbh: 200 },
+            "ficus religiosa": { mai: 1.5, maxDbh: 150 },
+            "hyophorbe lagenicaulis": { mai: 0.2, maxDbh: 30 },
+            "jacaranda mimosifolia": { mai: 1.0, maxDbh: 60 },
+            "juniperus indica": { mai: 0.2, maxDbh: 40 },
+            "madhuca longifolia": { mai: 0.8, maxDbh: 90 },
+            "mangifera indica": { mai: 1.0, maxDbh: 100 },
+            "melia dubia": { mai: 2.5, maxDbh: 60 },
+            "nyctanthes arbor-tristis": { mai: 0.4, maxDbh: 20 },
+            "ocimum sanctum": { mai: 0.1, maxDbh: 3 },
+            "phoenix dactylifera": { mai: 0.2, maxDbh: 45 },
+            "phyllanthus emblica": { mai: 0.7, maxDbh: 40 },
+            "pinus roxburghii": { mai: 0.9, maxDbh: 80 },
+            "plumeria rubra": { mai: 0.6, maxDbh: 35 },
+            "prosopis cineraria": { mai: 0.5, maxDbh: 50 },
+            "psidium guajava": { mai: 0.6, maxDbh: 30 },
+            "punica granatum": { mai: 0.3, maxDbh: 15 },
+            "quercus leucotrichophora": { mai: 0.5, maxDbh: 80 },
+            "santalum album": { mai: 0.6, maxDbh: 30 },
+            "saraca asoca": { mai: 0.5, maxDbh: 35 },
+            "shorea robusta": { mai: 0.7, maxDbh: 120 },
+            "syzygium cumini": { mai: 0.9, maxDbh: 80 },
+            "tamarindus indica": { mai: 0.8, maxDbh: 120 },
+            "tectona grandis": { mai: 1.2, maxDbh: 90 },
+            "terminalia arjuna": { mai: 1.0, maxDbh: 100 },
+            "terminalia bellirica": { mai: 1.0, maxDbh: 90 },
+            "terminalia catappa": { mai: 1.2, maxDbh: 80 },
+            "terminalia chebula": { mai: 0.6, maxDbh: 70 }
+        };
+        this.DEFAULT_GROWTH = { mai: 0.8, maxDbh: 60 };
+
+        // A tree's own DBH/age can adjust the table rate for its site, within these bounds
+        this.MIN_SITE_FACTOR = 0.5;
+        this.MAX_SITE_FACTOR = 2.0;
+    }
+
+    getGrowthParameters(treeData) {
+        const key = this.calculator.normalizeSpeciesName(treeData?.scientific);
+        if (key && this.SPECIES_GROWTH[key]) {
+            return { ...this.SPECIES_GROWTH[key], source: "Species table" };
+        }
+
+        // Appendix species without a table entry: generic rate, ceiling from the species average DBH if known
+        const avgDbh = Number(treeData?.avgDBH);
+        return {
+            mai: this.DEFAULT_GROWTH.mai,
+            maxDbh: avgDbh > 0 ? avgDbh * 1.5 : this.DEFAULT_GROWTH.maxDbh,
+            source: "Generic default"
+        };
+    }
+
+    // Increment slows linearly as DBH approaches maxDbh and equals the MAI at half of it
+    getAnnualIncrement(dbhCm, mai, maxDbh) {
+        return Math.max(0, 2 * mai * (1 - dbhCm / maxDbh));
+    }
+
+    getSiteFactor(dbhCm, ageYears, mai) {
+        const age = Number(ageYears);
+        if (!Number.isFinite(age) || age <= 0 || !(dbhCm > 0)) {
+            return { factor: 1, calibrated: false };
+        }
+
+        const observedMai = dbhCm / age;
+        const factor = Math.min(this.MAX_SITE_FACTOR, Math.max(this.MIN_SITE_FACTOR, observedMai / mai));
+        return { factor, calibrated: true, observedMai };
+    }
+
+    // options: { treeData, dbh, age, horizon, method, forestType, woodDensity, height, latitude, longitude }
+    project(options) {
+        const treeData = options.treeData;
+        const horizon = this.HORIZONS.includes(Number(options.horizon)) ? Number(options.horizon) : this.DEFAULT_HORIZON;
+        const startDbh = Number(options.dbh);
+        const startAge = Number(options.age);
+        const parameters = this.getGrowthParameters(treeData);
+        const site = this.getSiteFactor(startDbh, startAge, parameters.mai);
+        const mai = parameters.mai * site.factor;
+        const maxDbh = Math.max(parameters.maxDbh, startDbh);
+
+        // Method 2 heights follow the H-D curve, anchored on the measured height when there is one
+        const startHeight = Number(options.height);
+        const heightReference = startHeight > 0
+            ? { referenceHeight: startHeight, referenceDbh: startDbh }
+            : { referenceHeight: treeData?.avgHeight, referenceDbh: treeData?.avgDBH };
+
+        const rows = [];
+        let dbh = startDbh;
+        let startCO2 = null;
+
+        for (let year = 0; year <= horizon; year++) {
+            if (year > 0) {
+                dbh += this.getAnnualIncrement(dbh, mai, maxDbh);
+            }
+
+            let height = null;
+            if (options.method === "method2") {
+                const prediction = this.calculator.predictHeightFromDBH(dbh, {
+                    latitude: options.latitude,
+                    longitude: options.longitude,
+                    ...heightReference
+                });
+                // Without the E lookup, hold the measured height rather than drop to Method 1
+                height = prediction ? prediction.height : (startHeight > 0 ? startHeight : null);
+            }
+
+            const result = this.calculator.calculate(dbh * Math.PI, treeData?.name, height, {
+                scientificName: treeData?.scientific,
+                method: options.method,
+                forestType: options.forestType,
+                woodDensityOverride: options.woodDensity,
+                heightSource: "predicted",
+                latitude: options.latitude,
+                longitude: options.longitude
+            });
+
+            const co2 = parseFloat(result.co2);
+            if (startCO2 === null) {
+                startCO2 = co2;
+            }
+
+            rows.push({
+                year,
+                age: Number.isFinite(startAge) && startAge > 0 ? startAge + year : null,
+                dbh: dbh.toFixed(1),
+                height: height ? height.toFixed(1) : null,
+                agb: result.biomass.aboveGround,
+                carbon: result.carbon,
+                co2: result.co2,
+                cumulativeCO2: (co2 - startCO2).toFixed(2)
+            });
+        }
+
+        return {
+            species: treeData?.name || "Unknown",
+            scientificName: treeData?.scientific || null,
+            horizon,
+            method: options.method,
+            growth: {
+                mai: mai.toFixed(2),
+                tableMai: parameters.mai.toFixed(2),
+                maxDbh: maxDbh.toFixed(0),
+                source: parameters.source,
+                siteFactor: site.factor.toFixed(2),
+                ageCalibrated: site.calibrated
+            },
+            rows
+        };
+    }
+
+    // Rows at 5-year steps (plus the final year) for tables and exports
+    getMilestoneRows(projection, step = 5) {
+        return projection.rows.filter((row) => row.year % step === 0 || row.year === projection.horizon);
+    }
+
+    // Carbon stock per year for one or more projections, drawn as an SVG line chart
+    renderProjectionChart(projections, width = 360, height = 180) {
+        if (!projections.length || projections[0].rows.length < 2) {
+            return "";
+        }
+
+        const colors = ["#34d399", "#60a5fa", "#fbbf24"];
+        const pad = { top: 16, right: 16, bottom: 28, left: 48 };
+        const horizon = Math.max(...projections.map((p) => p.horizon));
+        const maxCarbon = Math.max(...projections.flatMap((p) => p.rows.map((row) => parseFloat(row.carbon)))) * 1.1 || 1;
+        const x = (year) => pad.left + (year / horizon) * (width - pad.left - pad.right);
+        const y = (value) => height - pad.bottom - (value / maxCarbon) * (height - pad.top - pad.bottom);
+
+        const lines = projections.map((projection, index) => {
+            const path = projection.rows
+                .map((row, i) => `${i === 0 ? "M" : "L"}${x(row.year).toFixed(1)},${y(parseFloat(row.carbon)).toFixed(1)}`)
+                .join(" ");
+            return `<path d="${path}" fill="none" stroke="${colors[index % colors.length]}" stroke-width="2"><title>${projection.species}</title></path>`;
+        }).join("");
+
+        const legend = projections.map((projection, index) => `
+                <text x="${pad.left + 6}" y="${pad.top + 4 + index * 12}" fill="${colors[index % colors.length]}" font-size="10">${projection.species}</text>`).join("");
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Projected carbon stock">
+                <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="rgba(255,255,255,0.2)"/>
+                <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" stroke="rgba(255,255,255,0.2)"/>
+                <text x="${pad.left - 6}" y="${pad.top + 4}" fill="rgba(255,255,255,0.5)" font-size="10" text-anchor="end">${maxCarbon.toFixed(0)}</text>
+                <text x="${pad.left - 6}" y="${height - pad.bottom}" fill="rgba(255,255,255,0.5)" font-size="10" text-anchor="end">0</text>
+                <text x="${pad.left}" y="${height - 8}" fill="rgba(255,255,255,0.5)" font-size="10">Now</text>
+                <text x="${width - pad.right}" y="${height - 8}" fill="rgba(255,255,255,0.5)" font-size="10" text-anchor="end">+${horizon} years (kg C)</text>
+                ${lines}
+                ${legend}
+            </svg>
+        `;
+    }
+}
+
+const growthProjector = new GrowthProjector(indianCalculator);
+console.log("Growth Projector loaded");
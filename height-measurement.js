@@ -0,0 +1,127 @@
+// Tree Height Measurement
+// Clinometer (phone tilt via DeviceOrientation) and photo-with-reference height estimates,
+// each returned with a standard deviation so Method 2 can carry the height error.
+
+class HeightMeasurement {
+    constructor() {
+        this.Z_95 = 1.96;
+        this.DISTANCE_CV = {
+            tape: 0.01,   // taped or laser distance
+            paced: 0.05   // paced distance, calibrated pace length
+        };
+        this.DEFAULT_PACE_M = 0.75;
+        this.MIN_ANGLE_SD_DEG = 0.5; // phone sensors are rarely better than this
+        this.PIXEL_ERROR = 3;        // tap accuracy per endpoint, in canvas pixels
+        this.REFERENCE_CV = {
+            person: 0.04,  // height of an unmeasured adult
+            pole: 0.01     // ranging pole or measured staff
+        };
+        this.ORIENTATION_WINDOW_MS = 1000;
+    }
+
+    // Elevation of the rear camera's line of sight for a phone held upright in portrait:
+    // beta = 90° is level, more is tilted up.
+    elevationFromOrientation(beta) {
+        return Number.isFinite(beta) ? beta - 90 : null;
+    }
+
+    // Mean and spread of the readings from the last second, so a shaky hand is averaged out
+    summarizeAngles(readings, now = Date.now()) {
+        const recent = readings.filter((reading) => now - reading.time <= this.ORIENTATION_WINDOW_MS);
+        if (recent.length === 0) {
+            return null;
+        }
+
+        const mean = recent.reduce((sum, reading) => sum + reading.angle, 0) / recent.length;
+        const variance = recent.reduce((sum, reading) => sum + Math.pow(reading.angle - mean, 2), 0) / recent.length;
+        return {
+            angle: mean,
+            sd: Math.max(this.MIN_ANGLE_SD_DEG, Math.sqrt(variance)),
+            samples: recent.length
+        };
+    }
+
+    pacesToMeters(paces, paceLengthM = this.DEFAULT_PACE_M) {
+        return Number(paces) * Number(paceLengthM);
+    }
+
+    withInterval(height, sd) {
+        return {
+            height,
+            sd,
+            lower: Math.max(0, height - this.Z_95 * sd),
+            upper: height + this.Z_95 * sd,
+            cv: height > 0 ? sd / height : 0
+        };
+    }
+
+    // Tangent method: H = d × (tan θtop − tan θbase), angles in degrees (base usually negative)
+    calculateClinometerHeight({ distanceM, distanceMode = "tape", baseAngle, topAngle }) {
+        const distance = Number(distanceM);
+        if (!(distance > 0)) {
+            throw new Error("Enter the horizontal distance to the trunk");
+        }
+        if (!baseAngle || !topAngle) {
+            throw new Error("Lock both the base and the top angle");
+        }
+        if (topAngle.angle <= baseAngle.angle) {
+            throw new Error("The top angle must be above the base angle");
+        }
+        if (topAngle.angle >= 85) {
+            throw new Error("Top angle is too steep - step further back from the tree");
+        }
+
+        const toRad = (deg) => (deg * Math.PI) / 180;
+        const tanTop = Math.tan(toRad(topAngle.angle));
+        const tanBase = Math.tan(toRad(baseAngle.angle));
+        const height = distance * (tanTop - tanBase);
+
+        // First-order error propagation over distance and both angles
+        const distanceSd = distance * (this.DISTANCE_CV[distanceMode] || this.DISTANCE_CV.paced);
+        const sec2 = (deg) => 1 / Math.pow(Math.cos(toRad(deg)), 2);
+        const sd = Math.sqrt(
+            Math.pow((tanTop - tanBase) * distanceSd, 2) +
+            Math.pow(distance * sec2(topAngle.angle) * toRad(topAngle.sd), 2) +
+            Math.pow(distance * sec2(baseAngle.angle) * toRad(baseAngle.sd), 2)
+        );
+
+        return {
+            ...this.withInterval(height, sd),
+            method: "clinometer",
+            details: `${distance.toFixed(1)} m (${distanceMode}), base ${baseAngle.angle.toFixed(1)}°, top ${topAngle.angle.toFixed(1)}°`
+        };
+    }
+
+    // Photo mode: a reference of known height stands against the trunk, so both share one scale
+    calculateReferenceHeight({ treeTopY, treeBaseY, refTopY, refBaseY, refHeightM, referenceType = "person" }) {
+        const treePx = Math.abs(treeBaseY - treeTopY);
+        const refPx = Math.abs(refBaseY - refTopY);
+        const refHeight = Number(refHeightM);
+
+        if (!(refHeight > 0)) {
+            throw new Error("Enter the reference height");
+        }
+        if (refPx < 10 || treePx < 10) {
+            throw new Error("Mark the tree and the reference again - the spans are too short");
+        }
+
+        const height = refHeight * (treePx / refPx);
+
+        // Each span has two tapped endpoints; reference height itself is uncertain too
+        const spanCv = (px) => (Math.SQRT2 * this.PIXEL_ERROR) / px;
+        const cv = Math.sqrt(
+            Math.pow(spanCv(treePx), 2) +
+            Math.pow(spanCv(refPx), 2) +
+            Math.pow(this.REFERENCE_CV[referenceType] || this.REFERENCE_CV.person, 2)
+        );
+
+        return {
+            ...this.withInterval(height, height * cv),
+            method: "referencePhoto",
+            details: `${referenceType === "pole" ? "Pole" : "Person"} ${refHeight.toFixed(2)} m = ${refPx.toFixed(0)} px, tree ${treePx.toFixed(0)} px`
+        };
+    }
+}
+
+const heightMeasurement = new HeightMeasurement();
+console.log("Height Measurement loaded");
@@ -0,0 +1,310 @@
+// Height Tool Handler
+// Clinometer (live camera + phone tilt) and photo-with-reference height measurement.
+// The result fills #treeHeight through applyMeasuredHeight() in app.js.
+
+let clinometerStream = null;
+let orientationReadings = [];
+let lockedAngles = { base: null, top: null };
+let heightPhotoPoints = [];
+let heightPhotoImage = null;
+let heightToolResult = null;
+
+const HEIGHT_PHOTO_STEPS = ['tree top', 'tree base', 'reference top', 'reference base'];
+
+document.addEventListener('DOMContentLoaded', () => {
+    initializeHeightTool();
+});
+
+function initializeHeightTool() {
+    const measureHeightBtn = document.getElementById('measureHeightBtn');
+    const heightToolModal = document.getElementById('heightToolModal');
+    if (!measureHeightBtn || !heightToolModal) return;
+
+    measureHeightBtn.addEventListener('click', async () => {
+        heightToolModal.style.display = 'flex';
+        resetHeightTool();
+        // iOS only grants orientation access from a user gesture
+        await requestOrientationAccess();
+        showHeightMode('clinometer');
+    });
+
+    document.getElementById('closeHeightToolBtn').addEventListener('click', closeHeightTool);
+
+    document.querySelectorAll('.height-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => showHeightMode(btn.dataset.mode));
+    });
+
+    // ===== Clinometer =====
+    document.getElementById('clinometerDistanceMode').addEventListener('change', (e) => {
+        const paced = e.target.value === 'paced';
+        document.getElementById('pacedDistanceInputs').style.display = paced ? 'flex' : 'none';
+        document.getElementById('clinometerDistance').readOnly = paced;
+        updatePacedDistance();
+    });
+    document.getElementById('clinometerPaces').addEventListener('input', updatePacedDistance);
+    document.getElementById('clinometerPaceLength').addEventListener('input', updatePacedDistance);
+    document.getElementById('clinometerDistance').addEventListener('input', updateClinometerResult);
+
+    document.getElementById('lockBaseAngleBtn').addEventListener('click', () => lockAngle('base'));
+    document.getElementById('lockTopAngleBtn').addEventListener('click', () => lockAngle('top'));
+
+    // ===== Photo with reference =====
+    const heightPhotoInput = document.getElementById('heightPhotoInput');
+    document.getElementById('heightPhotoBtn').addEventListener('click', () => {
+        heightPhotoInput.value = '';
+        heightPhotoInput.click();
+    });
+    heightPhotoInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) loadHeightPhoto(file);
+    });
+    document.getElementById('heightPhotoCanvas').addEventListener('click', handleHeightPhotoTap);
+    document.getElementById('heightReferenceType').addEventListener('change', (e) => {
+        // Typical adult vs a standard 2 m ranging pole
+        document.getElementById('heightReferenceHeight').value = e.target.value === 'pole' ? '2.00' : '1.70';
+        updateReferenceResult();
+    });
+    document.getElementById('heightReferenceHeight').addEventListener('input', updateReferenceResult);
+
+    document.getElementById('useHeightBtn').addEventListener('click', () => {
+        if (!heightToolResult) return;
+        applyMeasuredHeight(heightToolResult);
+        closeHeightTool();
+    });
+}
+
+function resetHeightTool() {
+    orientationReadings = [];
+    lockedAngles = { base: null, top: null };
+    heightPhotoPoints = [];
+    heightPhotoImage = null;
+    document.getElementById('lockedBaseAngle').textContent = '';
+    document.getElementById('lockedTopAngle').textContent = '';
+    document.getElementById('heightPhotoCanvas').style.display = 'none';
+    document.getElementById('heightPhotoPrompt').textContent =
+        'Photograph the whole tree with the reference standing upright against the trunk.';
+    showHeightResult(null);
+}
+
+function closeHeightTool() {
+    document.getElementById('heightToolModal').style.display = 'none';
+    stopClinometer();
+}
+
+function showHeightMode(mode) {
+    document.querySelectorAll('.height-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    document.getElementById('clinometerPanel').style.display = mode === 'clinometer' ? 'block' : 'none';
+    document.getElementById('referencePhotoPanel').style.display = mode === 'referencePhoto' ? 'block' : 'none';
+
+    if (mode === 'clinometer') {
+        startClinometer();
+        updateClinometerResult();
+    } else {
+        stopClinometer();
+        updateReferenceResult();
+    }
+}
+
+function showHeightResult(result, message = '') {
+    heightToolResult = result;
+    document.getElementById('useHeightBtn').disabled = !result;
+    document.getElementById('heightToolResult').textContent = result
+        ? `${result.height.toFixed(1)} ± ${result.sd.toFixed(1)} m`
+        : '-';
+    document.getElementById('heightToolDetails').textContent = result
+        ? `95% range ${result.lower.toFixed(1)}–${result.upper.toFixed(1)} m · ${result.details}`
+        : message;
+}
+
+// ===== Clinometer =====
+
+async function requestOrientationAccess() {
+    if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
+        try {
+            return (await DeviceOrientationEvent.requestPermission()) === 'granted';
+        } catch (error) {
+            console.warn('Orientation permission request failed:', error);
+            return false;
+        }
+    }
+    return true;
+}
+
+function handleOrientation(event) {
+    const angle = heightMeasurement.elevationFromOrientation(event.beta);
+    if (angle === null) return;
+
+    const now = Date.now();
+    orientationReadings.push({ time: now, angle });
+    // Keep only what summarizeAngles looks at
+    orientationReadings = orientationReadings.filter(reading => now - reading.time <= heightMeasurement.ORIENTATION_WINDOW_MS);
+    document.getElementById('clinometerAngle').textContent = angle.toFixed(1);
+}
+
+async function startClinometer() {
+    window.addEventListener('deviceorientation', handleOrientation);
+    if (clinometerStream) return;
+
+    try {
+        clinometerStream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment' },
+            audio: false
+        });
+        document.getElementById('clinometerVideo').srcObject = clinometerStream;
+    } catch (error) {
+        // The angles still work without a preview; aiming is just harder
+        console.warn('Clinometer camera unavailable:', error);
+    }
+}
+
+function stopClinometer() {
+    window.removeEventListener('deviceorientation', handleOrientation);
+    if (clinometerStream) {
+        clinometerStream.getTracks().forEach(track => track.stop());
+        clinometerStream = null;
+    }
+    document.getElementById('clinometerVideo').srcObject = null;
+}
+
+function lockAngle(which) {
+    const summary = heightMeasurement.summarizeAngles(orientationReadings);
+    if (!summary) {
+        alert('No tilt readings from this device. The clinometer needs a phone with a motion sensor - try the photo mode instead.');
+        return;
+    }
+
+    lockedAngles[which] = summary;
+    const label = which === 'base' ? 'lockedBaseAngle' : 'lockedTopAngle';
+    document.getElementById(label).textContent = `(${summary.angle.toFixed(1)}°)`;
+    updateClinometerResult();
+}
+
+function updatePacedDistance() {
+    if (document.getElementById('clinometerDistanceMode').value !== 'paced') {
+        updateClinometerResult();
+        return;
+    }
+    const paces = parseFloat(document.getElementById('clinometerPaces').value);
+    const paceLength = parseFloat(document.getElementById('clinometerPaceLength').value) || heightMeasurement.DEFAULT_PACE_M;
+    document.getElementById('clinometerDistance').value = paces > 0
+        ? heightMeasurement.pacesToMeters(paces, paceLength).toFixed(1)
+        : '';
+    updateClinometerResult();
+}
+
+function updateClinometerResult() {
+    if (!lockedAngles.base || !lockedAngles.top) {
+        showHeightResult(null, 'Lock the base and the top angle.');
+        return;
+    }
+
+    try {
+        showHeightResult(heightMeasurement.calculateClinometerHeight({
+            distanceM: document.getElementById('clinometerDistance').value,
+            distanceMode: document.getElementById('clinometerDistanceMode').value,
+            baseAngle: lockedAngles.base,
+            topAngle: lockedAngles.top
+        }));
+    } catch (error) {
+        showHeightResult(null, error.message);
+    }
+}
+
+// ===== Photo with reference =====
+
+function loadHeightPhoto(file) {
+    const canvas = document.getElementById('heightPhotoCanvas');
+    const reader = new FileReader();
+    reader.onload = (evt) => {
+        const img = new Image();
+        img.onload = () => {
+            // Same 1200px cap as the trunk camera
+            let w = img.width, h = img.height;
+            const maxW = 1200;
+            if (w > maxW) {
+                h = Math.round(h * (maxW / w));
+                w = maxW;
+            }
+            canvas.width = w;
+            canvas.height = h;
+            canvas.style.display = 'block';
+            heightPhotoImage = img;
+            heightPhotoPoints = [];
+            drawHeightPhoto();
+            updateReferenceResult();
+        };
+        img.onerror = () => alert('Could not read that photo. Please try another one.');
+        img.src = evt.target.result;
+    };
+    reader.readAsDataURL(file);
+}
+
+function handleHeightPhotoTap(e) {
+    if (!heightPhotoImage) return;
+
+    const canvas = e.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    const point = {
+        x: (e.clientX - rect.left) * (canvas.width / rect.width),
+        y: (e.clientY - rect.top) * (canvas.height / rect.height)
+    };
+
+    // A fifth tap starts over
+    heightPhotoPoints = heightPhotoPoints.length >= HEIGHT_PHOTO_STEPS.length ? [point] : heightPhotoPoints.concat(point);
+    drawHeightPhoto();
+    updateReferenceResult();
+}
+
+function drawHeightPhoto() {
+    const canvas = document.getElementById('heightPhotoCanvas');
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(heightPhotoImage, 0, 0, canvas.width, canvas.height);
+
+    const colors = ['#10b981', '#10b981', '#f59e0b', '#f59e0b'];
+    const radius = Math.max(6, canvas.width / 150);
+    heightPhotoPoints.forEach((point, i) => {
+        ctx.fillStyle = colors[i];
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        if (i % 2 === 1) {
+            const start = heightPhotoPoints[i - 1];
+            ctx.strokeStyle = colors[i];
+            ctx.lineWidth = radius / 2;
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(point.x, point.y);
+            ctx.stroke();
+        }
+    });
+}
+
+function updateReferenceResult() {
+    const prompt = document.getElementById('heightPhotoPrompt');
+    if (!heightPhotoImage) {
+        showHeightResult(null, 'Take a photo first.');
+        return;
+    }
+    if (heightPhotoPoints.length < HEIGHT_PHOTO_STEPS.length) {
+        prompt.textContent = `Tap the ${HEIGHT_PHOTO_STEPS[heightPhotoPoints.length]}.`;
+        showHeightResult(null, '');
+        return;
+    }
+
+    prompt.textContent = 'Tap again to start over.';
+    const [treeTop, treeBase, refTop, refBase] = heightPhotoPoints;
+    try {
+        showHeightResult(heightMeasurement.calculateReferenceHeight({
+            treeTopY: treeTop.y,
+            treeBaseY: treeBase.y,
+            refTopY: refTop.y,
+            refBaseY: refBase.y,
+            refHeightM: document.getElementById('heightReferenceHeight').value,
+            referenceType: document.getElementById('heightReferenceType').value
+        }));
+    } catch (error) {
+        showHeightResult(null, error.message);
+    }
+}
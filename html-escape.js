@@ -0,0 +1,17 @@
+// HTML escaping for values rendered through innerHTML.
+// Submissions, plots and history entries are typed by users, so every value from them goes
+// through escapeHtml before it reaches a template. Loaded as a plain script before app.js,
+// admin-dashboard.js and map.js.
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { escapeHtml: escapeHtml };
+}
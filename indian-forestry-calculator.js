@@ -1,5 +1,6 @@
 // Indian Forestry Calculator
-// Chave et al. (2014) based AGB methods with forest-type carbon fractions
+// Chave et al. (2014) based AGB methods with forest-type carbon fractions,
+// the height-free environmental stress (E) model and a crown-based model for open-grown trees
 
 class IndianForestryCalculator {
     constructor() {
@@ -7,6 +8,40 @@ class IndianForestryCalculator {
         this.CAR_EMISSION_PER_KM = 0.12; // kg CO2/km
         this.HOME_ENERGY_PER_DAY = 10; // kg CO2/day
 
+        // Uncertainty inputs for 95% confidence intervals
+        // Residual standard errors (log scale) from Chave et al. (2014): Eq. 4 and height-free Eq. 7;
+        // Method 4 from Jucker et al. (2017), angiosperm H x CD model
+        this.MODEL_RSE = {
+            method1: 0.413,
+            method2: 0.357,
+            method3: 0.413,
+            method4: 0.204
+        };
+        this.Z_95 = 1.96;
+        this.DEFAULT_WOOD_DENSITY_CV = 0.10; // within-species spread when archive has no variance
+        this.DEFAULT_CIRCUMFERENCE_ERROR_CV = 0.02; // tape measurement error
+        this.HEIGHT_MODEL_RSE = 0.243; // Chave et al. (2014) Eq. 6a
+
+        this.HEIGHT_SOURCE_LABELS = {
+            measured: "Measured",
+            predicted: "Predicted (H-D model)",
+            photo: "Photo estimate",
+            clinometer: "Clinometer (phone tilt)",
+            referencePhoto: "Photo with height reference"
+        };
+
+        // Crown diameter: tape across the drip line, mean of two paced spreads, or the AI camera
+        this.CROWN_SOURCE_LABELS = {
+            measured: "Measured",
+            spread: "Paced crown spread",
+            photo: "Photo estimate"
+        };
+        this.CROWN_ERROR_CV = {
+            measured: 0.05,
+            spread: 0.10,
+            photo: 0.20
+        };
+
         // Built-in fallback wood density values (g/cm^3)
         this.woodDensity = {
             Neem: 0.68,
@@ -44,7 +79,11 @@ class IndianForestryCalculator {
         };
 
         this.archiveDensityMap = new Map();
+        this.archiveDensitySdMap = new Map();
         this.archiveDensityLoadPromise = null;
+
+        this.environmentalStressRegions = [];
+        this.environmentalStressLoadPromise = null;
     }
 
     normalizeSpeciesName(value) {
@@ -96,6 +135,7 @@ class IndianForestryCalculator {
                 }
 
                 const sumByTaxon = new Map();
+                const sumSquaresByTaxon = new Map();
                 const countByTaxon = new Map();
                 const measurementLines = measText.split(/\r?\n/).filter(Boolean);
 
@@ -120,14 +160,23 @@ class IndianForestryCalculator {
                     }
 
                     sumByTaxon.set(taxonId, (sumByTaxon.get(taxonId) || 0) + measurementValue);
+                    sumSquaresByTaxon.set(taxonId, (sumSquaresByTaxon.get(taxonId) || 0) + measurementValue * measurementValue);
                     countByTaxon.set(taxonId, (countByTaxon.get(taxonId) || 0) + 1);
                 }
 
                 this.archiveDensityMap.clear();
+                this.archiveDensitySdMap.clear();
                 sumByTaxon.forEach((sum, taxon) => {
                     const count = countByTaxon.get(taxon) || 1;
                     const avgDensity = sum / count;
-                    this.archiveDensityMap.set(this.normalizeSpeciesName(taxon), avgDensity);
+                    const key = this.normalizeSpeciesName(taxon);
+                    this.archiveDensityMap.set(key, avgDensity);
+
+                    // Sample standard deviation needs at least two records for the taxon.
+                    if (count > 1) {
+                        const variance = (sumSquaresByTaxon.get(taxon) - count * avgDensity * avgDensity) / (count - 1);
+                        this.archiveDensitySdMap.set(key, Math.sqrt(Math.max(variance, 0)));
+                    }
                 });
 
                 console.log(`Archive wood density loaded for ${this.archiveDensityMap.size} taxa`);
@@ -141,11 +190,119 @@ class IndianForestryCalculator {
         return this.archiveDensityLoadPromise;
     }
 
+    async loadEnvironmentalStressLookup() {
+        if (this.environmentalStressLoadPromise) {
+            return this.environmentalStressLoadPromise;
+        }
+
+        this.environmentalStressLoadPromise = (async () => {
+            try {
+                const response = await fetch("environmental-stress-lookup.json", { cache: "no-store" });
+                if (!response.ok) {
+                    throw new Error("Environmental stress lookup not accessible");
+                }
+
+                this.setEnvironmentalStressLookup(await response.json());
+                console.log(`Environmental stress lookup loaded for ${this.environmentalStressRegions.length} regions`);
+                return true;
+            } catch (error) {
+                console.warn("Environmental stress lookup not loaded. Method 3 is unavailable.", error);
+                return false;
+            }
+        })();
+
+        return this.environmentalStressLoadPromise;
+    }
+
+    // Regions keep the lookup's order: getEnvironmentalStress uses the first one containing a point
+    setEnvironmentalStressLookup(lookup) {
+        this.environmentalStressRegions = (lookup.regions || [])
+            .filter((region) => Array.isArray(region.bounds) && region.bounds.length === 4)
+            .map((region) => {
+                const [south, west, north, east] = region.bounds;
+                return {
+                    name: region.name,
+                    bounds: region.bounds,
+                    area: (north - south) * (east - west),
+                    value: this.calculateEnvironmentalStress(region.ts, region.cwd, region.ps)
+                };
+            });
+    }
+
+    // Chave et al. (2014) Eq. 6b: E = (0.178 TS - 0.938 CWD - 6.61 PS) x 10^-3
+    calculateEnvironmentalStress(ts, cwd, ps) {
+        return (0.178 * ts - 0.938 * cwd - 6.61 * ps) * 1e-3;
+    }
+
+    // First lookup region containing the point wins; the lookup lists specific zones before the
+    // broad ones they overlap, ending with the national average.
+    getEnvironmentalStress(latitude, longitude) {
+        const lat = Number(latitude);
+        const lon = Number(longitude);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+            return null;
+        }
+
+        const match = this.environmentalStressRegions.find((region) => {
+            const [south, west, north, east] = region.bounds;
+            return lat >= south && lat <= north && lon >= west && lon <= east;
+        });
+
+        return match ? { value: match.value, region: match.name } : null;
+    }
+
+    // Widest lookup region, used when no GPS fix is available.
+    getBroadestEnvironmentalStress() {
+        if (this.environmentalStressRegions.length === 0) {
+            return null;
+        }
+
+        const broadest = this.environmentalStressRegions.reduce((a, b) => (b.area > a.area ? b : a));
+        return { value: broadest.value, region: broadest.name };
+    }
+
+    // Chave et al. (2014) Eq. 6a: ln(H) = 0.893 - E + 0.760 ln(D) - 0.0340 (ln D)^2
+    calculateHeightChave2014(dbhCm, environmentalStress) {
+        const lnD = Math.log(Math.max(dbhCm, 0.0001));
+        return Math.exp(0.893 - environmentalStress + 0.760 * lnD - 0.0340 * lnD * lnD);
+    }
+
+    // Predicts height (m) from DBH. When the species' average height/DBH is known, the regional
+    // curve is scaled to pass through that point so tall and short species keep their shape.
+    predictHeightFromDBH(dbhCm, options = {}) {
+        const localStress = this.getEnvironmentalStress(options.latitude, options.longitude);
+        const stress = localStress || this.getBroadestEnvironmentalStress();
+        if (!stress || !Number.isFinite(dbhCm) || dbhCm <= 0) {
+            return null;
+        }
+
+        let height = this.calculateHeightChave2014(dbhCm, stress.value);
+        let model = "Chave 2014 regional H-D (Eq. 6a)";
+
+        const referenceHeight = Number(options.referenceHeight);
+        const referenceDbh = Number(options.referenceDbh);
+        if (referenceHeight > 0 && referenceDbh > 0) {
+            height *= referenceHeight / this.calculateHeightChave2014(referenceDbh, stress.value);
+            model = "Chave 2014 H-D calibrated to species average";
+        }
+
+        return {
+            height,
+            lower: height * Math.exp(-this.Z_95 * this.HEIGHT_MODEL_RSE),
+            upper: height * Math.exp(this.Z_95 * this.HEIGHT_MODEL_RSE),
+            logSigma: this.HEIGHT_MODEL_RSE,
+            model,
+            environmentalStress: stress.value,
+            region: localStress ? stress.region : `${stress.region} (no GPS)`
+        };
+    }
+
     getWoodDensityDetails(speciesName, scientificName = null) {
         const scientificKey = this.normalizeSpeciesName(scientificName);
         if (scientificKey && this.archiveDensityMap.has(scientificKey)) {
             return {
                 density: this.archiveDensityMap.get(scientificKey),
+                sd: this.archiveDensitySdMap.get(scientificKey) ?? null,
                 source: "Archive scientific match"
             };
         }
@@ -154,6 +311,7 @@ class IndianForestryCalculator {
         if (speciesKey && this.archiveDensityMap.has(speciesKey)) {
             return {
                 density: this.archiveDensityMap.get(speciesKey),
+                sd: this.archiveDensitySdMap.get(speciesKey) ?? null,
                 source: "Archive species match"
             };
         }
@@ -164,17 +322,106 @@ class IndianForestryCalculator {
 
         return {
             density: builtInDensity,
+            sd: null,
             source
         };
     }
 
+    // Log-scale AGB error combining model residuals, wood density spread and circumference error.
+    // Methods 1/2: AGB ~ rho^b x D^(2b). Method 3: d ln(AGB)/d ln(D) = 2.673 - 0.0598 ln(D).
+    // Method 4: AGB ~ (H x CD)^2.013, so only height and crown errors propagate.
+    calculateAGBLogSigma(method, woodDensityDetails, circumferenceErrorCv, dbhCm, heightLogSigma = 0, crownLogSigma = 0) {
+        const modelSigma = this.MODEL_RSE[method] || this.MODEL_RSE.method1;
+        let densityExponent = method === "method2" ? 0.976 : 1.02;
+        let diameterExponent = 2 * densityExponent;
+        let heightExponent = method === "method2" ? 0.976 : 0;
+        let crownExponent = 0;
+        if (method === "method3") {
+            densityExponent = 0.976;
+            diameterExponent = 2.673 - 2 * 0.0299 * Math.log(Math.max(dbhCm, 0.0001));
+        }
+        if (method === "method4") {
+            densityExponent = 0;
+            diameterExponent = 0;
+            heightExponent = 2.013;
+            crownExponent = 2.013;
+        }
+
+        const densitySd = Number(woodDensityDetails.sd);
+        const woodDensityCv = Number.isFinite(densitySd) && densitySd > 0
+            ? densitySd / woodDensityDetails.density
+            : this.DEFAULT_WOOD_DENSITY_CV;
+
+        const woodDensitySigma = densityExponent * woodDensityCv;
+        const circumferenceSigma = diameterExponent * circumferenceErrorCv;
+        const heightSigma = heightExponent * heightLogSigma;
+        const crownSigma = crownExponent * crownLogSigma;
+
+        return {
+            total: Math.sqrt(modelSigma ** 2 + woodDensitySigma ** 2 + circumferenceSigma ** 2 + heightSigma ** 2 + crownSigma ** 2),
+            model: modelSigma,
+            woodDensity: woodDensitySigma,
+            circumference: circumferenceSigma,
+            height: heightSigma,
+            crown: crownSigma,
+            woodDensityCv,
+            circumferenceErrorCv
+        };
+    }
+
+    // Log-normal 95% interval around a point estimate
+    calculateConfidenceInterval(value, logSigma) {
+        const lower = value * Math.exp(-this.Z_95 * logSigma);
+        const upper = value * Math.exp(this.Z_95 * logSigma);
+        return {
+            lower: lower.toFixed(2),
+            upper: upper.toFixed(2),
+            plusMinus: ((upper - lower) / 2).toFixed(2)
+        };
+    }
+
     convertCircumferenceToDiameter(circumferenceCm) {
         return circumferenceCm / Math.PI;
     }
 
+    normalizeStemCircumferences(circumferenceCm) {
+        const values = Array.isArray(circumferenceCm) ? circumferenceCm : [circumferenceCm];
+        return values
+            .map((value) => Number(value))
+            .filter((value) => Number.isFinite(value) && value > 0);
+    }
+
+    // Multi-stem trees: equivalent DBH = sqrt(sum D_i^2) keeps the same basal area
+    // as all stems together; quadratic mean DBH = sqrt(sum D_i^2 / n).
+    calculateEquivalentDBH(stemDbhs) {
+        const sumSquares = stemDbhs.reduce((sum, d) => sum + d * d, 0);
+        return {
+            equivalent: Math.sqrt(sumSquares),
+            quadraticMean: stemDbhs.length > 0 ? Math.sqrt(sumSquares / stemDbhs.length) : 0
+        };
+    }
+
+    calculateCrownArea(crownDiameterM) {
+        return Math.PI * Math.pow(crownDiameterM / 2, 2);
+    }
+
+    // Crown spread is paced along two perpendicular lines under the drip line
+    calculateCrownDiameterFromSpreads(spreadA, spreadB) {
+        const spreads = [spreadA, spreadB].map(Number).filter((value) => Number.isFinite(value) && value > 0);
+        return spreads.length > 0 ? spreads.reduce((sum, value) => sum + value, 0) / spreads.length : null;
+    }
+
+    // Open-grown (urban, roadside, farm) trees carry far more crown per unit DBH than forest-grown
+    // trees, so Method 4 uses crown diameter instead of DBH. Jucker et al. (2017), angiosperms:
+    // AGB = 0.016 x (H x CD)^2.013 x exp(0.204^2 / 2)
+    calculateAGB_Crown(heightM, crownDiameterM) {
+        return 0.016 * Math.pow(heightM * crownDiameterM, 2.013) * Math.exp(Math.pow(this.MODEL_RSE.method4, 2) / 2);
+    }
+
     // Method 1 (no height): AGB = 0.0673 x (rho x D^2)^1.02
     // Method 2 (height):    AGB = 0.0673 x (rho x D^2 x H)^0.976
-    calculateAGB_Chave2014(dbhCm, woodDensity, heightM = null, method = "method1") {
+    // Method 3 (E, no height): AGB = exp(-1.803 - 0.976E + 0.976 ln(rho) + 2.673 ln(D) - 0.0299 ln(D)^2)
+    calculateAGB_Chave2014(dbhCm, woodDensity, heightM = null, method = "method1", environmentalStress = null) {
         const D = Math.max(dbhCm, 0.0001);
         const rho = Math.max(woodDensity, 0.0001);
 
@@ -182,6 +429,11 @@ class IndianForestryCalculator {
             return 0.0673 * Math.pow(rho * Math.pow(D, 2) * heightM, 0.976);
         }
 
+        if (method === "method3" && Number.isFinite(environmentalStress)) {
+            const lnD = Math.log(D);
+            return Math.exp(-1.803 - 0.976 * environmentalStress + 0.976 * Math.log(rho) + 2.673 * lnD - 0.0299 * lnD * lnD);
+        }
+
         return 0.0673 * Math.pow(rho * Math.pow(D, 2), 1.02);
     }
 
@@ -241,23 +493,59 @@ class IndianForestryCalculator {
         };
     }
 
+    // circumferenceCm may be a single value or an array of stem circumferences.
     calculate(circumferenceCm, speciesName = null, heightM = null, options = {}) {
-        const method = options.method === "method2" ? "method2" : "method1";
+        const method = ["method2", "method3", "method4"].includes(options.method) ? options.method : "method1";
         const forestType = options.forestType === "coniferous" ? "coniferous" : "broadleaf";
 
-        const dbhCm = this.convertCircumferenceToDiameter(circumferenceCm);
+        const stemCircumferences = this.normalizeStemCircumferences(circumferenceCm);
+        const stemDbhs = stemCircumferences.map((c) => this.convertCircumferenceToDiameter(c));
+        const dbhDetails = this.calculateEquivalentDBH(stemDbhs);
+        const dbhCm = dbhDetails.equivalent;
+        const equivalentCircumference = dbhCm * Math.PI;
 
         let woodDensityDetails = this.getWoodDensityDetails(speciesName, options.scientificName);
         const manualWoodDensity = Number(options.woodDensityOverride);
         if (Number.isFinite(manualWoodDensity) && manualWoodDensity > 0) {
+            // The form auto-fills the looked-up density, so keep its archive spread when unchanged.
+            const matchesLookup = Math.abs(manualWoodDensity - woodDensityDetails.density) < 0.0005;
             woodDensityDetails = {
                 density: manualWoodDensity,
+                sd: matchesLookup ? woodDensityDetails.sd : null,
                 source: "Manual input"
             };
         }
 
-        const effectiveHeight = method === "method2" ? Number(heightM) : null;
-        const agb = this.calculateAGB_Chave2014(dbhCm, woodDensityDetails.density, effectiveHeight, method);
+        const usesHeight = method === "method2" || method === "method4";
+        const effectiveHeight = usesHeight ? Number(heightM) : null;
+
+        // Crown data is recorded with every method; only Method 4 uses it for biomass
+        const crownDiameter = Number(options.crownDiameterM) > 0 ? Number(options.crownDiameterM) : null;
+        const crownSource = this.CROWN_SOURCE_LABELS[options.crownSource] ? options.crownSource : "measured";
+        if (method === "method4" && !(crownDiameter && effectiveHeight > 0)) {
+            throw new Error("Method 4 needs both tree height and crown diameter");
+        }
+
+        let environmentalStress = null;
+        if (method === "method3") {
+            environmentalStress = this.getEnvironmentalStress(options.latitude, options.longitude);
+            if (!environmentalStress) {
+                throw new Error("Method 3 needs GPS coordinates covered by the environmental stress lookup");
+            }
+        }
+        const stressValue = environmentalStress ? environmentalStress.value : null;
+        // Each stem gets its own AGB; the tree total is their sum. Method 4 works on the whole
+        // crown, so its AGB is shared between stems by basal area.
+        const crownAgb = method === "method4" ? this.calculateAGB_Crown(effectiveHeight, crownDiameter) : null;
+        const sumDbhSquared = stemDbhs.reduce((sum, d) => sum + d * d, 0);
+        const stems = stemCircumferences.map((circumference, index) => ({
+            circumference,
+            dbh: stemDbhs[index],
+            agb: method === "method4"
+                ? crownAgb * (stemDbhs[index] * stemDbhs[index]) / sumDbhSquared
+                : this.calculateAGB_Chave2014(stemDbhs[index], woodDensityDetails.density, effectiveHeight, method, stressValue)
+        }));
+        const agb = stems.reduce((sum, stem) => sum + stem.agb, 0);
         const bgb = this.calculateBGB(agb, dbhCm);
         const totalBiomass = this.calculateTotalBiomass(agb, bgb);
 
@@ -268,9 +556,43 @@ class IndianForestryCalculator {
         const pollution = this.calculatePollutionAbsorption(co2, dbhCm);
         const equivalents = this.calculateEquivalents(co2, oxygen);
 
-        const methodLabel = method === "method2"
-            ? "Method 2 (AGB = 0.0673 x (rho D^2 H)^0.976)"
-            : "Method 1 (AGB = 0.0673 x (rho D^2)^1.02)";
+        // BGB, carbon, CO2 and oxygen all scale linearly with AGB, so they share its relative error.
+        const circumferenceErrorCv = Number.isFinite(Number(options.circumferenceErrorCv)) && Number(options.circumferenceErrorCv) >= 0
+            ? Number(options.circumferenceErrorCv)
+            : this.DEFAULT_CIRCUMFERENCE_ERROR_CV;
+        // Predicted heights carry the H-D model error into Method 2/4 results; height tools supply their own CV.
+        const heightSource = this.HEIGHT_SOURCE_LABELS[options.heightSource] ? options.heightSource : "measured";
+        const heightErrorCv = Number(options.heightErrorCv) > 0 ? Number(options.heightErrorCv) : 0;
+        const heightLogSigma = heightSource === "predicted" ? this.HEIGHT_MODEL_RSE : heightErrorCv;
+        const crownErrorCv = Number(options.crownErrorCv) > 0 ? Number(options.crownErrorCv) : this.CROWN_ERROR_CV[crownSource];
+        const logSigma = this.calculateAGBLogSigma(method, woodDensityDetails, circumferenceErrorCv, dbhCm, heightLogSigma, crownErrorCv);
+        const uncertainty = {
+            confidenceLevel: 0.95,
+            logSigma: logSigma.total.toFixed(3),
+            sources: {
+                model: logSigma.model.toFixed(3),
+                woodDensity: logSigma.woodDensity.toFixed(3),
+                circumference: logSigma.circumference.toFixed(3),
+                height: logSigma.height.toFixed(3),
+                crown: logSigma.crown.toFixed(3),
+                woodDensityCv: logSigma.woodDensityCv.toFixed(3),
+                circumferenceErrorCv: logSigma.circumferenceErrorCv.toFixed(3)
+            },
+            totalBiomass: this.calculateConfidenceInterval(totalBiomass, logSigma.total),
+            aboveGround: this.calculateConfidenceInterval(agb, logSigma.total),
+            belowGround: this.calculateConfidenceInterval(bgb, logSigma.total),
+            carbon: this.calculateConfidenceInterval(carbon, logSigma.total),
+            co2: this.calculateConfidenceInterval(co2, logSigma.total),
+            oxygen: this.calculateConfidenceInterval(oxygen, logSigma.total)
+        };
+
+        const methodLabels = {
+            method1: "Method 1 (AGB = 0.0673 x (rho D^2)^1.02)",
+            method2: "Method 2 (AGB = 0.0673 x (rho D^2 H)^0.976)",
+            method3: "Method 3 (AGB = exp(-1.803 - 0.976E + 0.976 ln rho + 2.673 ln D - 0.0299 (ln D)^2))",
+            method4: "Method 4 (open-grown, AGB = 0.016 x (H x CD)^2.013 x exp(0.204^2/2))"
+        };
+        const methodLabel = methodLabels[method];
 
         return {
             method: methodLabel,
@@ -285,17 +607,34 @@ class IndianForestryCalculator {
             oxygen: oxygen.toFixed(2),
             pollution: pollution.toFixed(2),
             equivalents,
+            uncertainty,
             inputs: {
-                circumference: Number(circumferenceCm).toFixed(2),
+                circumference: equivalentCircumference.toFixed(2),
                 dbh: dbhCm.toFixed(2),
+                stemCount: stems.length,
+                quadraticMeanDbh: dbhDetails.quadraticMean.toFixed(2),
+                stems: stems.map((stem) => ({
+                    circumference: stem.circumference.toFixed(2),
+                    dbh: stem.dbh.toFixed(2),
+                    agb: stem.agb.toFixed(2)
+                })),
                 species: speciesName || "Unknown",
                 woodDensity: woodDensityDetails.density.toFixed(3),
                 woodDensitySource: woodDensityDetails.source,
-                height: (method === "method2" && Number.isFinite(effectiveHeight) && effectiveHeight > 0)
+                height: (usesHeight && Number.isFinite(effectiveHeight) && effectiveHeight > 0)
                     ? effectiveHeight.toFixed(2)
                     : "Not used",
+                heightSource: usesHeight ? heightSource : null,
+                heightSourceLabel: usesHeight ? this.HEIGHT_SOURCE_LABELS[heightSource] : "Not used",
+                heightErrorCv: usesHeight && heightErrorCv > 0 ? heightErrorCv.toFixed(3) : null,
+                crownDiameter: crownDiameter ? crownDiameter.toFixed(2) : null,
+                crownArea: crownDiameter ? this.calculateCrownArea(crownDiameter).toFixed(2) : null,
+                crownSource: crownDiameter ? crownSource : null,
+                crownSourceLabel: crownDiameter ? this.CROWN_SOURCE_LABELS[crownSource] : null,
                 method,
                 methodLabel,
+                environmentalStress: environmentalStress ? environmentalStress.value.toFixed(3) : "Not used",
+                environmentalStressRegion: environmentalStress ? environmentalStress.region : null,
                 forestType,
                 carbonFraction: carbonDetails.carbonFraction.toFixed(2)
             }
@@ -305,14 +644,17 @@ class IndianForestryCalculator {
     getMethodExplanation() {
         return {
             title: "Chave (2014) Biomass Method",
-            description: "Supports both height-free and height-based Chave allometric equations with species wood density.",
+            description: "Supports height-free, height-based and environmental-stress Chave allometric equations with species wood density, plus a crown-based equation for open-grown trees.",
             steps: [
-                "1. Circumference to DBH at 1.37m standard height",
+                "1. Circumference to DBH at 1.37m standard height (multi-stem: equivalent DBH = sqrt(sum D^2))",
                 "2. Wood density lookup (archive data with built-in fallback)",
                 "3. Method 1: AGB = 0.0673 x (rho D^2)^1.02",
                 "4. Method 2: AGB = 0.0673 x (rho D^2 H)^0.976",
-                "5. Carbon from AGB using selected forest type fraction",
-                "6. CO2, oxygen, and impact equivalents"
+                "5. Method 3: AGB = exp(-1.803 - 0.976E + 0.976 ln rho + 2.673 ln D - 0.0299 (ln D)^2), E from GPS",
+                "6. Method 4 (open-grown trees): AGB = 0.016 x (H x CD)^2.013 x exp(0.204^2/2), crown diameter CD in m",
+                "7. Carbon from AGB using selected forest type fraction",
+                "8. CO2, oxygen, and impact equivalents",
+                "9. 95% intervals from model RSE, wood density spread, circumference, height and crown error"
             ]
         };
     }
@@ -320,3 +662,7 @@ class IndianForestryCalculator {
 
 const indianCalculator = new IndianForestryCalculator();
 console.log("Indian Forestry Calculator loaded (Chave 2014 methods)");
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { IndianForestryCalculator: IndianForestryCalculator, indianCalculator: indianCalculator };
+}
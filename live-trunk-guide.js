@@ -0,0 +1,306 @@
+// Live Trunk Guide
+// Light trunk pass on the live camera preview: every few frames the video is downscaled, run through
+// AdvancedTreeML.segmentTreeAdvanced + detectTrunkPrecise and checked against PHOTO_GUIDE_RULES
+// (camera-photo-guide.js). The trunk bounds and breast-height line are drawn over the preview, and
+// after a few good passes in a row the full frame is captured and handed on like a picked photo.
+
+class LiveTrunkGuide {
+    constructor() {
+        this.ANALYSIS_WIDTH = 320;         // frames are downscaled before the colour pass
+        this.ANALYSIS_INTERVAL_MS = 600;
+        this.CAPTURE_MAX_WIDTH = 1200;     // same cap as camera-handler.js
+        this.REFERENCE_EVERY = 3;          // the reference search is slower - every 3rd pass
+        this.GOOD_PASSES_TO_CAPTURE = 3;   // consecutive good passes before auto-capture
+        this.TILT_WINDOW = 10;             // motion samples averaged for the tilt check
+
+        this.ml = null;
+        this.video = null;
+        this.overlay = null;
+        this.options = {};
+        this.timer = null;
+        this.generation = 0;               // bumped by stop() so a pending start() can tell it was cancelled
+        this.busy = false;
+        this.passes = 0;
+        this.goodPasses = 0;
+        this.referenceFound = null;
+        this.tiltSamples = [];
+        this.analysisCanvas = document.createElement('canvas');
+        this.frameCanvas = document.createElement('canvas');
+        this.handleMotion = this.handleMotion.bind(this);
+    }
+
+    // iOS only grants motion access from a user gesture
+    async requestMotionAccess() {
+        if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
+            try {
+                return (await DeviceMotionEvent.requestPermission()) === 'granted';
+            } catch (error) {
+                console.warn('Motion permission request failed:', error);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // options: { autoCapture, onGuidance(result), onCapture(file) }
+    // The reference comes from realWorldEngine, so set it there before starting.
+    async start(ml, video, overlay, options = {}) {
+        this.stop();
+        this.ml = ml;
+        this.video = video;
+        this.overlay = overlay;
+        this.options = options;
+        this.passes = 0;
+        this.goodPasses = 0;
+        this.referenceFound = null;
+        this.tiltSamples = [];
+
+        window.addEventListener('devicemotion', this.handleMotion);
+        const generation = this.generation;
+        await ml.initializeCamera(video);
+        // Closed while the permission prompt or getUserMedia was pending: don't leave the camera on
+        if (generation !== this.generation) {
+            ml.stopCamera();
+            video.srcObject = null;
+            return;
+        }
+        this.timer = setInterval(() => this.analyzeFrame(), this.ANALYSIS_INTERVAL_MS);
+    }
+
+    stop() {
+        this.generation++;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        window.removeEventListener('devicemotion', this.handleMotion);
+        if (this.ml) this.ml.stopCamera();
+        if (this.video) this.video.srcObject = null;
+        if (this.overlay) this.overlay.getContext('2d').clearRect(0, 0, this.overlay.width, this.overlay.height);
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    handleMotion(event) {
+        const g = event.accelerationIncludingGravity;
+        if (!g || g.x === null || g.y === null || g.z === null) return;
+        this.tiltSamples.push({ x: g.x, y: g.y, z: g.z });
+        if (this.tiltSamples.length > this.TILT_WINDOW) this.tiltSamples.shift();
+    }
+
+    // Sideways tilt and up/down pitch of a phone held upright, from the direction of gravity.
+    // Absolute values because Android and iOS report gravity with opposite signs.
+    getTilt() {
+        if (this.tiltSamples.length === 0) return null;
+        const mean = (axis) => Math.abs(this.tiltSamples.reduce((sum, s) => sum + s[axis], 0) / this.tiltSamples.length);
+        const x = mean('x'), y = mean('y'), z = mean('z');
+        const toDeg = 180 / Math.PI;
+        return {
+            sidewaysDeg: Math.atan2(x, y) * toDeg,
+            pitchDeg: Math.atan2(z, Math.hypot(x, y)) * toDeg
+        };
+    }
+
+    measureBrightness(imageData) {
+        const px = imageData.data;
+        let sum = 0, count = 0;
+        for (let i = 0; i < px.length; i += 16) { // every 4th pixel is plenty
+            sum += 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2];
+            count++;
+        }
+        return count > 0 ? sum / count : 0;
+    }
+
+    // frame: { width, bounds (null when no trunk), greenPercent, brightness, tilt, referenceFound, referenceRequired }
+    // Problems block auto-capture; hints are only shown. Problems are ordered so the first is the one to fix first.
+    evaluate(frame) {
+        const rules = PHOTO_GUIDE_RULES;
+        const problems = [];
+        const hints = [];
+
+        if (frame.tilt) {
+            if (frame.tilt.sidewaysDeg > rules.maxSidewaysTiltDeg) problems.push(PHOTO_GUIDE_MESSAGES.sideways);
+            if (frame.tilt.pitchDeg > rules.maxPitchDeg) problems.push(PHOTO_GUIDE_MESSAGES.pitch);
+        }
+
+        if (!frame.bounds) {
+            problems.push(PHOTO_GUIDE_MESSAGES.noTrunk);
+        } else {
+            const widthFraction = frame.bounds.trunkWidthPx / frame.width;
+            const centerOffset = Math.abs(frame.bounds.trunkCenterX - frame.width / 2) / frame.width;
+            if (widthFraction < rules.minTrunkWidth) problems.push(PHOTO_GUIDE_MESSAGES.tooFar);
+            if (widthFraction > rules.maxTrunkWidth) problems.push(PHOTO_GUIDE_MESSAGES.tooClose);
+            if (centerOffset > rules.maxCenterOffset) problems.push(PHOTO_GUIDE_MESSAGES.offCenter);
+        }
+
+        if (frame.brightness < rules.minBrightness) problems.push(PHOTO_GUIDE_MESSAGES.tooDark);
+        if (frame.brightness > rules.maxBrightness) problems.push(PHOTO_GUIDE_MESSAGES.tooBright);
+        if (frame.greenPercent < rules.minGreenPercent) hints.push(PHOTO_GUIDE_MESSAGES.noLeaves);
+
+        if (frame.referenceFound === false) {
+            (frame.referenceRequired ? problems : hints).push(PHOTO_GUIDE_MESSAGES.noReference);
+        }
+
+        return { ok: problems.length === 0, problems, hints };
+    }
+
+    // true / false, or null when there is nothing to look for.
+    // A chosen reference (card, coin, person) must be found; in auto mode it is only a hint.
+    // A printed calibration marker satisfies either.
+    async detectReference(video, bounds) {
+        const engine = realWorldEngine;
+        const manual = engine.referenceMode === 'manual' && engine.manualRefWidthCm;
+
+        // Full-size frame: the detectors need real pixel sizes for their distance checks
+        const canvas = this.frameCanvas;
+        const frameScale = Math.min(1, this.CAPTURE_MAX_WIDTH / video.videoWidth);
+        canvas.width = Math.round(video.videoWidth * frameScale);
+        canvas.height = Math.round(video.videoHeight * frameScale);
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+        if (typeof fiducialMarker !== 'undefined' && fiducialMarker.detect(canvas)) return true;
+        if (!manual && !this.ml.cocoModel) return null;
+
+        engine.resetCamera();
+        engine.camera.imageWidth = canvas.width;
+        engine.camera.imageHeight = canvas.height;
+
+        if (manual) {
+            const s = canvas.width / (this.analysisCanvas.width || 1);
+            const frameBounds = {
+                x: bounds.x * s,
+                y: bounds.y * s,
+                width: bounds.width * s,
+                height: bounds.height * s,
+                trunkCenterX: bounds.trunkCenterX * s
+            };
+            return engine._tryDetectManualReference(canvas, frameBounds, engine.manualRefType, engine.manualRefWidthCm) !== null;
+        }
+
+        const references = await engine.detectReferenceObjects(canvas, this.ml.cocoModel);
+        if (engine.referenceMode === 'person') {
+            return references.some(ref => ref.object === 'person');
+        }
+        return references.length > 0;
+    }
+
+    async analyzeFrame() {
+        const video = this.video;
+        if (this.busy || !video || !video.videoWidth) return;
+        this.busy = true;
+
+        try {
+            const canvas = this.analysisCanvas;
+            canvas.width = this.ANALYSIS_WIDTH;
+            canvas.height = Math.round(video.videoHeight * (this.ANALYSIS_WIDTH / video.videoWidth));
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+            const seg = this.ml.segmentTreeAdvanced(imageData);
+            const detected = this.ml.detectTrunkPrecise(canvas, seg.mask, seg.width, seg.height);
+            // Same minimum width measureAutomatically accepts
+            const bounds = detected.trunkWidthPx >= 5 && parseFloat(seg.trunkPercent) >= 1 ? detected : null;
+
+            if (bounds && this.passes % this.REFERENCE_EVERY === 0) {
+                this.referenceFound = await this.detectReference(video, bounds);
+            }
+            this.passes++;
+
+            const result = this.evaluate({
+                width: canvas.width,
+                bounds,
+                greenPercent: parseFloat(seg.greenPercent),
+                brightness: this.measureBrightness(imageData),
+                tilt: this.getTilt(),
+                referenceFound: this.referenceFound,
+                referenceRequired: realWorldEngine.referenceMode !== 'auto'
+            });
+            this.goodPasses = result.ok ? this.goodPasses + 1 : 0;
+            result.progress = Math.min(1, this.goodPasses / this.GOOD_PASSES_TO_CAPTURE);
+
+            // The camera may have been stopped while the reference check was running
+            if (!this.isRunning()) return;
+            this.drawOverlay(bounds, result.ok);
+            if (this.options.onGuidance) this.options.onGuidance(result);
+
+            if (this.options.autoCapture && this.goodPasses >= this.GOOD_PASSES_TO_CAPTURE) {
+                await this.capture();
+            }
+        } catch (error) {
+            console.warn('Live trunk pass failed:', error);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    drawOverlay(bounds, ok) {
+        const overlay = this.overlay;
+        const video = this.video;
+        overlay.width = video.videoWidth;
+        overlay.height = video.videoHeight;
+        const ctx = overlay.getContext('2d');
+        ctx.clearRect(0, 0, overlay.width, overlay.height);
+
+        const s = overlay.width / this.analysisCanvas.width;
+        const lineWidth = Math.max(2, overlay.width / 200);
+        const color = ok ? '#10b981' : '#f59e0b';
+
+        // Centre line: where the trunk should be
+        ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+        ctx.lineWidth = lineWidth / 2;
+        ctx.setLineDash([lineWidth * 4, lineWidth * 4]);
+        ctx.beginPath();
+        ctx.moveTo(overlay.width / 2, 0);
+        ctx.lineTo(overlay.width / 2, overlay.height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (!bounds) return;
+
+        // Trunk edges over the tree's vertical extent
+        const top = bounds.y * s;
+        const bottom = (bounds.y + bounds.height) * s;
+        const left = bounds.trunkLeft * s;
+        const right = bounds.trunkRight * s;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.strokeRect(left, top, right - left, bottom - top);
+
+        // Breast-height line: the row the trunk width is measured on
+        const breastY = bounds.breastHeightY * s;
+        const margin = (right - left) * 0.5;
+        ctx.strokeStyle = '#ef4444';
+        ctx.beginPath();
+        ctx.moveTo(left - margin, breastY);
+        ctx.lineTo(right + margin, breastY);
+        ctx.stroke();
+
+        ctx.fillStyle = '#ef4444';
+        ctx.font = `bold ${Math.round(lineWidth * 7)}px sans-serif`;
+        ctx.fillText('1.37 m', right + margin + lineWidth * 2, breastY + lineWidth * 2);
+    }
+
+    // Current frame as a JPEG File, then hands it to onCapture
+    async capture() {
+        const video = this.video;
+        if (!video || !video.videoWidth) return;
+
+        const canvas = this.frameCanvas;
+        const scale = Math.min(1, this.CAPTURE_MAX_WIDTH / video.videoWidth);
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        this.stop();
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.95));
+        if (!blob) throw new Error('Could not capture the camera frame');
+        const file = new File([blob], `live-${Date.now()}.jpg`, { type: 'image/jpeg' });
+        if (this.options.onCapture) this.options.onCapture(file);
+    }
+}
+
+const liveTrunkGuide = new LiveTrunkGuide();
+console.log('Live Trunk Guide loaded');
@@ -2,7 +2,9 @@
 let map;
 let heatLayer;
 let markerGroup;
+let canopyLayer;
 let isHeatMapView = true;
+let isCanopyVisible = false;
 
 // Default center (Paralakhemundi, Odisha)
 const defaultCenter = [19.3067, 84.8939];
@@ -28,9 +30,14 @@ function initMap() {
     loadMapData();
 }
 
-// Load data from localStorage
-function loadMapData() {
-    const history = JSON.parse(localStorage.getItem('treeHistory') || '[]');
+// Load data from the shared tree store
+async function loadMapData() {
+    let history = [];
+    try {
+        history = await treeStore.getAll();
+    } catch (error) {
+        console.error('Could not open the tree store:', error);
+    }
     
     if (history.length === 0) {
         document.getElementById('noDataMsg').style.display = 'block';
@@ -42,11 +49,91 @@ function loadMapData() {
     
     // Update statistics
     updateStatistics(history);
+    updatePlotCanopy(history);
     
     // Display on map
     displayData(history);
 }
 
+// Older records only carry crown data inside results.inputs
+function getCrownArea(item) {
+    return parseFloat(item.crownArea ?? item.results?.inputs?.crownArea) || null;
+}
+
+function getCanopyColor(cover) {
+    if (cover >= 30) return '#10b981';
+    if (cover >= 10) return '#ffaa00';
+    return '#ff4d4d';
+}
+
+// Canopy cover per sample plot: crown area of its trees over the plot area
+function updatePlotCanopy(history) {
+    const list = document.getElementById('plotCanopyList');
+    if (!list) return;
+
+    const plots = new Map();
+    history.filter(item => item.plotId && item.results?.plot?.areaHa).forEach(item => {
+        if (!plots.has(item.plotId)) {
+            plots.set(item.plotId, { name: item.plotName || item.plotId, areaHa: item.results.plot.areaHa, trees: 0, treesWithCrown: 0, crownArea: 0 });
+        }
+        const plot = plots.get(item.plotId);
+        const crownArea = getCrownArea(item);
+        plot.trees += 1;
+        if (crownArea) {
+            plot.treesWithCrown += 1;
+            plot.crownArea += crownArea;
+        }
+    });
+
+    const withCrowns = [...plots.values()].filter(plot => plot.treesWithCrown > 0);
+    if (withCrowns.length === 0) {
+        list.innerHTML = '<div class="label">Record crown diameters for trees in a plot to see its canopy cover.</div>';
+        return;
+    }
+
+    list.innerHTML = withCrowns.map(plot => {
+        const cover = plotInventory.calculateCanopyCover(plot.crownArea, plot.areaHa);
+        return `
+            <div class="s-stat">
+                <div class="label">${escapeHtml(plot.name)} (${escapeHtml(plot.areaHa)} ha, ${plot.treesWithCrown}/${plot.trees} crowns)</div>
+                <div class="value" style="color:${getCanopyColor(cover)}">${cover.toFixed(1)} <span class="unit">%</span></div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Canopy cover on a grid of CANOPY_CELL_M squares, for trees recorded anywhere
+function displayCanopyCover(data) {
+    if (canopyLayer) {
+        map.removeLayer(canopyLayer);
+        canopyLayer = null;
+    }
+    if (!isCanopyVisible) return;
+
+    const cells = plotInventory.groupCanopyCells(data.map(item => ({
+        lat: item.latitude,
+        lon: item.longitude,
+        crownArea: getCrownArea(item)
+    })));
+
+    canopyLayer = L.layerGroup(cells.map(cell => {
+        const color = getCanopyColor(cell.canopyCover);
+        return L.rectangle([[cell.south, cell.west], [cell.north, cell.east]], {
+            color,
+            weight: 1,
+            fillColor: color,
+            fillOpacity: 0.35
+        }).bindPopup(`
+            <div style="font-family: 'Segoe UI', sans-serif; min-width: 180px;">
+                <strong>🌳 Canopy cover: ${cell.canopyCover}%</strong><br>
+                Crown area: ${cell.crownAreaM2} m² in ${plotInventory.CANOPY_CELL_M} × ${plotInventory.CANOPY_CELL_M} m<br>
+                Trees with crown data: ${cell.treesWithCrown} of ${cell.trees}<br>
+                <small style="color:#7f8c8d">Unmeasured crowns are not counted, so this is a minimum.</small>
+            </div>
+        `);
+    })).addTo(map);
+}
+
 // Update statistics dashboard
 function updateStatistics(history) {
     const totalTrees = history.length;
@@ -94,6 +181,7 @@ function displayData(history) {
     } else {
         displayMarkers(validData);
     }
+    displayCanopyCover(validData);
 
     // Auto-zoom to show all points
     if (validData.length > 0) {
@@ -216,7 +304,7 @@ function displayMarkers(data) {
         const popupContent = `
             <div style="font-family: 'Segoe UI', sans-serif; min-width: 200px;">
                 <h3 style="color: #00d4aa; margin-bottom: 10px; font-size: 1.1rem;">
-                    <i class="fas fa-tree"></i> ${item.species || 'Unknown Species'}
+                    <i class="fas fa-tree"></i> ${escapeHtml(item.species || 'Unknown Species')}
                 </h3>
                 <div style="margin-bottom: 8px;">
                     <strong>🌍 CO2 Absorbed:</strong> <span style="color: #27ae60; font-weight: bold;">${co2.toFixed(2)} kg</span>
@@ -225,10 +313,14 @@ function displayMarkers(data) {
                     <strong>💨 Oxygen Produced:</strong> ${(item.oxygen || 0).toFixed(2)} kg
                 </div>
                 <div style="margin-bottom: 8px;">
-                    <strong>📏 Circumference:</strong> ${item.circumference || '-'} cm
+                    <strong>📏 Circumference:</strong> ${escapeHtml(item.circumference || '-')} cm
                 </div>
+                ${getCrownArea(item) ? `
+                <div style="margin-bottom: 8px;">
+                    <strong>🌳 Crown Area:</strong> ${getCrownArea(item).toFixed(1)} m²
+                </div>` : ''}
                 <div style="margin-bottom: 8px;">
-                    <strong>🌱 Age:</strong> ${item.age || 'Not specified'} years
+                    <strong>🌱 Age:</strong> ${escapeHtml(item.age || 'Not specified')} years
                 </div>
                 <div style="margin-bottom: 8px;">
                     <strong>📍 Location:</strong><br>
@@ -236,7 +328,7 @@ function displayMarkers(data) {
                     Lng: ${parseFloat(item.longitude).toFixed(6)}
                 </div>
                 <div style="font-size: 0.85rem; color: #7f8c8d; margin-top: 10px;">
-                    📅 Recorded: ${item.timestamp || 'N/A'}
+                    📅 Recorded: ${escapeHtml(item.timestamp || 'N/A')}
                 </div>
             </div>
         `;
@@ -270,6 +362,13 @@ document.getElementById('viewToggle').addEventListener('click', function() {
     loadMapData();
 });
 
+// Show or hide the canopy cover grid
+document.getElementById('canopyToggle').addEventListener('click', function() {
+    isCanopyVisible = !isCanopyVisible;
+    this.classList.toggle('active', isCanopyVisible);
+    loadMapData();
+});
+
 // Refresh data
 document.getElementById('refreshBtn').addEventListener('click', function() {
     const icon = this.querySelector('i');
@@ -284,8 +383,7 @@ document.getElementById('refreshBtn').addEventListener('click', function() {
 // Clear all data
 document.getElementById('clearDataBtn').addEventListener('click', function() {
     if (confirm('Are you sure you want to delete all tree records? This action cannot be undone!')) {
-        localStorage.removeItem('treeHistory');
-        location.reload();
+        treeStore.clear().then(() => location.reload());
     }
 });
 
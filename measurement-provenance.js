@@ -0,0 +1,167 @@
+// Measurement Provenance
+// Records where a circumference came from: tape, the AI camera's automatic detection, or trunk
+// edges picked by hand on a photo. Attached to every calculation (history, exports, Firestore
+// submissions) so the admin dashboard can filter and weight trees by how they were measured.
+
+class MeasurementProvenance {
+    constructor() {
+        this.INPUT_METHOD_LABELS = {
+            tape: 'Tape',
+            'photo-auto': 'Photo (auto)',
+            'photo-manual': 'Photo (manual)',
+            unknown: 'Not recorded'  // submissions made before provenance existed
+        };
+
+        // Starting weights for dashboard totals; admins can change them
+        this.DEFAULT_WEIGHTS = {
+            tape: 1,
+            'photo-manual': 0.8,
+            'photo-auto': 0.5,
+            unknown: 1
+        };
+
+        this.THUMBNAIL_SIZE = 32;  // px; hashed, never stored
+    }
+
+    tape() {
+        return { inputMethod: 'tape', recordedAt: new Date().toISOString() };
+    }
+
+    // session: [{ file, measurements, angleDeg }] from the camera modal, last photo last.
+    // confidence is the value shown to the user (the fused one when several photos were taken).
+    async fromPhotoSession(session, confidence) {
+        const photos = await Promise.all(session.map(photo => this.describePhoto(photo)));
+        const last = photos[photos.length - 1];
+
+        const provenance = {
+            inputMethod: photos.every(photo => photo.inputMethod === 'photo-auto') ? 'photo-auto' : 'photo-manual',
+            reference: last.reference,
+            confidence: Number.isFinite(confidence) ? confidence : last.confidence,
+            methods: last.methods,
+            focalLengthMM: last.focalLengthMM,
+            thumbnailHash: last.thumbnailHash,
+            photoCount: photos.length,
+            recordedAt: new Date().toISOString()
+        };
+
+        if (photos.length > 1) {
+            provenance.photos = photos.map(photo => ({
+                inputMethod: photo.inputMethod,
+                confidence: photo.confidence,
+                angleDeg: photo.angleDeg,
+                thumbnailHash: photo.thumbnailHash
+            }));
+        }
+        return provenance;
+    }
+
+    async describePhoto(photo) {
+        const measurements = photo.measurements || {};
+        const realWorld = measurements.realWorldData || {};
+        const isManual = Boolean(measurements.isManual);
+
+        let focalLengthMM = realWorld.focalLengthMM || null;
+        if (!focalLengthMM && photo.file && typeof realWorldEngine !== 'undefined') {
+            // Manual measurements skip the real-world engine, so EXIF was never read
+            const exif = await realWorldEngine.extractEXIF(photo.file);
+            focalLengthMM = (exif && exif.focalLength) || null;
+        }
+
+        return {
+            inputMethod: isManual ? 'photo-manual' : 'photo-auto',
+            reference: isManual ? this.describeManualReference(realWorld) : this.describeReference(realWorld),
+            confidence: parseFloat(measurements.confidence) || null,
+            methods: isManual ? this.describeManualMethod(measurements) : this.describeMethods(realWorld),
+            focalLengthMM: focalLengthMM,
+            angleDeg: Number.isFinite(photo.angleDeg) ? photo.angleDeg : null,
+            thumbnailHash: await this.thumbnailHash(photo.file)
+        };
+    }
+
+    // Marker first, then the most reliable object RealWorldMeasurement detected
+    describeReference(realWorld) {
+        if (realWorld.marker) {
+            return { type: 'marker', label: 'Calibration marker', sizeCm: realWorld.marker.sizeCm };
+        }
+        const references = realWorld.references || [];
+        if (references.length === 0) return null;
+
+        const best = references.reduce((a, b) => (b.reliability > a.reliability ? b : a));
+        return {
+            type: best.object,
+            label: best.object.replace(/^manual_/, '').replace(/_/g, ' '),
+            sizeCm: (best.knownSize && best.knownSize.width) || null
+        };
+    }
+
+    describeManualReference(realWorld) {
+        return realWorld.referenceUsed ? { type: 'manual', label: realWorld.referenceUsed, sizeCm: null } : null;
+    }
+
+    // Per-method estimates that went into bayesianFusion
+    describeMethods(realWorld) {
+        return (realWorld.allMethods || []).map(m => ({
+            method: m.method,
+            circumference: Math.round(m.circumference * 10) / 10,
+            weight: Math.round((m.weight || 0) * 100) / 100
+        }));
+    }
+
+    describeManualMethod(measurements) {
+        const realWorld = measurements.realWorldData || {};
+        return [{
+            method: realWorld.referenceUsed ? 'manual_reference' : 'manual_edges',
+            circumference: parseFloat(measurements.circumference) || null,
+            weight: 1
+        }];
+    }
+
+    // SHA-256 of a tiny thumbnail: the same photo reused for several trees gives the same hash
+    async thumbnailHash(imageFile) {
+        if (!imageFile || typeof crypto === 'undefined' || !crypto.subtle || typeof createImageBitmap !== 'function') {
+            return null;
+        }
+        try {
+            const size = this.THUMBNAIL_SIZE;
+            const bitmap = await createImageBitmap(imageFile);
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+            const context = canvas.getContext('2d');
+            context.drawImage(bitmap, 0, 0, size, size);
+            bitmap.close();
+
+            const digest = await crypto.subtle.digest('SHA-256', context.getImageData(0, 0, size, size).data);
+            return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+        } catch (e) {
+            console.warn('Could not hash photo thumbnail:', e);
+            return null;
+        }
+    }
+
+    getInputMethod(provenance) {
+        const method = provenance && provenance.inputMethod;
+        return this.INPUT_METHOD_LABELS[method] ? method : 'unknown';
+    }
+
+    getWeight(provenance, weights) {
+        const table = weights || this.DEFAULT_WEIGHTS;
+        const weight = table[this.getInputMethod(provenance)];
+        return Number.isFinite(weight) ? weight : 1;
+    }
+
+    // e.g. "Photo (auto) · 82% · Calibration marker"
+    describe(provenance) {
+        const method = this.getInputMethod(provenance);
+        const parts = [this.INPUT_METHOD_LABELS[method]];
+        if (method === 'photo-auto' || method === 'photo-manual') {
+            if (provenance.confidence) parts.push(`${Math.round(provenance.confidence)}%`);
+            parts.push(provenance.reference ? provenance.reference.label : 'no reference');
+            if (provenance.photoCount > 1) parts.push(`${provenance.photoCount} photos`);
+        }
+        return parts.join(' · ');
+    }
+}
+
+const measurementProvenance = new MeasurementProvenance();
+console.log('Measurement Provenance loaded');
@@ -0,0 +1,32 @@
+// Measurement Worker
+// Runs the photo pixel pipeline (TreeImageProcessing.analyzePixels) off the main thread so a
+// 1200px photo doesn't freeze the page. Started by AdvancedTreeML.runPixelPipeline, which sends
+// the photo as an ImageBitmap (read back through an OffscreenCanvas) or as raw RGBA pixels.
+// Progress messages are posted as they happen; cancelling terminates the worker.
+
+importScripts('tree-image-processing.js');
+
+self.onmessage = function(event) {
+    const job = event.data;
+    const progress = function(message) {
+        self.postMessage({ id: job.id, type: 'progress', message: message });
+    };
+
+    try {
+        let imageData;
+        if (job.bitmap) {
+            const canvas = new OffscreenCanvas(job.bitmap.width, job.bitmap.height);
+            const context = canvas.getContext('2d');
+            context.drawImage(job.bitmap, 0, 0);
+            job.bitmap.close();
+            imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+        } else {
+            imageData = treeImageProcessing.createImageData(job.pixels, job.width, job.height);
+        }
+
+        const result = treeImageProcessing.analyzePixels(imageData, job.deeplab, progress);
+        self.postMessage({ id: job.id, type: 'result', result: result });
+    } catch (error) {
+        self.postMessage({ id: job.id, type: 'error', message: error.message });
+    }
+};
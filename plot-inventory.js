@@ -0,0 +1,261 @@
+// Plot Inventory
+// Sample plots (e.g. 0.1 ha) with stand-level metrics per hectare and extrapolation to larger areas
+
+class PlotInventory {
+    constructor() {
+        this.SHAPES = {
+            circular: "Circular",
+            square: "Square",
+            rectangular: "Rectangular",
+            boundary: "GPS boundary"
+        };
+        this.M2_PER_HA = 10000;
+        this.KG_PER_TONNE = 1000;
+        this.CO2_PER_CARBON = 3.67;
+        this.CANOPY_CELL_M = 100; // grid for canopy cover of trees recorded outside a plot
+        this.M_PER_DEG_LAT = 111320;
+    }
+
+    calculateAreaHa(shape, dimensions = {}) {
+        const radius = Number(dimensions.radius);
+        const length = Number(dimensions.length);
+        const width = Number(dimensions.width);
+
+        switch (shape) {
+            case "circular":
+                return radius > 0 ? (Math.PI * radius * radius) / this.M2_PER_HA : 0;
+            case "square":
+                return length > 0 ? (length * length) / this.M2_PER_HA : 0;
+            case "rectangular":
+                return length > 0 && width > 0 ? (length * width) / this.M2_PER_HA : 0;
+            case "boundary":
+                return this.calculatePolygonAreaHa(dimensions.boundary || []);
+            default:
+                return 0;
+        }
+    }
+
+    // "lat,lon" per line -> [{lat, lon}], skipping anything unparseable
+    parseBoundary(text) {
+        return (text || "")
+            .split(/\r?\n/)
+            .map((line) => line.split(",").map((part) => parseFloat(part)))
+            .filter((pair) => pair.length === 2 && pair.every(Number.isFinite))
+            .map(([lat, lon]) => ({ lat, lon }));
+    }
+
+    // Shoelace area on a local equirectangular projection; fine for plots up to a few km across
+    calculatePolygonAreaHa(points) {
+        if (!Array.isArray(points) || points.length < 3) {
+            return 0;
+        }
+
+        const earthRadius = 6371000;
+        const lat0 = (points.reduce((sum, p) => sum + p.lat, 0) / points.length) * Math.PI / 180;
+        const xy = points.map((p) => ({
+            x: (p.lon * Math.PI / 180) * earthRadius * Math.cos(lat0),
+            y: (p.lat * Math.PI / 180) * earthRadius
+        }));
+
+        let twiceArea = 0;
+        xy.forEach((p, i) => {
+            const next = xy[(i + 1) % xy.length];
+            twiceArea += p.x * next.y - next.x * p.y;
+        });
+
+        return Math.abs(twiceArea) / 2 / this.M2_PER_HA;
+    }
+
+    createPlot({ name, shape, dimensions = {}, centerLat = null, centerLon = null }) {
+        if (!this.SHAPES[shape]) {
+            throw new Error(`Unknown plot shape: ${shape}`);
+        }
+
+        const areaHa = this.calculateAreaHa(shape, dimensions);
+        if (!(areaHa > 0)) {
+            throw new Error("Plot area must be greater than zero");
+        }
+
+        return {
+            id: `plot-${Date.now()}`,
+            name: (name || "").trim() || `Plot ${new Date().toLocaleDateString()}`,
+            shape,
+            dimensions,
+            areaHa: Number(areaHa.toFixed(4)),
+            centerLat,
+            centerLon,
+            createdAt: new Date().toISOString(),
+            trees: []
+        };
+    }
+
+    // Compact per-tree record from an IndianForestryCalculator.calculate() result
+    createTreeRecord(treeData, results, extra = {}) {
+        const stemDbhs = Array.isArray(results.inputs.stems) && results.inputs.stems.length > 0
+            ? results.inputs.stems.map((stem) => parseFloat(stem.dbh))
+            : [parseFloat(results.inputs.dbh)];
+
+        return {
+            id: extra.id || Date.now(),
+            measuredAt: extra.measuredAt || new Date().toISOString(),
+            treeTag: extra.treeTag || null,
+            species: treeData.name,
+            scientificName: treeData.scientific,
+            method: results.inputs.method,
+            stemDbhs,
+            dbh: parseFloat(results.inputs.dbh),
+            agb: parseFloat(results.biomass.aboveGround),
+            totalBiomass: parseFloat(results.biomass.total),
+            carbon: parseFloat(results.carbon),
+            crownArea: parseFloat(results.inputs.crownArea) || null
+        };
+    }
+
+    // Sum of crown areas over ground area. Crowns are assumed not to overlap, so dense
+    // stands are capped at 100%; trees without crown data add nothing (a lower bound).
+    calculateCanopyCover(crownAreaM2, areaHa) {
+        const groundM2 = Number(areaHa) * this.M2_PER_HA;
+        return groundM2 > 0 ? Math.min(100, (crownAreaM2 / groundM2) * 100) : 0;
+    }
+
+    // records: [{ lat, lon, crownArea }] -> canopy cover per CANOPY_CELL_M square
+    groupCanopyCells(records) {
+        const latStep = this.CANOPY_CELL_M / this.M_PER_DEG_LAT;
+        const cells = new Map();
+
+        records.forEach((record) => {
+            const lat = Number(record.lat);
+            const lon = Number(record.lon);
+            if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+                return;
+            }
+
+            const row = Math.floor(lat / latStep);
+            // Longitude step widens away from the equator; use the row's centre latitude
+            const lonStep = latStep / Math.cos(((row + 0.5) * latStep * Math.PI) / 180);
+            const col = Math.floor(lon / lonStep);
+            const key = `${row}:${col}`;
+
+            if (!cells.has(key)) {
+                cells.set(key, {
+                    key,
+                    south: row * latStep,
+                    west: col * lonStep,
+                    north: (row + 1) * latStep,
+                    east: (col + 1) * lonStep,
+                    trees: 0,
+                    treesWithCrown: 0,
+                    crownAreaM2: 0
+                });
+            }
+
+            const cell = cells.get(key);
+            const crownArea = Number(record.crownArea);
+            cell.trees += 1;
+            if (crownArea > 0) {
+                cell.treesWithCrown += 1;
+                cell.crownAreaM2 += crownArea;
+            }
+        });
+
+        const cellAreaHa = (this.CANOPY_CELL_M * this.CANOPY_CELL_M) / this.M2_PER_HA;
+        return [...cells.values()]
+            .filter((cell) => cell.treesWithCrown > 0)
+            .map((cell) => ({
+                ...cell,
+                crownAreaM2: Number(cell.crownAreaM2.toFixed(1)),
+                canopyCover: Number(this.calculateCanopyCover(cell.crownAreaM2, cellAreaHa).toFixed(1))
+            }));
+    }
+
+    calculateBasalAreaM2(stemDbhs) {
+        return stemDbhs.reduce((sum, dbhCm) => sum + Math.PI * Math.pow(dbhCm / 200, 2), 0);
+    }
+
+    // Stand metrics for a plot ({ areaHa, trees }) expressed per hectare
+    calculateStandMetrics(plot) {
+        const areaHa = Number(plot.areaHa);
+        const trees = Array.isArray(plot.trees) ? plot.trees : [];
+        const perHa = (value) => (areaHa > 0 ? value / areaHa : 0);
+
+        let stemCount = 0;
+        let basalArea = 0;
+        let sumDbhSquared = 0;
+        let agb = 0;
+        let totalBiomass = 0;
+        let carbon = 0;
+        let crownArea = 0;
+        let treesWithCrown = 0;
+        const species = new Map();
+
+        trees.forEach((tree) => {
+            const stemDbhs = (tree.stemDbhs || [tree.dbh]).filter((dbh) => dbh > 0);
+            const treeBasalArea = this.calculateBasalAreaM2(stemDbhs);
+
+            stemCount += stemDbhs.length;
+            basalArea += treeBasalArea;
+            sumDbhSquared += stemDbhs.reduce((sum, dbh) => sum + dbh * dbh, 0);
+            agb += tree.agb || 0;
+            totalBiomass += tree.totalBiomass || 0;
+            carbon += tree.carbon || 0;
+            if (tree.crownArea > 0) {
+                crownArea += tree.crownArea;
+                treesWithCrown += 1;
+            }
+
+            const entry = species.get(tree.species) || { species: tree.species, trees: 0, basalArea: 0, carbon: 0 };
+            entry.trees += 1;
+            entry.basalArea += treeBasalArea;
+            entry.carbon += tree.carbon || 0;
+            species.set(tree.species, entry);
+        });
+
+        const composition = [...species.values()]
+            .sort((a, b) => b.basalArea - a.basalArea)
+            .map((entry) => ({
+                species: entry.species,
+                trees: entry.trees,
+                treeShare: trees.length > 0 ? ((entry.trees / trees.length) * 100).toFixed(1) : "0.0",
+                basalAreaShare: basalArea > 0 ? ((entry.basalArea / basalArea) * 100).toFixed(1) : "0.0",
+                carbonTPerHa: (perHa(entry.carbon) / this.KG_PER_TONNE).toFixed(3)
+            }));
+
+        return {
+            areaHa: areaHa.toFixed(4),
+            treeCount: trees.length,
+            stemCount,
+            treesPerHa: perHa(trees.length).toFixed(0),
+            stemsPerHa: perHa(stemCount).toFixed(0),
+            basalAreaM2: basalArea.toFixed(3),
+            basalAreaPerHa: perHa(basalArea).toFixed(2),
+            quadraticMeanDbh: stemCount > 0 ? Math.sqrt(sumDbhSquared / stemCount).toFixed(1) : "0.0",
+            agbTPerHa: (perHa(agb) / this.KG_PER_TONNE).toFixed(2),
+            totalBiomassTPerHa: (perHa(totalBiomass) / this.KG_PER_TONNE).toFixed(2),
+            carbonTPerHa: (perHa(carbon) / this.KG_PER_TONNE).toFixed(2),
+            co2TPerHa: ((perHa(carbon) * this.CO2_PER_CARBON) / this.KG_PER_TONNE).toFixed(2),
+            crownAreaM2: crownArea.toFixed(1),
+            treesWithCrown,
+            canopyCover: treesWithCrown > 0 ? this.calculateCanopyCover(crownArea, areaHa).toFixed(1) : null,
+            composition
+        };
+    }
+
+    // Scale per-hectare stand metrics up to a larger area of similar forest
+    extrapolate(metrics, targetAreaHa) {
+        const area = Number(targetAreaHa);
+        if (!(area > 0)) {
+            return null;
+        }
+
+        return {
+            areaHa: area,
+            trees: Math.round(parseFloat(metrics.treesPerHa) * area),
+            agbTonnes: (parseFloat(metrics.agbTPerHa) * area).toFixed(1),
+            carbonTonnes: (parseFloat(metrics.carbonTPerHa) * area).toFixed(1),
+            co2Tonnes: (parseFloat(metrics.co2TPerHa) * area).toFixed(1)
+        };
+    }
+}
+
+const plotInventory = new PlotInventory();
+console.log("Plot Inventory loaded");
@@ -9,6 +9,8 @@
 //   2. EXIF focal length from camera metadata
 //   3. Ground plane geometry (camera height = breast height)
 //   4. User-provided reference (credit card, coin at trunk)
+//   5. Printed calibration marker on the trunk (fiducial-marker.js) — exact
+//      scale at the trunk, so no distance is needed at all
 //
 // Formula: Real_Size = (Pixel_Size / Focal_Length_px) × Distance
 // ============================================================================
@@ -53,24 +55,20 @@ class RealWorldMeasurement {
         };
 
         // Camera defaults (updated when EXIF is available)
-        this.camera = {
-            focalLengthMM: null,        // From EXIF
-            sensorWidthMM: 4.8,         // Typical smartphone
-            sensorHeightMM: 3.6,
-            fovHorizontalDeg: 65,       // Typical phone camera
-            fovVerticalDeg: 50,
-            imageWidth: 0,
-            imageHeight: 0,
-        };
+        this.resetCamera();
 
-        // Statistical correction model (learned from calibration data)
-        // These correct for systematic biases in smartphone photogrammetry
+        // Statistical correction model for systematic smartphone photogrammetry bias.
+        // Loaded from correction-factors.json (fitted by calibration-benchmark.html against
+        // tape-measured trunks); these uncalibrated estimates are used until it loads.
         this.correctionFactors = {
             distanceOverestimate: 0.92,  // Phones tend to overestimate FOV
             trunkCircularity: 0.95,      // Trunks aren't perfect circles
             barkThickness: 1.02,         // Add ~2% for bark texture
             perspectiveCorrection: 0.97, // Slight perspective distortion
         };
+        this.methodScale = {};           // Fitted per-method multipliers, keyed by getMethodKey()
+        this.calibrationInfo = { source: 'built-in defaults', fittedAt: null, sampleCount: 0 };
+        this.correctionFactorsPromise = null;
 
         // Measurement state
         this.referenceMode = 'auto';  // 'auto', 'manual', 'person'
@@ -81,6 +79,71 @@ class RealWorldMeasurement {
         console.log('✅ Real-World Measurement Engine initialized');
     }
 
+    resetCamera() {
+        this.camera = {
+            focalLengthMM: null,        // From EXIF
+            sensorWidthMM: 4.8,         // Typical smartphone
+            sensorHeightMM: 3.6,
+            fovHorizontalDeg: 65,       // Typical phone camera
+            fovVerticalDeg: 50,
+            imageWidth: 0,
+            imageHeight: 0,
+        };
+    }
+
+    // ==================== CALIBRATED CORRECTION FACTORS ====================
+
+    async loadCorrectionFactors() {
+        if (this.correctionFactorsPromise) {
+            return this.correctionFactorsPromise;
+        }
+
+        this.correctionFactorsPromise = (async () => {
+            try {
+                const response = await fetch('correction-factors.json', { cache: 'no-store' });
+                if (!response.ok) {
+                    throw new Error('Correction factors not accessible');
+                }
+
+                const calibration = await response.json();
+                Object.keys(this.correctionFactors).forEach(name => {
+                    const value = Number(calibration.correctionFactors && calibration.correctionFactors[name]);
+                    if (value > 0) {
+                        this.correctionFactors[name] = value;
+                    }
+                });
+                this.methodScale = { ...(calibration.methodScale || {}) };
+                this.calibrationInfo = {
+                    source: calibration.source || 'correction-factors.json',
+                    fittedAt: calibration.fittedAt || null,
+                    sampleCount: calibration.sampleCount || 0
+                };
+
+                console.log('📐 Correction factors loaded:', this.correctionFactors, this.methodScale);
+                return true;
+            } catch (e) {
+                console.warn('Correction factors not loaded, using built-in defaults.', e);
+                return false;
+            }
+        })();
+
+        return this.correctionFactorsPromise;
+    }
+
+    // 'smart_fov_250cm' -> 'smart_fov'; other method names are already stable
+    getMethodKey(method) {
+        return method.startsWith('smart_fov') ? 'smart_fov' : method;
+    }
+
+    // Multiplier for a method's raw diameter: distance correction (distance-based methods only) × fitted method scale
+    getMethodCorrection(method) {
+        const key = this.getMethodKey(method);
+        const distanceCorrection = ['crown_allometry', 'smart_fov', 'reference_marker'].includes(key)
+            ? 1
+            : this.correctionFactors.distanceOverestimate * this.correctionFactors.perspectiveCorrection;
+        return distanceCorrection * (this.methodScale[key] || 1);
+    }
+
     // ==================== MANUAL REFERENCE CONTROL ====================
     
     setManualReference(type, customWidthCm) {
@@ -485,7 +548,7 @@ class RealWorldMeasurement {
 
     // ==================== CORE PHOTOGRAMMETRIC MEASUREMENT ====================
     
-    measureFromPhoto(bounds, canvas, referenceObjects, trunkBaseY, speciesData) {
+    measureFromPhoto(bounds, canvas, referenceObjects, trunkBaseY, speciesData, marker = null) {
         const imgW = canvas.width;
         const imgH = canvas.height;
         this.camera.imageWidth = imgW;
@@ -501,6 +564,27 @@ class RealWorldMeasurement {
         
         const measurements = [];
         
+        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+        // METHOD 0: Printed Calibration Marker (exact scale)
+        // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+        // The marker sits on the trunk, so its px/cm is the trunk's px/cm
+        if (marker) {
+            const trunkDiameter = (trunkWidthPx / marker.pxPerCm) * this.getMethodCorrection('reference_marker');
+            const markerDistance = (marker.sizeCm * focalPx) / marker.sidePx;
+            
+            measurements.push({
+                method: 'reference_marker',
+                trunkDiameter: trunkDiameter,
+                circumference: Math.PI * trunkDiameter,
+                distance: markerDistance,
+                weight: 1.0,
+                confidence: marker.confidence * 100,
+                details: `Calibration marker ${marker.sizeCm}cm = ${marker.sidePx.toFixed(0)}px (${marker.pxPerCm.toFixed(1)} px/cm), tilt ${marker.tiltDeg.toFixed(0)}°`
+            });
+            
+            console.log(`📊 M0[marker]: ${marker.pxPerCm.toFixed(2)}px/cm → D=${trunkDiameter.toFixed(1)}cm (tilt=${marker.tiltDeg.toFixed(1)}°)`);
+        }
+        
         // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
         // METHOD 1: Reference Object Distance + Photogrammetry
         // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -509,8 +593,7 @@ class RealWorldMeasurement {
             
             for (const ref of sortedRefs.slice(0, 3)) {
                 const trunkDiameter = (trunkWidthPx * ref.estimatedDistance) / focalPx;
-                const correctedDiameter = trunkDiameter * this.correctionFactors.distanceOverestimate 
-                                        * this.correctionFactors.perspectiveCorrection;
+                const correctedDiameter = trunkDiameter * this.getMethodCorrection(`reference_${ref.object}`);
                 
                 measurements.push({
                     method: `reference_${ref.object}`,
@@ -526,6 +609,11 @@ class RealWorldMeasurement {
             }
         }
         
+        // With the marker's exact scale, the distance guesses below would only dilute it
+        if (marker) {
+            return measurements;
+        }
+        
         // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
         // METHOD 2: Ground Plane Geometry (boosted when tree-only)
         // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -535,8 +623,7 @@ class RealWorldMeasurement {
         
         if (groundDistance && groundDistance > 80 && groundDistance < 2000) {
             const trunkDiameter = (trunkWidthPx * groundDistance) / focalPx;
-            const correctedDiameter = trunkDiameter * this.correctionFactors.distanceOverestimate
-                                    * this.correctionFactors.perspectiveCorrection;
+            const correctedDiameter = trunkDiameter * this.getMethodCorrection('ground_plane');
             
             // Boost weight when no reference objects (tree-only photo)
             const groundWeight = hasRefObjects ? 0.60 : 0.75;
@@ -583,8 +670,7 @@ class RealWorldMeasurement {
                 
                 if (speciesDistance > 100 && speciesDistance < 3000) {
                     const trunkDiameter = (trunkWidthPx * speciesDistance) / focalPx;
-                    const correctedDiameter = trunkDiameter * this.correctionFactors.distanceOverestimate
-                                            * this.correctionFactors.perspectiveCorrection;
+                    const correctedDiameter = trunkDiameter * this.getMethodCorrection('species_height');
                     
                     // Weight depends on: how reliable is species height data?
                     // Young tree could be much shorter than average
@@ -617,8 +703,7 @@ class RealWorldMeasurement {
         const textureDistance = this._estimateDistanceFromBarkTexture(canvas, bounds);
         if (textureDistance && textureDistance > 80 && textureDistance < 2000) {
             const trunkDiameter = (trunkWidthPx * textureDistance) / focalPx;
-            const correctedDiameter = trunkDiameter * this.correctionFactors.distanceOverestimate
-                                    * this.correctionFactors.perspectiveCorrection;
+            const correctedDiameter = trunkDiameter * this.getMethodCorrection('bark_texture');
             
             const texWeight = hasRefObjects ? 0.25 : 0.55;
             const texConf = hasRefObjects ? 40 : 58;
@@ -647,20 +732,21 @@ class RealWorldMeasurement {
         if (speciesData) {
             const allometryResult = this._estimateFromCrownTrunkRatio(canvas, bounds, speciesData, focalPx);
             if (allometryResult) {
+                const alloDiameter = allometryResult.trunkDiameter * this.getMethodCorrection('crown_allometry');
                 const alloWeight = hasRefObjects ? 0.30 : 0.60;
                 const alloConf = hasRefObjects ? 50 : 65;
                 
                 measurements.push({
                     method: 'crown_allometry',
-                    trunkDiameter: allometryResult.trunkDiameter,
-                    circumference: Math.PI * allometryResult.trunkDiameter,
+                    trunkDiameter: alloDiameter,
+                    circumference: Math.PI * alloDiameter,
                     distance: allometryResult.distance,
                     weight: alloWeight,
                     confidence: alloConf,
                     details: `Crown-trunk allometry: crown=${allometryResult.crownWidthPx}px, ratio=${allometryResult.ratio.toFixed(1)}`
                 });
                 
-                console.log(`📊 M5[allometry]: crown/trunk=${allometryResult.ratio.toFixed(1)} → D=${allometryResult.trunkDiameter.toFixed(1)}cm`);
+                console.log(`📊 M5[allometry]: crown/trunk=${allometryResult.ratio.toFixed(1)} → D=${alloDiameter.toFixed(1)}cm`);
             }
         }
         
@@ -682,7 +768,7 @@ class RealWorldMeasurement {
         {
             const fovRadH = this.camera.fovHorizontalDeg * Math.PI / 180;
             const visibleWidth = 2 * smartDistance * Math.tan(fovRadH / 2);
-            const trunkDiameter = visibleWidth * (trunkWidthPx / imgW);
+            const trunkDiameter = visibleWidth * (trunkWidthPx / imgW) * this.getMethodCorrection('smart_fov');
             
             measurements.push({
                 method: `smart_fov_${smartDistance}cm`,
@@ -801,22 +887,7 @@ class RealWorldMeasurement {
             // Estimate crown width: scan horizontally at 20-40% from top of tree region
             // Crown is typically at the top of the bounding box
             const crownY = Math.round(bounds.y + bounds.height * 0.25);
-            const scanRow = ctx.getImageData(0, crownY, imgW, 1).data;
-            
-            // Find green/canopy extent at crown level
-            let leftEdge = imgW, rightEdge = 0;
-            for (let x = 0; x < imgW; x++) {
-                const idx = x * 4;
-                const r = scanRow[idx], g = scanRow[idx + 1], b = scanRow[idx + 2];
-                
-                // Green detection (canopy)
-                if (g > 40 && g > r * 0.8 && g > b * 0.9) {
-                    if (x < leftEdge) leftEdge = x;
-                    if (x > rightEdge) rightEdge = x;
-                }
-            }
-            
-            const crownWidthPx = rightEdge - leftEdge;
+            const crownWidthPx = this._scanCrownWidthPx(ctx, imgW, crownY);
             if (crownWidthPx < 20) return null;
             
             const trunkWidthPx = bounds.trunkWidthPx;
@@ -895,6 +966,62 @@ class RealWorldMeasurement {
         }
     }
 
+    // Green/canopy extent along one image row, in pixels
+    _scanCrownWidthPx(ctx, imgW, y) {
+        const scanRow = ctx.getImageData(0, y, imgW, 1).data;
+        let leftEdge = imgW, rightEdge = 0;
+        for (let x = 0; x < imgW; x++) {
+            const idx = x * 4;
+            const r = scanRow[idx], g = scanRow[idx + 1], b = scanRow[idx + 2];
+
+            // Green detection (canopy)
+            if (g > 40 && g > r * 0.8 && g > b * 0.9) {
+                if (x < leftEdge) leftEdge = x;
+                if (x > rightEdge) rightEdge = x;
+            }
+        }
+        return Math.max(0, rightEdge - leftEdge);
+    }
+
+    // ==================== CROWN DIAMETER ====================
+    // Crown and trunk are roughly the same distance from the camera, so the fused trunk
+    // diameter gives the image scale. The widest canopy row in the upper half is the crown.
+
+    estimateCrownDiameter(canvas, bounds, trunkDiameterCm) {
+        try {
+            const trunkWidthPx = bounds.trunkWidthPx;
+            if (!(trunkDiameterCm > 0) || !(trunkWidthPx >= 5)) return null;
+
+            const ctx = canvas.getContext('2d');
+            const imgW = canvas.width;
+            const top = Math.max(0, Math.round(bounds.y));
+            const bottom = Math.min(canvas.height - 1, Math.round(bounds.y + bounds.height * 0.5));
+            const step = Math.max(1, Math.round((bottom - top) / 20));
+
+            let crownWidthPx = 0;
+            for (let y = top; y <= bottom; y += step) {
+                crownWidthPx = Math.max(crownWidthPx, this._scanCrownWidthPx(ctx, imgW, y));
+            }
+            if (crownWidthPx < trunkWidthPx * 2) return null;
+
+            // Undo the round-trunk and bark corrections: the pixel width is the raw silhouette
+            const rawTrunkCm = trunkDiameterCm / (this.correctionFactors.trunkCircularity * this.correctionFactors.barkThickness);
+            const crownDiameterM = (crownWidthPx * rawTrunkCm / trunkWidthPx) / 100;
+            if (crownDiameterM < 0.5 || crownDiameterM > 60) return null;
+
+            return {
+                crownDiameter: parseFloat(crownDiameterM.toFixed(1)),
+                crownArea: parseFloat((Math.PI * Math.pow(crownDiameterM / 2, 2)).toFixed(1)),
+                crownWidthPx,
+                // A crown cut off by the frame edge is only a lower bound
+                clipped: crownWidthPx >= imgW - 2
+            };
+        } catch (e) {
+            console.warn('Crown diameter estimate failed:', e);
+            return null;
+        }
+    }
+
     // ==================== BAYESIAN FUSION ====================
     
     bayesianFusion(measurements) {
@@ -910,10 +1037,11 @@ class RealWorldMeasurement {
         const lowerBound = q1 - 1.5 * iqr;
         const upperBound = q3 + 1.5 * iqr;
         
-        const filtered = measurements.filter(m => 
+        // The marker is a direct measurement, never an outlier
+        const filtered = measurements.filter(m => m.method === 'reference_marker' || (
             m.trunkDiameter >= Math.max(2, lowerBound) && 
             m.trunkDiameter <= Math.min(300, upperBound)
-        );
+        ));
         
         if (filtered.length === 0) {
             // Use median of all if filtering removes everything
@@ -963,6 +1091,8 @@ class RealWorldMeasurement {
         // Bonus for reference-based measurements
         const hasReference = filtered.some(m => m.method.startsWith('reference_'));
         if (hasReference) confidence += 25;
+        const hasMarker = filtered.some(m => m.method === 'reference_marker');
+        if (hasMarker) confidence += 15;
         
         // Bonus for ground plane measurement
         const hasGroundPlane = filtered.some(m => m.method === 'ground_plane');
@@ -1019,6 +1149,7 @@ class RealWorldMeasurement {
             coeffOfVariation: parseFloat(coeffOfVariation.toFixed(1)),
             methodCount: filtered.length,
             hasReferenceObject: hasReference,
+            hasMarker: hasMarker,
             hasGroundPlane: hasGroundPlane,
             allMethods: filtered,
             details: this._generateMethodSummary(filtered, correctedDiameter, confidence)
@@ -1058,8 +1189,11 @@ class RealWorldMeasurement {
     async fullMeasurement(canvas, bounds, cocoModel, imageFile, trunkBaseY, speciesData) {
         const startTime = performance.now();
         
+        // Fresh camera per photo so EXIF from an earlier photo cannot leak into this one
+        this.resetCamera();
         this.camera.imageWidth = canvas.width;
         this.camera.imageHeight = canvas.height;
+        await this.loadCorrectionFactors();
         
         // Step 1: Extract EXIF if available
         if (imageFile) {
@@ -1085,14 +1219,24 @@ class RealWorldMeasurement {
             }
         }
         
+        // Step 2c: Printed calibration marker — the most reliable reference when present
+        const marker = typeof fiducialMarker !== 'undefined' ? fiducialMarker.detect(canvas) : null;
+        if (marker) {
+            console.log('🎯 Calibration marker detected:', marker);
+        }
+        
         // Step 3: Photogrammetric measurements (pass species data for tree-only methods)
-        const rawMeasurements = this.measureFromPhoto(bounds, canvas, references, trunkBaseY, speciesData);
+        const rawMeasurements = this.measureFromPhoto(bounds, canvas, references, trunkBaseY, speciesData, marker);
         
         // Step 4: Bayesian fusion
         const result = this.bayesianFusion(rawMeasurements);
         
         result.processingTime = (performance.now() - startTime).toFixed(0);
+        result.crown = this.estimateCrownDiameter(canvas, bounds, result.trunkDiameter);
         result.references = references;
+        result.marker = marker;
+        result.rawMethods = rawMeasurements; // before outlier filtering, for calibration
+        result.calibration = this.calibrationInfo;
         result.exifAvailable = !!this.camera.focalLengthMM;
         result.focalLengthMM = this.camera.focalLengthMM;
         result.fovH = this.camera.fovHorizontalDeg;
@@ -1101,6 +1245,87 @@ class RealWorldMeasurement {
         return result;
     }
 
+    // ==================== MULTI-PHOTO FUSION ====================
+    // Several photos of ONE trunk: { circumference, confidence, angleDeg, circularityCorrected } each.
+    // Photos 0°/180° apart see the same trunk axis (so do two distances from one side) and are
+    // averaged; photos 90° apart see the other axis, giving an ellipse instead of an assumed circle.
+
+    fuseMultiplePhotos(photos) {
+        const valid = photos.filter(p => p.circumference > 0);
+        if (valid.length === 0) return null;
+
+        const items = valid.map(p => ({
+            circumference: p.circumference,
+            confidence: Math.max(1, p.confidence || 50),
+            axis: Math.round((p.angleDeg || 0) / 90) % 2,
+            // Measured axes replace the single-photo "trunks aren't circles" factor
+            rawDiameter: (p.circumference / Math.PI) / (p.circularityCorrected ? this.correctionFactors.trunkCircularity : 1)
+        }));
+
+        const summarizeAxis = (axis) => {
+            const group = items.filter(item => item.axis === axis);
+            if (group.length === 0) return null;
+            const totalWeight = group.reduce((s, item) => s + item.confidence, 0);
+            const diameter = group.reduce((s, item) => s + item.rawDiameter * item.confidence, 0) / totalWeight;
+            const circumference = group.reduce((s, item) => s + item.circumference * item.confidence, 0) / totalWeight;
+            const variance = group.reduce((s, item) => s + Math.pow(item.rawDiameter - diameter, 2), 0) / group.length;
+            return { diameter, circumference, count: group.length, cov: (Math.sqrt(variance) / diameter) * 100 };
+        };
+
+        const axisA = summarizeAxis(0);
+        const axisB = summarizeAxis(1);
+        let circumference;
+        let ellipseRatio = null;
+
+        if (axisA && axisB) {
+            // Ramanujan's second approximation for an ellipse with semi-axes a, b
+            const a = axisA.diameter / 2;
+            const b = axisB.diameter / 2;
+            const h = Math.pow(a - b, 2) / Math.pow(a + b, 2);
+            circumference = Math.PI * (a + b) * (1 + (3 * h) / (10 + Math.sqrt(4 - 3 * h)));
+            ellipseRatio = Math.min(a, b) / Math.max(a, b);
+        } else {
+            circumference = (axisA || axisB).circumference;
+        }
+
+        const withinAxisCoV = Math.max(axisA ? axisA.cov : 0, axisB ? axisB.cov : 0);
+        const rawDiameters = items.map(item => item.rawDiameter);
+        const meanRaw = rawDiameters.reduce((s, d) => s + d, 0) / rawDiameters.length;
+        const spreadPercent = ((Math.max(...rawDiameters) - Math.min(...rawDiameters)) / meanRaw) * 100;
+
+        // More agreeing photos -> tighter; disagreement on the same axis -> looser
+        let confidence = items.reduce((s, item) => s + item.confidence, 0) / items.length;
+        confidence += Math.min(15, 5 * (items.length - 1));
+        if (ellipseRatio !== null) confidence += 5;
+        if (withinAxisCoV > 25) confidence -= 20;
+        else if (withinAxisCoV > 15) confidence -= 10;
+        confidence = Math.max(15, Math.min(95, confidence));
+
+        const warnings = [];
+        if (withinAxisCoV > 15) {
+            warnings.push(`Photos of the same side disagree (CoV ${withinAxisCoV.toFixed(0)}%) - retake the outlier`);
+        }
+        if (ellipseRatio !== null && ellipseRatio < 0.6) {
+            warnings.push(`Trunk axes differ a lot (${(ellipseRatio * 100).toFixed(0)}%) - check all photos are of the same tree`);
+        }
+        if (ellipseRatio === null && items.length > 1) {
+            warnings.push('All photos are from one axis - add a photo from 90° around the trunk for ellipse correction');
+        }
+
+        return {
+            circumference: parseFloat(circumference.toFixed(1)),
+            trunkDiameter: parseFloat((circumference / Math.PI).toFixed(1)),
+            confidence: parseFloat(confidence.toFixed(1)),
+            method: ellipseRatio !== null ? 'ellipse' : 'same_axis_average',
+            photoCount: items.length,
+            axisDiameters: [axisA, axisB].map(axis => axis ? parseFloat(axis.diameter.toFixed(1)) : null),
+            ellipseRatio: ellipseRatio !== null ? parseFloat(ellipseRatio.toFixed(2)) : null,
+            withinAxisCoV: parseFloat(withinAxisCoV.toFixed(1)),
+            spreadPercent: parseFloat(spreadPercent.toFixed(1)),
+            warnings
+        };
+    }
+
     // ==================== ACCURACY IMPROVEMENT TIPS ====================
     
     getAccuracyTips(result) {
@@ -1129,6 +1354,22 @@ class RealWorldMeasurement {
             });
         }
         
+        if (result.marker && result.marker.tiltDeg > 30) {
+            tips.push({
+                priority: 'medium',
+                tip: '🎯 Marker के सामने सीधे खड़े होकर photo लें — camera ' + result.marker.tiltDeg.toFixed(0) + '° tilted है',
+                tipEn: 'Stand square-on to the calibration marker (camera tilted ' + result.marker.tiltDeg.toFixed(0) + '°)'
+            });
+        }
+        
+        if (!result.hasMarker && result.confidence < 80) {
+            tips.push({
+                priority: 'medium',
+                tip: '🖨️ Calibration marker print करके trunk पर लगाएं — exact scale मिलेगा',
+                tipEn: 'Print the calibration marker and pin it on the trunk for an exact scale'
+            });
+        }
+        
         if (!result.hasReferenceObject && result.confidence < 70) {
             tips.push({
                 priority: 'medium',
@@ -1,7 +1,9 @@
 // Service Worker for PWA
-const CACHE_NAME = 'ecotree-tracker-v12';
+const CACHE_NAME = 'ecotree-tracker-v38';
 const APP_VERSION = '4.1.0';
 const BASE_PATH = '/eco-tree-tracker/';
+importScripts('submission-outbox.js');
+
 const urlsToCache = [
   BASE_PATH,
   BASE_PATH + 'index.html',
@@ -13,16 +15,40 @@ const urlsToCache = [
   BASE_PATH + 'styles.css',
   BASE_PATH + 'app.js',
   BASE_PATH + 'admin-dashboard.js',
+  BASE_PATH + 'admin-auth.js',
+  BASE_PATH + 'access-groups.js',
+  BASE_PATH + 'student-roster.js',
+  BASE_PATH + 'submission-review.js',
   BASE_PATH + 'calculator.js',
   BASE_PATH + 'map.js',
   BASE_PATH + 'tree-data.js',
+  BASE_PATH + 'tree-growth.js',
+  BASE_PATH + 'growth-projection.js',
+  BASE_PATH + 'plot-inventory.js',
+  BASE_PATH + 'carbon-valuation.js',
+  BASE_PATH + 'submission-outbox.js',
+  BASE_PATH + 'tree-store.js',
+  BASE_PATH + 'measurement-provenance.js',
+  BASE_PATH + 'html-escape.js',
+  BASE_PATH + 'environmental-stress-lookup.json',
   BASE_PATH + 'firebase-config.js',
+  BASE_PATH + 'species-classifier.js',
   BASE_PATH + 'camera-handler.js',
+  BASE_PATH + 'tree-image-processing.js',
+  BASE_PATH + 'measurement-worker.js',
   BASE_PATH + 'advanced-ml-measurement.js',
+  BASE_PATH + 'fiducial-marker.js',
+  BASE_PATH + 'real-world-measurement.js',
+  BASE_PATH + 'calibration.js',
+  BASE_PATH + 'height-measurement.js',
+  BASE_PATH + 'height-tool-handler.js',
+  BASE_PATH + 'live-trunk-guide.js',
+  BASE_PATH + 'correction-factors.json',
   BASE_PATH + 'logo.svg',
   BASE_PATH + 'favicon.svg',
   BASE_PATH + 'college-bg.jpeg',
   BASE_PATH + 'college-bg2.jpeg',
+  'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.11.0/dist/tf.min.js',
   'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
   'https://cdnjs.cloudflare.com/ajax/libs/html2pdf.js/0.10.1/html2pdf.bundle.min.js',
   'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
@@ -101,3 +127,29 @@ self.addEventListener('message', event => {
     self.skipWaiting();
   }
 });
+
+// Background Sync: deliver queued admin submissions once connectivity returns
+self.addEventListener('sync', event => {
+  if (event.tag !== submissionOutbox.SYNC_TAG) {
+    return;
+  }
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(windowClients => {
+      // An open page flushes with the Firebase SDK; otherwise fall back to the REST API
+      if (windowClients.length > 0) {
+        windowClients.forEach(client => client.postMessage({ type: 'FLUSH_OUTBOX' }));
+        return;
+      }
+      return submissionOutbox.flush(
+        entry => submissionOutbox.sendViaRest(entry),
+        entry => submissionOutbox.canSendViaRest(entry)
+      ).then(summary => {
+        console.log('[Service Worker] Outbox sync:', summary);
+        if (summary.retrying > 0) {
+          // Rejecting asks the browser to retry this sync later
+          throw new Error('Some submissions are still pending');
+        }
+      });
+    })
+  );
+});
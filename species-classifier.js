@@ -0,0 +1,255 @@
+// Species Classifier
+// Suggests the top species from treeSpeciesData for a trunk/leaf photo, fully on the device.
+// There is no trained image model: suggestions are the nearest neighbours over bark and leaf
+// colour/texture features of photos the user has labelled on this device (IndexedDB), so they
+// start after MIN_SAMPLES labelled photos and improve with every correction.
+// Every confirmed or corrected choice is stored as feedback and can be exported as training data.
+
+class SpeciesClassifier {
+    constructor() {
+        this.DB_NAME = 'ecotree-species-feedback';
+        this.DB_VERSION = 1;
+        this.STORE = 'samples';
+        this.TOP_K = 5;
+        this.NEIGHBOURS = 7;
+        this.MIN_SAMPLES = 5;        // fewer labelled photos than this cannot separate species
+        this.HUE_BINS = 12;
+        this.MAX_REGION_SAMPLES = 160; // per side; regions are subsampled to this grid
+
+        this.dbPromise = null;
+        this.pending = null; // last suggestion, waiting for the user's choice
+    }
+
+    findSpeciesIndex(label) {
+        const search = String(label).toLowerCase().trim();
+        const index = treeSpeciesData.findIndex(tree =>
+            (tree.scientific && tree.scientific.toLowerCase() === search) || tree.name.toLowerCase() === search
+        );
+        return index >= 0 ? index : null;
+    }
+
+    // ==================== FEATURES ====================
+
+    // Hue histogram (weighted by saturation), mean saturation/brightness and two texture measures
+    regionFeatures(ctx, x, y, w, h) {
+        x = Math.max(0, Math.round(x));
+        y = Math.max(0, Math.round(y));
+        w = Math.min(Math.round(w), ctx.canvas.width - x);
+        h = Math.min(Math.round(h), ctx.canvas.height - y);
+        const features = new Array(this.HUE_BINS + 4).fill(0);
+        if (w < 8 || h < 8) return features;
+
+        const data = ctx.getImageData(x, y, w, h).data;
+        const step = Math.max(1, Math.floor(Math.max(w, h) / this.MAX_REGION_SAMPLES));
+        const cols = Math.floor(w / step), rows = Math.floor(h / step);
+        const gray = new Float32Array(cols * rows);
+        let satSum = 0, valSum = 0, weightSum = 0;
+
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const i = ((r * step) * w + c * step) * 4;
+                const red = data[i] / 255, green = data[i + 1] / 255, blue = data[i + 2] / 255;
+                const max = Math.max(red, green, blue), min = Math.min(red, green, blue);
+                const delta = max - min;
+                let hue = 0;
+                if (delta > 0) {
+                    if (max === red) hue = ((green - blue) / delta + 6) % 6;
+                    else if (max === green) hue = (blue - red) / delta + 2;
+                    else hue = (red - green) / delta + 4;
+                }
+                const sat = max > 0 ? delta / max : 0;
+                features[Math.floor((hue / 6) * this.HUE_BINS) % this.HUE_BINS] += sat;
+                weightSum += sat;
+                satSum += sat;
+                valSum += max;
+                gray[r * cols + c] = 0.299 * red + 0.587 * green + 0.114 * blue;
+            }
+        }
+
+        const n = cols * rows;
+        for (let b = 0; b < this.HUE_BINS; b++) {
+            features[b] = weightSum > 0 ? features[b] / weightSum : 0;
+        }
+
+        // Texture: overall gradient strength and how vertical it is (furrowed vs flaky bark)
+        let gx = 0, gy = 0;
+        for (let r = 1; r < rows - 1; r++) {
+            for (let c = 1; c < cols - 1; c++) {
+                gx += Math.abs(gray[r * cols + c + 1] - gray[r * cols + c - 1]);
+                gy += Math.abs(gray[(r + 1) * cols + c] - gray[(r - 1) * cols + c]);
+            }
+        }
+        const inner = Math.max(1, (rows - 2) * (cols - 2));
+        features[this.HUE_BINS] = satSum / n;
+        features[this.HUE_BINS + 1] = valSum / n;
+        features[this.HUE_BINS + 2] = Math.min(1, (gx + gy) / inner * 2);
+        features[this.HUE_BINS + 3] = gx + gy > 0 ? gx / (gx + gy) : 0.5;
+        return features;
+    }
+
+    // Bark around breast height plus the leaves above the trunk. Without trunk bounds:
+    // the centre strip of the photo and its top third.
+    extractFeatures(canvas, bounds) {
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width, h = canvas.height;
+
+        const bark = bounds && bounds.trunkWidthPx > 5
+            ? this.regionFeatures(ctx, bounds.trunkLeft, bounds.breastHeightY - bounds.trunkWidthPx,
+                bounds.trunkRight - bounds.trunkLeft, bounds.trunkWidthPx * 2)
+            : this.regionFeatures(ctx, w * 0.4, h * 0.4, w * 0.2, h * 0.5);
+        const leavesBottom = bounds ? Math.max(h * 0.2, bounds.y + bounds.height * 0.3) : h / 3;
+        const leaves = this.regionFeatures(ctx, 0, 0, w, leavesBottom);
+
+        return bark.concat(leaves).map(value => Number(value.toFixed(4)));
+    }
+
+    // ==================== ON-DEVICE SAMPLES ====================
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async runTransaction(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const request = callback(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    getAll() {
+        return this.runTransaction('readonly', (store) => store.getAll());
+    }
+
+    count() {
+        return this.runTransaction('readonly', (store) => store.count());
+    }
+
+    // Distance-weighted vote of the nearest labelled photos
+    predictWithSamples(features, samples) {
+        const labelled = samples.filter(sample => Array.isArray(sample.features) && sample.features.length === features.length);
+        if (labelled.length < this.MIN_SAMPLES) return null;
+
+        const neighbours = labelled
+            .map(sample => ({
+                sample,
+                distance: Math.sqrt(sample.features.reduce((sum, value, i) => sum + Math.pow(value - features[i], 2), 0))
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.NEIGHBOURS);
+
+        const scores = {};
+        neighbours.forEach(({ sample, distance }) => {
+            const index = this.findSpeciesIndex(sample.chosenScientific || sample.chosenName);
+            if (index !== null) scores[index] = (scores[index] || 0) + 1 / (distance + 0.05);
+        });
+        return this.normalizeScores(scores);
+    }
+
+    normalizeScores(scores) {
+        const total = Object.values(scores).reduce((sum, value) => sum + value, 0);
+        if (!(total > 0)) return null;
+        const normalized = {};
+        Object.keys(scores).forEach(index => { normalized[index] = scores[index] / total; });
+        return normalized;
+    }
+
+    // ==================== SUGGEST + FEEDBACK ====================
+
+    // photo: the original File, kept with the feedback as training data.
+    // Returns { suggestions: [{ index, name, scientific, confidence }], sampleCount, samplesNeeded } -
+    // suggestions are empty until the device has MIN_SAMPLES labelled photos.
+    async suggest(canvas, bounds, photo = null) {
+        const features = this.extractFeatures(canvas, bounds);
+
+        let samples = [];
+        try {
+            samples = await this.getAll();
+        } catch (e) {
+            console.warn('Species feedback storage not available:', e);
+        }
+
+        const scores = this.predictWithSamples(features, samples) || {};
+
+        const suggestions = Object.keys(scores)
+            .map(index => ({
+                index: Number(index),
+                name: treeSpeciesData[index].name,
+                scientific: treeSpeciesData[index].scientific,
+                confidence: Number((scores[index] * 100).toFixed(1))
+            }))
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, this.TOP_K);
+
+        this.pending = { features, photo, suggestions, sampleCount: samples.length };
+        return {
+            suggestions,
+            sampleCount: samples.length,
+            samplesNeeded: Math.max(0, this.MIN_SAMPLES - samples.length)
+        };
+    }
+
+    // The species the user settled on for the last suggested photo (picked from the
+    // suggestions or corrected through the search list). Returns the stored sample or null.
+    async recordChoice(speciesIndex) {
+        const pending = this.pending;
+        const tree = treeSpeciesData[speciesIndex];
+        if (!pending || !tree) return null;
+        this.pending = null;
+
+        const rank = pending.suggestions.findIndex(s => s.index === speciesIndex);
+        const sample = {
+            id: Date.now(),
+            createdAt: new Date().toISOString(),
+            photo: pending.photo,
+            photoName: pending.photo && pending.photo.name ? pending.photo.name : 'photo.jpg',
+            features: pending.features,
+            source: pending.suggestions.length > 0 ? 'samples' : 'none',
+            suggestions: pending.suggestions.map(s => ({ scientific: s.scientific, confidence: s.confidence })),
+            chosenName: tree.name,
+            chosenScientific: tree.scientific,
+            rank: rank >= 0 ? rank + 1 : null, // null: corrected to a species outside the suggestions
+            accepted: rank === 0
+        };
+        await this.runTransaction('readwrite', (store) => store.put(sample));
+        return sample;
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // Labelled photos as portable JSON, e.g. to pool across field teams and train an image model
+    async exportFeedback() {
+        const samples = await this.getAll();
+        return {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            samples: await Promise.all(samples.map(async (sample) => ({
+                ...sample,
+                photo: sample.photo ? await this.blobToDataUrl(sample.photo) : null
+            })))
+        };
+    }
+}
+
+const speciesClassifier = new SpeciesClassifier();
+console.log('Species Classifier loaded');
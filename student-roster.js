@@ -0,0 +1,213 @@
+// Student Roster
+// A group can carry a roster of students (roll number + name) imported from CSV. Once a group
+// has a roster, students log in with their roll number and a 6-digit PIN instead of a free-text
+// name. The browser signs in with anonymous Firebase Auth and binds that Auth user to the roster
+// entry; firestore.rules then only accept submissions whose studentUid matches the binding.
+//
+// Firestore layout (enforced by firestore.rules):
+//   groups/{groupId}/roster/{rollKey}   { rollNumber, name, pinHash, createdAt, updatedAt }
+//   groups/{groupId}/pinAttempts/{rollKey}  { uid, pinHash, attemptedAt, count }
+//   studentBindings/{authUid}           { groupId, rollKey, adminUsername, accessCode, pinHash, boundAt }
+// PINs are only ever stored hashed, so the admin sees them once: when they are issued.
+import {
+    doc, getDoc, getDocs, setDoc, deleteDoc, collection, writeBatch, increment, serverTimestamp
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import { signInAnonymously } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+
+const PIN_LENGTH = 6;
+
+function rosterError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Roll numbers are matched case- and space-insensitively: " 8b-12 " and "8B-12" are one student
+export function rollKey(rollNumber) {
+    return encodeURIComponent(String(rollNumber).trim().toUpperCase().replace(/\s+/g, '')).slice(0, 100);
+}
+
+// The id submissions and the dashboard use for a rostered student; stable across code changes
+export function studentUid(groupId, key) {
+    return `${groupId}:${key}`;
+}
+
+function randomPin() {
+    const values = crypto.getRandomValues(new Uint32Array(PIN_LENGTH));
+    return Array.from(values, v => String(v % 10)).join('');
+}
+
+// Salted with the roster entry so equal PINs don't give equal hashes
+export async function hashPin(groupId, key, pin) {
+    const bytes = new TextEncoder().encode(`${groupId}:${key}:${String(pin).trim()}`);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// "roll,name" per line; a header row, quoted fields and ; or tab separators are accepted.
+// Returns { rows: [{ rollNumber, name }], skipped: [line numbers] }
+export function parseRosterCsv(text) {
+    const rows = [];
+    const skipped = [];
+    const seen = new Set();
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        const separator = line.includes('\t') ? '\t' : (line.includes(';') && !line.includes(',') ? ';' : ',');
+        const fields = splitCsvLine(line, separator).map(field => field.trim());
+        const [rollNumber, ...nameParts] = fields;
+        const name = nameParts.filter(Boolean).join(' ');
+
+        if (index === 0 && /roll|id|number/i.test(rollNumber) && /name/i.test(name)) return; // header
+        if (!rollNumber || !name || seen.has(rollKey(rollNumber))) {
+            skipped.push(index + 1);
+            return;
+        }
+        seen.add(rollKey(rollNumber));
+        rows.push({ rollNumber: rollNumber, name: name });
+    });
+
+    return { rows, skipped };
+}
+
+function splitCsvLine(line, separator) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+export async function loadRoster(db, groupId) {
+    const snapshot = await getDocs(collection(db, 'groups', groupId, 'roster'));
+    return snapshot.docs.map(d => ({ key: d.id, ...d.data() }))
+        .sort((a, b) => a.rollNumber.localeCompare(b.rollNumber, undefined, { numeric: true }));
+}
+
+// New roll numbers get a PIN; known ones only have their name updated.
+// Also switches the group (and its current code) to roster login.
+// Resolves with the PINs issued: [{ rollNumber, name, pin }]
+export async function importRoster(db, group, rows) {
+    const existing = new Set((await loadRoster(db, group.id)).map(entry => entry.key));
+    const issued = [];
+    const now = new Date().toISOString();
+
+    // Firestore batches hold at most 500 writes
+    for (let start = 0; start < rows.length; start += 400) {
+        const batch = writeBatch(db);
+        for (const row of rows.slice(start, start + 400)) {
+            const key = rollKey(row.rollNumber);
+            const ref = doc(db, 'groups', group.id, 'roster', key);
+            if (existing.has(key)) {
+                batch.update(ref, { name: row.name, updatedAt: now });
+            } else {
+                const pin = randomPin();
+                batch.set(ref, {
+                    rollNumber: row.rollNumber, name: row.name,
+                    pinHash: await hashPin(group.id, key, pin), createdAt: now, updatedAt: now
+                });
+                issued.push({ rollNumber: row.rollNumber, name: row.name, pin: pin });
+            }
+        }
+        await batch.commit();
+    }
+
+    if (!group.rosterRequired) {
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'groups', group.id), { rosterRequired: true });
+        if (group.codeActive && group.accessCode) {
+            batch.update(doc(db, 'passes', group.accessCode), { rosterRequired: true });
+        }
+        await batch.commit();
+    }
+    return issued;
+}
+
+// New PIN for one student; devices bound with the old PIN stop being able to submit.
+// Also lifts a lockout from too many wrong PINs.
+export async function resetPin(db, groupId, key) {
+    const pin = randomPin();
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'groups', groupId, 'roster', key), {
+        pinHash: await hashPin(groupId, key, pin), updatedAt: new Date().toISOString()
+    }, { merge: true });
+    batch.delete(doc(db, 'groups', groupId, 'pinAttempts', key));
+    await batch.commit();
+    return pin;
+}
+
+// The rules only accept a binding whose PIN hash was just committed here, which caps the
+// guesses per roster entry however many anonymous users make them
+async function recordPinAttempt(db, groupId, key, uid, pinHash) {
+    try {
+        await setDoc(doc(db, 'groups', groupId, 'pinAttempts', key), {
+            uid: uid, pinHash: pinHash, attemptedAt: serverTimestamp(), count: increment(1)
+        }, { merge: true });
+    } catch (error) {
+        throw error.code === 'permission-denied'
+            ? rosterError('roster/too-many-attempts', 'Too many PIN attempts. Wait a minute and try again, or ask your admin to reset your PIN.')
+            : error;
+    }
+}
+
+// Student login for a roster group. pass is the passes/{code} data already checked by
+// joinWithCode. Resolves with { studentUid, rollNumber, name, rollKey }.
+export async function signInRosterStudent(db, accessCode, pass, rollNumber, pin) {
+    const key = rollKey(rollNumber);
+    const credential = await signInAnonymously(window.firebaseAuth);
+    const binding = {
+        groupId: pass.groupId,
+        rollKey: key,
+        adminUsername: pass.adminUsername,
+        accessCode: accessCode,
+        pinHash: await hashPin(pass.groupId, key, pin),
+        boundAt: new Date().toISOString()
+    };
+
+    try {
+        await recordPinAttempt(db, pass.groupId, key, credential.user.uid, binding.pinHash);
+        // The rules compare pinHash with the roster entry; a wrong roll number or PIN is denied
+        await setDoc(doc(db, 'studentBindings', credential.user.uid), binding);
+    } catch (error) {
+        await window.firebaseAuth.signOut().catch(() => {});
+        throw error.code === 'permission-denied'
+            ? rosterError('roster/invalid-pin', 'Roll number or PIN is incorrect')
+            : error;
+    }
+    // Start the count again for this roster entry; a leftover document only means fewer retries
+    await deleteDoc(doc(db, 'groups', pass.groupId, 'pinAttempts', key)).catch(() => {});
+
+    const entry = await getDoc(doc(db, 'groups', pass.groupId, 'roster', key));
+    return {
+        studentUid: studentUid(pass.groupId, key),
+        rollNumber: entry.data().rollNumber,
+        name: entry.data().name,
+        rollKey: key
+    };
+}
+
+// CSV of issued PINs for the admin to print or share, one row per student
+export function pinsToCsv(issued) {
+    const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+    return ['Roll Number,Name,PIN', ...issued.map(s => [s.rollNumber, s.name, s.pin].map(quote).join(','))].join('\n');
+}
@@ -0,0 +1,201 @@
+// Submission Outbox
+// IndexedDB queue of admin submissions that retries with backoff until Firestore accepts them.
+// Loaded by the page and by service-worker.js (importScripts), so it must not touch window or document.
+
+class SubmissionOutbox {
+    constructor() {
+        this.DB_NAME = "ecotree-outbox";
+        this.DB_VERSION = 1;
+        this.STORE = "submissions";
+        this.SYNC_TAG = "ecotree-submit-outbox";
+
+        this.BASE_DELAY_MS = 30 * 1000;
+        this.MAX_DELAY_MS = 60 * 60 * 1000;
+        this.MAX_ATTEMPTS = 8; // then marked failed until the user forces a resync
+        this.SEND_TIMEOUT_MS = 20 * 1000;
+
+        this.dbPromise = null;
+        this.flushPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.STORE, { keyPath: "id" });
+                    store.createIndex("status", "status");
+                    store.createIndex("historyId", "historyId");
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async runTransaction(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const request = callback(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    createId() {
+        return (self.crypto && self.crypto.randomUUID)
+            ? self.crypto.randomUUID()
+            : `sub-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // endpoint: { projectId, apiKey } so the service worker can send without the Firebase SDK
+    async enqueue(data, { historyId = null, endpoint = null } = {}) {
+        const entry = {
+            id: this.createId(),
+            historyId,
+            endpoint,
+            data,
+            status: "pending",
+            attempts: 0,
+            nextAttemptAt: 0,
+            lastError: null,
+            createdAt: new Date().toISOString(),
+            syncedAt: null
+        };
+        await this.runTransaction("readwrite", (store) => store.put(entry));
+        return entry;
+    }
+
+    getAll() {
+        return this.runTransaction("readonly", (store) => store.getAll());
+    }
+
+    put(entry) {
+        return this.runTransaction("readwrite", (store) => store.put(entry));
+    }
+
+    getBackoffDelay(attempts) {
+        const delay = Math.min(this.MAX_DELAY_MS, this.BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)));
+        // Jitter so several devices coming back online do not retry in lockstep
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    async getNextAttemptAt() {
+        const pending = (await this.getAll()).filter((entry) => entry.status === "pending");
+        return pending.length > 0 ? Math.min(...pending.map((entry) => entry.nextAttemptAt)) : null;
+    }
+
+    // Failed and waiting entries become due immediately
+    async resetForResync() {
+        const entries = await this.getAll();
+        const retry = entries.filter((entry) => entry.status !== "synced");
+        for (const entry of retry) {
+            await this.put({ ...entry, status: "pending", attempts: 0, nextAttemptAt: 0 });
+        }
+        return retry.length;
+    }
+
+    withTimeout(promise) {
+        return Promise.race([
+            promise,
+            new Promise((_, reject) => setTimeout(() => reject(new Error("Timed out waiting for the server")), this.SEND_TIMEOUT_MS))
+        ]);
+    }
+
+    // sendFn(entry) must resolve once the server has the document; it is called for due entries only.
+    // canSend(entry) leaves entries this sender cannot deliver pending, without using up an attempt.
+    flush(sendFn, canSend = null) {
+        if (this.flushPromise) {
+            return this.flushPromise;
+        }
+
+        this.flushPromise = (async () => {
+            const now = Date.now();
+            const pending = (await this.getAll()).filter((entry) => entry.status === "pending" && entry.nextAttemptAt <= now);
+            const due = canSend ? pending.filter(canSend) : pending;
+            const summary = { synced: 0, retrying: 0, failed: 0, skipped: pending.length - due.length };
+
+            for (const entry of due) {
+                try {
+                    await this.withTimeout(sendFn(entry));
+                    await this.put({ ...entry, status: "synced", syncedAt: new Date().toISOString(), lastError: null });
+                    summary.synced += 1;
+                } catch (error) {
+                    const attempts = entry.attempts + 1;
+                    const failed = attempts >= this.MAX_ATTEMPTS;
+                    await this.put({
+                        ...entry,
+                        attempts,
+                        status: failed ? "failed" : "pending",
+                        nextAttemptAt: Date.now() + this.getBackoffDelay(attempts),
+                        lastError: error.message || String(error)
+                    });
+                    summary[failed ? "failed" : "retrying"] += 1;
+                }
+            }
+
+            return summary;
+        })().finally(() => {
+            this.flushPromise = null;
+        });
+
+        return this.flushPromise;
+    }
+
+    // Firestore REST encoding of a plain JSON value
+    toFirestoreValue(value) {
+        if (value === null || value === undefined) {
+            return { nullValue: null };
+        }
+        if (typeof value === "boolean") {
+            return { booleanValue: value };
+        }
+        if (typeof value === "number") {
+            return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+        }
+        if (typeof value === "string") {
+            return { stringValue: value };
+        }
+        if (Array.isArray(value)) {
+            return { arrayValue: { values: value.map((item) => this.toFirestoreValue(item)) } };
+        }
+        return { mapValue: { fields: this.toFirestoreFields(value) } };
+    }
+
+    toFirestoreFields(object) {
+        return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, this.toFirestoreValue(value)]));
+    }
+
+    // Roster submissions need the student's Firebase Auth session (see firestore.rules), which
+    // only the page has; the service worker leaves them for the next page flush
+    canSendViaRest(entry) {
+        return !entry.data.studentUid;
+    }
+
+    // Used by the service worker when no page is open to run the Firebase SDK
+    async sendViaRest(entry) {
+        if (!entry.endpoint || !entry.endpoint.projectId) {
+            throw new Error("No Firestore endpoint stored with this submission");
+        }
+
+        const { projectId, apiKey } = entry.endpoint;
+        const url = `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents/submissions` +
+            `?documentId=${encodeURIComponent(entry.id)}${apiKey ? `&key=${encodeURIComponent(apiKey)}` : ""}`;
+        const response = await fetch(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ fields: this.toFirestoreFields(entry.data) })
+        });
+
+        // 409: an earlier attempt already created this document
+        if (!response.ok && response.status !== 409) {
+            throw new Error(`Firestore REST ${response.status}`);
+        }
+    }
+}
+
+const submissionOutbox = new SubmissionOutbox();
+console.log("Submission Outbox loaded");
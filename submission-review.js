@@ -0,0 +1,56 @@
+// Submission Review
+// Admins mark each submission approved, rejected or needs-remeasure, with an optional comment.
+// Dashboard totals count approved submissions only. The same verdict is copied to
+// reviews/{submissionId}, which the student's device can read back by id (see the inbox in
+// app.js) without being able to read the submission itself. A student resubmitting sends a new
+// submission with `replaces` set to the old id.
+//
+// Firestore layout (enforced by firestore.rules):
+//   submissions/{id}   + reviewStatus, review { status, comment, reviewedBy, reviewedAt }
+//   reviews/{id}       { adminUsername, status, comment, reviewedBy, reviewedAt }
+import {
+    doc, getDoc, writeBatch
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+
+export const REVIEW_STATUSES = {
+    pending: { label: 'Pending', color: '#a5b4fc' },
+    approved: { label: 'Approved', color: '#34d399' },
+    rejected: { label: 'Rejected', color: '#fca5a5' },
+    'needs-remeasure': { label: 'Needs remeasure', color: '#fbbf24' }
+};
+
+// Submissions from before reviews have no status and wait for review like new ones
+export function getReviewStatus(submission) {
+    const status = submission && (submission.reviewStatus || (submission.review && submission.review.status));
+    return REVIEW_STATUSES[status] ? status : 'pending';
+}
+
+// Firestore batches hold at most 500 writes; each submission takes two
+export async function reviewSubmissions(db, admin, submissionIds, status, comment = '') {
+    const review = {
+        status: status,
+        comment: comment.trim(),
+        reviewedBy: admin.name || admin.username,
+        reviewedAt: new Date().toISOString()
+    };
+
+    for (let start = 0; start < submissionIds.length; start += 200) {
+        const batch = writeBatch(db);
+        submissionIds.slice(start, start + 200).forEach(id => {
+            batch.update(doc(db, 'submissions', id), { reviewStatus: status, review: review });
+            batch.set(doc(db, 'reviews', id), { adminUsername: admin.username, ...review });
+        });
+        await batch.commit();
+    }
+    return review;
+}
+
+// Student inbox: verdicts for the given submission ids; ids nobody reviewed yet are left out
+export async function loadReviews(db, submissionIds) {
+    const snapshots = await Promise.all(submissionIds.map(id => getDoc(doc(db, 'reviews', id)).catch(() => null)));
+    const reviews = new Map();
+    snapshots.forEach((snap, index) => {
+        if (snap && snap.exists()) reviews.set(submissionIds[index], snap.data());
+    });
+    return reviews;
+}
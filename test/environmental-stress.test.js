@@ -0,0 +1,44 @@
+// Region lookup for the Chave et al. (2014) environmental stress factor E (Method 3 and predicted heights),
+// using the shipped environmental-stress-lookup.json.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const lookup = require('../environmental-stress-lookup.json');
+const { quietly } = require('./helpers');
+const { indianCalculator: calculator } = quietly(() => require('../indian-forestry-calculator.js'));
+
+calculator.setEnvironmentalStressLookup(lookup);
+
+const CITIES = [
+    ['Kochi', 9.9312, 76.2673, 'Kerala coast & southern Western Ghats'],
+    ['Thiruvananthapuram', 8.5241, 76.9366, 'Kerala coast & southern Western Ghats'],
+    ['Kozhikode', 11.2588, 75.7804, 'Malabar coast & Western Ghats'],
+    ['Mangaluru', 12.9141, 74.8560, 'Karnataka & Goa coast'],
+    ['Panaji', 15.4909, 73.8278, 'Karnataka & Goa coast'],
+    ['Mumbai', 19.0760, 72.8777, 'Konkan coast'],
+    ['Pune', 18.5204, 73.8567, 'Deccan Plateau'],
+    ['Coimbatore', 11.0168, 76.9558, 'Tamil Nadu & southern Eastern Ghats'],
+    ['Chennai', 13.0827, 80.2707, 'Tamil Nadu & southern Eastern Ghats'],
+    ['Bhubaneswar', 20.2961, 85.8245, 'Odisha & northern Eastern Ghats'],
+    ['Delhi', 28.6139, 77.2090, 'Punjab, Haryana & western Uttar Pradesh'],
+    ['Port Blair', 11.6234, 92.7265, 'Andaman & Nicobar Islands']
+];
+
+for (const [city, latitude, longitude, region] of CITIES) {
+    test(`getEnvironmentalStress: ${city} is in ${region}`, () => {
+        assert.equal(calculator.getEnvironmentalStress(latitude, longitude).region, region);
+    });
+}
+
+test('the wet west coast has a lower E than the Tamil Nadu plains', () => {
+    const kochi = calculator.getEnvironmentalStress(9.9312, 76.2673).value;
+    const mumbai = calculator.getEnvironmentalStress(19.0760, 72.8777).value;
+    const chennai = calculator.getEnvironmentalStress(13.0827, 80.2707).value;
+    assert.ok(kochi < 0 && mumbai < 0, `Kochi ${kochi}, Mumbai ${mumbai}`);
+    assert.ok(chennai > 0, `Chennai ${chennai}`);
+});
+
+test('points outside India and missing coordinates have no region', () => {
+    assert.equal(calculator.getEnvironmentalStress(51.5074, -0.1278), null);
+    assert.equal(calculator.getEnvironmentalStress(null, undefined), null);
+    assert.equal(calculator.getBroadestEnvironmentalStress().region, 'India (coarse national average)');
+});
@@ -0,0 +1,64 @@
+// Regenerates the synthetic fixtures listed in manifest.json: `node test/fixtures/build-synthetic.js`
+// Each scene is drawn from a seeded generator, so the files only change when this script does.
+const path = require('path');
+const { writePpm } = require('../helpers');
+
+function random(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+function scene(width, height, seed, paint) {
+    const rand = random(seed);
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [r, g, b] = paint(x, y, rand);
+            const i = (y * width + x) * 4;
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+            data[i + 3] = 255;
+        }
+    }
+    return { data, width, height };
+}
+
+function jitter(rgb, rand, amount) {
+    const n = (rand() - 0.5) * 2 * amount;
+    return rgb.map(value => value + n);
+}
+
+// Bark: warm brown with darker vertical furrows every few pixels
+function bark(x, rand, base) {
+    const furrow = x % 6 < 2 ? 0.85 : 1;
+    return jitter(base.map(value => value * furrow), rand, 12);
+}
+
+// Canopy across the top, grass behind the trunk, trunk from trunkTop down to the bottom edge
+function trunkScene({ width, height, seed, left, right, trunkTop = 0.3, canopyBottom = 0.35, barkColour = [120, 82, 50] }) {
+    return scene(width, height, seed, (x, y, rand) => {
+        const inTrunk = x >= left && x < right && y >= height * trunkTop;
+        if (inTrunk) return bark(x - left, rand, barkColour);
+        if (y < height * canopyBottom) return jitter([55, 115, 40], rand, 25);
+        return jitter([95, 150, 70], rand, 12);
+    });
+}
+
+const scenes = {
+    'synthetic-trunk-30px.ppm': trunkScene({ width: 120, height: 100, seed: 1, left: 45, right: 75 }),
+    'synthetic-trunk-60px-offcentre.ppm': trunkScene({ width: 200, height: 160, seed: 2, left: 110, right: 170 }),
+    'synthetic-trunk-dark-bark.ppm': trunkScene({ width: 160, height: 120, seed: 3, left: 60, right: 100, barkColour: [70, 52, 38] }),
+    'synthetic-grey-wall.ppm': scene(160, 120, 4, (x, y, rand) => {
+        const window = x % 40 > 10 && x % 40 < 30 && y % 40 > 10 && y % 40 < 30;
+        return jitter(window ? [90, 95, 105] : [165, 165, 160], rand, 6);
+    })
+};
+
+Object.entries(scenes).forEach(([name, image]) => {
+    writePpm(path.join(__dirname, name), image);
+    console.log(`Wrote ${name} (${image.width}x${image.height})`);
+});
@@ -0,0 +1,62 @@
+// Shared helpers for the Node test suite: PPM fixtures in and out, and loading the browser
+// scripts that only export through module.exports when it exists.
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Binary PPM (P6, maxval 255) -> { data: RGBA Uint8ClampedArray, width, height }, the ImageData shape
+function readPpm(file) {
+    const buffer = fs.readFileSync(path.isAbsolute(file) ? file : path.join(FIXTURES_DIR, file));
+    const header = [];
+    let offset = 0;
+    while (header.length < 4) {
+        while (/\s/.test(String.fromCharCode(buffer[offset]))) offset++;
+        if (buffer[offset] === 0x23) { // '#' comment to end of line
+            while (buffer[offset] !== 0x0a) offset++;
+            continue;
+        }
+        let token = '';
+        while (!/\s/.test(String.fromCharCode(buffer[offset]))) token += String.fromCharCode(buffer[offset++]);
+        header.push(token);
+    }
+    offset++; // the single whitespace after maxval
+    const [magic, width, height, maxval] = [header[0], Number(header[1]), Number(header[2]), Number(header[3])];
+    if (magic !== 'P6' || maxval !== 255) throw new Error(`${file}: only binary 8-bit PPM (P6) is supported`);
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0, j = offset; i < width * height; i++, j += 3) {
+        data[i * 4] = buffer[j];
+        data[i * 4 + 1] = buffer[j + 1];
+        data[i * 4 + 2] = buffer[j + 2];
+        data[i * 4 + 3] = 255;
+    }
+    return { data, width, height };
+}
+
+function writePpm(file, image) {
+    const rgb = Buffer.alloc(image.width * image.height * 3);
+    for (let i = 0; i < image.width * image.height; i++) {
+        rgb[i * 3] = image.data[i * 4];
+        rgb[i * 3 + 1] = image.data[i * 4 + 1];
+        rgb[i * 3 + 2] = image.data[i * 4 + 2];
+    }
+    fs.writeFileSync(file, Buffer.concat([Buffer.from(`P6\n${image.width} ${image.height}\n255\n`), rgb]));
+}
+
+function loadManifest() {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'manifest.json'), 'utf8'));
+}
+
+// The image modules log every step; keep test output readable
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+module.exports = { FIXTURES_DIR, readPpm, writePpm, loadManifest, quietly };
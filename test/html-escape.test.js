@@ -0,0 +1,27 @@
+// escapeHtml (html-escape.js) guards every user-typed value the dashboard, map and history render.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml } = require('../html-escape.js');
+
+const PAYLOAD = '<img src=x onerror="alert(document.cookie)">';
+
+test('escapeHtml turns an <img onerror> payload into text', () => {
+    const escaped = escapeHtml(PAYLOAD);
+    assert.equal(escaped, '&lt;img src=x onerror=&quot;alert(document.cookie)&quot;&gt;');
+    assert.ok(!escaped.includes('<') && !escaped.includes('>'));
+});
+
+test('escapeHtml keeps a payload inside the element or attribute it was put in', () => {
+    const cell = `<td>${escapeHtml(PAYLOAD)}</td>`;
+    assert.equal(cell.match(/</g).length, 2);
+    const option = `<option value="${escapeHtml(`x" onmouseover="alert(1)`)}">`;
+    assert.equal(option.match(/"/g).length, 2);
+    assert.equal(escapeHtml(`' onclick='alert(1)`), '&#39; onclick=&#39;alert(1)');
+});
+
+test('escapeHtml renders numbers, null and undefined as text', () => {
+    assert.equal(escapeHtml(12.5), '12.5');
+    assert.equal(escapeHtml(null), 'null');
+    assert.equal(escapeHtml(undefined), 'undefined');
+    assert.equal(escapeHtml('Tom & Jerry'), 'Tom &amp; Jerry');
+});
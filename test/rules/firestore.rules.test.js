@@ -0,0 +1,302 @@
+// firestore.rules against the Firestore emulator. Run with `npm run test:rules`, which starts the
+// emulator through firebase-tools (Java 11+ required) and points FIRESTORE_EMULATOR_HOST at it.
+const test = require('node:test');
+const { before, beforeEach, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const {
+    doc, getDoc, getDocs, setDoc, updateDoc, collection, query, where, writeBatch,
+    deleteField, increment, serverTimestamp, Timestamp
+} = require('firebase/firestore');
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+// Same salting as hashPin in student-roster.js
+const pinHash = (groupId, key, pin) => sha256(`${groupId}:${key}:${pin}`);
+
+const PIN = '123456';
+const ROLL = '8B-12';
+const minutesAgo = minutes => Timestamp.fromMillis(Date.now() - minutes * 60 * 1000);
+
+let testEnv;
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ecotree',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', '..', 'firestore.rules'), 'utf8') }
+    });
+});
+
+after(() => testEnv && testEnv.cleanup());
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async context => {
+        const db = context.firestore();
+        const seed = (docPath, data) => setDoc(doc(db, docPath), data);
+
+        await seed('admins/alice', { uid: 'alice-uid', username: 'alice', name: 'Alice' });
+        await seed('admins/bob', { uid: 'bob-uid', username: 'bob', name: 'Bob' });
+        await seed('admins/legacy', { username: 'legacy', name: 'Legacy', password: 'old-password' });
+
+        await seed('passes/OPEN1', { adminUsername: 'alice', active: true, userCount: 0, maxUsers: 2 });
+        await seed('passes/FULL1', { adminUsername: 'alice', active: true, userCount: 2, maxUsers: 2 });
+        await seed('passes/FULL1/members/ravi', { studentId: 'Ravi' });
+        await seed('passes/CLOSED1', { adminUsername: 'alice', active: true, userCount: 1, expiresAt: minutesAgo(60) });
+        await seed('passes/CLOSED1/members/ravi', { studentId: 'Ravi' });
+        await seed('passes/BOB1', { adminUsername: 'bob', active: true, userCount: 0 });
+
+        await seed('groups/g1', { adminUsername: 'alice', name: 'Class 8B', rosterRequired: true });
+        await seed(`groups/g1/roster/${ROLL}`, { rollNumber: ROLL, name: 'Asha', pinHash: pinHash('g1', ROLL, PIN) });
+        await seed('passes/ROSTER1', { adminUsername: 'alice', active: true, groupId: 'g1', rosterRequired: true, userCount: 0 });
+        await seed('passes/EXPIRED1', {
+            adminUsername: 'alice', active: true, groupId: 'g1', rosterRequired: true, userCount: 1, expiresAt: minutesAgo(60)
+        });
+        await seed(`passes/EXPIRED1/members/${ROLL}`, { studentId: 'Asha' });
+        await seed('studentBindings/anon-bound', {
+            groupId: 'g1', rollKey: ROLL, adminUsername: 'alice', accessCode: 'ROSTER1', pinHash: pinHash('g1', ROLL, PIN)
+        });
+        await seed('studentBindings/anon-expired', {
+            groupId: 'g1', rollKey: ROLL, adminUsername: 'alice', accessCode: 'EXPIRED1', pinHash: pinHash('g1', ROLL, PIN)
+        });
+
+        await seed('submissions/sub-alice', { accessCode: 'OPEN1', adminUsername: 'alice', studentId: 'Ravi', circumference: 120, reviewStatus: 'pending' });
+        await seed('submissions/sub-bob', { accessCode: 'BOB1', adminUsername: 'bob', studentId: 'Meera', circumference: 90, reviewStatus: 'pending' });
+    });
+});
+
+const guest = () => testEnv.unauthenticatedContext().firestore();
+const admin = (username) => testEnv.authenticatedContext(`${username}-uid`).firestore();
+const anonymous = uid => testEnv.authenticatedContext(uid, { firebase: { sign_in_provider: 'anonymous', identities: {} } }).firestore();
+const passwordUser = uid => testEnv.authenticatedContext(uid, { firebase: { sign_in_provider: 'password', identities: {} } }).firestore();
+
+// passes
+
+test('students can look up a code by its exact id but cannot list passes', async () => {
+    await assertSucceeds(getDoc(doc(guest(), 'passes/OPEN1')));
+    await assertFails(getDocs(collection(guest(), 'passes')));
+    await assertFails(getDocs(query(collection(guest(), 'passes'), where('adminUsername', '==', 'alice'))));
+});
+
+test('an admin can list only their own passes', async () => {
+    await assertSucceeds(getDocs(query(collection(admin('alice'), 'passes'), where('adminUsername', '==', 'alice'))));
+    await assertFails(getDocs(query(collection(admin('bob'), 'passes'), where('adminUsername', '==', 'alice'))));
+});
+
+function join(db, code, memberId, userCount) {
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'passes', code, 'members', memberId), { studentId: memberId });
+    batch.update(doc(db, 'passes', code), { userCount: userCount, lastMemberId: memberId });
+    return batch.commit();
+}
+
+test('a student can join an open code below maxUsers, one member at a time', async () => {
+    await assertSucceeds(join(guest(), 'OPEN1', 'ravi', 1));
+    await assertFails(join(guest(), 'OPEN1', 'meera', 3));
+    await assertFails(updateDoc(doc(guest(), 'passes/OPEN1'), { userCount: 2 }));
+});
+
+test('a join past maxUsers is rejected', async () => {
+    await assertFails(join(guest(), 'FULL1', 'ravi', 3));
+});
+
+test('nobody can join an expired code', async () => {
+    await assertFails(join(guest(), 'EXPIRED1', 'ravi', 2));
+});
+
+// submissions
+
+const submission = (extra = {}) => ({ accessCode: 'OPEN1', adminUsername: 'alice', studentId: 'Ravi', circumference: 110, ...extra });
+
+test('a student can submit with an active code and cannot read submissions back', async () => {
+    await assertSucceeds(setDoc(doc(guest(), 'submissions/new-1'), submission()));
+    await assertFails(getDoc(doc(guest(), 'submissions/sub-alice')));
+});
+
+test('a submission must name the admin that owns its code', async () => {
+    await assertFails(setDoc(doc(guest(), 'submissions/new-1'), submission({ adminUsername: 'bob' })));
+});
+
+test('submission ids are plain tokens and replaces is a short string', async () => {
+    await assertFails(setDoc(doc(guest(), 'submissions/bad id<x>'), submission()));
+    await assertSucceeds(setDoc(doc(guest(), 'submissions/new-1'), submission({ replaces: 'sub-alice' })));
+    await assertFails(setDoc(doc(guest(), 'submissions/new-2'), submission({ replaces: 'x'.repeat(65) })));
+    await assertFails(setDoc(doc(guest(), 'submissions/new-3'), submission({ replaces: { id: 'sub-alice' } })));
+});
+
+test('after a code expires only students who joined before can submit', async () => {
+    const closed = extra => submission({ accessCode: 'CLOSED1', ...extra });
+    await assertFails(setDoc(doc(guest(), 'submissions/new-1'), closed({ studentId: 'Meera' })));
+    await assertFails(setDoc(doc(guest(), 'submissions/new-2'), closed({ studentId: 'Meera', memberId: 'meera' })));
+    await assertFails(setDoc(doc(guest(), 'submissions/new-3'), closed({ studentId: 'Meera', memberId: 'ravi' })));
+    await assertSucceeds(setDoc(doc(guest(), 'submissions/new-4'), closed({ studentId: 'Ravi', memberId: 'ravi' })));
+});
+
+test('once a code is full only students who joined before can submit', async () => {
+    const full = extra => submission({ accessCode: 'FULL1', ...extra });
+    await assertFails(setDoc(doc(guest(), 'submissions/new-1'), full({ studentId: 'Meera' })));
+    await assertSucceeds(setDoc(doc(guest(), 'submissions/new-2'), full({ studentId: 'Ravi', memberId: 'ravi' })));
+});
+
+test('new submissions cannot arrive already reviewed', async () => {
+    await assertFails(setDoc(doc(guest(), 'submissions/new-1'), submission({ reviewStatus: 'approved' })));
+    await assertFails(setDoc(doc(guest(), 'submissions/new-2'), submission({ review: { comment: 'ok' } })));
+});
+
+test("one admin cannot read another admin's submissions", async () => {
+    await assertSucceeds(getDoc(doc(admin('alice'), 'submissions/sub-alice')));
+    await assertSucceeds(getDocs(query(collection(admin('alice'), 'submissions'), where('adminUsername', '==', 'alice'))));
+    await assertFails(getDoc(doc(admin('bob'), 'submissions/sub-alice')));
+    await assertFails(getDocs(query(collection(admin('bob'), 'submissions'), where('adminUsername', '==', 'alice'))));
+    await assertFails(getDocs(collection(admin('bob'), 'submissions')));
+});
+
+test('an admin can only change reviewStatus and review', async () => {
+    const ref = doc(admin('alice'), 'submissions/sub-alice');
+    await assertSucceeds(updateDoc(ref, { reviewStatus: 'approved', review: { comment: 'Good', reviewedBy: 'alice' } }));
+    await assertFails(updateDoc(ref, { circumference: 500 }));
+    await assertFails(updateDoc(ref, { reviewStatus: 'rejected', studentId: 'Someone else' }));
+    await assertFails(updateDoc(ref, { reviewStatus: 'deleted' }));
+    await assertFails(updateDoc(doc(admin('bob'), 'submissions/sub-alice'), { reviewStatus: 'approved' }));
+});
+
+// roster groups
+
+const rosterSubmission = (studentUid, extra = {}) =>
+    submission({ accessCode: 'ROSTER1', groupId: 'g1', studentId: 'Asha', studentUid: studentUid, ...extra });
+
+test('a roster submission must carry the studentUid of the bound student', async () => {
+    const db = anonymous('anon-bound');
+    await assertSucceeds(setDoc(doc(db, 'submissions/roster-1'), rosterSubmission(`g1:${ROLL}`)));
+    await assertFails(setDoc(doc(db, 'submissions/roster-2'), rosterSubmission('g1:8B-13')));
+    await assertFails(setDoc(doc(anonymous('anon-unbound'), 'submissions/roster-3'), rosterSubmission(`g1:${ROLL}`)));
+    await assertFails(setDoc(doc(guest(), 'submissions/roster-4'), rosterSubmission(`g1:${ROLL}`)));
+});
+
+test('a roster student who joined before the code expired can still submit', async () => {
+    const db = anonymous('anon-expired');
+    await assertSucceeds(setDoc(doc(db, 'submissions/roster-1'), rosterSubmission(`g1:${ROLL}`, { accessCode: 'EXPIRED1', memberId: ROLL })));
+    await assertFails(setDoc(doc(db, 'submissions/roster-2'), rosterSubmission(`g1:${ROLL}`, { accessCode: 'EXPIRED1' })));
+});
+
+test('a studentUid is rejected outside roster groups', async () => {
+    await assertFails(setDoc(doc(guest(), 'submissions/new-1'), submission({ studentUid: `g1:${ROLL}` })));
+});
+
+test('a bound student can read their own roster entry and nobody else can', async () => {
+    await assertSucceeds(getDoc(doc(anonymous('anon-bound'), `groups/g1/roster/${ROLL}`)));
+    await assertFails(getDoc(doc(anonymous('anon-unbound'), `groups/g1/roster/${ROLL}`)));
+    await assertFails(getDocs(collection(anonymous('anon-bound'), 'groups/g1/roster')));
+    await assertFails(getDocs(collection(admin('bob'), 'groups/g1/roster')));
+});
+
+// PIN login: the guess is committed to pinAttempts first, then the binding checks it
+
+function recordPinAttempt(db, uid, hash) {
+    return setDoc(doc(db, `groups/g1/pinAttempts/${ROLL}`), {
+        uid: uid, pinHash: hash, attemptedAt: serverTimestamp(), count: increment(1)
+    }, { merge: true });
+}
+
+function bind(db, uid, accessCode, hash) {
+    return setDoc(doc(db, 'studentBindings', uid), {
+        groupId: 'g1', rollKey: ROLL, adminUsername: 'alice', accessCode: accessCode, pinHash: hash, boundAt: new Date().toISOString()
+    });
+}
+
+test('a student binds with the right PIN after recording the attempt', async () => {
+    const db = anonymous('anon-1');
+    const hash = pinHash('g1', ROLL, PIN);
+    await assertSucceeds(recordPinAttempt(db, 'anon-1', hash));
+    await assertSucceeds(bind(db, 'anon-1', 'ROSTER1', hash));
+});
+
+test('a binding is rejected with a wrong PIN or without a recorded attempt', async () => {
+    const wrong = pinHash('g1', ROLL, '000000');
+    await assertSucceeds(recordPinAttempt(anonymous('anon-1'), 'anon-1', wrong));
+    await assertFails(bind(anonymous('anon-1'), 'anon-1', 'ROSTER1', wrong));
+    await assertFails(bind(anonymous('anon-2'), 'anon-2', 'ROSTER1', pinHash('g1', ROLL, PIN)));
+});
+
+test('PIN attempts are spaced 30 seconds apart and capped at 10 per roster entry', async () => {
+    const hash = pinHash('g1', ROLL, '000000');
+    const seedAttempt = (count, attemptedAt) => testEnv.withSecurityRulesDisabled(context =>
+        setDoc(doc(context.firestore(), `groups/g1/pinAttempts/${ROLL}`), { uid: 'anon-1', pinHash: hash, attemptedAt, count }));
+
+    await seedAttempt(1, Timestamp.now());
+    await assertFails(recordPinAttempt(anonymous('anon-2'), 'anon-2', hash));
+
+    await seedAttempt(1, minutesAgo(1));
+    await assertSucceeds(recordPinAttempt(anonymous('anon-2'), 'anon-2', hash));
+
+    await seedAttempt(10, minutesAgo(1));
+    await assertFails(recordPinAttempt(anonymous('anon-3'), 'anon-3', pinHash('g1', ROLL, PIN)));
+    await assertFails(getDoc(doc(admin('alice'), `groups/g1/pinAttempts/${ROLL}`)));
+});
+
+test('a student who joined before the code expired can still bind; new students cannot', async () => {
+    const hash = pinHash('g1', ROLL, PIN);
+    await assertSucceeds(recordPinAttempt(anonymous('anon-1'), 'anon-1', hash));
+    await assertSucceeds(bind(anonymous('anon-1'), 'anon-1', 'EXPIRED1', hash));
+
+    await testEnv.withSecurityRulesDisabled(context =>
+        setDoc(doc(context.firestore(), 'groups/g1/roster/8B-13'), { rollNumber: '8B-13', name: 'Kiran', pinHash: pinHash('g1', '8B-13', PIN) }));
+    const newcomer = anonymous('anon-2');
+    const newHash = pinHash('g1', '8B-13', PIN);
+    await assertSucceeds(setDoc(doc(newcomer, 'groups/g1/pinAttempts/8B-13'), {
+        uid: 'anon-2', pinHash: newHash, attemptedAt: serverTimestamp(), count: increment(1)
+    }, { merge: true }));
+    await assertFails(setDoc(doc(newcomer, 'studentBindings/anon-2'), {
+        groupId: 'g1', rollKey: '8B-13', adminUsername: 'alice', accessCode: 'EXPIRED1', pinHash: newHash
+    }));
+});
+
+// admins
+
+test('stored passwords are never readable and new admins cannot store one', async () => {
+    await assertFails(getDoc(doc(passwordUser('someone'), 'admins/legacy')));
+    await assertSucceeds(getDoc(doc(passwordUser('someone'), 'admins/nobody-yet')));
+    await assertFails(setDoc(doc(passwordUser('carol-uid'), 'admins/carol'), { uid: 'carol-uid', username: 'carol', password: 'x' }));
+    await assertSucceeds(setDoc(doc(passwordUser('carol-uid'), 'admins/carol'), { uid: 'carol-uid', username: 'carol' }));
+});
+
+function recordMigrationAttempt(db, uid, password) {
+    return setDoc(doc(db, 'migrationAttempts/legacy'), {
+        uid: uid, guessHash: sha256(password), attemptedAt: serverTimestamp(), count: increment(1)
+    }, { merge: true });
+}
+
+const migrate = (db, uid) => updateDoc(doc(db, 'admins/legacy'), {
+    uid: uid, email: 'legacy@example.com', password: deleteField(), migratedAt: new Date().toISOString()
+});
+
+test('a legacy admin migrates with the right password, which the same write deletes', async () => {
+    const db = passwordUser('legacy-uid');
+    await assertSucceeds(recordMigrationAttempt(db, 'legacy-uid', 'old-password'));
+    await assertFails(updateDoc(doc(db, 'admins/legacy'), { uid: 'legacy-uid', email: 'legacy@example.com' }));
+    await assertSucceeds(migrate(db, 'legacy-uid'));
+});
+
+test('migration is rejected for a wrong password or a non-password sign-in', async () => {
+    await assertSucceeds(recordMigrationAttempt(passwordUser('legacy-uid'), 'legacy-uid', 'guess'));
+    await assertFails(migrate(passwordUser('legacy-uid'), 'legacy-uid'));
+
+    await assertFails(recordMigrationAttempt(anonymous('anon-1'), 'anon-1', 'old-password'));
+    await assertFails(migrate(anonymous('anon-1'), 'anon-1'));
+});
+
+test('migration guesses are spaced a minute apart and capped at 5', async () => {
+    const seedAttempt = (count, attemptedAt) => testEnv.withSecurityRulesDisabled(context =>
+        setDoc(doc(context.firestore(), 'migrationAttempts/legacy'), { uid: 'legacy-uid', guessHash: sha256('guess'), attemptedAt, count }));
+
+    await seedAttempt(1, Timestamp.now());
+    await assertFails(recordMigrationAttempt(passwordUser('legacy-uid'), 'legacy-uid', 'old-password'));
+
+    await seedAttempt(5, minutesAgo(2));
+    await assertFails(recordMigrationAttempt(passwordUser('legacy-uid'), 'legacy-uid', 'old-password'));
+
+    await seedAttempt(4, minutesAgo(2));
+    await assertSucceeds(recordMigrationAttempt(passwordUser('legacy-uid'), 'legacy-uid', 'old-password'));
+    await assertSucceeds(migrate(passwordUser('legacy-uid'), 'legacy-uid'));
+});
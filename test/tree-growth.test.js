@@ -0,0 +1,75 @@
+// Growth between two visits of a tagged tree (tree-growth.js). Visits measured with a different
+// method, wood density or height source are flagged rather than counted as growth.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { quietly } = require('./helpers');
+const { treeGrowthMonitor: monitor } = quietly(() => require('../tree-growth.js'));
+
+const previous = {
+    id: 'visit-1',
+    measuredAt: '2025-01-10T09:00:00.000Z',
+    tree: 'Neem',
+    circumference: 100,
+    results: { carbon: '120.00' },
+    method: 'method1',
+    methodLabel: 'Chave 2005 (DBH only)',
+    woodDensity: '0.690',
+    heightUsed: 'Not used',
+    heightSource: null
+};
+
+function nextVisit(overrides = {}) {
+    return {
+        measuredAt: '2026-01-10T09:00:00.000Z',
+        tree: 'Neem',
+        circumference: 103,
+        carbon: '128.00',
+        method: 'method1',
+        methodLabel: 'Chave 2005 (DBH only)',
+        woodDensity: '0.690',
+        heightUsed: 'Not used',
+        heightSource: null,
+        ...overrides
+    };
+}
+
+test('calculateSequestration: same method and density is plausible growth', () => {
+    const growth = monitor.calculateSequestration(previous, nextVisit());
+    assert.equal(growth.plausible, true);
+    assert.equal(growth.methodChanged, false);
+    assert.equal(growth.carbonIncrement, '8.00');
+});
+
+test('calculateSequestration: a method change is flagged as implausible', () => {
+    const growth = monitor.calculateSequestration(previous, nextVisit({
+        method: 'method2', methodLabel: 'Chave 2014 (DBH + height)', heightUsed: '9.50', heightSource: 'measured'
+    }));
+    assert.equal(growth.plausible, false);
+    assert.equal(growth.methodChanged, true);
+    assert.match(growth.flags.join('; '), /Method changed from Chave 2005 \(DBH only\) to Chave 2014/);
+});
+
+test('calculateSequestration: a wood density change is flagged, rounding is not', () => {
+    assert.equal(monitor.calculateSequestration(previous, nextVisit({ woodDensity: '0.692' })).plausible, true);
+
+    const growth = monitor.calculateSequestration(previous, nextVisit({ woodDensity: '0.600' }));
+    assert.equal(growth.plausible, false);
+    assert.match(growth.flags.join('; '), /Wood density changed from 0.69 to 0.6/);
+});
+
+test('calculateSequestration: a height source change is flagged only when both visits used a height', () => {
+    const withHeight = { ...previous, method: 'method2', heightUsed: '9.00', heightSource: 'measured' };
+    const growth = monitor.calculateSequestration(withHeight, nextVisit({
+        method: 'method2', heightUsed: '9.40', heightSource: 'predicted'
+    }));
+    assert.equal(growth.plausible, false);
+    assert.match(growth.flags.join('; '), /Height source changed from measured to predicted/);
+
+    assert.equal(monitor.calculateSequestration(previous, nextVisit({ heightSource: 'predicted' })).plausible, true);
+});
+
+test('calculateSequestration: visits saved before the method was stored are still compared', () => {
+    const legacy = { id: 'old', measuredAt: previous.measuredAt, tree: 'Neem', circumference: 100, carbon: '120.00' };
+    const growth = monitor.calculateSequestration(legacy, nextVisit());
+    assert.equal(growth.plausible, true);
+});
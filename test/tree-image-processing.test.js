@@ -0,0 +1,148 @@
+// Pixel math in tree-image-processing.js, on hand-built arrays and on the images in test/fixtures.
+// Fixture expectations live in test/fixtures/manifest.json; see test/fixtures/README.md.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readPpm, loadManifest, quietly } = require('./helpers');
+const { treeImageProcessing: tip } = quietly(() => require('../tree-image-processing.js'));
+
+function solidImage(width, height, rgb) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data.set([rgb[0], rgb[1], rgb[2], 255], i * 4);
+    }
+    return { data, width, height };
+}
+
+function pixel(image, x, y) {
+    const i = (y * image.width + x) * 4;
+    return Array.from(image.data.slice(i, i + 3));
+}
+
+// Same steps analyzePixels takes when DeepLab is not available
+function findTrunk(image) {
+    return quietly(() => {
+        const seg = tip.segmentTreeAdvanced(tip.gaussianBlur(image, 2));
+        return tip.detectTrunk(image, seg.mask, seg.width, seg.height);
+    });
+}
+
+test('gaussianBlur keeps a flat image flat and leaves a border of the radius', () => {
+    const blurred = tip.gaussianBlur(solidImage(12, 10, [100, 150, 200]), 2);
+    assert.equal(blurred.width, 12);
+    assert.equal(blurred.height, 10);
+    assert.deepEqual(pixel(blurred, 5, 5), [100, 150, 200]);
+    assert.deepEqual(pixel(blurred, 1, 1), [0, 0, 0]);
+});
+
+test('gaussianBlur spreads a bright dot symmetrically', () => {
+    const image = solidImage(11, 11, [0, 0, 0]);
+    image.data.set([255, 255, 255], (5 * 11 + 5) * 4);
+    const blurred = tip.gaussianBlur(image, 2);
+    const centre = pixel(blurred, 5, 5)[0];
+    assert.ok(centre > 0 && centre < 255);
+    assert.equal(pixel(blurred, 4, 5)[0], pixel(blurred, 6, 5)[0]);
+    assert.equal(pixel(blurred, 5, 4)[0], pixel(blurred, 5, 6)[0]);
+    assert.ok(pixel(blurred, 4, 5)[0] < centre);
+});
+
+test('dilate grows a point into a square and erode shrinks it back', () => {
+    const width = 9, height = 9;
+    const mask = new Float32Array(width * height);
+    mask[4 * width + 4] = 1;
+
+    const dilated = tip.dilate(mask, width, height, 1);
+    assert.equal(Array.from(dilated).filter(v => v === 1).length, 9);
+    assert.equal(dilated[3 * width + 3], 1);
+    assert.equal(dilated[2 * width + 2], 0);
+
+    const eroded = tip.erode(dilated, width, height, 1);
+    assert.deepEqual(Array.from(eroded).map((v, i) => (v === 1 ? i : -1)).filter(i => i >= 0), [4 * width + 4]);
+});
+
+test('erode removes isolated pixels and morphologicalClose bridges a one-pixel gap', () => {
+    const width = 12, height = 7;
+    const speck = new Float32Array(width * height);
+    speck[3 * width + 6] = 1;
+    assert.ok(Array.from(tip.erode(speck, width, height, 1)).every(v => v === 0));
+
+    const split = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (x !== 6) split[y * width + x] = 1;
+        }
+    }
+    assert.equal(tip.morphologicalClose(split, width, height, 1)[3 * width + 6], 1);
+});
+
+test('smoothArray averages over the window and shortens it at the ends', () => {
+    assert.deepEqual(Array.from(tip.smoothArray([4, 4, 4, 4], 3)), [4, 4, 4, 4]);
+    const smoothed = Array.from(tip.smoothArray([0, 0, 9, 0, 0], 3));
+    assert.deepEqual(smoothed, [0, 3, 3, 3, 0]);
+    assert.deepEqual(Array.from(tip.smoothArray([2, 4], 5)), [3, 3]);
+});
+
+test('segmentTreeAdvanced scores foliage, bark and background', () => {
+    const image = solidImage(3, 1, [0, 0, 0]);
+    image.data.set([60, 130, 40], 0);      // foliage
+    image.data.set([120, 82, 50], 4);      // bark
+    image.data.set([150, 150, 150], 8);    // grey wall
+    const seg = tip.segmentTreeAdvanced(image);
+    assert.ok(seg.mask[0] > 0.5);
+    assert.equal(seg.mask[1], Math.fround(0.9));
+    assert.equal(seg.mask[2], 0);
+    assert.equal(seg.greenPercent, '33.3');
+    assert.equal(seg.trunkPercent, '33.3');
+});
+
+test('detectTrunkBySobel measures between the strongest edges either side', () => {
+    const image = solidImage(80, 60, [200, 200, 200]);
+    for (let y = 0; y < 60; y++) {
+        for (let x = 30; x < 50; x++) image.data.set([90, 60, 40], (y * 80 + x) * 4);
+    }
+    const width = tip.detectTrunkBySobel(image, 40, 30, 80, 60);
+    assert.ok(Math.abs(width - 20) <= 2, `width ${width}`);
+});
+
+const { fixtures } = loadManifest();
+
+for (const fixture of fixtures) {
+    const load = () => readPpm(fixture.file);
+
+    test(`validateTreePresence: ${fixture.file} is ${fixture.isTree ? '' : 'not '}a tree`, () => {
+        const result = quietly(() => tip.validateTreePresence(load()));
+        assert.equal(result.isTree, fixture.isTree);
+        assert.equal(result.errorMessage === null, fixture.isTree);
+    });
+
+    if (!fixture.trunk) continue;
+
+    test(`detectTrunk: ${fixture.file} trunk edges`, () => {
+        const bounds = findTrunk(load());
+        const tolerance = 3;
+        assert.ok(Math.abs(bounds.trunkLeft - fixture.trunk.left) <= tolerance,
+            `trunkLeft ${bounds.trunkLeft}, expected ${fixture.trunk.left} ± ${tolerance}`);
+        assert.ok(Math.abs(bounds.trunkRight - fixture.trunk.right) <= tolerance,
+            `trunkRight ${bounds.trunkRight}, expected ${fixture.trunk.right} ± ${tolerance}`);
+        assert.ok(bounds.trunkCenterX >= fixture.trunk.left && bounds.trunkCenterX <= fixture.trunk.right);
+    });
+
+    // The reference-marker path in real-world-measurement.js: diameter = trunkWidthPx / pxPerCm
+    test(`detectTrunk: ${fixture.file} circumference`, () => {
+        const bounds = findTrunk(load());
+        const circumference = Math.PI * bounds.trunkWidthPx / fixture.pxPerCm;
+        const [min, max] = fixture.circumferenceCm;
+        assert.ok(circumference >= min && circumference <= max,
+            `circumference ${circumference.toFixed(1)} cm, expected ${min}-${max} cm`);
+    });
+}
+
+test('analyzePixels rejects a photo without a tree', () => {
+    assert.throws(() => quietly(() => tip.analyzePixels(readPpm('synthetic-grey-wall.ppm'), null)), /No tree found/);
+});
+
+test('analyzePixels returns trunk bounds for a tree photo', () => {
+    const { validation, bounds } = quietly(() => tip.analyzePixels(readPpm('synthetic-trunk-30px.ppm'), null));
+    assert.equal(validation.isTree, true);
+    assert.equal(bounds.breastHeightY, 65);
+    assert.ok(bounds.trunkWidthPx > 0);
+});
@@ -0,0 +1,185 @@
+// Tree Growth Monitor
+// Links repeat measurements of the same tagged tree and derives annual carbon sequestration
+
+class TreeGrowthMonitor {
+    constructor() {
+        this.MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+        this.CO2_PER_CARBON = 3.67;
+
+        // Plausibility thresholds
+        this.SHRINKAGE_TOLERANCE_CM = 1.0; // tape error allowed before a circumference drop is flagged
+        this.MAX_DBH_GROWTH_CM_PER_YEAR = 5.0; // faster than most tropical species
+        this.MIN_INTERVAL_DAYS = 30; // shorter gaps make per-year rates unreliable
+        this.MAX_TAG_DISTANCE_M = 25; // GPS drift allowed for the same tagged tree
+        this.WOOD_DENSITY_TOLERANCE = 0.005; // g/cm3; rounding in stored values
+    }
+
+    normalizeTag(tag) {
+        return (tag || "").toString().trim().toUpperCase().replace(/\s+/g, "-");
+    }
+
+    getMeasuredTime(calc) {
+        if (calc.measuredAt) {
+            const parsed = Date.parse(calc.measuredAt);
+            if (Number.isFinite(parsed)) {
+                return parsed;
+            }
+        }
+        // Older history entries only have Date.now() as their id.
+        return Number(calc.id) || 0;
+    }
+
+    // Earlier measurements of the same tag, oldest first
+    findMeasurements(history, tag) {
+        const key = this.normalizeTag(tag);
+        if (!key) {
+            return [];
+        }
+
+        return history
+            .filter((calc) => this.normalizeTag(calc.treeTag) === key)
+            .sort((a, b) => this.getMeasuredTime(a) - this.getMeasuredTime(b));
+    }
+
+    // Haversine distance in metres
+    distanceMeters(lat1, lon1, lat2, lon2) {
+        const toRad = (deg) => (deg * Math.PI) / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    // Carbon from different allometric methods, wood densities or height sources differs by far
+    // more than a year's growth, so such visits are not compared. Entries from before these
+    // fields were stored are assumed comparable.
+    getMethodChanges(previous, current) {
+        const changes = [];
+        if (previous.method && current.method && previous.method !== current.method) {
+            changes.push(`Method changed from ${previous.methodLabel || previous.method} to ${current.methodLabel || current.method}`);
+        }
+
+        const previousDensity = parseFloat(previous.woodDensity);
+        const currentDensity = parseFloat(current.woodDensity);
+        if (Number.isFinite(previousDensity) && Number.isFinite(currentDensity) &&
+            Math.abs(previousDensity - currentDensity) > this.WOOD_DENSITY_TOLERANCE) {
+            changes.push(`Wood density changed from ${previousDensity} to ${currentDensity} g/cm3`);
+        }
+
+        // Only meaningful when both visits used a height
+        const usedHeight = (calc) => Number.isFinite(parseFloat(calc.heightUsed));
+        if (usedHeight(previous) && usedHeight(current) && previous.heightSource && current.heightSource &&
+            previous.heightSource !== current.heightSource) {
+            changes.push(`Height source changed from ${previous.heightSource} to ${current.heightSource}`);
+        }
+        return changes;
+    }
+
+    // current: { measuredAt, circumference, carbon, latitude, longitude, tree,
+    //            method, methodLabel, woodDensity, heightUsed, heightSource }
+    calculateSequestration(previous, current) {
+        const years = (this.getMeasuredTime(current) - this.getMeasuredTime(previous)) / this.MS_PER_YEAR;
+        const previousCarbon = parseFloat(previous.results?.carbon ?? previous.carbon) || 0;
+        const currentCarbon = parseFloat(current.carbon) || 0;
+        const previousCircumference = parseFloat(previous.circumference) || 0;
+        const currentCircumference = parseFloat(current.circumference) || 0;
+
+        const carbonIncrement = currentCarbon - previousCarbon;
+        const circumferenceChange = currentCircumference - previousCircumference;
+        const dbhChange = circumferenceChange / Math.PI;
+        const flags = [];
+
+        if (years * 365.25 < this.MIN_INTERVAL_DAYS) {
+            flags.push(`Visits only ${Math.max(0, Math.round(years * 365.25))} days apart - annual rate is unreliable`);
+        }
+
+        if (circumferenceChange < -this.SHRINKAGE_TOLERANCE_CM) {
+            flags.push(`Implausible shrinkage: circumference fell by ${Math.abs(circumferenceChange).toFixed(1)} cm`);
+        }
+
+        if (years > 0 && dbhChange / years > this.MAX_DBH_GROWTH_CM_PER_YEAR) {
+            flags.push(`Unusually fast growth: ${(dbhChange / years).toFixed(1)} cm DBH/year`);
+        }
+
+        if (previous.tree && current.tree && previous.tree !== current.tree) {
+            flags.push(`Species changed from ${previous.tree} to ${current.tree}`);
+        }
+
+        const methodChanges = this.getMethodChanges(previous, current);
+        methodChanges.forEach((change) => {
+            flags.push(`${change} - the carbon difference reflects the change, not growth`);
+        });
+
+        const lat1 = parseFloat(previous.latitude);
+        const lon1 = parseFloat(previous.longitude);
+        const lat2 = parseFloat(current.latitude);
+        const lon2 = parseFloat(current.longitude);
+        let distanceMoved = null;
+        if ([lat1, lon1, lat2, lon2].every(Number.isFinite)) {
+            distanceMoved = this.distanceMeters(lat1, lon1, lat2, lon2);
+            if (distanceMoved > this.MAX_TAG_DISTANCE_M) {
+                flags.push(`GPS is ${distanceMoved.toFixed(0)} m from the previous visit - check the tag number`);
+            }
+        }
+
+        const annualCarbon = years > 0 ? carbonIncrement / years : 0;
+
+        return {
+            previousId: previous.id,
+            previousMeasuredAt: new Date(this.getMeasuredTime(previous)).toISOString(),
+            years: years.toFixed(2),
+            circumferenceChange: circumferenceChange.toFixed(2),
+            dbhChangePerYear: (years > 0 ? dbhChange / years : 0).toFixed(2),
+            carbonIncrement: carbonIncrement.toFixed(2),
+            annualCarbon: annualCarbon.toFixed(2),
+            annualCO2: (annualCarbon * this.CO2_PER_CARBON).toFixed(2),
+            distanceMoved: distanceMoved !== null ? distanceMoved.toFixed(1) : null,
+            methodChanged: methodChanges.length > 0,
+            flags,
+            plausible: flags.length === 0
+        };
+    }
+
+    // Lightweight SVG line chart of carbon stored per visit (no chart library needed)
+    renderGrowthChart(points, width = 320, height = 160) {
+        if (points.length < 2) {
+            return "";
+        }
+
+        const pad = { top: 16, right: 16, bottom: 28, left: 44 };
+        const times = points.map((p) => p.time);
+        const values = points.map((p) => p.carbon);
+        const minT = Math.min(...times);
+        const maxT = Math.max(...times);
+        const maxV = Math.max(...values) * 1.1 || 1;
+        const x = (t) => pad.left + ((t - minT) / Math.max(maxT - minT, 1)) * (width - pad.left - pad.right);
+        const y = (v) => height - pad.bottom - (v / maxV) * (height - pad.top - pad.bottom);
+
+        const path = points.map((p, i) => `${i === 0 ? "M" : "L"}${x(p.time).toFixed(1)},${y(p.carbon).toFixed(1)}`).join(" ");
+        const dots = points.map((p) => `
+            <circle cx="${x(p.time).toFixed(1)}" cy="${y(p.carbon).toFixed(1)}" r="4" fill="${p.flagged ? "#ef4444" : "#10b981"}">
+                <title>${new Date(p.time).toLocaleDateString()}: ${p.carbon.toFixed(1)} kg C</title>
+            </circle>`).join("");
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Carbon stored per visit">
+                <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="rgba(255,255,255,0.2)"/>
+                <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" stroke="rgba(255,255,255,0.2)"/>
+                <text x="${pad.left - 6}" y="${pad.top + 4}" fill="rgba(255,255,255,0.5)" font-size="10" text-anchor="end">${maxV.toFixed(0)}</text>
+                <text x="${pad.left - 6}" y="${height - pad.bottom}" fill="rgba(255,255,255,0.5)" font-size="10" text-anchor="end">0</text>
+                <text x="${pad.left}" y="${height - 8}" fill="rgba(255,255,255,0.5)" font-size="10">${new Date(minT).toLocaleDateString()}</text>
+                <text x="${width - pad.right}" y="${height - 8}" fill="rgba(255,255,255,0.5)" font-size="10" text-anchor="end">${new Date(maxT).toLocaleDateString()}</text>
+                <path d="${path}" fill="none" stroke="#34d399" stroke-width="2"/>
+                ${dots}
+            </svg>
+        `;
+    }
+}
+
+const treeGrowthMonitor = new TreeGrowthMonitor();
+console.log("Tree Growth Monitor loaded");
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { TreeGrowthMonitor: TreeGrowthMonitor, treeGrowthMonitor: treeGrowthMonitor };
+}
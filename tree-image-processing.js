@@ -0,0 +1,610 @@
+// Tree Image Processing
+// Pure pixel math behind AdvancedTreeML: colour spaces, blur, segmentation, morphology,
+// trunk edge finding and the tree-presence check. Works on plain {data, width, height}
+// objects and never touches window, document or canvas, so it also runs under Node and in
+// measurement-worker.js.
+
+class TreeImageProcessing {
+    // Browser ImageData when available, otherwise a plain object with the same shape
+    createImageData(data, width, height) {
+        if (typeof ImageData !== 'undefined') return new ImageData(data, width, height);
+        return { data: data, width: width, height: height };
+    }
+
+    // ==================== COLOR SPACE CONVERSIONS ====================
+    
+    rgbToLab(r, g, b) {
+        let rr = r / 255, gg = g / 255, bb = b / 255;
+        rr = rr > 0.04045 ? Math.pow((rr + 0.055) / 1.055, 2.4) : rr / 12.92;
+        gg = gg > 0.04045 ? Math.pow((gg + 0.055) / 1.055, 2.4) : gg / 12.92;
+        bb = bb > 0.04045 ? Math.pow((bb + 0.055) / 1.055, 2.4) : bb / 12.92;
+        
+        let x = (rr * 0.4124 + gg * 0.3576 + bb * 0.1805) / 0.95047;
+        let y = (rr * 0.2126 + gg * 0.7152 + bb * 0.0722) / 1.00000;
+        let z = (rr * 0.0193 + gg * 0.1192 + bb * 0.9505) / 1.08883;
+        
+        x = x > 0.008856 ? Math.pow(x, 1/3) : (7.787 * x) + 16/116;
+        y = y > 0.008856 ? Math.pow(y, 1/3) : (7.787 * y) + 16/116;
+        z = z > 0.008856 ? Math.pow(z, 1/3) : (7.787 * z) + 16/116;
+        
+        return { L: (116 * y) - 16, a: 500 * (x - y), b: 200 * (y - z) };
+    }
+
+    rgbToHsv(r, g, b) {
+        r /= 255; g /= 255; b /= 255;
+        const max = Math.max(r, g, b), min = Math.min(r, g, b);
+        let h, s, v = max;
+        const d = max - min;
+        s = max === 0 ? 0 : d / max;
+        if (max === min) { h = 0; }
+        else {
+            switch (max) {
+                case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+                case g: h = (b - r) / d + 2; break;
+                case b: h = (r - g) / d + 4; break;
+            }
+            h /= 6;
+        }
+        return { h: h * 360, s: s * 100, v: v * 100 };
+    }
+
+    // ==================== IMAGE PREPROCESSING ====================
+    
+    gaussianBlur(imageData, radius) {
+        if (!radius) radius = 2;
+        const pixels = imageData.data;
+        const width = imageData.width;
+        const height = imageData.height;
+        const output = new Uint8ClampedArray(pixels.length);
+        
+        const sigma = radius / 2;
+        const kernel = [];
+        let kernelSum = 0;
+        
+        for (let y = -radius; y <= radius; y++) {
+            for (let x = -radius; x <= radius; x++) {
+                const value = Math.exp(-(x * x + y * y) / (2 * sigma * sigma));
+                kernel.push(value);
+                kernelSum += value;
+            }
+        }
+        for (let i = 0; i < kernel.length; i++) kernel[i] /= kernelSum;
+        
+        for (let y = radius; y < height - radius; y++) {
+            for (let x = radius; x < width - radius; x++) {
+                let rSum = 0, gSum = 0, bSum = 0, ki = 0;
+                for (let ky = -radius; ky <= radius; ky++) {
+                    for (let kx = -radius; kx <= radius; kx++) {
+                        const idx = ((y + ky) * width + (x + kx)) * 4;
+                        rSum += pixels[idx] * kernel[ki];
+                        gSum += pixels[idx + 1] * kernel[ki];
+                        bSum += pixels[idx + 2] * kernel[ki];
+                        ki++;
+                    }
+                }
+                const outIdx = (y * width + x) * 4;
+                output[outIdx] = rSum;
+                output[outIdx + 1] = gSum;
+                output[outIdx + 2] = bSum;
+                output[outIdx + 3] = 255;
+            }
+        }
+        return this.createImageData(output, width, height);
+    }
+
+    // ==================== ADVANCED TREE SEGMENTATION ====================
+    
+    segmentTreeAdvanced(imageData) {
+        const pixels = imageData.data;
+        const width = imageData.width;
+        const height = imageData.height;
+        const mask = new Float32Array(width * height);
+        
+        let trunkPixels = 0, greenPixels = 0;
+        const totalPixels = width * height;
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+                const hsv = this.rgbToHsv(r, g, b);
+                const lab = this.rgbToLab(r, g, b);
+                
+                let treeProb = 0;
+                
+                // Green foliage detection (HSV)
+                if (hsv.h >= 40 && hsv.h <= 170 && hsv.s > 15 && hsv.v > 20) {
+                    treeProb = Math.max(treeProb, Math.min(1, (hsv.s / 100) * 0.7 + 0.3) * 0.8);
+                    greenPixels++;
+                }
+                
+                // Brown trunk (HSV + LAB)
+                if (hsv.h >= 10 && hsv.h <= 45 && hsv.s >= 15 && hsv.s <= 80 && hsv.v >= 15 && hsv.v <= 75) {
+                    if (lab.a > -5 && lab.b > 5 && lab.L > 15 && lab.L < 75) {
+                        treeProb = Math.max(treeProb, 0.9);
+                        trunkPixels++;
+                    }
+                }
+                
+                // Dark bark - TIGHTER: require warm undertone typical of real bark
+                if (hsv.v >= 8 && hsv.v <= 45 && hsv.s >= 5 && hsv.s <= 40) {
+                    if (lab.a > -8 && lab.b > 0 && lab.L > 8 && lab.L < 45) {
+                        treeProb = Math.max(treeProb, 0.6);
+                        trunkPixels++;
+                    }
+                }
+                
+                // Light bark - TIGHTER: require warm tone, not just any gray
+                if (hsv.s >= 5 && hsv.s < 25 && hsv.v > 55 && hsv.v < 85) {
+                    if (lab.b > 3 && lab.b < 25 && lab.a > -3 && lab.a < 12) {
+                        treeProb = Math.max(treeProb, 0.4);
+                    }
+                }
+                
+                mask[y * width + x] = treeProb;
+            }
+        }
+        
+        return {
+            mask: mask, width: width, height: height,
+            greenPercent: ((greenPixels / totalPixels) * 100).toFixed(1),
+            trunkPercent: ((trunkPixels / totalPixels) * 100).toFixed(1)
+        };
+    }
+
+    // ==================== MORPHOLOGICAL OPERATIONS ====================
+    
+    morphologicalClose(mask, width, height, radius) {
+        if (!radius) radius = 3;
+        let result = this.dilate(mask, width, height, radius);
+        result = this.erode(result, width, height, radius);
+        return result;
+    }
+
+    dilate(mask, width, height, radius) {
+        const output = new Float32Array(mask.length);
+        for (let y = radius; y < height - radius; y++) {
+            for (let x = radius; x < width - radius; x++) {
+                let maxVal = 0;
+                for (let ky = -radius; ky <= radius; ky++) {
+                    for (let kx = -radius; kx <= radius; kx++) {
+                        maxVal = Math.max(maxVal, mask[(y + ky) * width + (x + kx)]);
+                    }
+                }
+                output[y * width + x] = maxVal;
+            }
+        }
+        return output;
+    }
+
+    erode(mask, width, height, radius) {
+        const output = new Float32Array(mask.length);
+        for (let y = radius; y < height - radius; y++) {
+            for (let x = radius; x < width - radius; x++) {
+                let minVal = 1;
+                for (let ky = -radius; ky <= radius; ky++) {
+                    for (let kx = -radius; kx <= radius; kx++) {
+                        minVal = Math.min(minVal, mask[(y + ky) * width + (x + kx)]);
+                    }
+                }
+                output[y * width + x] = minVal;
+            }
+        }
+        return output;
+    }
+
+    // ==================== TRUNK DETECTION (KEY ALGORITHM) ====================
+    
+    // imageData is the full-resolution photo; segMask comes from segmentTreeAdvanced or DeepLab
+    detectTrunk(imageData, segMask, segWidth, segHeight) {
+        const pixels = imageData.data;
+        const width = imageData.width;
+        const height = imageData.height;
+        
+        const scaleX = segWidth / width;
+        const scaleY = segHeight / height;
+        
+        // STEP 1: Build trunk probability using vertical structure analysis
+        const trunkMask = new Float32Array(width * height);
+        
+        for (let x = 0; x < width; x++) {
+            let consecutiveBrown = 0;
+            for (let y = 0; y < height; y++) {
+                const i = (y * width + x) * 4;
+                const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+                const hsv = this.rgbToHsv(r, g, b);
+                const lab = this.rgbToLab(r, g, b);
+                
+                // Tighter trunk color: real bark, not blankets/fabric/plastic
+                const isTrunk = (
+                    (hsv.h >= 8 && hsv.h <= 42 && hsv.s >= 12 && hsv.s <= 70 && hsv.v >= 12 && hsv.v <= 65 &&
+                     lab.a > -5 && lab.b > 2 && lab.L > 12 && lab.L < 65) ||
+                    (hsv.v >= 8 && hsv.v <= 35 && hsv.s >= 5 && hsv.s <= 40 && lab.L > 8 && lab.L < 35 && lab.b > -5) ||
+                    // Light tan bark in sunlight: yellower and more saturated than skin
+                    (hsv.h >= 28 && hsv.h <= 42 && hsv.s >= 35 && hsv.s <= 70 && hsv.v > 60 && hsv.v <= 82 &&
+                     lab.b > 25 && lab.L >= 50 && lab.L < 72) ||
+                    // Deep warm-brown furrows, more saturated than the first range allows
+                    (hsv.h >= 20 && hsv.h <= 42 && hsv.s > 70 && hsv.s <= 92 && hsv.v >= 10 && hsv.v <= 55 &&
+                     lab.b > 10 && lab.L > 5 && lab.L < 50)
+                );
+                
+                if (isTrunk) {
+                    consecutiveBrown++;
+                    trunkMask[y * width + x] = Math.min(1, consecutiveBrown / 40);
+                } else {
+                    consecutiveBrown = Math.max(0, consecutiveBrown - 3);
+                }
+            }
+        }
+        
+        // STEP 2: Column density profiling (lower 60% of image)
+        const columnDensity = new Float32Array(width);
+        const trunkSearchTop = Math.floor(height * 0.35);
+        const trunkSearchBottom = Math.floor(height * 0.95);
+        
+        for (let x = 0; x < width; x++) {
+            let density = 0;
+            for (let y = trunkSearchTop; y < trunkSearchBottom; y++) {
+                density += trunkMask[y * width + x];
+            }
+            columnDensity[x] = density;
+        }
+        
+        // STEP 3: Find trunk center using smoothed peak detection
+        const smoothedDensity = this.smoothArray(columnDensity, 15);
+        const searchStart = Math.floor(width * 0.15);
+        const searchEnd = Math.floor(width * 0.85);
+        let maxDensity = 0;
+        let trunkCenterX = width / 2;
+        
+        for (let x = searchStart; x < searchEnd; x++) {
+            if (smoothedDensity[x] > maxDensity) {
+                maxDensity = smoothedDensity[x];
+                trunkCenterX = x;
+            }
+        }
+        
+        // STEP 4: Find trunk edges at breast height
+        const breastHeightY = Math.floor(height * 0.65);
+        const scanRows = 20;
+        const trunkEdges = [];
+        
+        for (let dy = -scanRows; dy <= scanRows; dy++) {
+            const scanY = Math.max(0, Math.min(height - 1, breastHeightY + dy));
+            
+            let leftEdge = trunkCenterX;
+            for (let x = trunkCenterX; x >= 0; x--) {
+                if (trunkMask[scanY * width + x] < 0.15) { leftEdge = x; break; }
+            }
+            
+            let rightEdge = trunkCenterX;
+            for (let x = trunkCenterX; x < width; x++) {
+                if (trunkMask[scanY * width + x] < 0.15) { rightEdge = x; break; }
+            }
+            
+            if (rightEdge > leftEdge + 5) {
+                trunkEdges.push({ left: leftEdge, right: rightEdge, width: rightEdge - leftEdge });
+            }
+        }
+        
+        // STEP 5: Robust trunk width (median of all scans)
+        if (trunkEdges.length === 0) {
+            const halfMax = maxDensity / 2;
+            let fwhmLeft = trunkCenterX, fwhmRight = trunkCenterX;
+            for (let x = trunkCenterX; x >= 0; x--) {
+                if (smoothedDensity[x] < halfMax) { fwhmLeft = x; break; }
+            }
+            for (let x = trunkCenterX; x < width; x++) {
+                if (smoothedDensity[x] < halfMax) { fwhmRight = x; break; }
+            }
+            trunkEdges.push({ left: fwhmLeft, right: fwhmRight, width: fwhmRight - fwhmLeft });
+        }
+        
+        trunkEdges.sort(function(a, b) { return a.width - b.width; });
+        const medianIdx = Math.floor(trunkEdges.length / 2);
+        const medianEdge = trunkEdges[medianIdx];
+        
+        // Cross-validate with Sobel edge detection, searched around the colour edges: the density
+        // peak can sit well off the middle of a wide trunk
+        const sobelTrunkWidth = this.detectTrunkBySobel(imageData, Math.round((medianEdge.left + medianEdge.right) / 2),
+            breastHeightY, width, height, medianEdge.width);
+        
+        let finalTrunkWidthPx;
+        if (sobelTrunkWidth > 10) {
+            finalTrunkWidthPx = medianEdge.width * 0.5 + sobelTrunkWidth * 0.5;
+        } else {
+            finalTrunkWidthPx = medianEdge.width;
+        }
+        
+        // STEP 6: Find tree bounding box
+        const processedMask = this.morphologicalClose(segMask, segWidth, segHeight, 5);
+        let minX = segWidth, maxX = 0, minY = segHeight, maxY = 0;
+        const centerSearchX = segWidth / 2;
+        const searchRange = segWidth * 0.7;
+        
+        for (let y = 0; y < segHeight; y++) {
+            for (let x = 0; x < segWidth; x++) {
+                if (Math.abs(x - centerSearchX) > searchRange / 2) continue;
+                if (processedMask[y * segWidth + x] > 0.3) {
+                    minX = Math.min(minX, x);
+                    maxX = Math.max(maxX, x);
+                    minY = Math.min(minY, y);
+                    maxY = Math.max(maxY, y);
+                }
+            }
+        }
+        
+        return {
+            x: Math.floor(minX / scaleX),
+            y: Math.floor(minY / scaleY),
+            width: Math.floor((maxX - minX) / scaleX),
+            height: Math.floor((maxY - minY) / scaleY),
+            centerX: Math.floor(trunkCenterX),
+            centerY: Math.floor(breastHeightY),
+            trunkLeft: Math.floor(medianEdge.left),
+            trunkRight: Math.floor(medianEdge.right),
+            trunkWidthPx: Math.floor(finalTrunkWidthPx),
+            breastHeightY: breastHeightY,
+            trunkCenterX: Math.floor(trunkCenterX)
+        };
+    }
+
+    // Sobel-based trunk edge detection for cross-validation. expectedWidth (px), when known,
+    // widens the search so both edges of a wide trunk are in reach.
+    detectTrunkBySobel(imageData, centerX, breastHeightY, width, height, expectedWidth = 0) {
+        const pixels = imageData.data;
+        const bandHeight = 30;
+        const gradients = new Float32Array(width);
+        
+        for (let x = 1; x < width - 1; x++) {
+            let totalGrad = 0, count = 0;
+            for (let dy = -bandHeight; dy <= bandHeight; dy++) {
+                const y = breastHeightY + dy;
+                if (y < 1 || y >= height - 1) continue;
+                const leftIdx = (y * width + (x - 1)) * 4;
+                const rightIdx = (y * width + (x + 1)) * 4;
+                const leftGray = (pixels[leftIdx] + pixels[leftIdx + 1] + pixels[leftIdx + 2]) / 3;
+                const rightGray = (pixels[rightIdx] + pixels[rightIdx + 1] + pixels[rightIdx + 2]) / 3;
+                totalGrad += Math.abs(rightGray - leftGray);
+                count++;
+            }
+            gradients[x] = count > 0 ? totalGrad / count : 0;
+        }
+        
+        const searchRadius = Math.floor(Math.max(width * 0.25, expectedWidth * 0.6));
+        let leftEdge = centerX, rightEdge = centerX;
+        let leftMax = 0, rightMax = 0;
+        
+        for (let x = centerX; x >= Math.max(0, centerX - searchRadius); x--) {
+            if (gradients[x] > leftMax) { leftMax = gradients[x]; leftEdge = x; }
+        }
+        for (let x = centerX; x <= Math.min(width - 1, centerX + searchRadius); x++) {
+            if (gradients[x] > rightMax) { rightMax = gradients[x]; rightEdge = x; }
+        }
+        
+        return rightEdge - leftEdge;
+    }
+
+    smoothArray(arr, windowSize) {
+        const output = new Float32Array(arr.length);
+        const half = Math.floor(windowSize / 2);
+        for (let i = 0; i < arr.length; i++) {
+            let sum = 0, count = 0;
+            for (let j = Math.max(0, i - half); j <= Math.min(arr.length - 1, i + half); j++) {
+                sum += arr[j]; count++;
+            }
+            output[i] = sum / count;
+        }
+        return output;
+    }
+
+    // ==================== TREE VALIDATION ====================
+    
+    validateTreePresence(imageData) {
+        const pixels = imageData.data;
+        const width = imageData.width;
+        const height = imageData.height;
+        
+        let greenPixels = 0, brownPixels = 0, pureSkinPixels = 0, grayPixels = 0, skyPixels = 0;
+        const step = width > 1000 ? 2 : 1;
+        let sampledPixels = 0;
+        
+        // Spatial tracking: top half vs bottom half
+        const midY = Math.floor(height / 2);
+        let greenTop = 0, greenBottom = 0;
+        let brownTop = 0, brownBottom = 0;
+        
+        // Texture variance tracking for brown/bark regions
+        let trunkVarianceSum = 0, trunkVarianceCount = 0;
+        
+        // Skin region spatial tracking (grid-based clustering)
+        const gridCols = 8, gridRows = 8;
+        const skinGrid = new Float32Array(gridCols * gridRows);
+        const gridW = Math.floor(width / gridCols);
+        const gridH = Math.floor(height / gridRows);
+        
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                const i = (y * width + x) * 4;
+                const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+                const hsv = this.rgbToHsv(r, g, b);
+                sampledPixels++;
+                
+                const isTop = y < midY;
+                
+                // Green foliage
+                const isGreen = hsv.h >= 40 && hsv.h <= 170 && hsv.s > 15 && hsv.v > 15;
+                if (isGreen) {
+                    greenPixels++;
+                    if (isTop) greenTop++; else greenBottom++;
+                }
+                
+                // Brown bark/trunk - TIGHTER ranges than before
+                const isBrown = hsv.h >= 10 && hsv.h <= 45 && hsv.s >= 15 && hsv.s <= 75 && hsv.v >= 12 && hsv.v <= 70;
+                if (isBrown) {
+                    brownPixels++;
+                    if (isTop) brownTop++; else brownBottom++;
+                    
+                    // Texture variance sampling (every 8th brown pixel for performance)
+                    if (x % 8 === 0 && y % 8 === 0 && x > 2 && x < width - 2 && y > 2 && y < height - 2) {
+                        let localSum = 0, localSqSum = 0, localN = 0;
+                        for (let dy = -2; dy <= 2; dy++) {
+                            for (let dx = -2; dx <= 2; dx++) {
+                                const ni = ((y + dy) * width + (x + dx)) * 4;
+                                const gray = (pixels[ni] + pixels[ni + 1] + pixels[ni + 2]) / 3;
+                                localSum += gray;
+                                localSqSum += gray * gray;
+                                localN++;
+                            }
+                        }
+                        const mean = localSum / localN;
+                        const variance = (localSqSum / localN) - (mean * mean);
+                        trunkVarianceSum += variance;
+                        trunkVarianceCount++;
+                    }
+                }
+                
+                // Skin detection - STRICT: only count if NOT also brown/bark
+                const isSkinHue = hsv.h >= 8 && hsv.h <= 28 && hsv.s >= 30 && hsv.s <= 65 && hsv.v >= 55 && hsv.v <= 90;
+                const hasSkinRGB = r > 120 && g > 80 && b > 50 && r > g && g > b && (r - b) > 30;
+                
+                if (isSkinHue && hasSkinRGB && !isBrown) {
+                    pureSkinPixels++;
+                    const gx = Math.min(gridCols - 1, Math.floor(x / gridW));
+                    const gy = Math.min(gridRows - 1, Math.floor(y / gridH));
+                    skinGrid[gy * gridCols + gx]++;
+                }
+                
+                if (hsv.s < 12 && hsv.v > 35 && hsv.v < 80) grayPixels++;
+                if (hsv.h >= 190 && hsv.h <= 245 && hsv.s > 25 && hsv.v > 55) skyPixels++;
+            }
+        }
+        
+        const greenPercent = (greenPixels / sampledPixels) * 100;
+        const brownPercent = (brownPixels / sampledPixels) * 100;
+        const skinPercent = (pureSkinPixels / sampledPixels) * 100;
+        const grayPercent = (grayPixels / sampledPixels) * 100;
+        
+        // Spatial arrangement score: green in top, brown in bottom (tree-like)
+        let spatialScore = 0;
+        if (greenPixels > 0 && brownPixels > 0) {
+            const greenTopRatio = greenTop / greenPixels;
+            const brownBottomRatio = brownBottom / brownPixels;
+            spatialScore = (greenTopRatio + brownBottomRatio) / 2;
+        } else if (greenPixels > 0) {
+            spatialScore = (greenTop / greenPixels) * 0.5;
+        }
+        
+        // Texture score: bark has high variance (~50+), flat surfaces (laptop, wall) have low (<20)
+        const avgTrunkVariance = trunkVarianceCount > 0 ? trunkVarianceSum / trunkVarianceCount : 0;
+        const hasNaturalTexture = avgTrunkVariance > 25;
+        
+        // Skin clustering
+        let skinClusterScore = 0;
+        const maxSkinCell = Math.max.apply(null, Array.from(skinGrid));
+        const totalSkinCells = Array.from(skinGrid).filter(function(v) { return v > 0; }).length;
+        if (pureSkinPixels > 0 && totalSkinCells > 0) {
+            skinClusterScore = maxSkinCell / pureSkinPixels;
+        }
+        
+        // === TREE DETECTION: Strict multi-signal scoring ===
+        // Trees MUST have strong green AND brown, plus structural evidence
+        
+        const combinedTreeColor = greenPercent + brownPercent;
+        // Require significant green foliage AND brown bark together
+        const hasBothColors = greenPercent > 8 && brownPercent > 5 && combinedTreeColor > 18;
+        // Or very dominant green (forest/tree fills frame)
+        const hasHighGreen = greenPercent > 30;
+        // Or high brown with strong texture AND some green present
+        const hasHighBrownWithTexture = brownPercent > 15 && hasNaturalTexture && greenPercent > 3;
+        
+        const meetsColorCriteria = hasBothColors || hasHighGreen || hasHighBrownWithTexture;
+        
+        // Supporting structural signals — REQUIRE at least 2
+        const hasGoodSpatial = spatialScore > 0.45;
+        const notArtificial = grayPercent < 50;
+        const hasStrongTexture = avgTrunkVariance > 35;
+        const supportCount = (hasGoodSpatial ? 1 : 0) + (notArtificial ? 1 : 0) + (hasStrongTexture ? 1 : 0);
+        
+        const isTree = meetsColorCriteria && supportCount >= 2;
+        
+        // Human/vehicle detection
+        const hasTreeColors = greenPercent > 5 || brownPercent > 5;
+        const hasPerson = skinPercent > 30 && skinClusterScore > 0.15 && !hasTreeColors;
+        const hasVehicleOrBuilding = grayPercent > 55 && !meetsColorCriteria;
+        
+        console.log('Tree validation: green=' + greenPercent.toFixed(1) + '%, brown=' + brownPercent.toFixed(1) + 
+            '%, gray=' + grayPercent.toFixed(1) + '%, spatial=' + spatialScore.toFixed(2) + 
+            ', texture=' + avgTrunkVariance.toFixed(0) + ', colorOK=' + meetsColorCriteria + 
+            ', support=' + supportCount + ', isTree=' + isTree);
+        
+        return {
+            isTree: isTree,
+            greenPercent: greenPercent.toFixed(1),
+            brownPercent: brownPercent.toFixed(1),
+            skinPercent: skinPercent.toFixed(1),
+            grayPercent: grayPercent.toFixed(1),
+            spatialScore: spatialScore.toFixed(2),
+            textureScore: avgTrunkVariance.toFixed(0),
+            errorMessage: this._getTreeValidationError(isTree, meetsColorCriteria, hasPerson, hasVehicleOrBuilding, supportCount)
+        };
+    }
+
+    _getTreeValidationError(isTree, meetsColorCriteria, hasPerson, hasVehicleOrBuilding, supportCount) {
+        if (isTree) return null;
+        if (hasPerson) return 'No tree found — A person is visible in the photo. Please take a photo of a tree. 📸';
+        if (hasVehicleOrBuilding) return 'No tree found — This looks like a building/vehicle/object. Point camera at a tree. 🌳';
+        if (!meetsColorCriteria) return 'No tree found — Both green leaves and brown trunk should be clearly visible. 🍃';
+        if (supportCount < 1) return 'This does not appear to be a tree. Center the tree with natural bark texture visible. 🌲';
+        return 'No tree found. Stand 2-3m away, ensure trunk + leaves are in frame. 📏';
+    }
+
+    // ==================== PHOTO PIPELINE ====================
+
+    // Pixel half of AdvancedTreeML.measureAutomatically (steps 1-4), run by measurement-worker.js.
+    // deeplab is {mask, width, height} when DeepLab already isolated the tree, otherwise null.
+    analyzePixels(imageData, deeplab, onProgress) {
+        const progress = onProgress || function() {};
+        let validation;
+        let segResult;
+
+        if (!deeplab) {
+            progress('Checking for a tree...');
+            validation = this.validateTreePresence(imageData);
+            console.log('Color validation:', validation);
+            if (!validation.isTree) {
+                throw new Error(validation.errorMessage + '\n\n🌳 No tree found! The trunk and leaves should be clearly visible.');
+            }
+
+            progress('Reducing noise...');
+            const blurred = this.gaussianBlur(imageData, 2);
+
+            progress('Segmenting bark and leaves...');
+            segResult = this.segmentTreeAdvanced(blurred);
+            console.log('Color Segmentation: Green ' + segResult.greenPercent + '%, Trunk ' + segResult.trunkPercent + '%');
+            if (parseFloat(segResult.greenPercent) < 1 && parseFloat(segResult.trunkPercent) < 1) {
+                throw new Error('Tree not clearly visible! The tree should fill 30-80% of the frame with good lighting. 📸');
+            }
+        } else {
+            // DeepLab found tree — pass-through validation, its mask replaces colour segmentation
+            validation = { isTree: true, greenPercent: '?', brownPercent: '?', source: 'deeplab' };
+            segResult = { mask: deeplab.mask, width: deeplab.width, height: deeplab.height };
+        }
+
+        progress('Finding trunk edges...');
+        const bounds = this.detectTrunk(imageData, segResult.mask, segResult.width, segResult.height);
+        console.log('Trunk detected:', bounds);
+
+        return { validation: validation, bounds: bounds };
+    }
+
+    // ==================== STRUCTURAL VALIDATION (Post-Detection) ====================
+
+}
+
+const treeImageProcessing = new TreeImageProcessing();
+console.log('Tree Image Processing loaded');
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TreeImageProcessing: TreeImageProcessing, treeImageProcessing: treeImageProcessing };
+}
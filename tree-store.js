@@ -0,0 +1,233 @@
+// Tree Store
+// IndexedDB store of every saved calculation, shared by the calculator (history panel) and the map.
+// Replaces the 20-item localStorage history; the legacy keys are migrated once and then removed.
+
+class TreeStore {
+    constructor() {
+        this.DB_NAME = "ecotree-trees";
+        this.DB_VERSION = 1;
+        this.STORE = "calculations";
+        this.LEGACY_KEYS = ["treeHistory", "treeCalculations"]; // later keys win on duplicate ids
+
+        this.readyPromise = null;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.STORE, { keyPath: "id" });
+                store.createIndex("measuredAt", "measuredAt");
+                // Compound so one species can still be paged newest first
+                store.createIndex("species", ["species", "measuredAt"]);
+                store.createIndex("treeTag", "treeTag");
+                store.createIndex("plotId", "plotId");
+                // [lat, lon]; records without GPS have no geo and are left out of this index
+                store.createIndex("location", "geo");
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Opens the database and runs the localStorage migration once per page load
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = this.open().then(async (db) => {
+                await this.migrateLegacy(db);
+                return db;
+            });
+        }
+        return this.readyPromise;
+    }
+
+    async runTransaction(mode, callback) {
+        const db = await this.ready();
+        return this.runOnDb(db, mode, callback);
+    }
+
+    runOnDb(db, mode, callback) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const request = callback(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // Fills the fields the indices rely on; older entries lack measuredAt and sometimes species
+    prepare(record) {
+        const latitude = parseFloat(record.latitude);
+        const longitude = parseFloat(record.longitude);
+        const prepared = {
+            ...record,
+            species: record.species || record.tree || "Unknown",
+            measuredAt: record.measuredAt || new Date(Number(record.id) || Date.now()).toISOString()
+        };
+
+        if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+            prepared.geo = [latitude, longitude];
+        } else {
+            delete prepared.geo;
+        }
+        return prepared;
+    }
+
+    async migrateLegacy(db) {
+        const legacy = new Map();
+        this.LEGACY_KEYS.forEach((key) => {
+            try {
+                const saved = JSON.parse(localStorage.getItem(key) || "[]");
+                (Array.isArray(saved) ? saved : []).forEach((record) => {
+                    if (record && record.id) {
+                        legacy.set(record.id, record);
+                    }
+                });
+            } catch (error) {
+                console.warn(`Skipping unreadable legacy history "${key}":`, error);
+            }
+        });
+
+        if (legacy.size > 0) {
+            await this.runOnDb(db, "readwrite", (store) => {
+                legacy.forEach((record) => store.put(this.prepare(record)));
+            });
+            console.log(`Migrated ${legacy.size} calculation(s) from localStorage`);
+        }
+
+        // Only removed once the records are safely committed
+        this.LEGACY_KEYS.forEach((key) => localStorage.removeItem(key));
+    }
+
+    async put(record) {
+        const prepared = this.prepare(record);
+        await this.runTransaction("readwrite", (store) => store.put(prepared));
+        return prepared;
+    }
+
+    get(id) {
+        return this.runTransaction("readonly", (store) => store.get(id));
+    }
+
+    delete(id) {
+        return this.runTransaction("readwrite", (store) => store.delete(id));
+    }
+
+    clear() {
+        return this.runTransaction("readwrite", (store) => store.clear());
+    }
+
+    // Newest first
+    async getAll() {
+        const records = await this.runTransaction("readonly", (store) => store.index("measuredAt").getAll());
+        return records.reverse();
+    }
+
+    getByTag(treeTag) {
+        return this.runTransaction("readonly", (store) => store.index("treeTag").getAll(treeTag));
+    }
+
+    // Every tagged visit, for re-measurement lookups
+    getTagged() {
+        return this.runTransaction("readonly", (store) => store.index("treeTag").getAll());
+    }
+
+    getByDateRange(fromIso, toIso) {
+        return this.runTransaction("readonly", (store) =>
+            store.index("measuredAt").getAll(IDBKeyRange.bound(fromIso, toIso)));
+    }
+
+    async getInBounds({ south, west, north, east }) {
+        const records = await this.runTransaction("readonly", (store) =>
+            store.index("location").getAll(IDBKeyRange.bound([south, -Infinity], [north, Infinity])));
+        return records.filter((record) => record.geo[1] >= west && record.geo[1] <= east);
+    }
+
+    speciesRange(species) {
+        return IDBKeyRange.bound([species, ""], [species, "\uffff"]);
+    }
+
+    // Distinct species names, skipping over each species' records via the compound index
+    async getSpecies() {
+        const db = await this.ready();
+        return new Promise((resolve, reject) => {
+            const names = [];
+            const tx = db.transaction(this.STORE, "readonly");
+            const request = tx.objectStore(this.STORE).index("species").openKeyCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    const species = cursor.key[0];
+                    names.push(species);
+                    cursor.continue([species, "\uffff"]);
+                }
+            };
+            tx.oncomplete = () => resolve(names);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    matchesSearch(record, term) {
+        return [record.tree, record.species, record.treeTag, record.plotName, record.timestamp]
+            .some((value) => value && String(value).toLowerCase().includes(term));
+    }
+
+    // One page of records, newest first, optionally limited to a species and/or a search term
+    async getPage({ offset = 0, limit = 20, species = "", search = "" } = {}) {
+        const db = await this.ready();
+        const term = search.trim().toLowerCase();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, "readonly");
+            const index = species ? tx.objectStore(this.STORE).index("species") : tx.objectStore(this.STORE).index("measuredAt");
+            const range = species ? this.speciesRange(species) : null;
+            const records = [];
+            let total = 0;
+
+            if (!term) {
+                // Without a search term the index can count and skip directly
+                const countRequest = index.count(range);
+                countRequest.onsuccess = () => {
+                    total = countRequest.result;
+                };
+            }
+
+            let skipped = term || offset === 0;
+            const request = index.openCursor(range, "prev");
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    return;
+                }
+                if (!skipped) {
+                    skipped = true;
+                    cursor.advance(offset);
+                    return;
+                }
+
+                if (!term) {
+                    records.push(cursor.value);
+                    if (records.length < limit) {
+                        cursor.continue();
+                    }
+                    return;
+                }
+
+                if (this.matchesSearch(cursor.value, term)) {
+                    if (total >= offset && records.length < limit) {
+                        records.push(cursor.value);
+                    }
+                    total += 1;
+                }
+                cursor.continue();
+            };
+
+            tx.oncomplete = () => resolve({ records, total });
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
+
+const treeStore = new TreeStore();
+console.log("Tree Store loaded");